@@ -3,6 +3,8 @@ const redis = require('redis');
 class RedisManager {
   constructor() {
     this.client = null;
+    this.subscriber = null;
+    this.subscriberReady = null;
     this.isConnected = false;
   }
 
@@ -56,6 +58,10 @@ class RedisManager {
   }
 
   async disconnect() {
+    if (this.subscriber) {
+      await this.subscriber.quit();
+      this.subscriber = null;
+    }
     if (this.client) {
       await this.client.quit();
       this.isConnected = false;
@@ -66,13 +72,29 @@ class RedisManager {
   static keys = {
     userProfile: (userId) => `user:profile:${userId}`,
     userPreferences: (userId) => `user:preferences:${userId}`,
-    movieDetails: (tmdbId) => `movie:details:${tmdbId}`,
+    movieDetails: (tmdbId, region = null) => `movie:details:${tmdbId}${region ? `:${region}` : ''}`,
     tmdbSearch: (query, page = 1) => `tmdb:search:${Buffer.from(`${query}:${page}`).toString('base64')}`,
     tmdbPopular: (genres) => `tmdb:popular:${genres || 'all'}`,
+    tmdbPopularPool: (genreKey, filterKey) => `tmdb:popular:pool:${genreKey}:${Buffer.from(filterKey).toString('base64')}`,
+    tmdbDiscover: (query) => `tmdb:discover:${Buffer.from(query).toString('base64')}`,
+    tmdbRelated: (tmdbId, relation, page = 1) => `tmdb:related:${relation}:${tmdbId}:${page}`,
     userSession: (userId) => `session:${userId}`,
     rateLimit: (userId) => `ratelimit:${userId}`,
     recommendationHistory: (userId) => `history:${userId}`,
-    tmdbMovieCache: (tmdbId) => `tmdb:movie:${tmdbId}`
+    tmdbMovieCache: (tmdbId) => `tmdb:movie:${tmdbId}`,
+    tmdbWatchProviders: (tmdbId) => `tmdb:providers:${tmdbId}`,
+    tmdbProviderCatalog: (region) => `tmdb:providers:catalog:${region}`,
+    tmdbKeyword: (name) => `tmdb:keyword:${Buffer.from(name).toString('base64')}`,
+    moodKeywordIds: (version) => `moods:keyword-ids:v${version}`,
+    cfRebuildLock: () => 'lock:cf-rebuild',
+    recommendationSession: (sessionId) => `recsession:${sessionId}`,
+    swipeRoom: (code) => `room:${code}`,
+    swipeRoomMembers: (code) => `room:${code}:members`,
+    swipeRoomVotes: (code, tmdbId) => `room:${code}:votes:${tmdbId}`,
+    swipeRoomMatch: (code) => `room:${code}:match`,
+    swipeRoomDeal: (code, round) => `room:${code}:deal:${round}`,
+    swipeRoomChannel: (code) => `room:${code}:events`,
+    swipeRoomTicket: (ticket) => `roomticket:${ticket}`
   };
 
   // Cache TTL values (in seconds)
@@ -85,7 +107,15 @@ class RedisManager {
     SESSION: 7 * 24 * 60 * 60,    // 7 days
     RATE_LIMIT: 24 * 60 * 60,     // 24 hours
     RECOMMENDATION_HISTORY: 30 * 60, // 30 minutes
-    TMDB_MOVIE: 24 * 60 * 60      // 24 hours
+    TMDB_MOVIE: 24 * 60 * 60,     // 24 hours
+    TMDB_PROVIDERS: 12 * 60 * 60, // 12 hours, streaming catalogs change often
+    TMDB_PROVIDER_CATALOG: 7 * 24 * 60 * 60, // 7 days
+    TMDB_KEYWORD: 30 * 24 * 60 * 60, // 30 days, keyword IDs never change
+    MOOD_KEYWORD_IDS: 90 * 24 * 60 * 60, // 90 days, versioned with the mood catalog
+    CF_REBUILD_LOCK: 30 * 60,     // 30 minutes
+    RECOMMENDATION_SESSION: 30 * 60, // 30 minutes, refreshed on every turn
+    SWIPE_ROOM: 3 * 60 * 60,      // 3 hours, refreshed on every vote
+    SWIPE_ROOM_TICKET: 60         // 1 minute, redeemed once when the socket opens
   };
 
   // Generic cache methods
@@ -136,6 +166,21 @@ class RedisManager {
     }
   }
 
+  // Read and delete in one step (GETDEL), so only one caller gets the value
+  async take(key) {
+    if (!this.isConnected || !this.client) {
+      return null;
+    }
+
+    try {
+      const result = await this.client.getDel(key);
+      return result ? JSON.parse(result) : null;
+    } catch (error) {
+      console.error(`Redis GETDEL error for key ${key}:`, error);
+      return null;
+    }
+  }
+
   async exists(key) {
     if (!this.isConnected || !this.client) {
       return false;
@@ -170,17 +215,165 @@ class RedisManager {
     }
   }
 
+  // Best-effort distributed lock (SET NX EX)
+  // Without Redis there is only one instance, so the lock is always granted
+  // Pass a unique token to release the lock later with releaseLock
+  async acquireLock(key, ttl, token = Date.now().toString()) {
+    if (!this.isConnected || !this.client) {
+      return true;
+    }
+    
+    try {
+      const result = await this.client.set(key, token, { NX: true, EX: ttl });
+      return result === 'OK';
+    } catch (error) {
+      console.error(`Redis lock error for key ${key}:`, error);
+      return false;
+    }
+  }
+
+  // Release a lock only while it still holds our token, so a holder that
+  // outlived the TTL cannot delete the lock another instance took since
+  async releaseLock(key, token) {
+    if (!this.isConnected || !this.client) {
+      return false;
+    }
+
+    try {
+      const released = await this.client.eval(
+        "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end",
+        { keys: [key], arguments: [token] }
+      );
+      return released === 1;
+    } catch (error) {
+      console.error(`Redis unlock error for key ${key}:`, error);
+      return false;
+    }
+  }
+
+  // Hash helpers (values are JSON encoded like the plain keys)
+  async hSet(key, field, value, ttl = null) {
+    if (!this.isConnected || !this.client) {
+      return false;
+    }
+
+    try {
+      const multi = this.client.multi();
+      multi.hSet(key, field, JSON.stringify(value));
+      if (ttl) {
+        multi.expire(key, ttl);
+      }
+      await multi.exec();
+      return true;
+    } catch (error) {
+      console.error(`Redis HSET error for key ${key}:`, error);
+      return false;
+    }
+  }
+
+  async hGetAll(key) {
+    if (!this.isConnected || !this.client) {
+      return {};
+    }
+
+    try {
+      const result = await this.client.hGetAll(key);
+      return Object.fromEntries(Object.entries(result).map(([field, value]) => [field, JSON.parse(value)]));
+    } catch (error) {
+      console.error(`Redis HGETALL error for key ${key}:`, error);
+      return {};
+    }
+  }
+
+  async hDel(key, field) {
+    if (!this.isConnected || !this.client) {
+      return false;
+    }
+
+    try {
+      await this.client.hDel(key, field);
+      return true;
+    } catch (error) {
+      console.error(`Redis HDEL error for key ${key}:`, error);
+      return false;
+    }
+  }
+
+  async expire(key, ttl) {
+    if (!this.isConnected || !this.client) {
+      return false;
+    }
+
+    try {
+      await this.client.expire(key, ttl);
+      return true;
+    } catch (error) {
+      console.error(`Redis EXPIRE error for key ${key}:`, error);
+      return false;
+    }
+  }
+
+  // Pub/sub across app instances; subscribing needs its own connection
+  async publish(channel, message) {
+    if (!this.isConnected || !this.client) {
+      return false;
+    }
+
+    try {
+      await this.client.publish(channel, JSON.stringify(message));
+      return true;
+    } catch (error) {
+      console.error(`Redis PUBLISH error for channel ${channel}:`, error);
+      return false;
+    }
+  }
+
+  async subscribe(channel, listener) {
+    if (!this.isConnected || !this.client) {
+      return false;
+    }
+
+    try {
+      if (!this.subscriber) {
+        this.subscriber = this.client.duplicate();
+        this.subscriber.on('error', (err) => console.error('Redis Subscriber Error:', err));
+        this.subscriberReady = this.subscriber.connect();
+      }
+      await this.subscriberReady;
+      await this.subscriber.subscribe(channel, (message) => listener(JSON.parse(message)));
+      return true;
+    } catch (error) {
+      console.error(`Redis SUBSCRIBE error for channel ${channel}:`, error);
+      return false;
+    }
+  }
+
+  async unsubscribe(channel) {
+    if (!this.subscriber) {
+      return false;
+    }
+
+    try {
+      await this.subscriber.unsubscribe(channel);
+      return true;
+    } catch (error) {
+      console.error(`Redis UNSUBSCRIBE error for channel ${channel}:`, error);
+      return false;
+    }
+  }
+
   // Cache invalidation patterns
   async invalidateUserCache(userId) {
     const keysToDelete = [
       RedisManager.keys.userProfile(userId),
-      RedisManager.keys.userPreferences(userId),
-      RedisManager.keys.recommendationHistory(userId)
+      RedisManager.keys.userPreferences(userId)
     ];
     
     for (const key of keysToDelete) {
       await this.del(key);
     }
+    // History is cached per page
+    await this.invalidatePattern(`${RedisManager.keys.recommendationHistory(userId)}:*`);
   }
 
   async invalidatePattern(pattern) {
@@ -0,0 +1,23 @@
+// Compute embeddings for movies that have none from the active embedder
+// Usage: npm run embeddings:backfill [-- --force]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const movieEmbeddings = require('../services/movieEmbeddings');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/cinemahint';
+
+const run = async () => {
+  await mongoose.connect(MONGODB_URI);
+  console.log('Connected to MongoDB');
+
+  const force = process.argv.includes('--force');
+  const { embedded, model } = await movieEmbeddings.backfill({ force });
+  console.log(`Backfill complete: ${embedded} movies embedded with ${model}`);
+};
+
+run()
+  .catch(err => {
+    console.error('Embedding backfill failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
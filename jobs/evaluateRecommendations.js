@@ -0,0 +1,114 @@
+// Offline evaluation of the recommendation pipeline against a throwaway
+// in-memory MongoDB, so the live database is only ever read
+// Usage: npm run eval -- [options]
+//   --fixture <file>     evaluate an exported fixture instead of MONGODB_URI
+//   --export <file>      write an anonymised fixture from MONGODB_URI and exit
+//   --users <n>          evaluate at most n users (default 50)
+//   --holdout <n>        recent liked movies held out per user (default 1)
+//   --count <n>          picks requested per user (default 5)
+//   --provider <name>    LLM_PROVIDER for the run (openai | openai-compatible | fake)
+//   --model <name>       LLM_MODEL for the run
+//   --provider-module <file>  module exporting an LLM provider instance to use instead
+//   --no-fallback        measure the model alone, without the content-based fallback
+//   --output <file>      also write the full report as JSON
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/cinemahint';
+
+const readOption = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+const readNumber = (name, fallback) => parseInt(readOption(name)) || fallback;
+
+// The pipeline reads its provider and fallback settings when first loaded
+if (readOption('provider')) process.env.LLM_PROVIDER = readOption('provider');
+if (readOption('model')) process.env.LLM_MODEL = readOption('model');
+if (process.argv.includes('--no-fallback')) process.env.RECOMMENDATION_FALLBACK = 'false';
+
+const offlineEvaluation = require('../services/offlineEvaluation');
+const { setLLMProvider, getLLMProvider } = require('../services/llm');
+
+const exportFixture = async (file) => {
+  await mongoose.connect(MONGODB_URI);
+  const fixture = await offlineEvaluation.snapshot({ userLimit: readNumber('users', 200) });
+  fs.writeFileSync(file, JSON.stringify(fixture));
+  console.log(`Exported ${fixture.users.length} users and ${fixture.movies.length} movies to ${file}`);
+};
+
+const loadFixture = async () => {
+  const file = readOption('fixture');
+  if (file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  // Snapshot the live database, then disconnect before anything can write to it
+  await mongoose.connect(MONGODB_URI);
+  const fixture = await offlineEvaluation.snapshot({ userLimit: readNumber('users', 50) });
+  await mongoose.disconnect();
+  return fixture;
+};
+
+const run = async () => {
+  const exportFile = readOption('export');
+  if (exportFile) {
+    return exportFixture(exportFile);
+  }
+
+  const fixture = await loadFixture();
+
+  const providerModule = readOption('provider-module');
+  if (providerModule) {
+    setLLMProvider(require(path.resolve(providerModule)));
+  }
+
+  // Loaded here so only an evaluation run needs the dev dependency
+  let MongoMemoryServer;
+  try {
+    ({ MongoMemoryServer } = require('mongodb-memory-server'));
+  } catch (error) {
+    if (error.code !== 'MODULE_NOT_FOUND') throw error;
+    throw new Error('mongodb-memory-server is missing: install the dev dependencies (npm install, not npm ci --omit=dev) to run the evaluation');
+  }
+  const memoryServer = await MongoMemoryServer.create();
+  try {
+    await mongoose.connect(memoryServer.getUri());
+    console.log(`Evaluating ${fixture.users.length} users with ${getLLMProvider().name} (${getLLMProvider().model})`);
+
+    const report = await offlineEvaluation.run(fixture, {
+      holdout: readNumber('holdout', 1),
+      count: readNumber('count', 5),
+      userLimit: readNumber('users', 50),
+      onUser: (result) => console.log(
+        `${result.userId}: ${result.hits}/${result.heldOut.length} held-out hits, ${result.picks.length} picks`
+      )
+    });
+
+    console.log(`Skipped ${report.skipped} users with too few liked movies, ${report.errors.length} failed`);
+    console.table(report.metrics);
+
+    const output = readOption('output');
+    if (output) {
+      fs.writeFileSync(output, JSON.stringify({
+        ranAt: new Date().toISOString(),
+        provider: getLLMProvider().name,
+        model: getLLMProvider().model,
+        ...report
+      }, null, 2));
+      console.log(`Report written to ${output}`);
+    }
+  } finally {
+    await mongoose.disconnect();
+    await memoryServer.stop();
+  }
+};
+
+run()
+  .catch(err => {
+    console.error('Recommendation evaluation failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,33 @@
+// Rebuild collaborative-filtering neighbourhoods outside the API process
+// Usage: npm run cf:rebuild (uses MONGODB_URI, defaults to a local MongoDB)
+require('dotenv').config();
+const mongoose = require('mongoose');
+const redisManager = require('../config/redis');
+const collaborativeFiltering = require('../services/collaborativeFiltering');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/cinemahint';
+
+const run = async () => {
+  await mongoose.connect(MONGODB_URI);
+  console.log('Connected to MongoDB');
+
+  // Redis is only used for the rebuild lock; run without it if unavailable
+  if (process.env.REDIS_URL) {
+    await redisManager.connect().catch(err => 
+      console.warn('Continuing without Redis lock:', err.message)
+    );
+  }
+
+  const stats = await collaborativeFiltering.rebuild();
+  console.log(stats ? 'Rebuild complete' : 'Rebuild skipped');
+};
+
+run()
+  .catch(err => {
+    console.error('Collaborative filtering rebuild failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await redisManager.disconnect().catch(() => {});
+    await mongoose.disconnect();
+  });
@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
 const { OAuth2Client } = require('google-auth-library');
 const User = require('../models/User');
+const llmUsage = require('../services/llmUsage');
 
 const client = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
 
@@ -48,4 +49,40 @@ const rateLimitMiddleware = async (req, res, next) => {
   }
 };
 
-module.exports = { authMiddleware, rateLimitMiddleware, client };
\ No newline at end of file
+// Reject LLM-backed requests once the user's monthly cost ceiling is spent
+const llmBudgetMiddleware = async (req, res, next) => {
+  try {
+    const budget = await llmUsage.checkBudget(req.user);
+    
+    if (budget.exceeded) {
+      return res.status(429).json({ 
+        error: 'Monthly recommendation budget reached. Please try again next month.',
+        limit: budget.limit,
+        spent: budget.spent,
+        resetTime: budget.resetsAt
+      });
+    }
+    
+    next();
+  } catch (error) {
+    // Accounting problems should not take recommendations down
+    console.error('LLM budget check failed:', error);
+    next();
+  }
+};
+
+// Restrict a route to the comma separated ADMIN_EMAILS (use after authMiddleware)
+const adminMiddleware = (req, res, next) => {
+  const adminEmails = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (!req.user || !adminEmails.includes(req.user.email.toLowerCase())) {
+    return res.status(403).json({ error: 'Admin access required.' });
+  }
+
+  next();
+};
+
+module.exports = { authMiddleware, rateLimitMiddleware, llmBudgetMiddleware, adminMiddleware, client };
\ No newline at end of file
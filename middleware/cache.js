@@ -1,4 +1,5 @@
 const redisManager = require('../config/redis');
+const watchProviders = require('../services/watchProviders');
 
 // Generic cache middleware
 const cacheMiddleware = (keyGenerator, ttl = 300) => {
@@ -54,21 +55,18 @@ const cacheUserPreferences = cacheMiddleware(
   redisManager.constructor.TTL.USER_PREFERENCES
 );
 
-// Movie details cache middleware
+// Movie details cache middleware (per region, the details include where to watch)
 const cacheMovieDetails = cacheMiddleware(
-  (req) => redisManager.constructor.keys.movieDetails(req.params.tmdbId),
+  (req) => redisManager.constructor.keys.movieDetails(
+    req.params.tmdbId,
+    watchProviders.resolveRegion(req.query.region, req.user)
+  ),
   redisManager.constructor.TTL.MOVIE_DETAILS
 );
 
-// TMDB popular movies cache middleware
-const cacheTMDBPopular = cacheMiddleware(
-  (req) => redisManager.constructor.keys.tmdbPopular(req.params.genres),
-  redisManager.constructor.TTL.TMDB_POPULAR
-);
-
-// Recommendation history cache middleware
+// Recommendation history cache middleware (one entry per page)
 const cacheRecommendationHistory = cacheMiddleware(
-  (req) => redisManager.constructor.keys.recommendationHistory(req.user._id.toString()),
+  (req) => `${redisManager.constructor.keys.recommendationHistory(req.user._id.toString())}:${parseInt(req.query.page) || 1}:${parseInt(req.query.limit) || 20}`,
   redisManager.constructor.TTL.RECOMMENDATION_HISTORY
 );
 
@@ -189,7 +187,6 @@ module.exports = {
   cacheUserProfile,
   cacheUserPreferences,
   cacheMovieDetails,
-  cacheTMDBPopular,
   cacheRecommendationHistory,
   invalidateUserCache,
   redisRateLimit,
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// One movie in a user's watch diary: whether they have seen it, when and with
+// whom, how often they rewatched it and a private note
+// Written by services/watchDiary.js; the note never leaves the diary endpoints
+const diaryEntrySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tmdbId: { type: Number, required: true },
+  title: { type: String, required: true },
+  year: Number,
+  genres: { type: [String], default: [] },
+  posterPath: String,
+
+  // false records "I haven't seen this" (as opposed to "I don't want it")
+  seen: { type: Boolean, default: true },
+  // Logged viewings, oldest first; only the latest 200 are kept
+  watches: [{
+    watchedAt: { type: Date, required: true },
+    watchedWith: { type: [String], default: [] },
+    _id: false
+  }],
+  // At least one less than the logged watches; can be higher for undated rewatches
+  rewatchCount: { type: Number, min: 0, default: 0 },
+  note: { type: String, maxlength: 2000 },
+  // Latest watchedAt, kept for the timeline sort
+  lastWatchedAt: Date
+}, {
+  timestamps: true
+});
+
+diaryEntrySchema.index({ user: 1, tmdbId: 1 }, { unique: true });
+diaryEntrySchema.index({ user: 1, lastWatchedAt: -1, updatedAt: -1 });
+
+module.exports = mongoose.model('DiaryEntry', diaryEntrySchema);
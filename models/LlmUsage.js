@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// LLM tokens and cost per user, per UTC day and model
+// Incremented after every completion by services/llmUsage.js
+const llmUsageSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  day: { type: String, required: true }, // YYYY-MM-DD (UTC)
+  model: { type: String, required: true },
+  completions: { type: Number, default: 0 },
+  promptTokens: { type: Number, default: 0 },
+  completionTokens: { type: Number, default: 0 },
+  // Completions whose provider reported no usage, counted from estimates
+  estimatedCompletions: { type: Number, default: 0 },
+  cost: { type: Number, default: 0 } // USD, priced when recorded
+}, {
+  timestamps: true
+});
+
+llmUsageSchema.index({ user: 1, day: 1, model: 1 }, { unique: true });
+llmUsageSchema.index({ day: 1 });
+
+module.exports = mongoose.model('LlmUsage', llmUsageSchema);
@@ -21,11 +21,20 @@ const movieSchema = new mongoose.Schema({
   runtime: Number,
   director: String,
   cast: [String],
+  originalLanguage: String, // ISO 639-1, e.g. 'en'
+  certification: String,    // US rating (G ... NC-17); '' when TMDB has none
+  // Semantic vector for similarity search (see services/movieEmbeddings.js)
+  embedding: {
+    vector: { type: [Number], select: false },
+    model: String,
+    updatedAt: Date
+  },
 }, {
   timestamps: true
 });
 
 movieSchema.index({ genres: 1 });
 movieSchema.index({ rating: -1 });
+movieSchema.index({ 'embedding.model': 1 });
 
 module.exports = mongoose.model('Movie', movieSchema);
\ No newline at end of file
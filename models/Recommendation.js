@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// One recommended movie with everything needed to explain and evaluate it later
+// Written by services/recommendationRecords.js; User.recommendationHistory
+// keeps only the slim list used for de-duplication
+const recommendationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Picks returned by the same request share a requestId
+  requestId: { type: String, required: true },
+  origin: {
+    type: String,
+    enum: ['recommend', 'stream', 'group', 'session'],
+    default: 'recommend'
+  },
+  sessionId: String,
+  rank: Number,
+
+  tmdbId: { type: Number, required: true },
+  title: { type: String, required: true },
+  year: Number,
+  genres: { type: [String], default: [] },
+  posterPath: String,
+  reason: String,
+
+  // What produced the pick
+  engine: { type: String, enum: ['llm', 'fallback'] },
+  provider: String,
+  model: String,
+  promptVersion: String,
+  experiment: String,
+  attempts: Number,
+  latencyMs: Number,
+  // Tokens of the whole request, stored on its rank 1 record only so that
+  // summing usage over records counts each request once
+  usage: {
+    promptTokens: Number,
+    completionTokens: Number
+  },
+
+  // The request as the user made it
+  context: {
+    genres: { type: [String], default: undefined },
+    moods: { type: [String], default: undefined },
+    socialContext: String,
+    dealBreakers: { type: [String], default: undefined },
+    constraints: mongoose.Schema.Types.Mixed,
+    isAlternative: Boolean,
+    count: Number,
+    watchRegion: String,
+    onlyMyServices: Boolean,
+    groupMembers: { type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }], default: undefined },
+    message: String // Latest follow-up in a refinement session
+  },
+
+  // Feedback the user gave on this pick (null until they respond)
+  outcome: {
+    accepted: { type: Boolean, default: null },
+    respondedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+recommendationSchema.index({ user: 1, createdAt: -1 });
+recommendationSchema.index({ user: 1, tmdbId: 1, createdAt: -1 });
+recommendationSchema.index({ requestId: 1 });
+// Prompt experiment results (services/experiments.js)
+recommendationSchema.index({ experiment: 1, promptVersion: 1 });
+
+module.exports = mongoose.model('Recommendation', recommendationSchema);
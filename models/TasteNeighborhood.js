@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Precomputed collaborative-filtering output for one user
+// Rebuilt periodically by services/collaborativeFiltering.js
+const tasteNeighborhoodSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  neighbors: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    similarity: Number,
+    overlap: Number, // Number of movies both users rated
+    _id: false
+  }],
+  // Movies the neighbours liked that this user has not rated yet
+  candidates: [{
+    tmdbId: { type: Number, required: true },
+    title: String,
+    genres: { type: [String], default: [] },
+    posterPath: String,
+    year: Number,
+    score: Number,
+    supporters: Number, // How many neighbours liked it
+    _id: false
+  }],
+  builtAt: { type: Date, default: Date.now }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('TasteNeighborhood', tasteNeighborhoodSchema);
@@ -13,6 +13,8 @@ const createGenreMapSchema = () => ({
     year: Number,
     overview: String,
     releaseDate: String,
+    // The user's own 1-10 rating (half steps); rating above is the TMDB average
+    userRating: { type: Number, min: 1, max: 10 },
     _id: false
   }],
   default: {}
@@ -39,7 +41,27 @@ const userSchema = new mongoose.Schema({
     likedMovies: createGenreMapSchema(),
     // Store disliked movies organized by genre name
     dislikedMovies: createGenreMapSchema(),
+    // Never recommend movies matching these (genres or themes)
+    dealBreakers: { type: [String], default: [] },
+    // ISO 3166-1 region used for "where to watch" (e.g. 'US', 'DE')
+    watchRegion: String,
+    // TMDB watch providers the user subscribes to in watchRegion
+    streamingServices: [{
+      providerId: { type: Number, required: true },
+      name: String,
+      _id: false
+    }],
+    // Saved defaults for calibration discovery (see services/discoveryFilters)
+    discoveryFilters: {
+      languages: { type: [String], default: undefined },
+      regions: { type: [String], default: undefined },
+      decades: { type: [Number], default: undefined },
+      obscurity: { type: String, enum: ['mainstream', 'balanced', 'hidden-gems'] },
+      recentShare: { type: Number, min: 0, max: 1 }
+    },
   },
+  // Monthly LLM cost ceiling in USD; unset uses LLM_MONTHLY_COST_LIMIT_USD, 0 means unlimited
+  llmMonthlyCostLimit: { type: Number, min: 0 },
   dailyRecommendations: {
     count: { type: Number, default: 0 },
     date: { type: Date, default: Date.now }
@@ -48,6 +70,10 @@ const userSchema = new mongoose.Schema({
     movieId: Number,
     title: String,
     accepted: Boolean,
+    // Which engine and prompt template produced the pick (for A/B analysis)
+    engine: String,
+    promptVersion: String,
+    experiment: String,
     timestamp: { type: Date, default: Date.now }
   }],
   watchlist: [{
@@ -135,7 +161,8 @@ userSchema.methods.addLikedMovie = function(movie) {
     rating: movie.rating || movie.voteAverage,
     year: movie.year || (movie.releaseDate ? new Date(movie.releaseDate).getFullYear() : null),
     overview: movie.overview,
-    releaseDate: movie.releaseDate
+    releaseDate: movie.releaseDate,
+    userRating: movie.userRating
   };
   
   // Add to each genre
@@ -206,7 +233,8 @@ userSchema.methods.addDislikedMovie = function(movie) {
     rating: movie.rating || movie.voteAverage,
     year: movie.year || (movie.releaseDate ? new Date(movie.releaseDate).getFullYear() : null),
     overview: movie.overview,
-    releaseDate: movie.releaseDate
+    releaseDate: movie.releaseDate,
+    userRating: movie.userRating
   };
   
   // Add to each genre
@@ -252,6 +280,9 @@ userSchema.methods.addRecommendation = function(recommendation) {
     movieId: recommendation.movieId,
     title: recommendation.title,
     accepted: recommendation.accepted,
+    engine: recommendation.engine,
+    promptVersion: recommendation.promptVersion,
+    experiment: recommendation.experiment,
   });
   
   // Keep only the 100 most recent recommendations
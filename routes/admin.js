@@ -0,0 +1,127 @@
+const express = require('express');
+const { authMiddleware, adminMiddleware } = require('../middleware/auth');
+const experimentService = require('../services/experiments');
+const { listTemplates } = require('../services/prompts');
+const llmUsage = require('../services/llmUsage');
+const User = require('../models/User');
+
+const router = express.Router();
+
+router.use(authMiddleware, adminMiddleware);
+
+// Registered prompt templates and their versions
+router.get('/prompts', (req, res) => {
+  res.json(listTemplates(req.query.name));
+});
+
+// Configured experiments and their variant weights
+router.get('/experiments', (req, res) => {
+  res.json(experimentService.experiments);
+});
+
+// Acceptance rate per prompt version across all experiments
+router.get('/prompts/results', async (req, res) => {
+  try {
+    res.json(await experimentService.getResults());
+  } catch (error) {
+    console.error('Error fetching prompt results:', error);
+    res.status(500).json({ error: 'Failed to fetch prompt results' });
+  }
+});
+
+// Acceptance rate per variant of one experiment, compared with its control
+router.get('/experiments/:id/results', async (req, res) => {
+  try {
+    if (!experimentService.getExperiment(req.params.id)) {
+      return res.status(404).json({ error: 'Experiment not found' });
+    }
+
+    res.json(await experimentService.getResults(req.params.id));
+  } catch (error) {
+    console.error('Error fetching experiment results:', error);
+    res.status(500).json({ error: 'Failed to fetch experiment results' });
+  }
+});
+
+// Validate the optional from/to (YYYY-MM-DD) query of the usage endpoints
+const parseDayRange = (query) => {
+  const range = {};
+  for (const field of ['from', 'to']) {
+    if (query[field] === undefined) continue;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(query[field])) {
+      return { error: `${field} must be a date as YYYY-MM-DD` };
+    }
+    range[field] = query[field];
+  }
+  return { range };
+};
+
+const findUser = (userId) => (/^[a-f0-9]{24}$/i.test(userId)
+  ? User.findById(userId).select('name email llmMonthlyCostLimit')
+  : null);
+
+// LLM tokens and cost per user and per day (defaults to the current month)
+router.get('/usage', async (req, res) => {
+  try {
+    const { range, error } = parseDayRange(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+    res.json(await llmUsage.summary({ ...range, limit }));
+  } catch (error) {
+    console.error('Error fetching LLM usage:', error);
+    res.status(500).json({ error: 'Failed to fetch LLM usage' });
+  }
+});
+
+// Price table used to cost completions (USD per 1M tokens)
+router.get('/usage/prices', (req, res) => {
+  res.json(llmUsage.prices);
+});
+
+// One user's daily usage per model and their monthly budget
+router.get('/usage/:userId', async (req, res) => {
+  try {
+    const { range, error } = parseDayRange(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const user = await findUser(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(await llmUsage.userUsage(user, range));
+  } catch (error) {
+    console.error('Error fetching user LLM usage:', error);
+    res.status(500).json({ error: 'Failed to fetch user LLM usage' });
+  }
+});
+
+// Override a user's monthly cost ceiling (USD); null restores the default, 0 lifts it
+router.put('/usage/:userId/limit', async (req, res) => {
+  try {
+    const { monthlyCostLimit } = req.body;
+    if (monthlyCostLimit !== null && !(typeof monthlyCostLimit === 'number' && monthlyCostLimit >= 0)) {
+      return res.status(400).json({ error: 'monthlyCostLimit must be a non-negative number or null' });
+    }
+
+    const user = await findUser(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    user.llmMonthlyCostLimit = monthlyCostLimit === null ? undefined : monthlyCostLimit;
+    await user.save();
+
+    res.json({ success: true, budget: await llmUsage.checkBudget(user) });
+  } catch (error) {
+    console.error('Error updating LLM cost limit:', error);
+    res.status(500).json({ error: 'Failed to update LLM cost limit' });
+  }
+});
+
+module.exports = router;
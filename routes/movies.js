@@ -1,8 +1,6 @@
 const express = require('express');
-const OpenAI = require('openai');
-const { authMiddleware, rateLimitMiddleware } = require('../middleware/auth');
+const { authMiddleware, rateLimitMiddleware, llmBudgetMiddleware } = require('../middleware/auth');
 const { 
-  cacheTMDBPopular, 
   cacheMovieDetails, 
   redisRateLimit,
   invalidateUserCache 
@@ -10,277 +8,111 @@ const {
 const tmdbCacheService = require('../services/tmdbCache');
 const User = require('../models/User');
 const Movie = require('../models/Movie');
-const axiosInstance = require('../utils/axios');
+const { searchMovieOnTMDB } = require('../services/movieCatalog');
+const { generateMovieRecommendation } = require('../services/recommendationEngine');
+const collaborativeFiltering = require('../services/collaborativeFiltering');
+const movieEmbeddings = require('../services/movieEmbeddings');
+const recommendationSessions = require('../services/recommendationSessions');
+const groupRecommendation = require('../services/groupRecommendation');
+const movieConstraints = require('../services/movieConstraints');
+const swipeRooms = require('../services/swipeRooms');
+const watchProviders = require('../services/watchProviders');
+const recommendationRecords = require('../services/recommendationRecords');
+const exclusions = require('../services/exclusions');
+const moodCatalog = require('../services/moods');
+const calibration = require('../services/calibration');
+const discoveryFilters = require('../services/discoveryFilters');
+const ratings = require('../services/ratings');
 
 
 const router = express.Router();
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-
-// TMDB API configuration
-const TMDB_BASE_URL = 'https://api.themoviedb.org/3';
-const TMDB_API_KEY = process.env.TMDB_API_KEY;
-
-// Genre mapping utility - convert TMDB genre IDs to readable names
-const GENRE_ID_TO_NAME = {
-  28: 'Action',
-  12: 'Adventure', 
-  16: 'Animation',
-  35: 'Comedy',
-  80: 'Crime',
-  99: 'Documentary',
-  18: 'Drama',
-  10751: 'Family',
-  14: 'Fantasy',
-  36: 'History',
-  27: 'Horror',
-  10402: 'Music',
-  9648: 'Mystery',
-  10749: 'Romance',
-  878: 'Science Fiction',
-  10770: 'TV Movie',
-  53: 'Thriller',
-  10752: 'War',
-  37: 'Western'
-};
-
-// Convert TMDB genre IDs to genre names
-const convertGenreIdsToNames = (genreIds) => {
-  if (!Array.isArray(genreIds)) return [];
-  return genreIds.map(id => GENRE_ID_TO_NAME[id]).filter(Boolean);
-};
-
-// Configure axios instance for TMDB requests
-const tmdbRequest = async (url) => {
-  try {
-    const response = await axiosInstance.get(url, {
-      retry: 3,
-      retryDelay: 1000,
-      timeout: 10000,
-    });
-    return response.data;
-  } catch (error) {
-    console.error('TMDB API Error:', error.message);
-    throw new Error('Failed to fetch movies. Please try again later.');
-  }
-};
 
-// Get curated movies for preference calibration (cached)
-router.get('/popular/:genres?', authMiddleware, cacheTMDBPopular, async (req, res) => {
+// Upper bound for the batch mode of /recommend
+const MAX_RECOMMENDATION_BATCH = parseInt(process.env.MAX_RECOMMENDATION_BATCH) || 5;
+
+// Get curated movies for preference calibration
+// The TMDB pool per genre set and filters is cached and shared; excluding rated
+// movies and shuffling happen per request. Pass the X-Next-Cursor response
+// header back as ?cursor= to keep calibrating past the first page; when the
+// shared pool was rebuilt meanwhile the page starts over and X-Cursor-Restarted is set
+// Filters (override the user's saved discovery filters): languages=en,fr
+// regions=FR,KR decades=1970s,1990s obscurity=mainstream|balanced|hidden-gems recentShare=0..1
+router.get('/popular/:genres?', authMiddleware, async (req, res) => {
   try {
-    const { genres } = req.params;
-    const user = req.user;
-    
-    // Get user's already rated movies from the new genre-based structure
-    const ratedMovieIds = new Set();
-    
-    // Get all liked movies
-    for (const movies of user.preferences.likedMovies.values()) {
-      movies.forEach(movie => ratedMovieIds.add(movie.tmdbId));
+    const limit = req.query.limit === undefined ? 8 : parseInt(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 20) {
+      return res.status(400).json({ error: 'limit must be an integer between 1 and 20' });
     }
-    
-    // Get all disliked movies
-    for (const movies of user.preferences.dislikedMovies.values()) {
-      movies.forEach(movie => ratedMovieIds.add(movie.tmdbId));
+    const { filters: overrides, error: filterError } = discoveryFilters.parse(req.query);
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
     }
 
-    const genreMap = {
-      action: 28,
-      adventure: 12,
-      animation: 16,
-      comedy: 35,
-      crime: 80,
-      documentary: 99,
-      drama: 18,
-      family: 10751,
-      fantasy: 14,
-      history: 36,
-      horror: 27,
-      music: 10402,
-      mystery: 9648,
-      romance: 10749,
-      scifi: 878,
-      tvmovie: 10770,
-      thriller: 53,
-      war: 10752,
-      western: 37
-    };
-
-    // Base criteria for quality movies
-    let baseParams = {
-      'vote_count.gte': 1000, // Minimum number of votes to ensure reliability
-      'vote_average.gte': 6.5, // Minimum rating threshold
-      'with_original_language': 'en', // English language movies
-      'sort_by': 'vote_average.desc', // Sort by rating
-      'page': 1 // Start with first page
-    };
-
-    // Handle multiple genres
-    if (genres && genres.trim().toLowerCase() !== 'all') {
-      try {
-        const genreKeys = genres.split(',').map(g => g.trim().toLowerCase());
-        const genreIds = genreKeys
-          .map(key => genreMap[key])
-          .filter(Boolean); // Remove undefined values
-
-        if (genreIds.length > 0) {
-          baseParams.with_genres = genreIds.join('|'); // TMDB uses | for OR between genres
-        } else {
-          console.warn(`No valid genre keys found in: "${genres}"`);
-          // Continue with no genre filter if no valid genres found
-        }
-      } catch (error) {
-        console.error('Error processing genres:', error);
-        // Continue with no genre filter if there's an error
-      }
+    const { movies, poolSize, nextCursor, restarted, error } = await calibration.popularPage(req.user, req.params.genres, {
+      filters: discoveryFilters.resolve(req.user, overrides),
+      cursor: req.query.cursor,
+      limit
+    });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (poolSize === 0) {
+      console.error('No movies returned from TMDB API');
+      return res.status(500).json({ error: 'No movies available. Please try again later.' });
     }
 
-    try {
-      // Get multiple pages to have more variety for user personalization
-      const numPages = 3; // Get 3 pages of results to have more variety
-      const allTopRatedMovies = [];
-      const allRecentMovies = [];
-      
-      // Fetch multiple pages of both classic and recent movies for variety
-      const topRatedPromises = [];
-      const recentPromises = [];
-      
-      for (let page = 1; page <= numPages; page++) {
-        // Classic movies (pre-2021)
-        topRatedPromises.push(
-          tmdbRequest(`${TMDB_BASE_URL}/discover/movie?api_key=${TMDB_API_KEY}&` + 
-            new URLSearchParams({
-              ...baseParams,
-              'primary_release_date.lte': '2020-12-31',
-              'page': page
-            }))
-        );
-        
-        // Recent movies (2021+)
-        recentPromises.push(
-          tmdbRequest(`${TMDB_BASE_URL}/discover/movie?api_key=${TMDB_API_KEY}&` + 
-            new URLSearchParams({
-              ...baseParams,
-              'primary_release_date.gte': '2021-01-01',
-              'sort_by': 'popularity.desc',
-              'page': page
-            }))
-        );
-      }
-      
-      const [topRatedResults, recentResults] = await Promise.all([
-        Promise.all(topRatedPromises),
-        Promise.all(recentPromises)
-      ]);
-      
-      // Combine all results with error checking
-      topRatedResults.forEach((result, index) => {
-        if (result && result.results && Array.isArray(result.results)) {
-          allTopRatedMovies.push(...result.results);
-        } else {
-          console.warn(`Top-rated movies page ${index + 1} returned no results or invalid data`);
-        }
-      });
-      
-      recentResults.forEach((result, index) => {
-        if (result && result.results && Array.isArray(result.results)) {
-          allRecentMovies.push(...result.results);
-        } else {
-          console.warn(`Recent movies page ${index + 1} returned no results or invalid data`);
-        }
-      });
-      
-      // Check if we have any movies at all
-      if (allTopRatedMovies.length === 0 && allRecentMovies.length === 0) {
-        console.error('No movies returned from TMDB API');
-        return res.status(500).json({ error: 'No movies available. Please try again later.' });
-      }
-
-      // Convert Set to Array for includes()
-      const ratedMovieIdsArray = Array.from(ratedMovieIds);
-      
-      // Combine all movies from both classic and recent sources
-      let combinedMovies = [...allTopRatedMovies, ...allRecentMovies]
-        .filter(movie => 
-          movie.poster_path && // Must have a poster
-          movie.overview && // Must have a description
-          !ratedMovieIdsArray.includes(movie.id) // Haven't been rated by user
-        )
-        // Remove duplicates based on movie ID
-        .reduce((unique, movie) => {
-          if (!unique.find(m => m.id === movie.id)) {
-            unique.push(movie);
-          }
-          return unique;
-        }, [])
-        .sort((a, b) => {
-          // Custom sorting with some randomization to provide variety
-          const scoreA = (a.vote_average * Math.log10(a.vote_count || 1)) * (a.popularity / 100);
-          const scoreB = (b.vote_average * Math.log10(b.vote_count || 1)) * (b.popularity / 100);
-          // Add small random factor to prevent same ordering every time
-          const randomFactor = (Math.random() - 0.5) * 0.1;
-          return (scoreB - scoreA) + randomFactor;
-        });
-
-      // Take top candidates and shuffle for variety
-      let allMovies = combinedMovies
-        .slice(0, Math.min(16, combinedMovies.length)) // Take top 16 candidates
-        // Randomly shuffle the top candidates and take 8 for final variety
-        .sort(() => Math.random() - 0.5)
-        .slice(0, 8)
-        .map(movie => ({
-          tmdbId: movie.id,
-          title: movie.title,
-          year: movie.release_date ? new Date(movie.release_date).getFullYear() : null,
-          rating: movie.vote_average,
-          genres: convertGenreIdsToNames(movie.genre_ids),
-          posterPath: movie.poster_path ? `https://image.tmdb.org/t/p/w500${movie.poster_path}` : null,
-        }));
-
-      // If we don't have enough movies, try with relaxed criteria
-      if (allMovies.length < 8) {
-        const relaxedParams = {
-          ...baseParams,
-          'vote_count.gte': 500,
-          'vote_average.gte': 6.0,
-          'with_original_language': null
-        };
-
-        const relaxedData = await tmdbRequest(`${TMDB_BASE_URL}/discover/movie?api_key=${TMDB_API_KEY}&` + 
-          new URLSearchParams(relaxedParams));
-        
-        const relaxedMovies = relaxedData.results
-          .filter(movie => 
-            movie.poster_path &&
-            movie.overview &&
-            !ratedMovieIdsArray.includes(movie.id) &&
-            !allMovies.find(m => m.tmdbId === movie.id)
-          )
-          .map(movie => ({
-            tmdbId: movie.id,
-            title: movie.title,
-            year: movie.release_date ? new Date(movie.release_date).getFullYear() : null,
-            rating: movie.vote_average,
-            genres: convertGenreIdsToNames(movie.genre_ids),
-            posterPath: movie.poster_path ? `https://image.tmdb.org/t/p/w500${movie.poster_path}` : null,
-          }));
-
-        allMovies = [...allMovies, ...relaxedMovies].slice(0, 8);
-      }
-
-      // console.log(allMovies);
-      
-
-      res.json(allMovies);
-    } catch (error) {
-      console.error('Error fetching popular movies:', error);
-      res.status(500).json({ error: 'Failed to fetch movies' });
+    if (nextCursor) {
+      res.set('X-Next-Cursor', nextCursor);
     }
+    if (restarted) {
+      res.set('X-Cursor-Restarted', 'true');
+    }
+    res.json(movies);
   } catch (error) {
     console.error('Error in popular movies route:', error);
     res.status(500).json({ error: 'Failed to fetch movies' });
   }
 });
 
+// Adaptive calibration: the next movies to rate, chosen to cover the genres
+// and eras the user's ratings say least about, plus the calibration confidence
+// Onboarding can stop once calibration.done is true
+router.get('/calibration', authMiddleware, async (req, res) => {
+  try {
+    const count = req.query.count === undefined ? 8 : parseInt(req.query.count);
+    if (!Number.isInteger(count) || count < 1 || count > 20) {
+      return res.status(400).json({ error: 'count must be an integer between 1 and 20' });
+    }
+    const genres = req.query.genres && req.query.genres.toLowerCase() !== 'all'
+      ? req.query.genres.split(',').map(genre => genre.trim()).filter(Boolean)
+      : [];
+    // Same discovery filters as /popular; decades and recentShare do not apply
+    const { filters: overrides, error: filterError } = discoveryFilters.parse(req.query);
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
+    }
+
+    res.json(await calibration.nextBatch(req.user, {
+      genres,
+      count,
+      filters: discoveryFilters.resolve(req.user, overrides)
+    }));
+  } catch (error) {
+    console.error('Error building calibration batch:', error);
+    res.status(500).json({ error: 'Failed to fetch calibration movies' });
+  }
+});
+
+// Calibration confidence alone, e.g. after each rating
+router.get('/calibration/confidence', authMiddleware, (req, res) => {
+  try {
+    res.json(calibration.confidence(req.user));
+  } catch (error) {
+    console.error('Error computing calibration confidence:', error);
+    res.status(500).json({ error: 'Failed to compute calibration confidence' });
+  }
+});
+
 // Save user preferences (legacy, prefer using PUT /users/preferences)
 router.post('/preferences', authMiddleware, async (req, res) => {
   try {
@@ -316,72 +148,138 @@ router.post('/preferences', authMiddleware, async (req, res) => {
   }
 });
 
+// Build the session preferences shared by /recommend and /recommend/stream
+// Returns { error } when the request body is invalid
+function buildSessionPreferences(user, body) {
+  const { genres, socialContext, dealBreakers, isAlternative = false, count } = body;
+
+  // Batch mode: several ranked picks for a single quota unit
+  const isBatch = count !== undefined;
+  const batchSize = isBatch ? parseInt(count) : 1;
+  if (isBatch && (!Number.isInteger(batchSize) || batchSize < 1 || batchSize > MAX_RECOMMENDATION_BATCH)) {
+    return { error: `count must be an integer between 1 and ${MAX_RECOMMENDATION_BATCH}` };
+  }
+
+  // Hard limits: { maxRuntime, minRuntime, minYear, maxYear, language, maxCertification }
+  const { constraints, error: constraintError } = movieConstraints.parse(body.constraints);
+  if (constraintError) {
+    return { error: constraintError };
+  }
+
+  // Moods must come from the curated catalog (ids, labels or aliases)
+  const { moods, error: moodError } = moodCatalog.parse(body.moods);
+  if (moodError) {
+    return { error: moodError };
+  }
+
+  // Where-to-watch region, and optionally only titles on the user's saved services
+  if (body.region !== undefined && !watchProviders.isValidRegion(body.region)) {
+    return { error: 'region must be a two-letter ISO 3166-1 code such as "US"' };
+  }
+  const watchRegion = watchProviders.resolveRegion(body.region, user);
+  let streaming = null;
+  if (body.onlyMyServices === true) {
+    const providerIds = (user.preferences.streamingServices || []).map(service => service.providerId);
+    if (providerIds.length === 0) {
+      return { error: 'Save your streaming services before using onlyMyServices' };
+    }
+    streaming = { region: watchRegion, providerIds };
+  }
+
+  // Discovery filter overrides (languages, regions, decades, obscurity,
+  // recentShare) as on /popular; sessions keep them with the request
+  const { filters: discoveryOverrides, error: filterError } = discoveryFilters.parse(body);
+  if (filterError) {
+    return { error: filterError };
+  }
+
+  // Access the Map data directly instead of using toObject()
+  const likedMovies = user.preferences.likedMovies || new Map();
+  const dislikedMovies = user.preferences.dislikedMovies || new Map();
+
+  // Convert Maps to plain objects if they are Maps
+  const likedMoviesObj = likedMovies instanceof Map ? Object.fromEntries(likedMovies) : likedMovies;
+  const dislikedMoviesObj = dislikedMovies instanceof Map ? Object.fromEntries(dislikedMovies) : dislikedMovies;
+
+  // Filter liked and disliked movies based on selected genres
+  let filteredLikedMovies = {};
+  let filteredDislikedMovies = {};
+
+  if (genres && genres.length > 0) {
+    // If specific genres are selected, only get movies from those genres
+    genres.forEach(selectedGenre => {
+      const genreKey = selectedGenre.toLowerCase();
+      
+      // Get liked movies for this genre
+      if (likedMoviesObj[genreKey] && Array.isArray(likedMoviesObj[genreKey])) {
+        filteredLikedMovies[genreKey] = likedMoviesObj[genreKey];
+      }
+      
+      // Get disliked movies for this genre
+      if (dislikedMoviesObj[genreKey] && Array.isArray(dislikedMoviesObj[genreKey])) {
+        filteredDislikedMovies[genreKey] = dislikedMoviesObj[genreKey];
+      }
+    });
+  } else {
+    // If no specific genres selected, use all movies
+    filteredLikedMovies = likedMoviesObj;
+    filteredDislikedMovies = dislikedMoviesObj;
+  }
+
+  // Create a clean preferences object with filtered data
+  const preferences = {
+    genres,
+    likedMovies: filteredLikedMovies,
+    dislikedMovies: filteredDislikedMovies,
+    moods,
+    socialContext,
+    dealBreakers,
+    constraints,
+    watchRegion,
+    streaming,
+    discoveryFilters: discoveryOverrides,
+    previouslyRecommended: user.recommendationHistory.map(rec => rec.title).join(', ') || '',
+    recommendationHistory: user.recommendationHistory || [],
+    isAlternative,
+    count: batchSize
+  };
+
+  return { preferences, isBatch, batchSize };
+}
+
 router.post('/recommend', 
   authMiddleware, 
+  llmBudgetMiddleware, 
   redisRateLimit(parseInt(process.env.DAILY_RECOMMENDATION_LIMIT) || 5), 
   async (req, res) => {
   try {
     const user = req.user;
-    const { genres, moods, socialContext, dealBreakers, isAlternative = false } = req.body;
-
-    // Access the Map data directly instead of using toObject()
-    const likedMovies = user.preferences.likedMovies || new Map();
-    const dislikedMovies = user.preferences.dislikedMovies || new Map();
-
-    // Convert Maps to plain objects if they are Maps
-    const likedMoviesObj = likedMovies instanceof Map ? Object.fromEntries(likedMovies) : likedMovies;
-    const dislikedMoviesObj = dislikedMovies instanceof Map ? Object.fromEntries(dislikedMovies) : dislikedMovies;
-
-    // Filter liked and disliked movies based on selected genres
-    let filteredLikedMovies = {};
-    let filteredDislikedMovies = {};
-
-    if (genres && genres.length > 0) {
-      // If specific genres are selected, only get movies from those genres
-      genres.forEach(selectedGenre => {
-        const genreKey = selectedGenre.toLowerCase();
-        
-        // Get liked movies for this genre
-        if (likedMoviesObj[genreKey] && Array.isArray(likedMoviesObj[genreKey])) {
-          filteredLikedMovies[genreKey] = likedMoviesObj[genreKey];
-        }
-        
-        // Get disliked movies for this genre
-        if (dislikedMoviesObj[genreKey] && Array.isArray(dislikedMoviesObj[genreKey])) {
-          filteredDislikedMovies[genreKey] = dislikedMoviesObj[genreKey];
-        }
-      });
-    } else {
-      // If no specific genres selected, use all movies
-      filteredLikedMovies = likedMoviesObj;
-      filteredDislikedMovies = dislikedMoviesObj;
-    }
+    const { preferences, isBatch, batchSize, error } = buildSessionPreferences(user, req.body);
 
-    // Create a clean preferences object with filtered data
-    const preferences = {
-      genres,
-      likedMovies: filteredLikedMovies,
-      dislikedMovies: filteredDislikedMovies,
-      moods,
-      socialContext,
-      dealBreakers,
-      previouslyRecommended: user.recommendationHistory.map(rec => rec.title).join(', ') || '',
-      recommendationHistory: user.recommendationHistory || [],
-      isAlternative
-    };
+    if (error) {
+      return res.status(400).json({ error });
+    }
     
     console.log('Session preferences with filtered movies:', preferences);
 
-    // Generate recommendation using the unified function
-    const recommendation = await generateMovieRecommendation(user, preferences);
+    // Generate recommendations using the unified function
+    const recommendations = await generateMovieRecommendation(user, preferences);
     
-    if (!recommendation) {
+    if (recommendations.length === 0) {
       return res.status(404).json({ 
         error: 'Could not find a new movie recommendation. Try adjusting your preferences or try again later.'
       });
     }
 
-    res.json(recommendation);
+    if (isBatch) {
+      return res.json({
+        requested: batchSize,
+        count: recommendations.length,
+        recommendations
+      });
+    }
+
+    res.json(recommendations[0]);
 
   } catch (error) {
     console.error('Error generating recommendation:', error);
@@ -389,113 +287,320 @@ router.post('/recommend',
   }
 });
 
+// Streaming variant of /recommend using Server-Sent Events
+// Emits: prompt, token, reason, model, match, unresolved, violation, unavailable, retry, result and error events
+router.post('/recommend/stream', 
+  authMiddleware, 
+  llmBudgetMiddleware, 
+  redisRateLimit(parseInt(process.env.DAILY_RECOMMENDATION_LIMIT) || 5), 
+  async (req, res) => {
+  const user = req.user;
+  const { preferences, isBatch, batchSize, error } = buildSessionPreferences(user, req.body);
 
-async function generateMovieRecommendation(user, preferences) {
-  const maxAttempts = preferences.isAlternative ? 5 : 3; // More attempts for alternatives
-  let attempts = 0;
-  
-  while (attempts < maxAttempts) {
-    try {
-      // Build recommendation prompt
-      const prompt = buildRecommendationPrompt(preferences, attempts);
-      
-      // Get AI recommendation
-      const completion = await openai.chat.completions.create({
-        model: "gpt-3.5-turbo",
-        messages: [
-          {
-            role: "system",
-            content: "You are an expert movie recommender. Provide exactly one movie recommendation with detailed reasoning. Return response in valid JSON format only (no markdown code blocks) with fields: title, year, reason, genre, rating."
-          },
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
-        max_tokens: 500,
-        temperature: 0.7 + (attempts * 0.15) // Increase randomness with each attempt (more for alternatives)
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable nginx proxy buffering
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event, data) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    // compression() buffers output unless flushed explicitly
+    if (typeof res.flush === 'function') res.flush();
+  };
+
+  // Stop generating once the client goes away
+  const abortController = new AbortController();
+  res.on('close', () => abortController.abort());
+
+  // Keep intermediaries from timing out the connection during slow attempts
+  const heartbeat = setInterval(() => {
+    if (!res.writableEnded) {
+      res.write(': ping\n\n');
+      if (typeof res.flush === 'function') res.flush();
+    }
+  }, 15000);
+
+  try {
+    const recommendations = await generateMovieRecommendation(user, preferences, {
+      onProgress: sendEvent,
+      signal: abortController.signal,
+      origin: 'stream'
+    });
+
+    if (recommendations.length === 0) {
+      sendEvent('error', { 
+        error: 'Could not find a new movie recommendation. Try adjusting your preferences or try again later.'
       });
+    } else {
+      sendEvent('result', isBatch
+        ? { requested: batchSize, count: recommendations.length, recommendations }
+        : recommendations[0]);
+    }
+  } catch (error) {
+    console.error('Error streaming recommendation:', error);
+    sendEvent('error', { error: 'Failed to generate recommendation' });
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
+  }
+});
 
-      let aiResponse;
-      try {
-        // Clean the response content to handle potential markdown formatting
-        let responseContent = completion.choices[0].message.content.trim();
-        
-        // Remove markdown code blocks if present
-        if (responseContent.startsWith('```json')) {
-          responseContent = responseContent.replace(/^```json\s*/, '').replace(/\s*```$/, '');
-        } else if (responseContent.startsWith('```')) {
-          responseContent = responseContent.replace(/^```\s*/, '').replace(/\s*```$/, '');
-        }
-        
-        aiResponse = JSON.parse(responseContent);
-      } catch (parseError) {
-        console.error('JSON parsing error:', parseError);
-        console.error('Raw response:', completion.choices[0].message.content);
-        attempts++;
-        continue;
-      }
-      
-      // Validate required fields
-      if (!aiResponse.title || !aiResponse.reason) {
-        console.error('Invalid AI response structure:', aiResponse);
-        attempts++;
-        continue;
-      }
-      
-      // Get movie details from TMDB
-      const movieDetails = await searchMovieOnTMDB(aiResponse.title, aiResponse.year);
-      
-      if (!movieDetails) {
-        attempts++;
-        continue;
-      }
+// Movie night: merge the taste of several users into one recommendation
+// Body: inviteTokens (each member's POST /api/users/group-invite token), plus the
+// usual /recommend fields; members (user IDs) only name invited members
+router.post('/recommend/group', 
+  authMiddleware, 
+  llmBudgetMiddleware, 
+  redisRateLimit(parseInt(process.env.DAILY_RECOMMENDATION_LIMIT) || 5), 
+  async (req, res) => {
+  try {
+    const user = req.user;
+    const { preferences, batchSize, error } = buildSessionPreferences(user, req.body);
 
-      // Check if this movie was already recommended
-      const alreadyRecommended = user.recommendationHistory.some(
-        rec => rec.movieId === movieDetails.tmdbId
-      );
-
-      if (!alreadyRecommended) {
-        // Create recommendation
-        const recommendation = {
-          movieId: movieDetails.tmdbId,
-          title: movieDetails.title,
-          accepted: null,
-        };
-
-        // Add to history only if it's a new recommendation
-        const isNewRecommendation = user.addRecommendation(recommendation);
-        
-        if (isNewRecommendation) {
-          // Increment daily recommendation count only when we find a new recommendation
-          user.dailyRecommendations.count += 1;
-          
-          // Save the user document with the new recommendation
-          await user.save();
-
-          const finalRecommendation = {
-            ...movieDetails,
-            reason: aiResponse.reason,
-          };
-
-          return finalRecommendation;
-        }
-      }
-      
-      attempts++;
-    } catch (error) {
-      console.error(`Attempt ${attempts + 1} failed:`, error);
-      attempts++;
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const group = await groupRecommendation.buildGroup(user, {
+      userIds: req.body.members || [],
+      inviteTokens: req.body.inviteTokens || []
+    });
+    const groupPreferences = groupRecommendation.applyToPreferences(preferences, group);
+
+    const recommendations = await generateMovieRecommendation(user, groupPreferences, {
+      excludeIds: group.excludeIds,
+      origin: 'group'
+    });
+
+    if (recommendations.length === 0) {
+      return res.status(404).json({ 
+        error: 'Could not find a movie that works for everyone. Try fewer deal-breakers or other genres.'
+      });
+    }
+
+    res.json({
+      members: group.profiles.map(({ userId, name }) => ({ userId, name })),
+      requested: batchSize,
+      count: recommendations.length,
+      recommendations: recommendations.map(pick => ({
+        ...pick,
+        memberFit: groupRecommendation.explain(pick, group)
+      }))
+    });
+  } catch (error) {
+    if (error.name === 'GroupRequestError') {
+      return res.status(error.status).json({ error: error.message });
     }
+    console.error('Error generating group recommendation:', error);
+    res.status(500).json({ error: 'Failed to generate group recommendation' });
   }
+});
 
-  return null; // Could not find a recommendation after max attempts
-}
+// Shape of a recommendation turn in session responses
+const sessionResult = (session, recommendations) => ({
+  session: recommendationSessions.toResponse(session),
+  count: recommendations.length,
+  recommendations
+});
+
+// Start a conversational recommendation session
+// Takes the same body as /recommend; follow-ups go to /sessions/:sessionId/refine
+router.post('/sessions', 
+  authMiddleware, 
+  llmBudgetMiddleware, 
+  redisRateLimit(parseInt(process.env.DAILY_RECOMMENDATION_LIMIT) || 5), 
+  async (req, res) => {
+  try {
+    const user = req.user;
+    const { preferences, error } = buildSessionPreferences(user, req.body);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { session, picks } = await recommendationSessions.create(user, preferences);
+
+    if (picks.length === 0) {
+      return res.status(404).json({ 
+        session: recommendationSessions.toResponse(session),
+        error: 'Could not find a new movie recommendation. Try adjusting your preferences or try again later.'
+      });
+    }
+
+    res.status(201).json(sessionResult(session, picks));
+  } catch (error) {
+    if (error.name === 'SessionStoreUnavailableError') {
+      return res.status(503).json({ error: 'Recommendation sessions are temporarily unavailable' });
+    }
+    console.error('Error starting recommendation session:', error);
+    res.status(500).json({ error: 'Failed to start recommendation session' });
+  }
+});
+
+router.get('/sessions/:sessionId', authMiddleware, async (req, res) => {
+  try {
+    const session = await recommendationSessions.load(req.params.sessionId, req.user._id);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found or expired' });
+    }
+
+    res.json(recommendationSessions.toResponse(session));
+  } catch (error) {
+    console.error('Error fetching recommendation session:', error);
+    res.status(500).json({ error: 'Failed to fetch recommendation session' });
+  }
+});
+
+// Follow up on the last answer, e.g. "like that but shorter" or "something older"
+router.post('/sessions/:sessionId/refine', 
+  authMiddleware, 
+  llmBudgetMiddleware, 
+  redisRateLimit(parseInt(process.env.DAILY_RECOMMENDATION_LIMIT) || 5), 
+  async (req, res) => {
+  try {
+    const { message } = req.body;
+    if (typeof message !== 'string' || !message.trim()) {
+      return res.status(400).json({ error: 'message is required' });
+    }
+
+    const user = req.user;
+    const session = await recommendationSessions.load(req.params.sessionId, user._id);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found or expired' });
+    }
+
+    // Rebuild the rating context from the profile; feedback may have changed it mid-session
+    const { preferences, error } = buildSessionPreferences(user, session.preferences);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { picks } = await recommendationSessions.refine(session, user, preferences, message);
+
+    if (picks.length === 0) {
+      return res.status(404).json({ 
+        session: recommendationSessions.toResponse(session),
+        error: 'Could not find a movie matching that refinement. Try rephrasing it.'
+      });
+    }
+
+    res.json(sessionResult(session, picks));
+  } catch (error) {
+    if (error.name === 'SessionStoreUnavailableError') {
+      return res.status(503).json({ error: 'Recommendation sessions are temporarily unavailable' });
+    }
+    console.error('Error refining recommendation session:', error);
+    res.status(500).json({ error: 'Failed to refine recommendation' });
+  }
+});
+
+router.delete('/sessions/:sessionId', authMiddleware, async (req, res) => {
+  try {
+    const removed = await recommendationSessions.remove(req.params.sessionId, req.user._id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Session not found or expired' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error ending recommendation session:', error);
+    res.status(500).json({ error: 'Failed to end recommendation session' });
+  }
+});
+
+// Open a live "swipe together" room; members join by code over the socket at
+// /api/movies/rooms/:code/socket?ticket=<ticket> and vote on the pushed candidates
+router.post('/rooms', authMiddleware, async (req, res) => {
+  try {
+    const { genres = [], dealBreakers = [] } = req.body;
+    if (!Array.isArray(genres) || !Array.isArray(dealBreakers)) {
+      return res.status(400).json({ error: 'genres and dealBreakers must be arrays' });
+    }
+
+    const room = await swipeRooms.create(req.user, { genres, dealBreakers });
+
+    res.status(201).json({
+      room: await swipeRooms.snapshot(room.code),
+      socketPath: `/api/movies/rooms/${room.code}/socket`
+    });
+  } catch (error) {
+    if (error.name === 'RoomError') {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error creating swipe room:', error);
+    res.status(500).json({ error: 'Failed to create room' });
+  }
+});
+
+router.get('/rooms/:code', authMiddleware, async (req, res) => {
+  try {
+    const room = await swipeRooms.snapshot(req.params.code);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found or expired' });
+    }
+
+    res.json({ room, socketPath: `/api/movies/rooms/${room.code}/socket` });
+  } catch (error) {
+    console.error('Error fetching swipe room:', error);
+    res.status(500).json({ error: 'Failed to fetch room' });
+  }
+});
+
+// Single-use ticket for opening the room socket; it expires within a minute,
+// so fetch one right before connecting (and again on every reconnect)
+router.post('/rooms/:code/ticket', authMiddleware, async (req, res) => {
+  try {
+    const { ticket, expiresIn } = await swipeRooms.issueTicket(req.params.code, req.user);
+    const code = swipeRooms.normalizeCode(req.params.code);
+
+    res.status(201).json({ ticket, expiresIn, socketPath: `/api/movies/rooms/${code}/socket` });
+  } catch (error) {
+    if (error.name === 'RoomError') {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error issuing swipe room ticket:', error);
+    res.status(500).json({ error: 'Failed to issue room ticket' });
+  }
+});
+
+// "People with your taste liked..." from collaborative filtering
+router.get('/crowd-picks', authMiddleware, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const user = req.user;
+
+    // Hide anything the user rated, watchlisted or was already recommended
+    const excludeIds = await exclusions.forUser(user);
+    const crowdPicks = await collaborativeFiltering.getCandidates(user._id, { limit, excludeIds });
+
+    res.json(crowdPicks);
+  } catch (error) {
+    console.error('Error fetching crowd picks:', error);
+    res.status(500).json({ error: 'Failed to fetch crowd picks' });
+  }
+});
 
 router.post('/feedback', authMiddleware, invalidateUserCache, async (req, res) => {
   try {
-    const { movieId, title, accepted, genres = [], rating } = req.body;
+    const { movieId, title, genres = [], rating, recommendationId } = req.body;
+
+    // A graded rating (userRating 1-10 or stars 0.5-5) decides the bucket and
+    // accepted must agree with it; accepted alone still works as a plain like/dislike
+    const parsedRating = ratings.parse(req.body);
+    if (parsedRating.error) {
+      return res.status(400).json({ error: parsedRating.error });
+    }
+    const { userRating, accepted } = parsedRating;
+    const liked = userRating !== null ? ratings.isLiked(userRating) : accepted;
+
     const user = await User.findById(req.user._id);
     
     if (!user) {
@@ -534,7 +639,8 @@ router.post('/feedback', authMiddleware, invalidateUserCache, async (req, res) =
       tmdbId: movieId, 
       title: movieInDb?.title || title,
       genres: movieInDb?.genres || (Array.isArray(genres) ? genres : [genres]), // Use TMDB genres if available
-      rating: movieInDb?.rating || rating || (accepted ? 5 : 1),
+      rating: movieInDb?.rating || rating || (liked ? 5 : 1),
+      userRating: userRating ?? undefined,
       // Include complete data from TMDB
       posterPath: movieInDb?.posterPath,
       backdropPath: movieInDb?.backdropPath,
@@ -544,7 +650,7 @@ router.post('/feedback', authMiddleware, invalidateUserCache, async (req, res) =
     };
 
     // Update liked/disliked movies
-    if (accepted) {
+    if (liked) {
       await user.addLikedMovie(movieData);
     } else {
       await user.addDislikedMovie(movieData);
@@ -571,6 +677,13 @@ router.post('/feedback', authMiddleware, invalidateUserCache, async (req, res) =
     // Save the user document
     await user.save();
 
+    // Link the feedback to the full recommendation record
+    try {
+      await recommendationRecords.recordOutcome(user._id, movieId, accepted, recommendationId);
+    } catch (error) {
+      console.error('Error recording recommendation outcome:', error);
+    }
+
     // Get updated user with preferences (only liked/disliked movies)
     const updatedUser = await User.findById(user._id)
       .select('preferences.likedMovies preferences.dislikedMovies')
@@ -578,6 +691,7 @@ router.post('/feedback', authMiddleware, invalidateUserCache, async (req, res) =
     
     res.json({ 
       success: true, 
+      userRating,
       preferences: {
         likedMovies: updatedUser.preferences?.likedMovies || {},
         dislikedMovies: updatedUser.preferences?.dislikedMovies || {}
@@ -595,253 +709,6 @@ router.post('/feedback', authMiddleware, invalidateUserCache, async (req, res) =
 });
 
 
-function analyzeGenrePreferences({ likedMovies = [] }) {
-  const genreCounts = {};
-  
-  // Process each movie and count genres
-  likedMovies.forEach(movie => {
-    if (movie.genres && Array.isArray(movie.genres)) {
-      movie.genres.forEach(genre => {
-        // Ensure genre is a string and convert to lowercase for consistency
-        const genreName = String(genre).toLowerCase().trim();
-        if (genreName) {
-          genreCounts[genreName] = (genreCounts[genreName] || 0) + 1;
-        }
-      });
-    }
-  });
-  
-  // Convert to array, sort by count (descending), and filter out any empty genres
-  return Object.entries(genreCounts)
-    .map(([genreId, count]) => ({ genreId, count }))
-    .filter(genre => genre.genreId) // Filter out any empty genre names
-    .sort((a, b) => b.count - a.count);
-}
-
-function buildRecommendationPrompt(preferences) {
-  let prompt = preferences.isAlternative 
-    ? "I need another movie recommendation to the very last suggested movie (included below) to me with the following preferences:\n\n"
-    : "I need a movie recommendation with the following preferences:\n\n";
-  
-  // 1. Include selected genres from session if any
-  if (preferences.genres?.length > 0) {
-    prompt += `Preferred genres: ${preferences.genres.join(', ')}\n`;
-  }
-  
-  // 2. Include information from liked movies (already filtered by genre in the route)
-  if (preferences.likedMovies && Object.keys(preferences.likedMovies).length > 0) {
-    // Get all liked movies from the filtered data
-    const allLikedMovies = [];
-    for (const genreMovies of Object.values(preferences.likedMovies)) {
-      if (Array.isArray(genreMovies)) {
-        allLikedMovies.push(...genreMovies);
-      }
-    }
-    
-    // Remove duplicates by tmdbId
-    const uniqueLikedMovies = Array.from(
-      new Map(allLikedMovies.map(m => [m.tmdbId, m])).values()
-    );
-    
-    if (uniqueLikedMovies.length > 0) {
-      const movieContext = preferences.genres?.length > 0 
-        ? `my selected genres (${preferences.genres.join(', ')})` 
-        : 'general preferences';
-        
-      prompt += `Liked movies in ${movieContext}: ${uniqueLikedMovies.map(m => 
-        m.genres?.length > 0 
-          ? `${m.title} (${m.genres.join(', ')})`
-          : m.title
-      ).join(', ')}\n`;
-      
-      // If no specific genres selected, analyze genre preferences
-      if (!preferences.genres?.length > 0) {
-        const likedGenres = analyzeGenrePreferences({ likedMovies: uniqueLikedMovies });
-        if (likedGenres.length > 0) {
-          prompt += `User tends to like these genres: ${likedGenres.slice(0, 5).map(g => g.genreId).join(', ')}`;
-          if (likedGenres.length > 5) prompt += ` and ${likedGenres.length - 5} more`;
-          prompt += '\n';
-        }
-      }
-    }
-  }
-  
-  // 3. Include information from disliked movies (already filtered by genre in the route)
-  if (preferences.dislikedMovies && Object.keys(preferences.dislikedMovies).length > 0) {
-    // Get all disliked movies from the filtered data
-    const allDislikedMovies = [];
-    for (const genreMovies of Object.values(preferences.dislikedMovies)) {
-      if (Array.isArray(genreMovies)) {
-        allDislikedMovies.push(...genreMovies);
-      }
-    }
-    
-    if (allDislikedMovies.length > 0) {
-      const movieContext = preferences.genres?.length > 0 
-        ? `my selected genres (${preferences.genres.join(', ')})` 
-        : 'general preferences';
-        
-      prompt += `Disliked movies in ${movieContext}: ${allDislikedMovies.map(m => 
-        m.genres?.length > 0 
-          ? `${m.title} (${m.genres.join(', ')})`
-          : m.title
-      ).join(', ')}\n`;
-      
-      // If no specific genres selected, analyze genre preferences
-      if (!preferences.genres?.length > 0) {
-        const dislikedGenres = analyzeGenrePreferences({ likedMovies: allDislikedMovies });
-        if (dislikedGenres.length > 0) {
-          prompt += `User tends to dislike these genres: ${dislikedGenres.slice(0, 5).map(g => g.genreId).join(', ')}`;
-          if (dislikedGenres.length > 5) prompt += ` and ${dislikedGenres.length - 5} more`;
-          prompt += '\n';
-        }
-      }
-    }
-  }
-  
-  // 4. Include mood and social context from session
-  if (preferences.moods?.length > 0) {
-    prompt += `Current mood: ${preferences.moods.join(', ')}\n`;
-  }
-  
-  if (preferences.socialContext) {
-    prompt += `Watching context: ${preferences.socialContext}\n`;
-  }
-  
-  // 5. Include deal breakers from session
-  if (preferences.dealBreakers?.length > 0) {
-    prompt += `Avoid: ${preferences.dealBreakers.join(', ')}\n`;
-  }
-
-  // 6. Include user's acceptance patterns from recommendation history
-  if (preferences.recommendationHistory && preferences.recommendationHistory.length > 0) {
-    const acceptedMovies = preferences.recommendationHistory
-      .filter(rec => rec.accepted === true)
-      .map(rec => rec.title);
-    const rejectedMovies = preferences.recommendationHistory
-      .filter(rec => rec.accepted === false)
-      .map(rec => rec.title);
-    
-    if (acceptedMovies.length > 0) {
-      prompt += `User previously accepted these recommended movies: ${acceptedMovies.join(', ')}\n`;
-    }
-    
-    if (rejectedMovies.length > 0) {
-      prompt += `User previously rejected these recommended movies: ${rejectedMovies.join(', ')}\n`;
-    }
-    
-    // Exclude all previously recommended movies (both accepted and rejected)
-    const allPreviouslyRecommended = preferences.recommendationHistory
-      .map(rec => rec.title)
-      .join(', ');
-    if (allPreviouslyRecommended) {
-      prompt += `Do not recommend these movies as user has already been suggested with them previously: ${allPreviouslyRecommended}\n`;
-    }
-  } else if (preferences.previouslyRecommended) {
-    prompt += `Do not recommend these movies as user has already been suggested with them previously: ${preferences.previouslyRecommended}\n`;
-  }
-  
-  // 7. Add specific emphasis on moods and social context
-  if ((preferences.moods?.length > 0) || preferences.socialContext) {
-    prompt += "\nImportant: ";
-    if (preferences.moods?.length > 0) {
-      if (preferences.moods.length === 1) {
-        prompt += `The viewer is in a ${preferences.moods[0]} mood. `;
-      } else {
-        const lastMood = preferences.moods[preferences.moods.length - 1];
-        const otherMoods = preferences.moods.slice(0, -1);
-        prompt += `The viewer is in a ${otherMoods.join(', ')} and ${lastMood} mood. `;
-      }
-    }
-    if (preferences.socialContext) {
-      prompt += `They will be watching with ${preferences.socialContext}. `;
-    }
-    prompt += "Please consider this carefully in your recommendation.\n";
-  }
-  
-  prompt += "\nRecommend ONE movie with clear reasoning. ";
-  
-  // Add guidance about acceptance patterns
-  if (preferences.recommendationHistory && preferences.recommendationHistory.length > 0) {
-    const acceptedCount = preferences.recommendationHistory.filter(rec => rec.accepted === true).length;
-    const rejectedCount = preferences.recommendationHistory.filter(rec => rec.accepted === false).length;
-    
-    if (acceptedCount > 0 && rejectedCount > 0) {
-      prompt += "Consider the user's previous acceptance and rejection patterns when making your recommendation. ";
-    } else if (acceptedCount > 0) {
-      prompt += "Consider the user's previously accepted recommendations to understand their taste better. ";
-    } else if (rejectedCount > 0) {
-      prompt += "Consider the user's previously rejected recommendations to avoid similar patterns. ";
-    }
-  }
-  
-  if (preferences.genres?.length > 0) {
-    prompt += `The recommendation should be from the selected genres (${preferences.genres.join(', ')}) and `;
-    prompt += "should align with the liked movies and avoid the patterns of disliked movies of chosen genres.";
-  } else {
-    prompt += "The recommendation should match their preferred genres and avoid movies that match the taste of their disliked movies. ";
-  }
-  
-  prompt += "If the user has specified moods or social context, ensure the movie aligns with that context. (In romantic mood, if paird with dark mood and Date context you can suggest R or higher rated movies too if they are romantic).";
-  
-  prompt += "Return your response in valid JSON format with these fields: title, year, reason, genre, rating.";
-    
-  console.log('Generated recommendation prompt:', prompt);
-  return prompt;
-}
-
-
-
-async function findMovieInDatabase(title, year) {
-  try {
-    let query = { title: new RegExp(title, 'i') }; // Case insensitive search
-    if (year) {
-      query.releaseDate = {
-        $gte: new Date(`${year}-01-01`),
-        $lte: new Date(`${year}-12-31`)
-      };
-    }
-    return await Movie.findOne(query);
-  } catch (error) {
-    console.error('Error searching movie in database:', error);
-    return null;
-  }
-}
-
-// Save movie to our database
-async function saveMovieToDatabase(movieData) {
-  try {
-    // Check if movie already exists to prevent duplicates
-    const existingMovie = await Movie.findOne({ tmdbId: movieData.tmdbId });
-    if (existingMovie) {
-      console.log(`Movie already exists in database: ${movieData.title} (ID: ${movieData.tmdbId})`);
-      return existingMovie;
-    }
-
-    const movie = new Movie({
-      tmdbId: movieData.tmdbId,
-      title: movieData.title,
-      overview: movieData.overview,
-      releaseDate: movieData.releaseDate,
-      genres: movieData.genres,
-      rating: movieData.rating, // This will also set voteAverage due to alias
-      posterPath: movieData.posterPath,
-      backdropPath: movieData.backdropPath,
-      runtime: movieData.runtime,
-      director: movieData.director,
-      cast: movieData.cast,
-      popularity: movieData.popularity || 0,
-      voteCount: movieData.voteCount || 0
-    });
-    await movie.save();
-    console.log(`Saved new movie to database: ${movieData.title} (ID: ${movieData.tmdbId})`);
-    return movie;
-  } catch (error) {
-    console.error('Error saving movie to database:', error);
-    return null;
-  }
-}
-
 // Get all movies from database for gallery (public route)
 router.get('/gallery', async (req, res) => {
   try {
@@ -870,18 +737,17 @@ router.get('/public/:tmdbId', async (req, res) => {
     // Check if movie already exists in database
     let movie = await Movie.findOne({ tmdbId: parseInt(tmdbId) });
     
-    if (movie) {
-      return res.json(movie);
+    if (!movie) {
+      // Fetch from TMDB using the existing function
+      movie = await searchMovieOnTMDB(null, null, parseInt(tmdbId));
     }
     
-    // Fetch from TMDB using the existing function
-    const movieDetails = await searchMovieOnTMDB(null, null, parseInt(tmdbId));
-    
-    if (!movieDetails) {
+    if (!movie) {
       return res.status(404).json({ error: 'Movie not found on TMDB' });
     }
     
-    res.json(movieDetails);
+    const whereToWatch = await watchProviders.safeForRegion(movie.tmdbId, watchProviders.resolveRegion(req.query.region));
+    res.json({ ...(movie.toObject ? movie.toObject() : movie), whereToWatch });
   } catch (error) {
     console.error('Error fetching movie details publicly:', error);
     res.status(500).json({ error: 'Failed to fetch movie details' });
@@ -914,131 +780,126 @@ router.post('/fetch-tmdb/:tmdbId', authMiddleware, async (req, res) => {
   }
 });
 
-// Get movie details from database
-router.get('/database/:tmdbId', authMiddleware, cacheMovieDetails, async (req, res) => {
+// Semantic "movies like my liked list" from the centroid of the user's likes
+router.get('/semantic/for-me', authMiddleware, async (req, res) => {
   try {
-    const { tmdbId } = req.params;
-    const movie = await Movie.findOne({ tmdbId: parseInt(tmdbId) });
-    
-    if (!movie) {
-      return res.status(404).json({ error: 'Movie not found in database' });
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const user = req.user;
+
+    const likedIds = new Set();
+    for (const movies of user.preferences.likedMovies.values()) {
+      movies.forEach(movie => likedIds.add(movie.tmdbId));
     }
-    
-    res.json(movie);
+
+    if (likedIds.size === 0) {
+      return res.status(400).json({ error: 'Like a few movies first to get semantic suggestions' });
+    }
+
+    // Skip anything already rated, watchlisted or recommended
+    const excludeIds = await exclusions.forUser(user);
+
+    // Cap the centroid at the most recent likes
+    const seedIds = Array.from(likedIds).slice(-50);
+    const movies = await movieEmbeddings.similarToMovies(seedIds, { limit, excludeIds });
+
+    res.json(movies);
   } catch (error) {
-    console.error('Error fetching movie from database:', error);
-    res.status(500).json({ error: 'Failed to fetch movie from database' });
+    console.error('Error fetching semantic suggestions:', error);
+    res.status(500).json({ error: 'Failed to fetch semantic suggestions' });
   }
 });
 
-async function searchMovieOnTMDB(title, year, tmdbId = null) {
+// Semantic "movies like X" using embedding similarity
+// Signed-in only: an unknown tmdbId is fetched into the catalog and embedded on demand
+router.get('/:tmdbId/similar-semantic', authMiddleware, async (req, res) => {
   try {
-    // If we have a direct TMDB ID, use it directly
-    if (tmdbId) {
-      // Check our database first
-      const dbMovie = await Movie.findOne({ tmdbId: parseInt(tmdbId) });
-      if (dbMovie) {
-        console.log(`Found movie in database by ID: ${tmdbId}`);
-        return dbMovie;
-      }
-      
-      // Fetch directly by TMDB ID
-      const detailsUrl = `${TMDB_BASE_URL}/movie/${tmdbId}?api_key=${TMDB_API_KEY}&append_to_response=credits`;
-      const detailsResponse = await axiosInstance.get(detailsUrl, {
-        retry: 3,
-        retryDelay: 1000,
-        timeout: 15000
-      });
-      const details = detailsResponse.data;
-      
-      const movieData = {
-        tmdbId: details.id,
-        title: details.title,
-        overview: details.overview,
-        releaseDate: details.release_date,
-        genres: details.genres.map(g => g.name),
-        rating: details.vote_average,
-        posterPath: details.poster_path ? `https://image.tmdb.org/t/p/w500${details.poster_path}` : null,
-        backdropPath: details.backdrop_path ? `https://image.tmdb.org/t/p/w1280${details.backdrop_path}` : null,
-        runtime: details.runtime,
-        director: details.credits?.crew?.find(c => c.job === 'Director')?.name,
-        cast: details.credits?.cast?.slice(0, 5).map(c => c.name) || [],
-        popularity: details.popularity,
-        voteCount: details.vote_count
-      };
-
-      // Save to our database for future queries
-      await saveMovieToDatabase(movieData);
-      
-      return movieData;
+    const tmdbId = parseInt(req.params.tmdbId);
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+    if (!tmdbId) {
+      return res.status(400).json({ error: 'Invalid movie ID' });
     }
 
-    // Original logic for search by title
-    // First check our database
-    const dbMovie = await findMovieInDatabase(title, year);
-    if (dbMovie) {
-      console.log(`Found movie in database: ${title}`);
-      return dbMovie;
+    // Make sure the movie is in our catalog so it can be embedded
+    const movie = await searchMovieOnTMDB(null, null, tmdbId);
+    if (!movie) {
+      return res.status(404).json({ error: 'Movie not found on TMDB' });
     }
 
-    // If not in database, search TMDB
-    const searchUrl = `${TMDB_BASE_URL}/search/movie?api_key=${TMDB_API_KEY}&query=${encodeURIComponent(title)}`;
-    const response = await axiosInstance.get(searchUrl, {
-      retry: 3,
-      retryDelay: 1000,
-      timeout: 15000
-    });
-    
-    if (!response.data.results || response.data.results.length === 0) {
-      console.log(`No results found for movie: ${title}`);
-      return null;
+    const movies = await movieEmbeddings.similarToMovie(tmdbId, { limit });
+    if (!movies) {
+      return res.status(404).json({ error: 'Movie has no embedding yet' });
     }
-    
-    let movie = response.data.results[0];
-    
-    // If year provided, try to find exact match
-    if (year && response.data.results.length > 1) {
-      const exactMatch = response.data.results.find(m => 
-        m.release_date && new Date(m.release_date).getFullYear() === parseInt(year)
-      );
-      if (exactMatch) movie = exactMatch;
+
+    res.json(movies);
+  } catch (error) {
+    console.error('Error fetching semantic similar movies:', error);
+    res.status(500).json({ error: 'Failed to fetch similar movies' });
+  }
+});
+
+// Mood catalog accepted by /recommend, with the TMDB keywords and genre weights behind each mood
+router.get('/moods', async (req, res) => {
+  try {
+    res.json({ moods: await moodCatalog.list() });
+  } catch (error) {
+    console.error('Error fetching moods:', error);
+    res.status(500).json({ error: 'Failed to fetch moods' });
+  }
+});
+
+// Streaming services available in a region (for the profile's service picker)
+router.get('/watch-providers', async (req, res) => {
+  try {
+    if (req.query.region !== undefined && !watchProviders.isValidRegion(req.query.region)) {
+      return res.status(400).json({ error: 'region must be a two-letter ISO 3166-1 code such as "US"' });
     }
+    const region = watchProviders.resolveRegion(req.query.region);
     
-    if (!movie) return null;
-    
-    // Get detailed movie info
-    const detailsUrl = `${TMDB_BASE_URL}/movie/${movie.id}?api_key=${TMDB_API_KEY}&append_to_response=credits`;
-    const detailsResponse = await axiosInstance.get(detailsUrl, {
-      retry: 3,
-      retryDelay: 1000,
-      timeout: 15000
-    });
-    const details = detailsResponse.data;
+    res.json({ region, providers: await watchProviders.listServices(region) });
+  } catch (error) {
+    console.error('Error fetching watch providers:', error);
+    res.status(500).json({ error: 'Failed to fetch watch providers' });
+  }
+});
+
+// Where to watch a movie in a region (defaults to DEFAULT_WATCH_REGION)
+router.get('/:tmdbId/watch-providers', async (req, res) => {
+  try {
+    const tmdbId = parseInt(req.params.tmdbId);
+    if (!Number.isInteger(tmdbId) || tmdbId <= 0) {
+      return res.status(400).json({ error: 'Invalid movie ID' });
+    }
+    if (req.query.region !== undefined && !watchProviders.isValidRegion(req.query.region)) {
+      return res.status(400).json({ error: 'region must be a two-letter ISO 3166-1 code such as "US"' });
+    }
+    const region = watchProviders.resolveRegion(req.query.region);
     
-    const movieData = {
-      tmdbId: details.id,
-      title: details.title,
-      overview: details.overview,
-      releaseDate: details.release_date,
-      genres: details.genres.map(g => g.name),
-      rating: details.vote_average,
-      posterPath: details.poster_path ? `https://image.tmdb.org/t/p/w500${details.poster_path}` : null,
-      backdropPath: details.backdrop_path ? `https://image.tmdb.org/t/p/w1280${details.backdrop_path}` : null,
-      runtime: details.runtime,
-      director: details.credits?.crew?.find(c => c.job === 'Director')?.name,
-      cast: details.credits?.cast?.slice(0, 5).map(c => c.name) || [],
-      popularity: details.popularity,
-      voteCount: details.vote_count
-    };
+    const whereToWatch = await watchProviders.forRegion(tmdbId, region);
+    res.json(whereToWatch || { region, link: null, flatrate: [], free: [], ads: [], rent: [], buy: [] });
+  } catch (error) {
+    console.error('Error fetching movie watch providers:', error);
+    res.status(500).json({ error: 'Failed to fetch watch providers' });
+  }
+});
 
-    // Save to our database for future queries
-    await saveMovieToDatabase(movieData);
+// Get movie details from database
+router.get('/database/:tmdbId', authMiddleware, cacheMovieDetails, async (req, res) => {
+  try {
+    const { tmdbId } = req.params;
+    const movie = await Movie.findOne({ tmdbId: parseInt(tmdbId) });
     
-    return movieData;
+    if (!movie) {
+      return res.status(404).json({ error: 'Movie not found in database' });
+    }
+    
+    const region = watchProviders.resolveRegion(req.query.region, req.user);
+    const whereToWatch = await watchProviders.safeForRegion(movie.tmdbId, region);
+    res.json({ ...movie.toObject(), whereToWatch });
   } catch (error) {
-    console.error('Error searching movie on TMDB:', error);
-    return null;
+    console.error('Error fetching movie from database:', error);
+    res.status(500).json({ error: 'Failed to fetch movie from database' });
   }
-}
+});
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
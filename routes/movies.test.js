@@ -0,0 +1,239 @@
+process.env.JWT_SECRET = 'test-secret';
+process.env.LLM_PROVIDER = 'fake';
+
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Movie = require('../models/Movie');
+const Recommendation = require('../models/Recommendation');
+const candidateRetrieval = require('../services/candidateRetrieval');
+const collaborativeFiltering = require('../services/collaborativeFiltering');
+const watchDiary = require('../services/watchDiary');
+const watchProviders = require('../services/watchProviders');
+const llmUsage = require('../services/llmUsage');
+const fallbackRecommender = require('../services/fallbackRecommender');
+const { setLLMProvider } = require('../services/llm');
+const moviesRouter = require('./movies');
+
+// Queries resolve to the given value through any chain of lean/select/sort/limit/skip
+const query = (value) => {
+  const result = Promise.resolve(value);
+  ['lean', 'select', 'sort', 'limit', 'skip'].forEach(method => { result[method] = () => result; });
+  return result;
+};
+
+const catalog = [
+  { tmdbId: 278, title: 'The Shawshank Redemption', year: 1994 },
+  { tmdbId: 129, title: 'Spirited Away', year: 2001 },
+  { tmdbId: 27205, title: 'Inception', year: 2010 },
+  { tmdbId: 496243, title: 'Parasite', year: 2019 },
+  { tmdbId: 120467, title: 'The Grand Budapest Hotel', year: 2014 }
+].map(movie => ({
+  ...movie,
+  releaseDate: `${movie.year}-05-01`,
+  genres: ['Drama'],
+  rating: 8.2,
+  overview: `${movie.title} overview`,
+  runtime: 120
+}));
+
+const app = express();
+app.use(express.json());
+app.use('/api/movies', moviesRouter);
+
+let user;
+let token;
+
+beforeAll(() => {
+  mongoose.set('bufferCommands', false);
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  user = new User({ googleId: 'google-1', email: 'viewer@example.com', name: 'Viewer' });
+  user.save = jest.fn(async function () { return this; });
+  token = jwt.sign({ userId: user._id.toString() }, process.env.JWT_SECRET);
+
+  jest.spyOn(User, 'findById').mockImplementation(() => query(user));
+  jest.spyOn(Movie, 'find').mockImplementation(() => query(catalog));
+  jest.spyOn(Movie, 'findOne').mockImplementation(({ tmdbId, title }) => query(
+    catalog.find(movie => (tmdbId ? movie.tmdbId === tmdbId : title.test(movie.title))) || null
+  ));
+  jest.spyOn(Recommendation, 'insertMany').mockImplementation(async (docs) => docs);
+  jest.spyOn(Recommendation, 'findOneAndUpdate').mockImplementation(() => query(null));
+  jest.spyOn(Recommendation, 'distinct').mockResolvedValue([]);
+
+  // No TMDB, Redis or diary reads: an empty pool sends the model into open mode
+  jest.spyOn(candidateRetrieval, 'buildPool').mockResolvedValue([]);
+  jest.spyOn(collaborativeFiltering, 'getCandidates').mockResolvedValue({ movies: [] });
+  jest.spyOn(watchDiary, 'tasteSignals').mockResolvedValue({ recent: [], rewatched: [] });
+  jest.spyOn(watchDiary, 'seenIds').mockResolvedValue([]);
+  jest.spyOn(watchProviders, 'attach').mockImplementation(async (picks) => picks);
+  jest.spyOn(llmUsage, 'checkBudget').mockResolvedValue({ exceeded: false });
+  jest.spyOn(llmUsage, 'record').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  setLLMProvider(null);
+});
+
+const recommend = (body) => request(app)
+  .post('/api/movies/recommend')
+  .set('Authorization', `Bearer ${token}`)
+  .send(body);
+
+describe('POST /api/movies/recommend', () => {
+  test('rejects requests without a token', async () => {
+    const response = await request(app).post('/api/movies/recommend').send({});
+    expect(response.status).toBe(401);
+  });
+
+  test('recommends one movie from the fake provider and records it', async () => {
+    const response = await recommend({});
+
+    expect(response.status).toBe(200);
+    expect(catalog.map(movie => movie.title)).toContain(response.body.title);
+    expect(response.body.reason).toEqual(expect.any(String));
+    expect(user.recommendationHistory.map(rec => rec.title)).toEqual([response.body.title]);
+  });
+
+  test('returns a batch of different movies', async () => {
+    const response = await recommend({ count: 3 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.requested).toBe(3);
+    const titles = response.body.recommendations.map(rec => rec.title);
+    expect(titles).toHaveLength(3);
+    expect(new Set(titles).size).toBe(titles.length);
+  });
+
+  test('rejects a count outside 1..MAX_RECOMMENDATION_BATCH', async () => {
+    expect((await recommend({ count: 0 })).status).toBe(400);
+    expect((await recommend({ count: 6 })).status).toBe(400);
+    expect((await recommend({ count: 'two' })).status).toBe(400);
+    expect(user.recommendationHistory).toHaveLength(0);
+  });
+});
+
+// Server-Sent Events as [{ event, data }] in arrival order
+const parseEvents = (text) => text
+  .split('\n\n')
+  .map(block => ({
+    event: block.match(/^event: (.+)$/m)?.[1],
+    data: block.match(/^data: (.+)$/m)?.[1]
+  }))
+  .filter(({ event }) => event)
+  .map(({ event, data }) => ({ event, data: JSON.parse(data) }));
+
+const stream = (body) => request(app)
+  .post('/api/movies/recommend/stream')
+  .set('Authorization', `Bearer ${token}`)
+  .send(body)
+  .buffer(true)
+  .parse((response, callback) => {
+    let text = '';
+    response.on('data', chunk => { text += chunk; });
+    response.on('end', () => callback(null, text));
+  });
+
+describe('POST /api/movies/recommend/stream', () => {
+  test('sends SSE headers and progress events in order, ending with the result', async () => {
+    const response = await stream({});
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/^text\/event-stream/);
+    expect(response.headers['cache-control']).toBe('no-cache, no-transform');
+    expect(response.headers['x-accel-buffering']).toBe('no');
+
+    const events = parseEvents(response.body);
+    const names = events.map(({ event }) => event);
+    const order = ['retrieval', 'prompt', 'token', 'reason', 'model', 'match', 'result'].map(name => names.indexOf(name));
+    expect(order.every(index => index >= 0)).toBe(true);
+    expect([...order].sort((a, b) => a - b)).toEqual(order);
+    expect(names[names.length - 1]).toBe('result');
+
+    const result = events[events.length - 1].data;
+    expect(result.title).toBe(events.find(({ event }) => event === 'match').data.title);
+    expect(result.engine).toBe('llm');
+  });
+
+  test('ends with an error event when neither the model nor the fallback finds a movie', async () => {
+    setLLMProvider({
+      name: 'fake',
+      model: 'broken',
+      temperature: 0,
+      maxTokens: 500,
+      complete: async () => { throw new Error('model down'); }
+    });
+    jest.spyOn(fallbackRecommender, 'recommend').mockResolvedValue([]);
+
+    const response = await stream({});
+    const names = parseEvents(response.body).map(({ event }) => event);
+
+    expect(response.status).toBe(200);
+    expect(names).toEqual(['retrieval', 'prompt', 'fallback', 'error']);
+    expect(user.save).not.toHaveBeenCalled();
+  });
+
+  test('rejects an invalid body with a JSON 400 before streaming', async () => {
+    const response = await request(app)
+      .post('/api/movies/recommend/stream')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ count: 0 });
+
+    expect(response.status).toBe(400);
+    expect(response.headers['content-type']).toMatch(/json/);
+  });
+
+  test('aborts the model request and stops once the client disconnects', async () => {
+    let aborted;
+    const signalled = new Promise(resolve => { aborted = resolve; });
+    const complete = jest.fn(({ signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => {
+        aborted();
+        reject(Object.assign(new Error('Request aborted'), { name: 'AbortError' }));
+      });
+    }));
+    setLLMProvider({ name: 'fake', model: 'slow', temperature: 0, maxTokens: 500, complete });
+    const fallback = jest.spyOn(fallbackRecommender, 'recommend');
+    const clearIntervalSpy = jest.spyOn(global, 'clearInterval');
+
+    const server = app.listen(0);
+    try {
+      await new Promise((resolve, reject) => {
+        const req = http.request({
+          port: server.address().port,
+          method: 'POST',
+          path: '/api/movies/recommend/stream',
+          headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` }
+        }, response => {
+          response.on('data', chunk => {
+            if (String(chunk).includes('event: prompt')) {
+              req.destroy();
+              resolve();
+            }
+          });
+        });
+        req.on('error', reject);
+        req.end('{}');
+      });
+
+      await signalled;
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(complete).toHaveBeenCalledTimes(1);
+      expect(fallback).not.toHaveBeenCalled();
+      expect(user.save).not.toHaveBeenCalled();
+      expect(clearIntervalSpy).toHaveBeenCalled();
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
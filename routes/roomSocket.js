@@ -0,0 +1,188 @@
+const { URL } = require('url');
+const { WebSocketServer, WebSocket } = require('ws');
+const User = require('../models/User');
+const redisManager = require('../config/redis');
+const swipeRooms = require('../services/swipeRooms');
+
+const { keys } = redisManager.constructor;
+
+// ws(s)://host/api/movies/rooms/<code>/socket?ticket=<ticket>
+// Browsers cannot set an Authorization header on a WebSocket, so the client
+// first gets a single-use ticket from POST /api/movies/rooms/:code/ticket and
+// passes that in the query string instead of its login token
+const SOCKET_PATH = /^\/api\/movies\/rooms\/([A-Za-z0-9]+)\/socket$/;
+const HEARTBEAT_INTERVAL = 30 * 1000;
+const MAX_MESSAGE_BYTES = 4 * 1024;
+
+// Sockets connected to this instance, by room code
+const localRooms = new Map();
+
+const send = (socket, message) => {
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+};
+
+const sendError = (socket, error) => {
+  if (error.name !== 'RoomError') console.error('Swipe room error:', error);
+  send(socket, {
+    type: 'error',
+    status: error.status || 500,
+    error: error.name === 'RoomError' ? error.message : 'Something went wrong in the room'
+  });
+};
+
+const rejectUpgrade = (socket, status, message) => {
+  socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+};
+
+const authenticate = async (ticket, code) => {
+  try {
+    const userId = await swipeRooms.redeemTicket(ticket, code);
+    return userId ? await User.findById(userId) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Room events arrive over Redis pub/sub from every instance; forward them to
+// the sockets connected here. One subscription per room per instance
+const subscribe = (code) => redisManager.subscribe(keys.swipeRoomChannel(code), (event) => {
+  (localRooms.get(code) || []).forEach(client => send(client, event));
+});
+
+const track = async (code, socket) => {
+  let sockets = localRooms.get(code);
+  if (!sockets) {
+    sockets = new Set();
+    localRooms.set(code, sockets);
+    await subscribe(code);
+  }
+  sockets.add(socket);
+};
+
+const untrack = async (code, socket) => {
+  const sockets = localRooms.get(code);
+  if (!sockets) return;
+
+  sockets.delete(socket);
+  if (sockets.size > 0) return;
+
+  // Keep the entry until the unsubscribe resolves, so a socket joining
+  // meanwhile lands in this set; subscribe again if one did
+  await redisManager.unsubscribe(keys.swipeRoomChannel(code));
+  if (sockets.size > 0) {
+    await subscribe(code);
+  } else if (localRooms.get(code) === sockets) {
+    localRooms.delete(code);
+  }
+};
+
+const handleMessage = async (socket, raw) => {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (error) {
+    return send(socket, { type: 'error', status: 400, error: 'Messages must be JSON' });
+  }
+
+  const { code, user } = socket.room;
+  switch (message.type) {
+    case 'start':
+      await swipeRooms.start(code, user);
+      break;
+    case 'vote':
+      await swipeRooms.vote(code, user, message.tmdbId, message.vote);
+      break;
+    case 'close':
+      await swipeRooms.close(code, user);
+      break;
+    case 'leave':
+      socket.close(1000, 'Left the room');
+      break;
+    case 'state':
+      send(socket, { type: 'state', room: await swipeRooms.snapshot(code) });
+      break;
+    default:
+      send(socket, { type: 'error', status: 400, error: `Unknown message type: ${message.type}` });
+  }
+};
+
+// Attach the swipe room WebSocket endpoint to the HTTP server
+function attachRoomSocket(server) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
+
+  server.on('upgrade', async (request, socket, head) => {
+    const url = new URL(request.url, 'http://localhost');
+    const match = url.pathname.match(SOCKET_PATH);
+    if (!match) return rejectUpgrade(socket, 404, 'Not Found');
+
+    const code = swipeRooms.normalizeCode(match[1]);
+    const user = await authenticate(url.searchParams.get('ticket'), code);
+    if (!user) return rejectUpgrade(socket, 401, 'Unauthorized');
+
+    wss.handleUpgrade(request, socket, head, (ws) => {
+      ws.room = { code, user };
+      wss.emit('connection', ws, request);
+    });
+  });
+
+  wss.on('connection', async (socket) => {
+    const { code, user } = socket.room;
+    let joined = false;
+    let ready = false;
+    socket.isAlive = true;
+    socket.on('pong', () => { socket.isAlive = true; });
+
+    // Listen before the join resolves so frames the client sends as soon as
+    // the socket opens are queued instead of dropped
+    const pending = [];
+    const dispatch = (raw) => handleMessage(socket, raw).catch(error => sendError(socket, error));
+    socket.on('message', (raw) => {
+      if (ready) dispatch(raw);
+      else pending.push(raw);
+    });
+
+    socket.on('close', async () => {
+      try {
+        await untrack(code, socket);
+        // Another tab of the same user on this instance keeps them in the room
+        const stillHere = Array.from(localRooms.get(code) || [])
+          .some(other => String(other.room.user._id) === String(user._id));
+        if (joined && !stillHere) await swipeRooms.leave(code, user._id);
+      } catch (error) {
+        console.error('Failed to leave swipe room:', error);
+      }
+    });
+
+    try {
+      await track(code, socket);
+      await swipeRooms.join(code, user);
+      joined = true;
+      send(socket, { type: 'state', room: await swipeRooms.snapshot(code) });
+    } catch (error) {
+      sendError(socket, error);
+      return socket.close(1008, error.name === 'RoomError' ? error.message : 'Could not join the room');
+    }
+
+    // The initial state goes out first, then whatever arrived meanwhile
+    ready = true;
+    pending.splice(0).forEach(dispatch);
+  });
+
+  // Drop connections that stopped answering pings; the traffic also keeps
+  // idle rooms alive behind proxy read timeouts
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach(socket => {
+      if (!socket.isAlive) return socket.terminate();
+      socket.isAlive = false;
+      socket.ping();
+    });
+  }, HEARTBEAT_INTERVAL);
+  wss.on('close', () => clearInterval(heartbeat));
+
+  return wss;
+}
+
+module.exports = { attachRoomSocket };
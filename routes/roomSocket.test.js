@@ -0,0 +1,104 @@
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('../models/User', () => ({ findById: jest.fn(), find: jest.fn() }));
+
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { WebSocket } = require('ws');
+const User = require('../models/User');
+const redisManager = require('../config/redis');
+const swipeRooms = require('../services/swipeRooms');
+const { attachRoomSocket } = require('./roomSocket');
+const { createFakeRedisClient } = require('../test/fakeRedisClient');
+
+const host = { _id: new mongoose.Types.ObjectId(), name: 'Sam' };
+
+let server;
+let wss;
+let port;
+
+beforeEach(async () => {
+  redisManager.client = createFakeRedisClient();
+  redisManager.isConnected = true;
+  User.findById.mockImplementation(async (id) => (String(id) === String(host._id) ? host : null));
+
+  server = http.createServer();
+  wss = attachRoomSocket(server);
+  await new Promise(resolve => server.listen(0, resolve));
+  port = server.address().port;
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  wss.clients.forEach(socket => socket.terminate());
+  await new Promise(resolve => wss.close(resolve));
+  await new Promise(resolve => server.close(resolve));
+  redisManager.client = null;
+  redisManager.subscriber = null;
+  redisManager.isConnected = false;
+});
+
+const connect = (code, query) => new WebSocket(`ws://127.0.0.1:${port}/api/movies/rooms/${code}/socket?${query}`);
+
+// Resolves with the HTTP status of a refused upgrade
+const refusal = (socket) => new Promise(resolve => {
+  socket.on('unexpected-response', (request, response) => resolve(response.statusCode));
+  socket.on('error', () => {});
+});
+
+// Collects the first n messages of a socket
+const messages = (socket, n) => new Promise(resolve => {
+  const received = [];
+  socket.on('message', raw => {
+    received.push(JSON.parse(raw));
+    if (received.length === n) resolve(received);
+  });
+});
+
+describe('room socket authentication', () => {
+  test('refuses the login token in the query string', async () => {
+    const room = await swipeRooms.create(host);
+    const token = jwt.sign({ userId: String(host._id) }, process.env.JWT_SECRET);
+
+    expect(await refusal(connect(room.code, `token=${token}`))).toBe(401);
+    expect(await refusal(connect(room.code, `ticket=${token}`))).toBe(401);
+  });
+
+  test('accepts a ticket once', async () => {
+    const room = await swipeRooms.create(host);
+    const { ticket } = await swipeRooms.issueTicket(room.code, host);
+
+    const socket = connect(room.code, `ticket=${ticket}`);
+    const [state] = await messages(socket, 1);
+    expect(state).toMatchObject({ type: 'state', room: { code: room.code } });
+
+    expect(await refusal(connect(room.code, `ticket=${ticket}`))).toBe(401);
+    socket.close();
+  });
+});
+
+describe('room socket messages', () => {
+  test('queues frames sent while the join is still running', async () => {
+    const room = await swipeRooms.create(host);
+    const { ticket } = await swipeRooms.issueTicket(room.code, host);
+
+    // Hold the join until the client has sent its first frame
+    let finishJoin;
+    const join = swipeRooms.join.bind(swipeRooms);
+    jest.spyOn(swipeRooms, 'join').mockImplementation((...args) =>
+      new Promise(resolve => { finishJoin = () => resolve(join(...args)); }));
+
+    const socket = connect(room.code, `ticket=${ticket}`);
+    const received = messages(socket, 2);
+    await new Promise(resolve => socket.on('open', resolve));
+    socket.send(JSON.stringify({ type: 'nonsense' }));
+    await new Promise(resolve => setTimeout(resolve, 20));
+    finishJoin();
+
+    const [state, reply] = await received;
+    expect(state.type).toBe('state');
+    expect(reply).toEqual({ type: 'error', status: 400, error: 'Unknown message type: nonsense' });
+    socket.close();
+  });
+});
@@ -7,6 +7,12 @@ const {
   invalidateUserCache 
 } = require('../middleware/cache');
 const User = require('../models/User');
+const groupRecommendation = require('../services/groupRecommendation');
+const watchProviders = require('../services/watchProviders');
+const recommendationRecords = require('../services/recommendationRecords');
+const discoveryFilters = require('../services/discoveryFilters');
+const ratings = require('../services/ratings');
+const watchDiary = require('../services/watchDiary');
 
 const router = express.Router();
 
@@ -37,19 +43,12 @@ router.get('/profile', authMiddleware, cacheUserProfile, async (req, res) => {
   }
 });
 
-// Get recommendation history (cached)
+// Get recommendation history with the reasons given (cached)
 router.get('/history', authMiddleware, cacheRecommendationHistory, async (req, res) => {
   try {
     const { page = 1, limit = 20 } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
     
-    const user = await User.findById(req.user._id)
-      .select('recommendationHistory')
-      .slice('recommendationHistory', [skip, parseInt(limit)])
-      .sort('-recommendationHistory.timestamp')
-      .lean();
-    
-    res.json(user.recommendationHistory || []);
+    res.json(await recommendationRecords.history(req.user, { page, limit }));
   } catch (error) {
     console.error('Error fetching history:', error);
     res.status(500).json({ error: 'Failed to fetch history' });
@@ -106,8 +105,25 @@ router.put('/preferences', authMiddleware, invalidateUserCache, async (req, res)
       dislikedMovies, 
       moods, 
       socialContext, 
-      dealBreakers 
+      dealBreakers,
+      ratings: ratedMovies
     } = req.body;
+
+    // Graded ratings ({ tmdbId, title, genres, userRating or stars }) are
+    // validated up front so a bad entry doesn't leave a half-applied update
+    if (ratedMovies !== undefined && !Array.isArray(ratedMovies)) {
+      return res.status(400).json({ error: 'ratings must be an array of movies' });
+    }
+    const gradedMovies = [];
+    for (const movie of ratedMovies || []) {
+      const parsed = movie?.userRating == null && movie?.stars == null
+        ? { error: 'Send userRating or stars' }
+        : ratings.parse({ userRating: movie.userRating, stars: movie.stars });
+      if (parsed.error) {
+        return res.status(400).json({ error: `${movie?.title || movie?.tmdbId}: ${parsed.error}` });
+      }
+      gradedMovies.push({ ...movie, userRating: parsed.userRating });
+    }
     
     const update = { $set: {} };
     
@@ -152,6 +168,32 @@ router.put('/preferences', authMiddleware, invalidateUserCache, async (req, res)
       }
     }
     
+    if (gradedMovies.length > 0) {
+      const user = await User.findById(req.user._id);
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      // The rating decides whether each movie lands in liked or disliked
+      for (const movie of gradedMovies) {
+        const movieData = {
+          tmdbId: movie.tmdbId,
+          title: movie.title,
+          genres: movie.genres || [],
+          rating: movie.rating,
+          releaseDate: movie.releaseDate,
+          posterPath: movie.posterPath,
+          overview: movie.overview,
+          userRating: movie.userRating
+        };
+        if (ratings.isLiked(movie.userRating)) {
+          await user.addLikedMovie(movieData);
+        } else {
+          await user.addDislikedMovie(movieData);
+        }
+      }
+    }
+
     if (dislikedMovies) {
       const user = await User.findById(req.user._id);
       if (!user) {
@@ -216,6 +258,102 @@ router.delete('/preferences/:field', authMiddleware, async (req, res) => {
   }
 });
 
+// Get the user's watch region and subscribed streaming services
+router.get('/streaming-services', authMiddleware, (req, res) => {
+  res.json({
+    region: watchProviders.resolveRegion(null, req.user),
+    services: req.user.preferences.streamingServices || []
+  });
+});
+
+// Save the user's watch region and streaming services
+// Body: { region: 'US', providers: [8, 337] } (TMDB provider IDs)
+router.put('/streaming-services', authMiddleware, invalidateUserCache, async (req, res) => {
+  try {
+    const { region, providers = [] } = req.body;
+    
+    if (region !== undefined && !watchProviders.isValidRegion(region)) {
+      return res.status(400).json({ error: 'region must be a two-letter ISO 3166-1 code such as "US"' });
+    }
+    if (!Array.isArray(providers) || providers.some(id => !Number.isInteger(Number(id)))) {
+      return res.status(400).json({ error: 'providers must be an array of TMDB provider IDs' });
+    }
+    
+    const watchRegion = watchProviders.resolveRegion(region, req.user);
+    
+    // Only services TMDB lists for the region can be matched later
+    const catalog = await watchProviders.listServices(watchRegion);
+    const byId = new Map(catalog.map(provider => [provider.providerId, provider]));
+    const unknown = providers.map(Number).filter(id => !byId.has(id));
+    if (unknown.length > 0) {
+      return res.status(400).json({ 
+        error: `Unknown streaming services for ${watchRegion}: ${unknown.join(', ')}` 
+      });
+    }
+    
+    const services = Array.from(new Set(providers.map(Number)))
+      .map(id => ({ providerId: id, name: byId.get(id).name }));
+    
+    await User.findByIdAndUpdate(req.user._id, {
+      $set: {
+        'preferences.watchRegion': watchRegion,
+        'preferences.streamingServices': services
+      }
+    });
+    
+    res.json({ success: true, region: watchRegion, services });
+  } catch (error) {
+    console.error('Error saving streaming services:', error);
+    res.status(500).json({ error: 'Failed to save streaming services' });
+  }
+});
+
+// Get the user's saved discovery filters and the filters calibration will use
+router.get('/discovery-filters', authMiddleware, (req, res) => {
+  res.json({
+    saved: req.user.preferences.discoveryFilters || {},
+    effective: discoveryFilters.resolve(req.user),
+    obscurityLevels: Object.keys(discoveryFilters.obscurityLevels)
+  });
+});
+
+// Save the user's default discovery filters for calibration (replaces the saved set)
+// Body: { languages: ['fr', 'ko'], regions: ['FR'], decades: [1970, 1990], obscurity: 'balanced', recentShare: 0.3 }
+router.put('/discovery-filters', authMiddleware, invalidateUserCache, async (req, res) => {
+  try {
+    const { filters, error } = discoveryFilters.parse(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    // A null recentShare means "rank classic and recent together", the default
+    if (filters.recentShare === null) delete filters.recentShare;
+    
+    await User.findByIdAndUpdate(req.user._id, {
+      $set: { 'preferences.discoveryFilters': filters }
+    });
+    
+    res.json({
+      success: true,
+      saved: filters,
+      effective: discoveryFilters.resolve({ preferences: { discoveryFilters: filters } })
+    });
+  } catch (error) {
+    console.error('Error saving discovery filters:', error);
+    res.status(500).json({ error: 'Failed to save discovery filters' });
+  }
+});
+
+// Create an invite token others can use to include this user's taste in a group recommendation
+router.post('/group-invite', authMiddleware, (req, res) => {
+  try {
+    res.json(groupRecommendation.createInviteToken(req.user));
+  } catch (error) {
+    console.error('Error creating group invite:', error);
+    res.status(500).json({ error: 'Failed to create group invite' });
+  }
+});
+
 // Get user's watchlist
 router.get('/watchlist', authMiddleware, async (req, res) => {
   try {
@@ -298,6 +436,175 @@ router.get('/watchlist/check/:tmdbId', authMiddleware, async (req, res) => {
   }
 });
 
+// Seen movies leave the watchlist; a rating given with a diary entry goes to
+// the liked/disliked maps like any other rating
+async function syncDiaryToProfile(userId, entry, userRating) {
+  if (!entry.seen && userRating === null) return;
+
+  const user = await User.findById(userId);
+  if (!user) return;
+
+  if (entry.seen && user.isInWatchlist(entry.tmdbId)) {
+    await user.removeFromWatchlist(entry.tmdbId);
+  }
+  if (userRating !== null) {
+    const movieData = {
+      tmdbId: entry.tmdbId,
+      title: entry.title,
+      genres: entry.genres || [],
+      year: entry.year,
+      posterPath: entry.posterPath,
+      userRating
+    };
+    if (ratings.isLiked(userRating)) {
+      await user.addLikedMovie(movieData);
+    } else {
+      await user.addDislikedMovie(movieData);
+    }
+  }
+}
+
+// Optional userRating (1-10) or stars (0.5-5) sent with a diary entry
+// Returns { userRating } (null when none was sent) or { error }
+function parseDiaryRating(body) {
+  if ((body.userRating === undefined || body.userRating === null) && (body.stars === undefined || body.stars === null)) {
+    return { userRating: null };
+  }
+  if (body.seen === false) {
+    return { error: 'A movie marked not seen cannot be rated' };
+  }
+  const { userRating, error } = ratings.parse({ userRating: body.userRating, stars: body.stars });
+  return error ? { error } : { userRating };
+}
+
+// Watch diary timeline: newest viewing first, paginated
+// ?seen=true|false narrows to seen or not-seen entries
+router.get('/diary', authMiddleware, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, seen } = req.query;
+    if (seen !== undefined && seen !== 'true' && seen !== 'false') {
+      return res.status(400).json({ error: 'seen must be true or false' });
+    }
+
+    res.json(await watchDiary.timeline(req.user._id, {
+      page,
+      limit,
+      seen: seen === undefined ? undefined : seen === 'true'
+    }));
+  } catch (error) {
+    console.error('Error fetching watch diary:', error);
+    res.status(500).json({ error: 'Failed to fetch watch diary' });
+  }
+});
+
+// One diary entry
+router.get('/diary/:tmdbId', authMiddleware, async (req, res) => {
+  try {
+    const entry = await watchDiary.get(req.user._id, parseInt(req.params.tmdbId));
+    if (!entry) {
+      return res.status(404).json({ error: 'Movie is not in your diary' });
+    }
+
+    res.json(watchDiary.toResponse(entry));
+  } catch (error) {
+    console.error('Error fetching diary entry:', error);
+    res.status(500).json({ error: 'Failed to fetch diary entry' });
+  }
+});
+
+// Add a movie to the diary
+// Body: tmdbId, title, year, genres, posterPath, seen (default true),
+// watchedAt + watchedWith or watches, rewatchCount, note, userRating or stars
+// rewatchCount goes with watches (at least watches.length - 1), never with watchedAt
+router.post('/diary', authMiddleware, invalidateUserCache, async (req, res) => {
+  try {
+    const tmdbId = parseInt(req.body.tmdbId);
+    if (!Number.isInteger(tmdbId) || tmdbId < 1 || !req.body.title) {
+      return res.status(400).json({ error: 'Movie ID and title are required' });
+    }
+
+    const { fields, error } = watchDiary.parse(req.body);
+    const { userRating, error: ratingError } = parseDiaryRating(req.body);
+    if (error || ratingError) {
+      return res.status(400).json({ error: error || ratingError });
+    }
+
+    if (await watchDiary.get(req.user._id, tmdbId)) {
+      return res.status(409).json({ error: 'Movie is already in your diary; update it or log another watch' });
+    }
+
+    const entry = await watchDiary.create(req.user._id, tmdbId, fields);
+    await syncDiaryToProfile(req.user._id, entry, userRating);
+
+    res.status(201).json(watchDiary.toResponse(entry));
+  } catch (error) {
+    console.error('Error adding diary entry:', error);
+    res.status(500).json({ error: 'Failed to add diary entry' });
+  }
+});
+
+// Update a diary entry; only the fields sent change (watches replaces the list)
+router.put('/diary/:tmdbId', authMiddleware, invalidateUserCache, async (req, res) => {
+  try {
+    const { fields, error } = watchDiary.parse(req.body);
+    const { userRating, error: ratingError } = parseDiaryRating(req.body);
+    if (error || ratingError) {
+      return res.status(400).json({ error: error || ratingError });
+    }
+
+    const entry = await watchDiary.update(req.user._id, parseInt(req.params.tmdbId), fields);
+    if (!entry) {
+      return res.status(404).json({ error: 'Movie is not in your diary' });
+    }
+    await syncDiaryToProfile(req.user._id, entry, userRating);
+
+    res.json(watchDiary.toResponse(entry));
+  } catch (error) {
+    console.error('Error updating diary entry:', error);
+    res.status(500).json({ error: 'Failed to update diary entry' });
+  }
+});
+
+// Log another viewing: watchedAt (default now), watchedWith, optional userRating or stars
+router.post('/diary/:tmdbId/watches', authMiddleware, invalidateUserCache, async (req, res) => {
+  try {
+    const { fields, error } = watchDiary.parse({
+      watchedAt: req.body.watchedAt ?? new Date().toISOString(),
+      watchedWith: req.body.watchedWith
+    });
+    const { userRating, error: ratingError } = parseDiaryRating(req.body);
+    if (error || ratingError) {
+      return res.status(400).json({ error: error || ratingError });
+    }
+
+    const entry = await watchDiary.update(req.user._id, parseInt(req.params.tmdbId), fields);
+    if (!entry) {
+      return res.status(404).json({ error: 'Movie is not in your diary' });
+    }
+    await syncDiaryToProfile(req.user._id, entry, userRating);
+
+    res.status(201).json(watchDiary.toResponse(entry));
+  } catch (error) {
+    console.error('Error logging watch:', error);
+    res.status(500).json({ error: 'Failed to log watch' });
+  }
+});
+
+// Remove a movie from the diary
+router.delete('/diary/:tmdbId', authMiddleware, invalidateUserCache, async (req, res) => {
+  try {
+    const removed = await watchDiary.remove(req.user._id, parseInt(req.params.tmdbId));
+    if (!removed) {
+      return res.status(404).json({ error: 'Movie is not in your diary' });
+    }
+
+    res.json({ success: true, message: 'Movie removed from diary' });
+  } catch (error) {
+    console.error('Error removing diary entry:', error);
+    res.status(500).json({ error: 'Failed to remove diary entry' });
+  }
+});
+
 // Remove movie from liked movies
 router.delete('/preferences/liked/:tmdbId', authMiddleware, invalidateUserCache, async (req, res) => {
   try {
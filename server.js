@@ -9,11 +9,14 @@ require('dotenv').config();
 // Import Redis and cache services
 const redisManager = require('./config/redis');
 const tmdbCacheService = require('./services/tmdbCache');
+const collaborativeFiltering = require('./services/collaborativeFiltering');
 const { cacheMonitoring } = require('./middleware/cache');
 
 const authRoutes = require('./routes/auth');
 const movieRoutes = require('./routes/movies');
 const userRoutes = require('./routes/users');
+const adminRoutes = require('./routes/admin');
+const { attachRoomSocket } = require('./routes/roomSocket');
 const { errorHandler } = require('./middleware/errorHandler');
 
 const app = express();
@@ -61,7 +64,9 @@ app.use(cors({
       callback(new Error('Not allowed by CORS'));
     }
   },
-  credentials: true
+  credentials: true,
+  // Paging headers of /api/movies/popular
+  exposedHeaders: ['X-Next-Cursor', 'X-Cursor-Restarted']
 }));
 
 // Body parsing middleware
@@ -105,6 +110,8 @@ mongoose.connect(process.env.MONGODB_URI, {
   console.log('Connected to MongoDB');
   // Initialize Redis after MongoDB connection
   initializeRedis();
+  // Periodically rebuild collaborative-filtering neighbourhoods
+  collaborativeFiltering.startScheduler();
 })
 .catch((err) => console.error('MongoDB connection error:', err));
 
@@ -112,6 +119,7 @@ mongoose.connect(process.env.MONGODB_URI, {
 app.use('/api/auth', authRoutes);
 app.use('/api/movies', movieRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Health check with Redis status
 app.get('/api/health', async (req, res) => {
@@ -148,8 +156,11 @@ app.get('/api/health', async (req, res) => {
 app.use(errorHandler);
 
 const PORT = process.env.PORT || 3001;
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
 });
 
+// Live swipe rooms share the HTTP port via the upgrade handshake
+attachRoomSocket(server);
+
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,445 @@
+const redisManager = require('../config/redis');
+const tmdbCacheService = require('./tmdbCache');
+const discoveryFilters = require('./discoveryFilters');
+const {
+  TMDB_BASE_URL,
+  TMDB_API_KEY,
+  GENRE_ID_TO_NAME,
+  GENRE_KEY_TO_ID,
+  convertGenreIdsToNames,
+  tmdbResultToMovie,
+  normalizeGenre,
+  tmdbRequest
+} = require('./movieCatalog');
+
+// Onboarding stops asking once the confidence reaches this share (0..1)
+const CONFIDENCE_TARGET = parseFloat(process.env.CALIBRATION_CONFIDENCE_TARGET) || 0.5;
+
+// Release eras the calibration tries to cover
+const ERAS = [
+  { id: 'classic', label: 'before 1980', to: 1979 },
+  { id: '1980s', label: '1980s', from: 1980, to: 1989 },
+  { id: '1990s', label: '1990s', from: 1990, to: 1999 },
+  { id: '2000s', label: '2000s', from: 2000, to: 2009 },
+  { id: '2010s', label: '2010s', from: 2010, to: 2019 },
+  { id: 'recent', label: '2020 and later', from: 2020 }
+];
+
+// How much each genre counts towards confidence; niche genres matter less
+// and TV movies are left out entirely
+const GENRE_WEIGHTS = Object.fromEntries(
+  Object.values(GENRE_ID_TO_NAME)
+    .map(name => normalizeGenre(name))
+    .filter(key => key !== 'tvmovie')
+    .map(key => [key, ['documentary', 'history', 'music', 'war', 'western'].includes(key) ? 0.5 : 1])
+);
+
+// Weights of the information signals when choosing the next movie to rate
+const WEIGHTS = {
+  genreUncertainty: 3,
+  eraNovelty: 1.5,
+  polarising: 1,
+  familiarity: 0.75
+};
+
+// /popular shuffles the ranked pool within windows of this size, so a page
+// of 8 is a random draw from the best 16 not yet shown
+const SHUFFLE_WINDOW = 16;
+
+// Small seeded PRNG (mulberry32) so a cursor can replay the same shuffle
+const seededRandom = (seed) => () => {
+  seed = (seed + 0x6D2B79F5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+// Opaque paging cursor: the shuffle seed, the position in the shared pool,
+// a fingerprint of the genres and filters it was issued for and the build
+// time of the pool the position points into
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+const decodeCursor = (value) => {
+  try {
+    const { seed, position, filters, pool } = JSON.parse(Buffer.from(String(value), 'base64url').toString());
+    return Number.isInteger(seed) && Number.isInteger(position) && position >= 0
+      ? { seed, position, filters, pool }
+      : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Posterior variance of a Beta(likes + 1, dislikes + 1) taste estimate,
+// scaled so an unrated genre is 1 and a settled one approaches 0
+const MAX_VARIANCE = 1 / 12;
+const uncertainty = ({ liked = 0, disliked = 0 } = {}) => {
+  const a = liked + 1;
+  const b = disliked + 1;
+  return (a * b) / ((a + b) ** 2 * (a + b + 1)) / MAX_VARIANCE;
+};
+
+const eraOf = (year) => (year ? ERAS.find(era => (!era.from || year >= era.from) && (!era.to || year <= era.to)) : null);
+
+const genreMapMovies = (genreMap) => {
+  const lists = genreMap instanceof Map ? Array.from(genreMap.values()) : Object.values(genreMap || {});
+  return Array.from(new Map(lists.flat().map(movie => [movie.tmdbId, movie])).values());
+};
+
+// Active-learning calibration for onboarding: instead of random popular
+// titles, each batch is chosen to teach us the most about the user's taste
+// (genres they have not rated or rated both ways, eras not covered yet, and
+// widely seen but divisive titles), and a confidence score tells onboarding
+// when it has seen enough
+class CalibrationService {
+  constructor() {
+    this.minVotes = 1000;
+    this.maxGenreQueries = 4;
+  }
+
+  // Per-genre like/dislike counts and rated eras from the user's ratings
+  profile(user) {
+    const liked = genreMapMovies(user.preferences?.likedMovies);
+    const disliked = genreMapMovies(user.preferences?.dislikedMovies);
+
+    const genres = {};
+    const eras = {};
+    const count = (movies, field) => movies.forEach(movie => {
+      new Set((movie.genres || []).map(normalizeGenre)).forEach(key => {
+        if (!GENRE_WEIGHTS[key]) return;
+        genres[key] = genres[key] || { liked: 0, disliked: 0 };
+        genres[key][field]++;
+      });
+      const era = eraOf(movie.year);
+      if (era) eras[era.id] = (eras[era.id] || 0) + 1;
+    });
+    count(liked, 'liked');
+    count(disliked, 'disliked');
+
+    return {
+      ratedIds: new Set([...liked, ...disliked].map(movie => movie.tmdbId)),
+      ratedCount: liked.length + disliked.length,
+      genres,
+      eras
+    };
+  }
+
+  // { confidence, target, done, ratedCount, genres, uncoveredGenres, uncoveredEras }
+  // confidence is the weighted mean certainty of the genre estimates (80%)
+  // plus the share of eras with at least one rating (20%)
+  confidence(user, profile = this.profile(user)) {
+    const genres = Object.entries(GENRE_WEIGHTS).map(([key, weight]) => ({
+      genre: key,
+      liked: profile.genres[key]?.liked || 0,
+      disliked: profile.genres[key]?.disliked || 0,
+      certainty: Math.round((1 - uncertainty(profile.genres[key])) * 1000) / 1000,
+      weight
+    }));
+
+    const totalWeight = genres.reduce((sum, genre) => sum + genre.weight, 0);
+    const genreCertainty = genres.reduce((sum, genre) => sum + genre.certainty * genre.weight, 0) / totalWeight;
+    const eraCoverage = ERAS.filter(era => profile.eras[era.id] > 0).length / ERAS.length;
+    const confidence = Math.round((0.8 * genreCertainty + 0.2 * eraCoverage) * 1000) / 1000;
+
+    return {
+      confidence,
+      target: CONFIDENCE_TARGET,
+      done: confidence >= CONFIDENCE_TARGET,
+      ratedCount: profile.ratedCount,
+      genres: genres.map(({ weight, ...genre }) => genre),
+      uncoveredGenres: genres.filter(genre => genre.liked + genre.disliked === 0).map(genre => genre.genre),
+      uncoveredEras: ERAS.filter(era => !profile.eras[era.id]).map(era => era.label)
+    };
+  }
+
+  // Well-known titles from every era, divisive crowd favourites, and the
+  // genres the user has not rated yet
+  // filters: discovery filters; languages, regions and obscurity narrow every
+  // query while the eras stay the calibration's own
+  async gatherCandidates(profile, genreKeys = [], filters = discoveryFilters.defaults) {
+    const withGenres = genreKeys.map(key => GENRE_KEY_TO_ID[key]).filter(Boolean).join('|');
+    // No rating floor: divisive titles are the point
+    const {
+      'vote_count.gte': minVotes,
+      'vote_count.lte': maxVotes,
+      with_original_language,
+      with_origin_country
+    } = discoveryFilters.discoverParams(filters);
+    const base = {
+      'vote_count.gte': minVotes,
+      'vote_count.lte': maxVotes,
+      with_original_language,
+      with_origin_country,
+      with_genres: withGenres,
+      sort_by: 'popularity.desc',
+      page: 1
+    };
+
+    const queries = ERAS.map(era => ({
+      ...base,
+      'primary_release_date.gte': era.from ? `${era.from}-01-01` : undefined,
+      'primary_release_date.lte': era.to ? `${era.to}-12-31` : undefined
+    }));
+
+    // Popular but middling ratings: people split on these, so a rating says a lot
+    queries.push({ ...base, 'vote_average.gte': 5.5, 'vote_average.lte': 7, 'vote_count.gte': minVotes * 2 });
+
+    if (!withGenres) {
+      Object.keys(GENRE_WEIGHTS)
+        .filter(key => !profile.genres[key])
+        .slice(0, this.maxGenreQueries)
+        .forEach(key => queries.push({ ...base, 'vote_count.gte': Math.ceil(minVotes / 2), with_genres: GENRE_KEY_TO_ID[key] }));
+    }
+
+    const candidates = new Map();
+    const results = await Promise.allSettled(queries.map(params => tmdbCacheService.discoverMovies(params)));
+    results.forEach(result => {
+      if (result.status === 'rejected') {
+        console.error('Calibration candidate query failed:', result.reason?.message);
+        return;
+      }
+      (result.value?.results || []).forEach(item => {
+        if (!item.poster_path || !item.overview || profile.ratedIds.has(item.id)) return;
+        candidates.set(item.id, tmdbResultToMovie(item));
+      });
+    });
+
+    return Array.from(candidates.values());
+  }
+
+  // Expected information of asking about a movie, given the ratings so far
+  // plus the movies already chosen for this batch (pending)
+  scoreCandidate(movie, profile, pending) {
+    const genreKeys = Array.from(new Set((movie.genres || []).map(normalizeGenre)))
+      .filter(key => GENRE_WEIGHTS[key]);
+
+    // A pending pick counts as half a rating in either direction
+    const factors = {};
+    factors.genreUncertainty = genreKeys.length > 0
+      ? genreKeys.reduce((sum, key) => {
+        const counts = profile.genres[key] || { liked: 0, disliked: 0 };
+        const asked = (pending.genres[key] || 0) / 2;
+        return sum + uncertainty({ liked: counts.liked + asked, disliked: counts.disliked + asked }) * GENRE_WEIGHTS[key];
+      }, 0) / genreKeys.length
+      : 0;
+
+    const era = eraOf(movie.year);
+    factors.eraNovelty = era ? 1 / (1 + (profile.eras[era.id] || 0) + (pending.eras[era.id] || 0)) : 0;
+
+    // Peaks at a 6.25 average, fades out towards 5 and 7.5
+    factors.polarising = movie.rating && movie.voteCount >= this.minVotes
+      ? Math.max(0, 1 - Math.abs(movie.rating - 6.25) / 1.25)
+      : 0;
+
+    // Only movies people have seen can be rated
+    factors.familiarity = movie.voteCount ? Math.min(1, Math.log10(movie.voteCount) / 4) : 0;
+
+    const score = Object.entries(WEIGHTS)
+      .reduce((sum, [factor, weight]) => sum + (factors[factor] || 0) * weight, 0);
+    return Math.round(score * 1000) / 1000;
+  }
+
+  // Greedily pick the most informative movie, then rescore the rest as if it
+  // had been asked, so one batch spreads across genres and eras
+  selectBatch(candidates, profile, count) {
+    const remaining = [...candidates];
+    const pending = { genres: {}, eras: {} };
+    const batch = [];
+
+    while (batch.length < count && remaining.length > 0) {
+      let bestIndex = 0;
+      let bestScore = -Infinity;
+      remaining.forEach((movie, index) => {
+        const score = this.scoreCandidate(movie, profile, pending);
+        if (score > bestScore) {
+          bestScore = score;
+          bestIndex = index;
+        }
+      });
+
+      const [movie] = remaining.splice(bestIndex, 1);
+      batch.push({ ...movie, informationScore: bestScore });
+      new Set((movie.genres || []).map(normalizeGenre)).forEach(key => {
+        pending.genres[key] = (pending.genres[key] || 0) + 1;
+      });
+      const era = eraOf(movie.year);
+      if (era) pending.eras[era.id] = (pending.eras[era.id] || 0) + 1;
+    }
+
+    return batch;
+  }
+
+  // Valid genre keys of a /popular request as a stable cache key ('all' without any)
+  popularGenreKey(genres) {
+    if (!genres || genres.trim().toLowerCase() === 'all') return 'all';
+
+    const keys = Array.from(new Set(genres.split(',')
+      .map(genre => normalizeGenre(genre.trim()))
+      .filter(key => GENRE_KEY_TO_ID[key])))
+      .sort();
+    if (keys.length === 0) {
+      console.warn(`No valid genre keys found in: "${genres}"`);
+      return 'all';
+    }
+    return keys.join(',');
+  }
+
+  // Well-rated titles for a genre set and discovery filters, best first,
+  // then the relaxed-criteria titles
+  // Shared by every user, so it holds nothing user-specific
+  async buildPopularPool(genreKey, filters) {
+    const baseParams = {
+      ...discoveryFilters.discoverParams(filters),
+      'sort_by': 'vote_average.desc'
+    };
+    if (genreKey !== 'all') {
+      baseParams.with_genres = genreKey.split(',').map(key => GENRE_KEY_TO_ID[key]).join('|');
+    }
+
+    const discover = (params) => tmdbRequest(`${TMDB_BASE_URL}/discover/movie?api_key=${TMDB_API_KEY}&` +
+      new URLSearchParams(Object.entries(params).filter(([, value]) => value !== undefined)));
+
+    // Several pages per release window (classic/recent, or each chosen decade)
+    const windows = discoveryFilters.dateWindows(filters);
+    const pages = Math.max(1, Math.ceil(6 / windows.length));
+    const requests = [];
+    windows.forEach(window => {
+      for (let page = 1; page <= pages; page++) {
+        requests.push(discover({ ...baseParams, ...window, page }));
+      }
+    });
+    // Relaxed criteria extend the pool for users who page far
+    const years = filters.decades.length > 0
+      ? {
+        'primary_release_date.gte': `${filters.decades[0]}-01-01`,
+        'primary_release_date.lte': `${filters.decades[filters.decades.length - 1] + 9}-12-31`
+      }
+      : {};
+    requests.push(discover({
+      ...baseParams,
+      ...discoveryFilters.discoverParams(filters, { relaxed: true }),
+      ...years,
+      page: 1
+    }));
+
+    const results = await Promise.allSettled(requests);
+    const strict = [];
+    const relaxed = [];
+    results.forEach((result, index) => {
+      if (result.status === 'rejected' || !Array.isArray(result.value?.results)) {
+        console.warn(`Popular pool query ${index + 1} returned no results or invalid data`);
+        return;
+      }
+      (index === requests.length - 1 ? relaxed : strict).push(...result.value.results);
+    });
+
+    const score = (movie) => (movie.vote_average * Math.log10(movie.vote_count || 1)) * (movie.popularity / 100);
+    const seen = new Set();
+    const unique = (movies) => movies.filter(movie => {
+      if (!movie.poster_path || !movie.overview || seen.has(movie.id)) return false;
+      seen.add(movie.id);
+      return true;
+    });
+    const toMovie = (movie) => ({
+      tmdbId: movie.id,
+      title: movie.title,
+      year: movie.release_date ? new Date(movie.release_date).getFullYear() : null,
+      rating: movie.vote_average,
+      genres: convertGenreIdsToNames(movie.genre_ids),
+      posterPath: `https://image.tmdb.org/t/p/w500${movie.poster_path}`
+    });
+
+    return {
+      builtAt: Date.now(),
+      strict: unique(strict).sort((a, b) => score(b) - score(a)).map(toMovie),
+      // The relaxed query spans the whole decade range; keep only chosen decades
+      relaxed: unique(relaxed).map(toMovie).filter(movie => discoveryFilters.inDecades(movie.year, filters))
+    };
+  }
+
+  // Cached shared pool; an empty pool is not cached so the next request retries
+  async popularPool(genreKey, filters) {
+    const cacheKey = redisManager.constructor.keys.tmdbPopularPool(genreKey, discoveryFilters.cacheKey(filters));
+    const cached = await redisManager.get(cacheKey);
+    if (cached) return cached;
+
+    const pool = await this.buildPopularPool(genreKey, filters);
+    if (pool.strict.length + pool.relaxed.length > 0) {
+      await redisManager.set(cacheKey, pool, redisManager.constructor.TTL.TMDB_POPULAR);
+    }
+    return pool;
+  }
+
+  // One page of /popular for a user: the shared pool mixed by recentShare and
+  // shuffled by the cursor's seed, skipping movies the user has rated
+  // filters: the effective discovery filters (see discoveryFilters.resolve)
+  // A cursor issued for an earlier build of the pool starts over from the top,
+  // since its position would point into a different order (restarted: true)
+  // Returns { movies, poolSize, nextCursor, restarted } or { error } for a bad cursor
+  async popularPage(user, genres, { filters, cursor, limit = 8 } = {}) {
+    const genreKey = this.popularGenreKey(genres);
+    const fingerprint = discoveryFilters.fingerprint(genreKey, discoveryFilters.cacheKey(filters), filters.recentShare);
+
+    let state = { seed: Math.floor(Math.random() * 2 ** 31), position: 0 };
+    if (cursor) {
+      state = decodeCursor(cursor);
+      if (!state) return { error: 'Invalid cursor' };
+      if (state.filters !== fingerprint) return { error: 'Cursor does not match the requested genres and filters' };
+    }
+
+    const pool = await this.popularPool(genreKey, filters);
+    const restarted = Boolean(cursor) && state.pool !== pool.builtAt;
+    if (restarted) state = { seed: state.seed, position: 0 };
+
+    const ranked = [
+      ...discoveryFilters.mix(pool.strict, filters.recentShare),
+      ...discoveryFilters.mix(pool.relaxed, filters.recentShare)
+    ];
+
+    const random = seededRandom(state.seed);
+    const order = [];
+    for (let start = 0; start < ranked.length; start += SHUFFLE_WINDOW) {
+      const window = ranked.slice(start, start + SHUFFLE_WINDOW);
+      for (let i = window.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [window[i], window[j]] = [window[j], window[i]];
+      }
+      order.push(...window);
+    }
+
+    const { ratedIds } = this.profile(user);
+    const movies = [];
+    let position = state.position;
+    while (position < order.length && movies.length < limit) {
+      const movie = order[position++];
+      if (!ratedIds.has(movie.tmdbId)) movies.push(movie);
+    }
+
+    return {
+      movies,
+      poolSize: order.length,
+      nextCursor: position < order.length
+        ? encodeCursor({ seed: state.seed, position, filters: fingerprint, pool: pool.builtAt })
+        : null,
+      restarted
+    };
+  }
+
+  // Next batch to rate plus the current calibration confidence
+  async nextBatch(user, { genres = [], count = 8, filters } = {}) {
+    const profile = this.profile(user);
+    const genreKeys = genres.map(normalizeGenre).filter(key => GENRE_KEY_TO_ID[key]);
+    const candidates = await this.gatherCandidates(profile, genreKeys, filters);
+
+    const movies = this.selectBatch(candidates, profile, count)
+      .map(({ tmdbId, title, year, rating, genres, posterPath, informationScore }) => ({
+        tmdbId, title, year, rating, genres, posterPath, informationScore
+      }));
+
+    return { movies, calibration: this.confidence(user, profile) };
+  }
+}
+
+// Create singleton instance
+const calibration = new CalibrationService();
+
+module.exports = calibration;
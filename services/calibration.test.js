@@ -0,0 +1,139 @@
+const calibration = require('./calibration');
+const discoveryFilters = require('./discoveryFilters');
+
+const movie = (tmdbId, genres, year, extra = {}) => ({ tmdbId, title: `Movie ${tmdbId}`, genres, year, ...extra });
+const userWith = (liked = [], disliked = []) => ({
+  preferences: { likedMovies: { any: liked }, dislikedMovies: { any: disliked } }
+});
+
+describe('calibration.confidence', () => {
+  test('starts at zero with every genre and era uncovered', () => {
+    const result = calibration.confidence(userWith());
+
+    expect(result).toMatchObject({ confidence: 0, done: false, ratedCount: 0 });
+    expect(result.uncoveredGenres).toHaveLength(18);
+    expect(result.uncoveredGenres).not.toContain('tvmovie');
+    expect(result.uncoveredEras).toHaveLength(6);
+  });
+
+  test('a rating makes its genre a third certain and covers its era', () => {
+    const result = calibration.confidence(userWith([movie(1, ['Crime'], 1995)]));
+
+    expect(result.genres.find(genre => genre.genre === 'crime')).toEqual({ genre: 'crime', liked: 1, disliked: 0, certainty: 0.333 });
+    expect(result.uncoveredGenres).not.toContain('crime');
+    expect(result.uncoveredEras).not.toContain('1990s');
+    expect(result.confidence).toBeGreaterThan(0);
+  });
+
+  test('niche genres count half as much as main ones', () => {
+    const drama = calibration.confidence(userWith([movie(1, ['Drama'])])).confidence;
+    const western = calibration.confidence(userWith([movie(1, ['Western'])])).confidence;
+    expect(western).toBeCloseTo(drama / 2, 2);
+  });
+
+  test('reaches the target once many genres and every era are rated', () => {
+    const genres = ['Action', 'Adventure', 'Animation', 'Comedy', 'Crime', 'Drama', 'Family', 'Fantasy', 'Horror',
+      'Mystery', 'Romance', 'Science Fiction', 'Thriller', 'Documentary', 'History', 'Music', 'War', 'Western'];
+    const years = [1975, 1985, 1995, 2005, 2015, 2022];
+    const liked = [];
+    const disliked = [];
+    genres.forEach((genre, index) => {
+      for (let i = 0; i < 3; i++) liked.push(movie(index * 10 + i, [genre], years[(index + i) % years.length]));
+      disliked.push(movie(index * 10 + 5, [genre], years[index % years.length]));
+    });
+
+    const result = calibration.confidence(userWith(liked, disliked));
+    expect(result.uncoveredGenres).toEqual([]);
+    expect(result.uncoveredEras).toEqual([]);
+    expect(result.confidence).toBeGreaterThanOrEqual(result.target);
+    expect(result.done).toBe(true);
+  });
+
+  test('counts a movie rated under several genre keys once', () => {
+    const heat = movie(949, ['Crime'], 1995);
+    const user = { preferences: { likedMovies: { crime: [heat], thriller: [heat] }, dislikedMovies: {} } };
+    expect(calibration.confidence(user).ratedCount).toBe(1);
+  });
+});
+
+describe('calibration.selectBatch', () => {
+  test('spreads a batch across unrated genres and eras', () => {
+    const profile = calibration.profile(userWith([movie(1, ['Crime'], 1995), movie(2, ['Crime'], 1996)]));
+    const candidates = [
+      movie(10, ['Crime'], 1995, { rating: 7.5, voteCount: 20000 }),
+      movie(11, ['Crime'], 1997, { rating: 7.4, voteCount: 20000 }),
+      movie(12, ['Comedy'], 1985, { rating: 6.3, voteCount: 8000 }),
+      movie(13, ['Horror'], 2015, { rating: 6.1, voteCount: 5000 })
+    ];
+
+    const batch = calibration.selectBatch(candidates, profile, 2);
+
+    expect(batch.map(pick => pick.tmdbId).sort()).toEqual([12, 13]);
+    expect(batch[0].informationScore).toBeGreaterThanOrEqual(batch[1].informationScore);
+  });
+});
+
+describe('calibration.popularPage cursor paging', () => {
+  const filters = discoveryFilters.resolve(null);
+  const buildPool = (size, builtAt) => ({
+    builtAt,
+    strict: Array.from({ length: size }, (_, index) => movie(index + 1, ['Drama'], 1990 + (index % 30))),
+    relaxed: []
+  });
+
+  let pool;
+  beforeEach(() => {
+    pool = buildPool(40, 1000);
+    jest.spyOn(calibration, 'popularPool').mockImplementation(async () => pool);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const pageThrough = async (user, genres = 'drama') => {
+    const seen = [];
+    let cursor;
+    do {
+      const page = await calibration.popularPage(user, genres, { filters, cursor, limit: 8 });
+      seen.push(...page.movies.map(item => item.tmdbId));
+      cursor = page.nextCursor;
+    } while (cursor);
+    return seen;
+  };
+
+  test('walks the whole pool once, without repeats or rated movies', async () => {
+    const rated = movie(5, ['Drama'], 1994);
+    const seen = await pageThrough(userWith([rated]));
+
+    expect(seen).toHaveLength(39);
+    expect(new Set(seen).size).toBe(39);
+    expect(seen).not.toContain(5);
+  });
+
+  test('refuses a cursor issued for other genres or filters, or a malformed one', async () => {
+    const { nextCursor } = await calibration.popularPage(userWith(), 'drama', { filters, limit: 8 });
+
+    expect(await calibration.popularPage(userWith(), 'comedy', { filters, cursor: nextCursor }))
+      .toEqual({ error: 'Cursor does not match the requested genres and filters' });
+    expect(await calibration.popularPage(userWith(), 'drama', { filters: { ...filters, recentShare: 0.9 }, cursor: nextCursor }))
+      .toEqual({ error: 'Cursor does not match the requested genres and filters' });
+    expect(await calibration.popularPage(userWith(), 'drama', { filters, cursor: 'not-a-cursor' }))
+      .toEqual({ error: 'Invalid cursor' });
+  });
+
+  test('starts over when the shared pool was rebuilt since the cursor was issued', async () => {
+    const first = await calibration.popularPage(userWith(), 'drama', { filters, limit: 8 });
+    const second = await calibration.popularPage(userWith(), 'drama', { filters, cursor: first.nextCursor, limit: 8 });
+    expect(second.restarted).toBe(false);
+
+    pool = buildPool(40, 2000);
+    const rebuilt = await calibration.popularPage(userWith(), 'drama', { filters, cursor: second.nextCursor, limit: 8 });
+
+    expect(rebuilt.restarted).toBe(true);
+    // Same seed, same pool contents, position 0: the first page again
+    expect(rebuilt.movies).toEqual(first.movies);
+    const next = await calibration.popularPage(userWith(), 'drama', { filters, cursor: rebuilt.nextCursor, limit: 8 });
+    expect(next).toMatchObject({ restarted: false, movies: second.movies });
+  });
+});
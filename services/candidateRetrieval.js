@@ -0,0 +1,217 @@
+const Movie = require('../models/Movie');
+const tmdbCacheService = require('./tmdbCache');
+const movieEmbeddings = require('./movieEmbeddings');
+const movieConstraints = require('./movieConstraints');
+const watchProviders = require('./watchProviders');
+const moodCatalog = require('./moods');
+const ratings = require('./ratings');
+const {
+  GENRE_KEY_TO_ID,
+  tmdbResultToMovie,
+  normalizeGenre,
+  violatesDealBreakers
+} = require('./movieCatalog');
+
+// Relative trust in each retrieval source when ranking the pool
+const SOURCE_WEIGHTS = {
+  recommendations: 1.5, // TMDB recommendations for a liked movie
+  similar: 1,           // TMDB similar titles for a liked movie
+  semantic: 1.25,       // Embedding neighbours of the liked-movies centroid
+  crowd: 1.5,           // Collaborative filtering
+  mood: 1,              // TMDB discover by the keywords of the requested moods
+  discover: 0.75,
+  database: 0.5
+};
+
+// Assembles a pool of real TMDB titles for the model to choose from
+class CandidateRetrievalService {
+  constructor() {
+    this.maxSeeds = 5;
+    this.maxCentroidMovies = 50;
+    this.discoverSorts = ['popularity.desc', 'vote_average.desc'];
+    this.maxLocalCandidates = 100;
+    this.minDiscoverVotes = 300;
+  }
+
+  // Liked (and rewatched) movies used as seeds for TMDB similar/recommendations lookups
+  pickSeeds(preferences, limit = this.maxSeeds) {
+    const liked = new Map();
+    Object.values(preferences.likedMovies || {}).forEach(genreMovies => {
+      (genreMovies || []).forEach(movie => liked.set(movie.tmdbId, movie));
+    });
+
+    // Strongest ratings first, most recent first among equals (recent likes
+    // sit at the end of each genre list), then movies the diary shows the user rewatching
+    const rewatched = (preferences.diary?.rewatched || []).filter(movie => !liked.has(movie.tmdbId));
+    return [...ratings.byStrength(Array.from(liked.values()).reverse()), ...rewatched].slice(0, limit);
+  }
+
+  // Map deal-breakers that name a genre to TMDB genre IDs
+  excludedGenreIds(dealBreakers = []) {
+    return (dealBreakers || [])
+      .map(dealBreaker => GENRE_KEY_TO_ID[normalizeGenre(dealBreaker)])
+      .filter(Boolean);
+  }
+
+  // Build a ranked candidate pool
+  // excludeIds: tmdbIds that must never be offered (history, rated movies)
+  async buildPool(preferences, { excludeIds = new Set(), limit = 40 } = {}) {
+    const pool = new Map();
+    const selectedKeys = (preferences.genres || []).map(normalizeGenre);
+    const selectedGenreIds = selectedKeys.map(key => GENRE_KEY_TO_ID[key]).filter(Boolean);
+    const withoutGenreIds = this.excludedGenreIds(preferences.dealBreakers);
+
+    const addCandidate = (movie, source, seedTitle = null) => {
+      if (!movie?.tmdbId || !movie.title || excludeIds.has(movie.tmdbId)) return;
+
+      const existing = pool.get(movie.tmdbId) || { ...movie, sources: [], seeds: [] };
+      if (!existing.sources.includes(source)) existing.sources.push(source);
+      if (seedTitle && !existing.seeds.includes(seedTitle)) existing.seeds.push(seedTitle);
+      pool.set(movie.tmdbId, existing);
+    };
+
+    const requests = [];
+
+    // 1. TMDB discover filtered by the selected genres, genre deal-breakers, hard constraints
+    // and, with onlyMyServices, the user's streaming services
+    this.discoverSorts.forEach(sortBy => {
+      requests.push(
+        tmdbCacheService.discoverMovies({
+          with_genres: selectedGenreIds.join('|'),
+          without_genres: withoutGenreIds.join(','),
+          'vote_count.gte': this.minDiscoverVotes,
+          ...movieConstraints.discoverFilters(preferences.constraints),
+          ...watchProviders.discoverFilters(preferences.streaming),
+          sort_by: sortBy,
+          page: 1
+        }).then(data => (data?.results || []).forEach(result =>
+          addCandidate(tmdbResultToMovie(result), 'discover')
+        ))
+      );
+    });
+
+    // 1b. TMDB discover by the requested moods' keywords, without the genres they clash with
+    if (preferences.moods?.length > 0) {
+      requests.push(
+        moodCatalog.keywordIdsFor(preferences.moods).then(keywordIds => keywordIds.length > 0
+          && tmdbCacheService.discoverMovies({
+            with_keywords: keywordIds.join('|'),
+            with_genres: selectedGenreIds.join('|'),
+            without_genres: [...withoutGenreIds, ...moodCatalog.clashingGenreIds(preferences.moods)].join(','),
+            'vote_count.gte': this.minDiscoverVotes,
+            ...movieConstraints.discoverFilters(preferences.constraints),
+            ...watchProviders.discoverFilters(preferences.streaming),
+            sort_by: 'popularity.desc',
+            page: 1
+          }).then(data => (data?.results || []).forEach(result =>
+            addCandidate(tmdbResultToMovie(result), 'mood')
+          )))
+      );
+    }
+
+    // 2. TMDB similar and recommendations for the user's liked movies
+    this.pickSeeds(preferences).forEach(seed => {
+      ['recommendations', 'similar'].forEach(relation => {
+        requests.push(
+          tmdbCacheService.getRelatedMovies(seed.tmdbId, relation)
+            .then(data => (data?.results || []).forEach(result =>
+              addCandidate(tmdbResultToMovie(result), relation, seed.title)
+            ))
+        );
+      });
+    });
+
+    // 3. Movies already cached in our own collection
+    const localQuery = { tmdbId: { $nin: Array.from(excludeIds) } };
+    requests.push(
+      Movie.find(localQuery)
+        .sort({ rating: -1 })
+        .limit(this.maxLocalCandidates)
+        .select('tmdbId title overview releaseDate genres rating posterPath runtime originalLanguage certification')
+        .lean()
+        .then(docs => docs.forEach(doc => addCandidate({
+          ...doc,
+          year: doc.releaseDate ? new Date(doc.releaseDate).getFullYear() : null
+        }, 'database')))
+    );
+
+    // 4. Semantic neighbours of the centroid of the user's likes
+    const likedIds = this.pickSeeds(preferences, this.maxCentroidMovies)
+      .map(movie => movie.tmdbId);
+    if (likedIds.length > 0) {
+      requests.push(
+        movieEmbeddings.similarToMovies(likedIds, { limit: 20, excludeIds })
+          .then(movies => movies.forEach(movie => addCandidate(movie, 'semantic')))
+      );
+    }
+
+    // One failing source should not sink the whole pool
+    const results = await Promise.allSettled(requests);
+    results
+      .filter(result => result.status === 'rejected')
+      .forEach(result => console.error('Candidate retrieval source failed:', result.reason?.message));
+
+    // 5. Collaborative-filtering picks
+    (preferences.crowdPicks || []).forEach(movie => addCandidate(movie, 'crowd'));
+
+    const ranked = Array.from(pool.values())
+      .filter(movie => selectedKeys.length === 0
+        || (movie.genres || []).some(genre => selectedKeys.includes(normalizeGenre(genre))))
+      .filter(movie => !violatesDealBreakers(movie, preferences.dealBreakers))
+      .filter(movie => movieConstraints.allows(movie, preferences.constraints))
+      .filter(movie => moodCatalog.fits(movie, preferences.moods))
+      .map(movie => ({ ...movie, retrievalScore: this.scoreCandidate(movie, preferences.moods) }))
+      .sort((a, b) => b.retrievalScore - a.retrievalScore);
+
+    return preferences.streaming
+      ? this.keepStreamable(ranked, preferences.streaming, limit)
+      : ranked.slice(0, limit);
+  }
+
+  // Only the discover sources were filtered by provider; check the other sources against
+  // TMDB watch providers, looking at no more than twice the pool size
+  async keepStreamable(ranked, streaming, limit) {
+    const checked = await Promise.all(ranked.slice(0, limit * 2).map(async movie => {
+      if (movie.sources.includes('discover') || movie.sources.includes('mood')) return movie;
+      const whereToWatch = await watchProviders.safeForRegion(movie.tmdbId, streaming.region);
+      return watchProviders.matchingServices(whereToWatch, streaming.providerIds).length > 0 ? movie : null;
+    }));
+    return checked.filter(Boolean).slice(0, limit);
+  }
+
+  // Movies found by several sources and seeds rank higher, as do movies
+  // whose genres suit the requested moods
+  scoreCandidate(movie, moods = []) {
+    const sourceScore = movie.sources.reduce((sum, source) => sum + (SOURCE_WEIGHTS[source] || 0), 0);
+    const seedScore = Math.min(movie.seeds.length, 3) * 0.5;
+    const qualityScore = movie.rating ? (movie.rating - 6) / 4 : 0;
+    const moodScore = moodCatalog.score(movie, moods);
+    return Math.round((sourceScore + seedScore + qualityScore + moodScore) * 1000) / 1000;
+  }
+
+  // One prompt line per candidate; the model must answer with the tmdbId
+  formatForPrompt(pool) {
+    return pool.map(movie => {
+      const genres = (movie.genres || []).slice(0, 3).join(', ');
+      const because = movie.seeds?.length > 0 ? ` | related to ${movie.seeds.slice(0, 2).join(', ')}` : '';
+      return `- tmdbId ${movie.tmdbId}: ${movie.title} (${movie.year || 'n/a'})${genres ? ` | ${genres}` : ''}${because}`;
+    }).join('\n');
+  }
+
+  // Resolve a model answer to a pool entry by tmdbId, falling back to title
+  resolve(pool, candidate) {
+    if (candidate.tmdbId) {
+      const byId = pool.find(movie => movie.tmdbId === candidate.tmdbId);
+      if (byId) return byId;
+    }
+
+    const title = String(candidate.title || '').toLowerCase().trim();
+    return pool.find(movie => movie.title.toLowerCase() === title
+      && (!candidate.year || !movie.year || movie.year === candidate.year)) || null;
+  }
+}
+
+// Create singleton instance
+const candidateRetrieval = new CandidateRetrievalService();
+
+module.exports = candidateRetrieval;
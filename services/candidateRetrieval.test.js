@@ -0,0 +1,75 @@
+jest.mock('../models/Movie', () => ({ find: jest.fn() }));
+
+const Movie = require('../models/Movie');
+const tmdbCacheService = require('./tmdbCache');
+const movieEmbeddings = require('./movieEmbeddings');
+const candidateRetrieval = require('./candidateRetrieval');
+
+const result = (id, title, genreIds = [18], extra = {}) => ({
+  id, title, release_date: '2000-01-01', genre_ids: genreIds, vote_average: 7, ...extra
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  const query = { sort: () => query, limit: () => query, select: () => query, lean: async () => [] };
+  Movie.find.mockReturnValue(query);
+  jest.spyOn(tmdbCacheService, 'discoverMovies').mockResolvedValue({ results: [result(1, 'Discovered')] });
+  jest.spyOn(tmdbCacheService, 'getRelatedMovies').mockImplementation(async (tmdbId, relation) => ({
+    results: relation === 'recommendations'
+      ? [result(2, 'Recommended'), result(3, 'Already Seen')]
+      : [result(2, 'Recommended')]
+  }));
+  jest.spyOn(movieEmbeddings, 'similarToMovies').mockRejectedValue(new Error('no vectors'));
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('candidateRetrieval.buildPool', () => {
+  const preferences = { likedMovies: { drama: [{ tmdbId: 100, title: 'Heat', genres: ['Drama'] }] } };
+
+  test('merges sources, ranks titles found by several of them first and leaves out excluded ids', async () => {
+    const pool = await candidateRetrieval.buildPool(preferences, { excludeIds: new Set([3]) });
+
+    expect(pool.map(movie => movie.tmdbId)).toEqual([2, 1]);
+    expect(pool[0]).toMatchObject({ sources: ['recommendations', 'similar'], seeds: ['Heat'] });
+  });
+
+  test('survives a failing source and drops genre deal-breakers', async () => {
+    tmdbCacheService.discoverMovies.mockRejectedValue(new Error('TMDB down'));
+    tmdbCacheService.getRelatedMovies.mockResolvedValue({ results: [result(4, 'Scary', [27]), result(5, 'Calm')] });
+
+    const pool = await candidateRetrieval.buildPool({ ...preferences, dealBreakers: ['horror'] });
+
+    expect(pool.map(movie => movie.title)).toEqual(['Calm']);
+  });
+});
+
+describe('candidateRetrieval.resolve', () => {
+  const pool = [
+    { tmdbId: 949, title: 'Heat', year: 1995 },
+    { tmdbId: 2001, title: 'Heat', year: 2013 }
+  ];
+
+  test('maps an answer onto the pool by tmdbId first', () => {
+    expect(candidateRetrieval.resolve(pool, { tmdbId: 2001, title: 'Heat', year: 1995 })).toBe(pool[1]);
+  });
+
+  test('falls back to title and year when the tmdbId is missing or made up', () => {
+    expect(candidateRetrieval.resolve(pool, { tmdbId: 5, title: 'heat', year: 1995 })).toBe(pool[0]);
+    expect(candidateRetrieval.resolve(pool, { title: 'Heat', year: 2013 })).toBe(pool[1]);
+  });
+
+  test('returns null for titles outside the pool', () => {
+    expect(candidateRetrieval.resolve(pool, { tmdbId: 5, title: 'Ronin', year: 1998 })).toBeNull();
+    expect(candidateRetrieval.resolve(pool, { title: 'Heat', year: 1990 })).toBeNull();
+  });
+});
+
+describe('candidateRetrieval.formatForPrompt', () => {
+  test('lists one tmdbId line per candidate', () => {
+    expect(candidateRetrieval.formatForPrompt([
+      { tmdbId: 949, title: 'Heat', year: 1995, genres: ['Crime', 'Drama'], seeds: ['Ronin'] },
+      { tmdbId: 1, title: 'Unknown' }
+    ])).toBe('- tmdbId 949: Heat (1995) | Crime, Drama | related to Ronin\n- tmdbId 1: Unknown (n/a)');
+  });
+});
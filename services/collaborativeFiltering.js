@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const TasteNeighborhood = require('../models/TasteNeighborhood');
+const redisManager = require('../config/redis');
+
+// User-based collaborative filtering over everyone's liked/disliked movies
+class CollaborativeFilteringService {
+  constructor() {
+    this.maxNeighbors = parseInt(process.env.CF_MAX_NEIGHBORS) || 20;
+    this.maxCandidates = parseInt(process.env.CF_MAX_CANDIDATES) || 50;
+    this.minOverlap = parseInt(process.env.CF_MIN_OVERLAP) || 2;
+    this.minSimilarity = 0.1;
+    // Damps similarities computed from only a handful of shared ratings
+    this.shrinkage = 5;
+    this.rebuildTimer = null;
+  }
+
+  // Collect +1/-1 ratings per user and movie metadata from the genre maps
+  async buildAffinityMatrix() {
+    const ratings = new Map(); // userId -> Map(tmdbId -> weight)
+    const movies = new Map(); // tmdbId -> metadata
+
+    const addMovies = (userRatings, genreMap, weight) => {
+      Object.values(genreMap || {}).forEach(genreMovies => {
+        (genreMovies || []).forEach(movie => {
+          userRatings.set(movie.tmdbId, weight);
+          if (!movies.has(movie.tmdbId)) {
+            movies.set(movie.tmdbId, {
+              tmdbId: movie.tmdbId,
+              title: movie.title,
+              genres: movie.genres || [],
+              posterPath: movie.posterPath,
+              year: movie.year
+            });
+          }
+        });
+      });
+    };
+
+    const cursor = User.find({})
+      .select('preferences.likedMovies preferences.dislikedMovies')
+      .lean()
+      .cursor();
+
+    for await (const user of cursor) {
+      const userRatings = new Map();
+      addMovies(userRatings, user.preferences?.dislikedMovies, -1);
+      // Likes win when a movie ended up in both maps
+      addMovies(userRatings, user.preferences?.likedMovies, 1);
+      if (userRatings.size > 0) {
+        ratings.set(user._id.toString(), userRatings);
+      }
+    }
+
+    return { ratings, movies };
+  }
+
+  // Shrunk cosine similarity between every pair of users sharing ratings
+  computeNeighbors(ratings) {
+    // Inverted index so only co-rating pairs are compared
+    const raters = new Map(); // tmdbId -> [[userId, weight]]
+    for (const [userId, userRatings] of ratings.entries()) {
+      for (const [tmdbId, weight] of userRatings.entries()) {
+        if (!raters.has(tmdbId)) raters.set(tmdbId, []);
+        raters.get(tmdbId).push([userId, weight]);
+      }
+    }
+
+    const neighbors = new Map();
+    for (const [userId, userRatings] of ratings.entries()) {
+      const dots = new Map();
+      const overlaps = new Map();
+
+      for (const [tmdbId, weight] of userRatings.entries()) {
+        for (const [otherId, otherWeight] of raters.get(tmdbId)) {
+          if (otherId === userId) continue;
+          dots.set(otherId, (dots.get(otherId) || 0) + weight * otherWeight);
+          overlaps.set(otherId, (overlaps.get(otherId) || 0) + 1);
+        }
+      }
+
+      const userNorm = Math.sqrt(userRatings.size);
+      const ranked = [];
+      for (const [otherId, dot] of dots.entries()) {
+        const overlap = overlaps.get(otherId);
+        if (overlap < this.minOverlap) continue;
+
+        const cosine = dot / (userNorm * Math.sqrt(ratings.get(otherId).size));
+        const similarity = cosine * (overlap / (overlap + this.shrinkage));
+        if (similarity >= this.minSimilarity) {
+          ranked.push({ user: otherId, similarity, overlap });
+        }
+      }
+
+      neighbors.set(userId, ranked
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, this.maxNeighbors));
+    }
+
+    return neighbors;
+  }
+
+  // Score movies the neighbours liked that the user has not rated
+  computeCandidates(userId, userNeighbors, ratings, movies) {
+    const userRatings = ratings.get(userId);
+    const scores = new Map();
+
+    userNeighbors.forEach(({ user: neighborId, similarity }) => {
+      for (const [tmdbId, weight] of ratings.get(neighborId).entries()) {
+        if (userRatings.has(tmdbId)) continue;
+
+        const entry = scores.get(tmdbId) || { score: 0, supporters: 0 };
+        entry.score += similarity * weight;
+        if (weight > 0) entry.supporters += 1;
+        scores.set(tmdbId, entry);
+      }
+    });
+
+    return Array.from(scores.entries())
+      .filter(([, entry]) => entry.score > 0 && entry.supporters > 0)
+      .sort((a, b) => b[1].score - a[1].score)
+      .slice(0, this.maxCandidates)
+      .map(([tmdbId, entry]) => ({
+        ...movies.get(tmdbId),
+        score: Math.round(entry.score * 1000) / 1000,
+        supporters: entry.supporters
+      }));
+  }
+
+  // Recompute and store every user's neighbourhood
+  async rebuild() {
+    // Only one instance behind the load balancer should rebuild at a time
+    const lockKey = redisManager.constructor.keys.cfRebuildLock();
+    const lockToken = crypto.randomUUID();
+    const locked = await redisManager.acquireLock(
+      lockKey,
+      redisManager.constructor.TTL.CF_REBUILD_LOCK,
+      lockToken
+    );
+    if (!locked) {
+      console.log('Collaborative filtering rebuild already running elsewhere, skipping');
+      return null;
+    }
+
+    const startTime = Date.now();
+    try {
+      const { ratings, movies } = await this.buildAffinityMatrix();
+      const neighbors = this.computeNeighbors(ratings);
+      const builtAt = new Date();
+
+      const operations = [];
+      for (const [userId, userNeighbors] of neighbors.entries()) {
+        operations.push({
+          updateOne: {
+            filter: { user: userId },
+            update: {
+              $set: {
+                neighbors: userNeighbors,
+                candidates: this.computeCandidates(userId, userNeighbors, ratings, movies),
+                builtAt
+              }
+            },
+            upsert: true
+          }
+        });
+      }
+
+      // Write in chunks to keep individual batches small
+      for (let i = 0; i < operations.length; i += 500) {
+        await TasteNeighborhood.bulkWrite(operations.slice(i, i + 500), { ordered: false });
+      }
+
+      // Users with no ratings left were not rebuilt; drop their stale neighbourhoods
+      const { deletedCount } = await TasteNeighborhood.deleteMany({ builtAt: { $ne: builtAt } });
+
+      const stats = {
+        users: ratings.size,
+        movies: movies.size,
+        neighborhoods: operations.length,
+        removed: deletedCount,
+        durationMs: Date.now() - startTime
+      };
+      console.log('Collaborative filtering rebuilt:', stats);
+      return stats;
+    } finally {
+      await redisManager.releaseLock(lockKey, lockToken);
+    }
+  }
+
+  // "People with your taste liked..." for one user
+  async getCandidates(userId, { limit = 10, excludeIds = new Set() } = {}) {
+    const neighborhood = await TasteNeighborhood.findOne({ user: userId })
+      .select('candidates neighbors builtAt')
+      .lean();
+
+    if (!neighborhood) {
+      return { neighbors: 0, builtAt: null, movies: [] };
+    }
+
+    return {
+      neighbors: neighborhood.neighbors.length,
+      builtAt: neighborhood.builtAt,
+      movies: neighborhood.candidates
+        .filter(movie => !excludeIds.has(movie.tmdbId))
+        .slice(0, limit)
+    };
+  }
+
+  // Periodic rebuild inside the API process (CF_REBUILD_INTERVAL_MINUTES, 0 disables)
+  startScheduler() {
+    const intervalMinutes = process.env.CF_REBUILD_INTERVAL_MINUTES !== undefined
+      ? parseInt(process.env.CF_REBUILD_INTERVAL_MINUTES)
+      : 360;
+    if (!intervalMinutes || this.rebuildTimer) return;
+
+    this.rebuildTimer = setInterval(() => {
+      this.rebuild().catch(err => console.error('Collaborative filtering rebuild failed:', err));
+    }, intervalMinutes * 60 * 1000);
+    // Do not keep the process alive just for the scheduler
+    this.rebuildTimer.unref();
+    console.log(`Collaborative filtering rebuild scheduled every ${intervalMinutes} minutes`);
+  }
+
+  stopScheduler() {
+    if (this.rebuildTimer) {
+      clearInterval(this.rebuildTimer);
+      this.rebuildTimer = null;
+    }
+  }
+}
+
+// Create singleton instance
+const collaborativeFiltering = new CollaborativeFilteringService();
+
+module.exports = collaborativeFiltering;
@@ -0,0 +1,98 @@
+jest.mock('../models/User', () => ({ find: jest.fn() }));
+jest.mock('../models/TasteNeighborhood', () => ({ bulkWrite: jest.fn(), deleteMany: jest.fn(), findOne: jest.fn() }));
+
+const User = require('../models/User');
+const TasteNeighborhood = require('../models/TasteNeighborhood');
+const redisManager = require('../config/redis');
+const collaborativeFiltering = require('./collaborativeFiltering');
+const { createFakeRedisClient } = require('../test/fakeRedisClient');
+
+const ratingsOf = (entries) => new Map(Object.entries(entries).map(([tmdbId, weight]) => [Number(tmdbId), weight]));
+
+describe('collaborativeFiltering neighbour ranking', () => {
+  const ratings = new Map([
+    ['me', ratingsOf({ 1: 1, 2: 1, 3: -1 })],
+    ['twin', ratingsOf({ 1: 1, 2: 1, 3: -1, 10: 1, 11: -1 })],
+    ['close', ratingsOf({ 1: 1, 2: 1, 12: 1 })],
+    ['opposite', ratingsOf({ 1: -1, 2: -1, 3: 1, 13: 1 })],
+    ['stranger', ratingsOf({ 1: 1, 14: 1 })]
+  ]);
+
+  test('ranks users by shrunk cosine and drops dissimilar or barely overlapping ones', () => {
+    const neighbors = collaborativeFiltering.computeNeighbors(ratings).get('me');
+
+    expect(neighbors.map(neighbor => neighbor.user)).toEqual(['twin', 'close']);
+    expect(neighbors[0]).toMatchObject({ overlap: 3 });
+    expect(neighbors[0].similarity).toBeCloseTo((3 / (Math.sqrt(3) * Math.sqrt(5))) * (3 / 8));
+  });
+
+  test('suggests unrated movies the neighbours liked, strongest first', () => {
+    const movies = new Map([10, 11, 12].map(tmdbId => [tmdbId, { tmdbId, title: `Movie ${tmdbId}` }]));
+    const neighbors = collaborativeFiltering.computeNeighbors(ratings).get('me');
+    const candidates = collaborativeFiltering.computeCandidates('me', neighbors, ratings, movies);
+
+    expect(candidates.map(movie => movie.tmdbId)).toEqual([10, 12]);
+    expect(candidates[0]).toMatchObject({ title: 'Movie 10', supporters: 1 });
+  });
+});
+
+describe('collaborativeFiltering rebuild lock', () => {
+  const lockKey = redisManager.constructor.keys.cfRebuildLock();
+  const ttl = redisManager.constructor.TTL.CF_REBUILD_LOCK;
+
+  beforeEach(() => {
+    redisManager.client = createFakeRedisClient();
+    redisManager.isConnected = true;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    redisManager.client = null;
+    redisManager.isConnected = false;
+    jest.restoreAllMocks();
+  });
+
+  test('a holder whose lock expired cannot release the lock another holder took since', async () => {
+    const now = Date.now();
+    const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+
+    expect(await redisManager.acquireLock(lockKey, ttl, 'first')).toBe(true);
+    expect(await redisManager.acquireLock(lockKey, ttl, 'second')).toBe(false);
+
+    clock.mockReturnValue(now + (ttl + 1) * 1000);
+    expect(await redisManager.acquireLock(lockKey, ttl, 'second')).toBe(true);
+
+    expect(await redisManager.releaseLock(lockKey, 'first')).toBe(false);
+    expect(await redisManager.client.get(lockKey)).toBe('second');
+
+    expect(await redisManager.releaseLock(lockKey, 'second')).toBe(true);
+    expect(await redisManager.client.get(lockKey)).toBeNull();
+  });
+
+  test('rebuild skips while another instance holds the lock and leaves it in place', async () => {
+    await redisManager.acquireLock(lockKey, ttl, 'other-instance');
+
+    expect(await collaborativeFiltering.rebuild()).toBeNull();
+    expect(User.find).not.toHaveBeenCalled();
+    expect(await redisManager.client.get(lockKey)).toBe('other-instance');
+  });
+
+  test('rebuild writes neighbourhoods, drops stale ones and releases its own lock', async () => {
+    const users = [
+      { _id: 'a', preferences: { likedMovies: { drama: [{ tmdbId: 1 }, { tmdbId: 2 }, { tmdbId: 3 }] } } },
+      { _id: 'b', preferences: { likedMovies: { drama: [{ tmdbId: 1 }, { tmdbId: 2 }, { tmdbId: 4 }] } } }
+    ];
+    User.find.mockReturnValue({ select: () => ({ lean: () => ({ cursor: () => users }) }) });
+    TasteNeighborhood.bulkWrite.mockResolvedValue({});
+    TasteNeighborhood.deleteMany.mockResolvedValue({ deletedCount: 2 });
+
+    const stats = await collaborativeFiltering.rebuild();
+
+    expect(stats).toMatchObject({ users: 2, neighborhoods: 2, removed: 2 });
+    const [operations] = TasteNeighborhood.bulkWrite.mock.calls[0];
+    const builtAt = operations[0].updateOne.update.$set.builtAt;
+    expect(operations[0].updateOne.update.$set.candidates.map(movie => movie.tmdbId)).toEqual([4]);
+    expect(TasteNeighborhood.deleteMany).toHaveBeenCalledWith({ builtAt: { $ne: builtAt } });
+    expect(await redisManager.client.get(lockKey)).toBeNull();
+  });
+});
@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+
+// Vote and rating floors per obscurity level
+const OBSCURITY_LEVELS = {
+  mainstream: { minVotes: 1000, minRating: 6.5 },
+  balanced: { minVotes: 300, minRating: 6.5 },
+  'hidden-gems': { minVotes: 50, maxVotes: 1000, minRating: 7 }
+};
+
+// Titles released from this year on count as recent
+const RECENT_FROM_YEAR = 2021;
+const FIRST_DECADE = 1900;
+const MAX_LIST_LENGTH = 10;
+
+// What /popular used before filters were configurable
+const DEFAULT_FILTERS = {
+  languages: ['en'],
+  regions: [],
+  decades: [],
+  obscurity: 'mainstream',
+  // Share of recent titles in the calibration order; null ranks classic and recent together
+  recentShare: null
+};
+
+const FIELDS = Object.keys(DEFAULT_FILTERS);
+
+const toList = (value) => (Array.isArray(value) ? value : String(value).split(','))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+// Discovery filters for calibration (/popular and /calibration): original
+// languages, production regions, release decades, how obscure the titles may
+// be and the classic/recent mix. Users save their own defaults on the profile;
+// query options override them per request
+class DiscoveryFilterService {
+  constructor() {
+    this.defaults = DEFAULT_FILTERS;
+    this.obscurityLevels = OBSCURITY_LEVELS;
+    this.recentFromYear = RECENT_FROM_YEAR;
+  }
+
+  // Validate filters from a query string or request body; only the fields
+  // present are returned, so the result can override saved defaults
+  // 'any' (or an empty list) clears languages, regions or decades
+  // Returns { filters } or { error }
+  parse(input = {}) {
+    const filters = {};
+
+    if (input.languages !== undefined && input.languages !== null) {
+      const languages = toList(input.languages).map(language => language.toLowerCase());
+      const list = languages.includes('any') ? [] : Array.from(new Set(languages));
+      if (list.some(language => !/^[a-z]{2}$/.test(language))) {
+        return { error: 'languages must be two-letter ISO 639-1 codes such as "en,fr,ko"' };
+      }
+      if (list.length > MAX_LIST_LENGTH) {
+        return { error: `Choose at most ${MAX_LIST_LENGTH} languages` };
+      }
+      filters.languages = list.sort();
+    }
+
+    if (input.regions !== undefined && input.regions !== null) {
+      const regions = toList(input.regions).map(region => region.toUpperCase());
+      const list = regions.includes('ANY') ? [] : Array.from(new Set(regions));
+      if (list.some(region => !/^[A-Z]{2}$/.test(region))) {
+        return { error: 'regions must be two-letter ISO 3166-1 codes such as "FR,KR"' };
+      }
+      if (list.length > MAX_LIST_LENGTH) {
+        return { error: `Choose at most ${MAX_LIST_LENGTH} regions` };
+      }
+      filters.regions = list.sort();
+    }
+
+    if (input.decades !== undefined && input.decades !== null) {
+      const values = toList(input.decades).map(decade => decade.toLowerCase());
+      const latestDecade = Math.floor(new Date().getFullYear() / 10) * 10;
+      const decades = values.includes('any') ? [] : values.map(decade => Number(decade.replace(/s$/, '')));
+      if (decades.some(decade => !Number.isInteger(decade) || decade % 10 !== 0
+        || decade < FIRST_DECADE || decade > latestDecade)) {
+        return { error: `decades must be decades between ${FIRST_DECADE} and ${latestDecade} such as "1970s,1990s"` };
+      }
+      filters.decades = Array.from(new Set(decades)).sort((a, b) => a - b);
+    }
+
+    if (input.obscurity !== undefined && input.obscurity !== null) {
+      const obscurity = String(input.obscurity).trim().toLowerCase();
+      if (!OBSCURITY_LEVELS[obscurity]) {
+        return { error: `obscurity must be one of ${Object.keys(OBSCURITY_LEVELS).join(', ')}` };
+      }
+      filters.obscurity = obscurity;
+    }
+
+    if (input.recentShare !== undefined) {
+      if (input.recentShare === null || input.recentShare === '' || input.recentShare === 'auto') {
+        filters.recentShare = null;
+      } else {
+        const recentShare = Number(input.recentShare);
+        if (!Number.isFinite(recentShare) || recentShare < 0 || recentShare > 1) {
+          return { error: 'recentShare must be a number between 0 and 1' };
+        }
+        filters.recentShare = recentShare;
+      }
+    }
+
+    return { filters };
+  }
+
+  // Effective filters: defaults, then the user's saved filters, then overrides
+  resolve(user, overrides = {}) {
+    const saved = user?.preferences?.discoveryFilters || {};
+    const filters = { ...DEFAULT_FILTERS };
+    FIELDS.forEach(field => {
+      if (saved[field] !== undefined && saved[field] !== null) filters[field] = saved[field];
+      if (overrides[field] !== undefined) filters[field] = overrides[field];
+    });
+    return filters;
+  }
+
+  // Canonical string of the filters that change the TMDB results (recentShare
+  // is applied after the cache), used in cache keys
+  cacheKey(filters) {
+    return [
+      `l=${filters.languages.join('|')}`,
+      `r=${filters.regions.join('|')}`,
+      `d=${filters.decades.join('|')}`,
+      `o=${filters.obscurity}`
+    ].join(';');
+  }
+
+  // Short fingerprint of everything that shapes a calibration order, so a
+  // paging cursor cannot be replayed against different filters
+  fingerprint(...parts) {
+    return crypto.createHash('md5').update(JSON.stringify(parts)).digest('hex').slice(0, 8);
+  }
+
+  // TMDB discover parameters for languages, regions and obscurity
+  // relaxed lowers the vote and rating floors for a wider net
+  discoverParams(filters, { relaxed = false } = {}) {
+    const level = OBSCURITY_LEVELS[filters.obscurity] || OBSCURITY_LEVELS.mainstream;
+    return {
+      'vote_count.gte': relaxed ? Math.ceil(level.minVotes / 2) : level.minVotes,
+      'vote_count.lte': level.maxVotes,
+      'vote_average.gte': relaxed ? level.minRating - 0.5 : level.minRating,
+      with_original_language: filters.languages.join('|') || undefined,
+      with_origin_country: filters.regions.join('|') || undefined
+    };
+  }
+
+  // Release date windows to query: one per chosen decade, otherwise the
+  // classic/recent split
+  dateWindows(filters) {
+    if (filters.decades.length > 0) {
+      return filters.decades.map(decade => ({
+        'primary_release_date.gte': `${decade}-01-01`,
+        'primary_release_date.lte': `${decade + 9}-12-31`
+      }));
+    }
+    return [
+      { 'primary_release_date.lte': `${RECENT_FROM_YEAR - 1}-12-31` },
+      { 'primary_release_date.gte': `${RECENT_FROM_YEAR}-01-01`, sort_by: 'popularity.desc' }
+    ];
+  }
+
+  inDecades(year, filters) {
+    return filters.decades.length === 0
+      || (Boolean(year) && filters.decades.includes(Math.floor(year / 10) * 10));
+  }
+
+  isRecent(movie) {
+    return (movie.year || 0) >= RECENT_FROM_YEAR;
+  }
+
+  // Interleave classic and recent titles so about recentShare of every
+  // stretch is recent, keeping each side's order; null keeps the given order
+  mix(movies, recentShare) {
+    if (recentShare === null || recentShare === undefined) return movies;
+
+    const recent = movies.filter(movie => this.isRecent(movie));
+    const classic = movies.filter(movie => !this.isRecent(movie));
+    const mixed = [];
+    let recentTaken = 0;
+    while (recent.length > 0 || classic.length > 0) {
+      const wantRecent = recentTaken < recentShare * (mixed.length + 1);
+      const source = (wantRecent && recent.length > 0) || classic.length === 0 ? recent : classic;
+      if (source === recent) recentTaken++;
+      mixed.push(source.shift());
+    }
+    return mixed;
+  }
+}
+
+// Create singleton instance
+const discoveryFilters = new DiscoveryFilterService();
+
+module.exports = discoveryFilters;
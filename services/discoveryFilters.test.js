@@ -0,0 +1,55 @@
+const discoveryFilters = require('./discoveryFilters');
+
+describe('discoveryFilters.parse', () => {
+  test('returns only the fields present', () => {
+    expect(discoveryFilters.parse({})).toEqual({ filters: {} });
+    expect(discoveryFilters.parse({ obscurity: 'Hidden-Gems' })).toEqual({ filters: { obscurity: 'hidden-gems' } });
+  });
+
+  test('normalises lists from strings or arrays', () => {
+    const { filters } = discoveryFilters.parse({
+      languages: 'KO, fr,ko',
+      regions: ['kr', 'fr'],
+      decades: '1990s,1970,1990'
+    });
+
+    expect(filters).toEqual({
+      languages: ['fr', 'ko'],
+      regions: ['FR', 'KR'],
+      decades: [1970, 1990]
+    });
+  });
+
+  test('"any" clears a list', () => {
+    expect(discoveryFilters.parse({ languages: 'any', regions: 'any', decades: 'any' }).filters)
+      .toEqual({ languages: [], regions: [], decades: [] });
+  });
+
+  test('reads recentShare as a ratio, or null for "auto"', () => {
+    expect(discoveryFilters.parse({ recentShare: '0.25' }).filters).toEqual({ recentShare: 0.25 });
+    expect(discoveryFilters.parse({ recentShare: 'auto' }).filters).toEqual({ recentShare: null });
+  });
+
+  test('rejects invalid values', () => {
+    expect(discoveryFilters.parse({ languages: 'english' }).error).toMatch(/ISO 639-1/);
+    expect(discoveryFilters.parse({ regions: 'USA' }).error).toMatch(/ISO 3166-1/);
+    expect(discoveryFilters.parse({ decades: '1995' }).error).toMatch(/decades/);
+    expect(discoveryFilters.parse({ decades: '1890s' }).error).toMatch(/decades/);
+    expect(discoveryFilters.parse({ obscurity: 'cult' }).error).toMatch(/obscurity/);
+    expect(discoveryFilters.parse({ recentShare: 2 }).error).toMatch(/recentShare/);
+    expect(discoveryFilters.parse({ languages: Array(11).fill(0).map((_, i) => `a${String.fromCharCode(97 + i)}`) }).error)
+      .toMatch(/at most 10/);
+  });
+});
+
+describe('discoveryFilters.resolve', () => {
+  test('layers defaults, saved filters and overrides', () => {
+    const user = { preferences: { discoveryFilters: { languages: ['fr'], obscurity: 'balanced' } } };
+
+    expect(discoveryFilters.resolve(user, { obscurity: 'hidden-gems' })).toEqual({
+      ...discoveryFilters.defaults,
+      languages: ['fr'],
+      obscurity: 'hidden-gems'
+    });
+  });
+});
@@ -0,0 +1,69 @@
+const LocalEmbedder = require('./localEmbedder');
+const OpenAIEmbedder = require('./openaiEmbedder');
+
+// Embedder selection is driven by environment configuration:
+// EMBEDDING_PROVIDER    local (default) | openai | openai-compatible
+// EMBEDDING_MODEL       model name for remote embedders
+// EMBEDDING_BASE_URL    endpoint for openai-compatible servers
+// EMBEDDING_API_KEY     falls back to OPENAI_API_KEY
+// EMBEDDING_DIMENSIONS  vector size (local default 256)
+const readConfig = () => ({
+  provider: (process.env.EMBEDDING_PROVIDER || 'local').toLowerCase(),
+  model: process.env.EMBEDDING_MODEL,
+  baseURL: process.env.EMBEDDING_BASE_URL,
+  apiKey: process.env.EMBEDDING_API_KEY || process.env.OPENAI_API_KEY,
+  dimensions: parseInt(process.env.EMBEDDING_DIMENSIONS) || undefined
+});
+
+const createEmbedder = (config = readConfig()) => {
+  const { provider, model, baseURL, apiKey, dimensions } = config;
+
+  switch (provider) {
+    case 'local':
+      return new LocalEmbedder({ dimensions: dimensions || 256 });
+    case 'openai':
+      return new OpenAIEmbedder({
+        name: 'openai',
+        apiKey,
+        baseURL,
+        model: model || 'text-embedding-3-small',
+        dimensions
+      });
+    case 'openai-compatible':
+      if (!baseURL) {
+        throw new Error('EMBEDDING_BASE_URL is required for the openai-compatible embedder');
+      }
+      return new OpenAIEmbedder({
+        name: 'openai-compatible',
+        apiKey,
+        baseURL,
+        model: model || 'nomic-embed-text',
+        dimensions
+      });
+    default:
+      throw new Error(`Unknown EMBEDDING_PROVIDER: ${provider}`);
+  }
+};
+
+let activeEmbedder = null;
+
+const getEmbedder = () => {
+  if (!activeEmbedder) {
+    activeEmbedder = createEmbedder();
+    console.log(`Embedder: ${activeEmbedder.name} (${activeEmbedder.model})`);
+  }
+  return activeEmbedder;
+};
+
+// Swap the active embedder, e.g. in tests
+const setEmbedder = (embedder) => {
+  activeEmbedder = embedder;
+};
+
+module.exports = {
+  createEmbedder,
+  getEmbedder,
+  setEmbedder,
+  LocalEmbedder,
+  OpenAIEmbedder
+};
@@ -0,0 +1,64 @@
+// Deterministic, dependency-free embedder based on feature hashing
+// Good enough for "more like this" over genres, people and overview words,
+// and fully reproducible for tests and offline development
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'his', 'her', 'their', 'they', 'from', 'into', 'that', 'this',
+  'who', 'when', 'while', 'after', 'before', 'about', 'but', 'has', 'have', 'are', 'was',
+  'its', 'him', 'she', 'one', 'two', 'out', 'all', 'new', 'will', 'must', 'what', 'where'
+]);
+
+// FNV-1a 32-bit hash
+const hash = (text) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+};
+
+class LocalEmbedder {
+  constructor({ dimensions = 256 } = {}) {
+    this.name = 'local';
+    this.dimensions = dimensions;
+    this.model = `local-hash-${dimensions}`;
+  }
+
+  // features: [{ token, weight }]
+  embedFeatures(features) {
+    const vector = new Array(this.dimensions).fill(0);
+
+    features.forEach(({ token, weight }) => {
+      const h = hash(token);
+      // Signed hashing keeps collisions from only ever adding up
+      const sign = (h & 0x80000000) ? -1 : 1;
+      vector[h % this.dimensions] += sign * weight;
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+  }
+
+  // Same interface as remote embedders: documents -> vectors
+  async embed(documents) {
+    return documents.map(document => this.embedFeatures(this.extractFeatures(document)));
+  }
+
+  extractFeatures({ text = '', genres = [], director, cast = [], year }) {
+    const features = [];
+
+    genres.forEach(genre => features.push({ token: `genre:${String(genre).toLowerCase()}`, weight: 2 }));
+    if (director) features.push({ token: `director:${director.toLowerCase()}`, weight: 1.5 });
+    cast.forEach(name => features.push({ token: `cast:${String(name).toLowerCase()}`, weight: 1 }));
+    if (year) features.push({ token: `decade:${Math.floor(year / 10) * 10}`, weight: 0.5 });
+
+    text.toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(word => word.length > 2 && !STOPWORDS.has(word))
+      .forEach(word => features.push({ token: `word:${word}`, weight: 0.5 }));
+
+    return features;
+  }
+}
+
+module.exports = LocalEmbedder;
@@ -0,0 +1,38 @@
+const OpenAI = require('openai');
+
+// Embeddings from OpenAI or an OpenAI-compatible /embeddings endpoint
+class OpenAIEmbedder {
+  constructor({ name = 'openai', apiKey, baseURL, model, dimensions }) {
+    this.name = name;
+    this.model = model;
+    this.dimensions = dimensions;
+    this.client = new OpenAI({
+      apiKey: apiKey || 'not-needed',
+      ...(baseURL ? { baseURL } : {})
+    });
+  }
+
+  async embed(documents) {
+    const response = await this.client.embeddings.create({
+      model: this.model,
+      input: documents.map(document => this.toText(document)),
+      ...(this.dimensions ? { dimensions: this.dimensions } : {})
+    });
+
+    return response.data
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+
+  toText({ text = '', genres = [], director, cast = [], year }) {
+    return [
+      year ? `Released ${year}.` : '',
+      genres.length ? `Genres: ${genres.join(', ')}.` : '',
+      director ? `Directed by ${director}.` : '',
+      cast.length ? `Starring ${cast.join(', ')}.` : '',
+      text
+    ].filter(Boolean).join(' ');
+  }
+}
+
+module.exports = OpenAIEmbedder;
@@ -0,0 +1,51 @@
+const Recommendation = require('../models/Recommendation');
+const watchDiary = require('./watchDiary');
+
+const genreMapIds = (genreMap) => {
+  const lists = genreMap instanceof Map ? Array.from(genreMap.values()) : Object.values(genreMap || {});
+  return lists.flatMap(movies => (movies || []).map(movie => movie.tmdbId));
+};
+
+// tmdbIds a user must never be recommended again: everything they liked,
+// disliked or put on their watchlist, every past recommendation, including
+// the ones trimmed from User.recommendationHistory (kept as Recommendation records),
+// and everything their watch diary marks as seen
+// Enforced on the server before a pick is accepted rather than left to the prompt
+class ExclusionService {
+  // Sources stored on the user document
+  fromProfile(user) {
+    return new Set([
+      ...genreMapIds(user.preferences?.likedMovies),
+      ...genreMapIds(user.preferences?.dislikedMovies),
+      ...(user.watchlist || []).map(movie => movie.tmdbId),
+      ...(user.recommendationHistory || []).map(rec => rec.movieId)
+    ].filter(Boolean));
+  }
+
+  // Every recommendation ever made to the user
+  async archivedIds(userId) {
+    return Recommendation.distinct('tmdbId', { user: userId });
+  }
+
+  // Profile sources plus archived history and the diary; falls back to the
+  // profile alone if either collection cannot be read
+  async forUser(user) {
+    const excluded = this.fromProfile(user);
+    try {
+      (await this.archivedIds(user._id)).forEach(tmdbId => excluded.add(tmdbId));
+    } catch (error) {
+      console.error('Failed to load archived recommendations for exclusions:', error);
+    }
+    try {
+      (await watchDiary.seenIds(user._id)).forEach(tmdbId => excluded.add(tmdbId));
+    } catch (error) {
+      console.error('Failed to load watch diary for exclusions:', error);
+    }
+    return excluded;
+  }
+}
+
+// Create singleton instance
+const exclusions = new ExclusionService();
+
+module.exports = exclusions;
@@ -0,0 +1,40 @@
+jest.mock('../models/Recommendation', () => ({ distinct: jest.fn() }));
+jest.mock('./watchDiary', () => ({ seenIds: jest.fn() }));
+
+const Recommendation = require('../models/Recommendation');
+const watchDiary = require('./watchDiary');
+const exclusions = require('./exclusions');
+
+const user = {
+  _id: 'user-1',
+  preferences: {
+    likedMovies: new Map([['drama', [{ tmdbId: 1 }, { tmdbId: 2 }]]]),
+    dislikedMovies: { horror: [{ tmdbId: 3 }] }
+  },
+  watchlist: [{ tmdbId: 4 }],
+  recommendationHistory: [{ movieId: 5 }, { movieId: null }]
+};
+
+describe('exclusions.fromProfile', () => {
+  test('collects liked, disliked, watchlist and history ids', () => {
+    expect(Array.from(exclusions.fromProfile(user)).sort()).toEqual([1, 2, 3, 4, 5]);
+  });
+});
+
+describe('exclusions.forUser', () => {
+  test('adds archived recommendations and seen diary entries', async () => {
+    Recommendation.distinct.mockResolvedValue([6]);
+    watchDiary.seenIds.mockResolvedValue([7]);
+
+    expect(Array.from(await exclusions.forUser(user)).sort()).toEqual([1, 2, 3, 4, 5, 6, 7]);
+  });
+
+  test('falls back to the profile when a collection cannot be read', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    Recommendation.distinct.mockRejectedValue(new Error('down'));
+    watchDiary.seenIds.mockResolvedValue([7]);
+
+    expect(Array.from(await exclusions.forUser(user)).sort()).toEqual([1, 2, 3, 4, 5, 7]);
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,158 @@
+const Recommendation = require('../models/Recommendation');
+const { getTemplate, hasTemplate } = require('./prompts');
+
+// Parse "v1:50,v2:50" into [{ version, weight }]
+const parseVariants = (spec) => (spec || '')
+  .split(',')
+  .map(part => part.trim())
+  .filter(Boolean)
+  .map(part => {
+    const [version, weight] = part.split(':').map(value => value.trim());
+    return { version, weight: weight === undefined ? 1 : parseFloat(weight) };
+  })
+  .filter(variant => variant.version && variant.weight > 0);
+
+// Prompt experiment configuration:
+// PROMPT_EXPERIMENT           experiment id, or "off" to serve the default template to everyone
+// PROMPT_EXPERIMENT_VARIANTS  weighted template versions, e.g. "v1:50,v2:50" (first one is the control)
+const readExperiments = () => {
+  const id = process.env.PROMPT_EXPERIMENT || 'recommendation-prompt';
+  if (id === 'off') return [];
+
+  return [{
+    id,
+    template: 'recommendation',
+    variants: parseVariants(process.env.PROMPT_EXPERIMENT_VARIANTS || 'v1:50,v2:50')
+  }];
+};
+
+// FNV-1a 32-bit hash, used to put a user in a stable bucket
+const hash = (text) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+};
+
+// Buckets users into prompt experiments and reports acceptance per variant
+class ExperimentService {
+  constructor() {
+    this.experiments = readExperiments();
+
+    this.experiments.forEach(experiment => {
+      const unknown = experiment.variants.filter(variant => !hasTemplate(experiment.template, variant.version));
+      if (unknown.length > 0) {
+        throw new Error(`Experiment ${experiment.id} references unknown ${experiment.template} versions: ${unknown.map(v => v.version).join(', ')}`);
+      }
+    });
+  }
+
+  getExperiment(id) {
+    return this.experiments.find(experiment => experiment.id === id) || null;
+  }
+
+  // Deterministic assignment: the same user always lands in the same variant
+  // for a given experiment id, so no assignment needs to be stored
+  assignVariant(experiment, userId) {
+    const totalWeight = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+    const point = (hash(`${experiment.id}:${userId}`) / 0x100000000) * totalWeight;
+
+    let cumulative = 0;
+    for (const variant of experiment.variants) {
+      cumulative += variant.weight;
+      if (point < cumulative) return variant;
+    }
+    return experiment.variants[experiment.variants.length - 1];
+  }
+
+  // Template for a user, plus the experiment it was chosen by (if any)
+  resolveTemplate(name, userId) {
+    const experiment = this.experiments.find(exp => exp.template === name && exp.variants.length > 0);
+
+    if (!experiment || !userId) {
+      return { template: getTemplate(name), experiment: null };
+    }
+
+    const variant = this.assignVariant(experiment, String(userId));
+    return { template: getTemplate(name, variant.version), experiment: experiment.id };
+  }
+
+  // Acceptance per prompt version from the stored recommendation records
+  // (User.recommendationHistory keeps only the latest 100 picks, so it would
+  // drop old exposures). Only LLM picks are counted; fallback picks never saw the prompt
+  async getResults(experimentId = null) {
+    const match = { engine: 'llm', promptVersion: { $ne: null } };
+    if (experimentId) {
+      match.experiment = experimentId;
+    }
+
+    const rows = await Recommendation.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$promptVersion',
+          recommended: { $sum: 1 },
+          accepted: { $sum: { $cond: [{ $eq: ['$outcome.accepted', true] }, 1, 0] } },
+          rejected: { $sum: { $cond: [{ $eq: ['$outcome.accepted', false] }, 1, 0] } },
+          users: { $addToSet: '$user' }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    const variants = rows.map(row => {
+      const rated = row.accepted + row.rejected;
+      return {
+        version: row._id,
+        recommended: row.recommended,
+        rated,
+        accepted: row.accepted,
+        rejected: row.rejected,
+        users: row.users.length,
+        acceptanceRate: rated > 0 ? Math.round((row.accepted / rated) * 1000) / 1000 : null
+      };
+    });
+
+    // Compare every variant with the control (first configured version)
+    const experiment = experimentId ? this.getExperiment(experimentId) : null;
+    const controlVersion = experiment?.variants[0]?.version;
+    const control = variants.find(variant => variant.version === controlVersion);
+
+    if (control) {
+      variants.forEach(variant => {
+        if (variant === control) return;
+        Object.assign(variant, this.compare(control, variant));
+      });
+    }
+
+    return {
+      experiment: experimentId,
+      control: controlVersion || null,
+      variants
+    };
+  }
+
+  // Two-proportion z-test on acceptance rate against the control
+  compare(control, variant) {
+    if (!control.rated || !variant.rated) {
+      return { lift: null, zScore: null };
+    }
+
+    const p1 = control.accepted / control.rated;
+    const p2 = variant.accepted / variant.rated;
+    const pooled = (control.accepted + variant.accepted) / (control.rated + variant.rated);
+    const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / control.rated + 1 / variant.rated));
+
+    return {
+      lift: p1 > 0 ? Math.round(((p2 - p1) / p1) * 1000) / 1000 : null,
+      zScore: standardError > 0 ? Math.round(((p2 - p1) / standardError) * 100) / 100 : null
+    };
+  }
+}
+
+// Create singleton instance
+const experimentService = new ExperimentService();
+
+module.exports = experimentService;
@@ -0,0 +1,60 @@
+jest.mock('../models/Recommendation', () => ({ aggregate: jest.fn() }));
+
+const Recommendation = require('../models/Recommendation');
+const experimentService = require('./experiments');
+
+const experiment = {
+  id: 'prompt-test',
+  template: 'recommendation',
+  variants: [{ version: 'v1', weight: 50 }, { version: 'v2', weight: 50 }]
+};
+
+describe('experimentService.assignVariant', () => {
+  test('keeps a user in the same variant and splits users by weight', () => {
+    expect(experimentService.assignVariant(experiment, 'user-1')).toBe(experimentService.assignVariant(experiment, 'user-1'));
+
+    const counts = { v1: 0, v2: 0 };
+    for (let i = 0; i < 2000; i++) counts[experimentService.assignVariant(experiment, `user-${i}`).version]++;
+    expect(counts.v1 / 2000).toBeGreaterThan(0.45);
+    expect(counts.v1 / 2000).toBeLessThan(0.55);
+
+    const skewed = { ...experiment, variants: [{ version: 'v1', weight: 0.001 }, { version: 'v2', weight: 99.999 }] };
+    expect(experimentService.assignVariant(skewed, 'user-1').version).toBe('v2');
+  });
+});
+
+describe('experimentService.getResults', () => {
+  beforeEach(() => {
+    Recommendation.aggregate.mockResolvedValue([
+      { _id: 'v1', recommended: 400, accepted: 100, rejected: 100, users: ['a', 'b'] },
+      { _id: 'v2', recommended: 400, accepted: 130, rejected: 70, users: ['c'] }
+    ]);
+    jest.spyOn(experimentService, 'getExperiment').mockReturnValue(experiment);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('aggregates the stored records of the experiment, matching before grouping', async () => {
+    await experimentService.getResults('prompt-test');
+
+    const [pipeline] = Recommendation.aggregate.mock.calls[0];
+    expect(pipeline[0]).toEqual({ $match: { engine: 'llm', promptVersion: { $ne: null }, experiment: 'prompt-test' } });
+    expect(pipeline[1].$group._id).toBe('$promptVersion');
+    expect(pipeline.some(stage => stage.$unwind)).toBe(false);
+  });
+
+  test('reports acceptance per version and a z-test against the control', async () => {
+    const results = await experimentService.getResults('prompt-test');
+
+    expect(results.control).toBe('v1');
+    expect(results.variants[0]).toEqual({
+      version: 'v1', recommended: 400, rated: 200, accepted: 100, rejected: 100, users: 2, acceptanceRate: 0.5
+    });
+    // p1 = 0.5, p2 = 0.65, pooled 0.575 -> se = sqrt(0.575 * 0.425 * 2 / 200)
+    expect(results.variants[1]).toMatchObject({ acceptanceRate: 0.65, lift: 0.3, zScore: 3.03 });
+  });
+
+  test('leaves lift and z-score empty without ratings', () => {
+    expect(experimentService.compare({ rated: 0, accepted: 0 }, { rated: 10, accepted: 5 })).toEqual({ lift: null, zScore: null });
+  });
+});
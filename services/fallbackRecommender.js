@@ -0,0 +1,287 @@
+const Movie = require('../models/Movie');
+const tmdbCacheService = require('./tmdbCache');
+const movieConstraints = require('./movieConstraints');
+const watchProviders = require('./watchProviders');
+const moodCatalog = require('./moods');
+const ratings = require('./ratings');
+const {
+  GENRE_KEY_TO_ID,
+  tmdbResultToMovie,
+  normalizeGenre,
+  violatesDealBreakers,
+  searchMovieOnTMDB
+} = require('./movieCatalog');
+
+// Scoring weights for the content-based ranking
+const WEIGHTS = {
+  genre: 3,
+  selectedGenre: 1,
+  director: 2,
+  cast: 0.75,
+  crowd: 1.5,
+  mood: 1.5,
+  quality: 1
+};
+
+// Content-based recommender used when the LLM is unavailable
+// Scores cached Movie documents and TMDB discover results against the
+// user's liked/disliked genre maps, directors and cast
+class FallbackRecommender {
+  constructor() {
+    this.maxLocalCandidates = 300;
+    this.discoverPages = 2;
+  }
+
+  // Flatten a genre map (Map or plain object) into unique movies
+  collectMovies(genreMap) {
+    const entries = genreMap instanceof Map ? Array.from(genreMap.values()) : Object.values(genreMap || {});
+    const movies = new Map();
+    entries.forEach(genreMovies => {
+      (genreMovies || []).forEach(movie => movies.set(movie.tmdbId, movie));
+    });
+    return Array.from(movies.values());
+  }
+
+  // Build genre/director/cast affinities from the user's (or group's) ratings
+  // diary: watch diary signals; unrated rewatches count as likes, stronger the
+  // more often the movie was rewatched
+  async buildTasteProfile(user, diary = null) {
+    // Strongest ratings first so reasons quote the movies the user loved most
+    const liked = ratings.byStrength(this.collectMovies(user.preferences?.likedMovies));
+    const disliked = ratings.byStrength(this.collectMovies(user.preferences?.dislikedMovies));
+    const ratedIds = new Set([...liked, ...disliked].map(movie => movie.tmdbId));
+    const rewatched = (diary?.rewatched || []).filter(movie => !ratedIds.has(movie.tmdbId));
+    const rewatchWeight = (movie) => Math.min(3, 1 + 0.5 * movie.rewatchCount);
+
+    // Each rated movie pushes by how strongly it was rated (1 for a plain like/dislike)
+    const genreAffinity = {};
+    const addGenres = (movies, weightOf) => {
+      movies.forEach(movie => {
+        const weight = weightOf(movie);
+        (movie.genres || []).forEach(genre => {
+          const key = normalizeGenre(genre);
+          genreAffinity[key] = (genreAffinity[key] || 0) + weight;
+        });
+      });
+    };
+    addGenres(liked, movie => ratings.weight(movie));
+    addGenres(disliked, movie => -ratings.weight(movie));
+    addGenres(rewatched, rewatchWeight);
+
+    // Scale to -1..1 so heavy raters do not dominate the other signals
+    const maxGenreWeight = Math.max(1, ...Object.values(genreAffinity).map(Math.abs));
+    Object.keys(genreAffinity).forEach(key => {
+      genreAffinity[key] = genreAffinity[key] / maxGenreWeight;
+    });
+
+    // Directors and cast are only stored on the Movie documents
+    const ratedWeights = new Map([
+      ...rewatched.map(movie => [movie.tmdbId, rewatchWeight(movie)]),
+      ...disliked.map(movie => [movie.tmdbId, -ratings.weight(movie)]),
+      ...liked.map(movie => [movie.tmdbId, ratings.weight(movie)])
+    ]);
+    const ratedDocs = ratedWeights.size > 0
+      ? await Movie.find({ tmdbId: { $in: Array.from(ratedWeights.keys()) } }).select('tmdbId director cast').lean()
+      : [];
+
+    const directorAffinity = {};
+    const castAffinity = {};
+    ratedDocs.forEach(doc => {
+      const weight = ratedWeights.get(doc.tmdbId) || 0;
+      if (doc.director) {
+        directorAffinity[doc.director] = (directorAffinity[doc.director] || 0) + weight;
+      }
+      (doc.cast || []).forEach(name => {
+        castAffinity[name] = (castAffinity[name] || 0) + weight;
+      });
+    });
+
+    return { liked, disliked, genreAffinity, directorAffinity, castAffinity };
+  }
+
+  // Gather candidates from the Movie collection and TMDB discover
+  async gatherCandidates(preferences, excludeIds) {
+    const selectedKeys = (preferences.genres || []).map(normalizeGenre);
+    const candidates = new Map();
+
+    const localQuery = { tmdbId: { $nin: Array.from(excludeIds) } };
+    const localDocs = await Movie.find(localQuery)
+      .sort({ rating: -1 })
+      .limit(this.maxLocalCandidates)
+      .select('tmdbId title overview releaseDate genres rating posterPath backdropPath runtime director cast originalLanguage certification')
+      .lean();
+
+    localDocs.forEach(doc => {
+      candidates.set(doc.tmdbId, { ...doc, source: 'database' });
+    });
+
+    // Discover adds titles nobody has looked up yet
+    const genreIds = selectedKeys.map(key => GENRE_KEY_TO_ID[key]).filter(Boolean);
+    const genreParam = genreIds.length > 0 ? genreIds.join('|') : 'all';
+
+    for (let page = 1; page <= this.discoverPages; page++) {
+      try {
+        const data = await tmdbCacheService.getPopularMovies(genreParam, page);
+        (data?.results || []).forEach(result => {
+          if (excludeIds.has(result.id) || candidates.has(result.id)) return;
+          candidates.set(result.id, { ...tmdbResultToMovie(result), source: 'tmdb' });
+        });
+      } catch (error) {
+        console.error(`Fallback discover page ${page} failed:`, error.message);
+      }
+    }
+
+    return Array.from(candidates.values())
+      .filter(movie => movie.title && !excludeIds.has(movie.tmdbId))
+      .filter(movie => selectedKeys.length === 0
+        || (movie.genres || []).some(genre => selectedKeys.includes(normalizeGenre(genre))))
+      .filter(movie => !violatesDealBreakers(movie, preferences.dealBreakers))
+      .filter(movie => movieConstraints.allows(movie, preferences.constraints))
+      .filter(movie => moodCatalog.fits(movie, preferences.moods));
+  }
+
+  scoreCandidate(movie, profile, selectedKeys, crowdScores = new Map(), moods = []) {
+    const genreKeys = (movie.genres || []).map(normalizeGenre);
+    const factors = {};
+
+    factors.genre = genreKeys.length > 0
+      ? genreKeys.reduce((sum, key) => sum + (profile.genreAffinity[key] || 0), 0) / genreKeys.length
+      : 0;
+    factors.selectedGenre = genreKeys.some(key => selectedKeys.includes(key)) ? 1 : 0;
+    factors.director = movie.director ? Math.max(-1, Math.min(1, profile.directorAffinity[movie.director] || 0)) : 0;
+    factors.cast = Math.max(-2, Math.min(2,
+      (movie.cast || []).reduce((sum, name) => sum + (profile.castAffinity[name] || 0), 0)
+    ));
+    factors.crowd = crowdScores.get(movie.tmdbId) || 0;
+    factors.mood = moodCatalog.score(movie, moods);
+    factors.quality = movie.rating ? (movie.rating - 6) / 4 : 0;
+
+    const score = Object.entries(WEIGHTS)
+      .reduce((sum, [factor, weight]) => sum + (factors[factor] || 0) * weight, 0);
+
+    return { score, factors };
+  }
+
+  // Human readable explanation from the strongest positive factors
+  buildReason(movie, factors, profile, moods = []) {
+    const parts = [];
+    const genreKeys = (movie.genres || []).map(normalizeGenre);
+
+    if (factors.genre > 0) {
+      const exemplars = profile.liked
+        .filter(liked => (liked.genres || []).some(genre => genreKeys.includes(normalizeGenre(genre))))
+        .slice(0, 2)
+        .map(liked => liked.title);
+      const sharedGenres = (movie.genres || [])
+        .filter(genre => (profile.genreAffinity[normalizeGenre(genre)] || 0) > 0)
+        .slice(0, 2);
+      parts.push(exemplars.length > 0
+        ? `You enjoyed ${exemplars.join(' and ')}, and ${movie.title} brings the same ${sharedGenres.join('/') || 'kind of'} feel.`
+        : `It leans into the ${sharedGenres.join(' and ')} genres you tend to like.`);
+    }
+
+    if (factors.director > 0) {
+      parts.push(`It is directed by ${movie.director}, whose work you have liked before.`);
+    }
+
+    if (factors.cast > 0) {
+      const familiar = (movie.cast || []).filter(name => (profile.castAffinity[name] || 0) > 0).slice(0, 2);
+      if (familiar.length > 0) {
+        parts.push(`It stars ${familiar.join(' and ')}, who appear in movies you liked.`);
+      }
+    }
+
+    if (factors.crowd > 0) {
+      parts.push('People with taste similar to yours liked it.');
+    }
+
+    if (factors.mood > 0 && moods.length > 0) {
+      parts.push(`It suits a ${moods.join(' and ')} mood.`);
+    }
+
+    if (movie.rating >= 7.5) {
+      parts.push(`Audiences rate it highly (${Number(movie.rating).toFixed(1)}/10).`);
+    }
+
+    if (parts.length === 0) {
+      parts.push(`${movie.title} is a well-regarded pick that fits your selected preferences.`);
+    }
+
+    return parts.join(' ');
+  }
+
+  // Returns up to count picks shaped like LLM recommendations
+  // Group requests score against the merged taste in preferences.group
+  async recommend(user, preferences, { count = 1, excludeIds = new Set() } = {}) {
+    // Diary signals are the requesting user's own, so groups go without them
+    const profile = await this.buildTasteProfile(
+      preferences.group || user,
+      preferences.group ? null : preferences.diary
+    );
+
+    // Never suggest something the user already rated
+    const exclusions = new Set(excludeIds);
+    [...profile.liked, ...profile.disliked].forEach(movie => exclusions.add(movie.tmdbId));
+
+    const selectedKeys = (preferences.genres || []).map(normalizeGenre);
+    const candidates = await this.gatherCandidates(preferences, exclusions);
+
+    // Collaborative-filtering candidates, scaled to 0..1 and added to the pool
+    const crowdPicks = (preferences.crowdPicks || []).filter(movie => !exclusions.has(movie.tmdbId));
+    const maxCrowdScore = Math.max(0, ...crowdPicks.map(movie => movie.score || 0));
+    const crowdScores = new Map(crowdPicks.map(movie => [
+      movie.tmdbId,
+      maxCrowdScore > 0 ? (movie.score || 0) / maxCrowdScore : 0
+    ]));
+    crowdPicks.forEach(movie => {
+      const matchesGenres = selectedKeys.length === 0
+        || (movie.genres || []).some(genre => selectedKeys.includes(normalizeGenre(genre)));
+      if (matchesGenres
+        && !candidates.some(candidate => candidate.tmdbId === movie.tmdbId)
+        && !violatesDealBreakers(movie, preferences.dealBreakers)
+        && movieConstraints.allows(movie, preferences.constraints)
+        && moodCatalog.fits(movie, preferences.moods)) {
+        candidates.push({ ...movie, source: 'crowd' });
+      }
+    });
+
+    const ranked = candidates
+      .map(movie => ({ movie, ...this.scoreCandidate(movie, profile, selectedKeys, crowdScores, preferences.moods) }))
+      .sort((a, b) => b.score - a.score);
+
+    const picks = [];
+    for (const { movie, factors } of ranked) {
+      if (picks.length >= count) break;
+
+      // Hydrate with full details (director, cast, runtime) from the catalog
+      const details = await searchMovieOnTMDB(null, null, movie.tmdbId);
+      if (!details) continue;
+
+      // Same hard-constraint and mood checks as the LLM picks
+      if ((await movieConstraints.verify(details, preferences.constraints)).length > 0) continue;
+      if (!moodCatalog.fits(details, preferences.moods)) continue;
+
+      // ...and the same onlyMyServices check
+      let whereToWatch;
+      if (preferences.streaming) {
+        const availability = await watchProviders.check(details, preferences.streaming);
+        if (!availability.available) continue;
+        whereToWatch = availability.whereToWatch;
+      }
+
+      const movieData = details.toObject ? details.toObject() : details;
+      picks.push({
+        ...movieData,
+        whereToWatch,
+        reason: this.buildReason({ ...movie, ...movieData }, factors, profile, preferences.moods)
+      });
+    }
+
+    return picks;
+  }
+}
+
+// Create singleton instance
+const fallbackRecommender = new FallbackRecommender();
+
+module.exports = fallbackRecommender;
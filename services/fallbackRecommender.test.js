@@ -0,0 +1,69 @@
+jest.mock('../models/Movie', () => ({ find: jest.fn() }));
+jest.mock('./movieCatalog', () => ({
+  ...jest.requireActual('./movieCatalog'),
+  searchMovieOnTMDB: jest.fn()
+}));
+
+const Movie = require('../models/Movie');
+const { searchMovieOnTMDB } = require('./movieCatalog');
+const tmdbCacheService = require('./tmdbCache');
+const fallbackRecommender = require('./fallbackRecommender');
+
+// Movie.find(...).sort().limit().select().lean() and .select().lean()
+const chain = (docs) => {
+  const query = { sort: () => query, limit: () => query, select: () => query, lean: async () => docs };
+  return query;
+};
+
+const docs = [
+  { tmdbId: 1, title: 'Heat', genres: ['Crime'], rating: 8.3, director: 'Michael Mann', cast: ['Al Pacino'] },
+  { tmdbId: 2, title: 'Collateral', genres: ['Crime', 'Thriller'], rating: 7.6, director: 'Michael Mann', cast: ['Tom Cruise'] },
+  { tmdbId: 3, title: 'Paddington 2', genres: ['Family', 'Comedy'], rating: 7.8, director: 'Paul King', cast: [] },
+  { tmdbId: 4, title: 'Hereditary', genres: ['Horror'], rating: 7.3, overview: 'A grieving family', director: 'Ari Aster', cast: [] },
+  { tmdbId: 5, title: 'Thief', genres: ['Crime'], rating: 7.4, director: 'Michael Mann', cast: [] }
+];
+
+const user = {
+  preferences: {
+    likedMovies: { crime: [{ tmdbId: 1, title: 'Heat', genres: ['Crime'] }] },
+    dislikedMovies: { horror: [{ tmdbId: 9, title: 'Saw', genres: ['Horror'] }] }
+  }
+};
+
+beforeEach(() => {
+  Movie.find.mockImplementation((query) => chain(query.tmdbId.$in
+    ? docs.filter(doc => query.tmdbId.$in.includes(doc.tmdbId))
+    : docs.filter(doc => !query.tmdbId.$nin.includes(doc.tmdbId))));
+  searchMovieOnTMDB.mockImplementation(async (title, year, tmdbId) => docs.find(doc => doc.tmdbId === tmdbId) || null);
+  jest.spyOn(tmdbCacheService, 'getPopularMovies').mockResolvedValue({ results: [] });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('fallbackRecommender.recommend', () => {
+  test('ranks by genre and director affinity and never repeats rated movies', async () => {
+    const picks = await fallbackRecommender.recommend(user, {}, { count: 2 });
+
+    expect(picks.map(movie => movie.title)).toEqual(['Thief', 'Collateral']);
+    expect(picks[0].reason).toMatch(/You enjoyed Heat/);
+    expect(picks[0].reason).toMatch(/directed by Michael Mann/);
+  });
+
+  test('honours excludeIds, selected genres and deal-breakers', async () => {
+    const byExclusion = await fallbackRecommender.recommend(user, {}, { count: 5, excludeIds: new Set([2]) });
+    expect(byExclusion.map(movie => movie.tmdbId)).not.toContain(2);
+
+    const family = await fallbackRecommender.recommend(user, { genres: ['Family'] }, { count: 5 });
+    expect(family.map(movie => movie.title)).toEqual(['Paddington 2']);
+
+    const noFamilies = await fallbackRecommender.recommend(user, { dealBreakers: ['family'] }, { count: 5 });
+    expect(noFamilies.map(movie => movie.title)).not.toEqual(expect.arrayContaining(['Paddington 2', 'Hereditary']));
+  });
+
+  test('skips candidates TMDB cannot hydrate', async () => {
+    searchMovieOnTMDB.mockImplementation(async (title, year, tmdbId) => (tmdbId === 5 ? null : docs.find(doc => doc.tmdbId === tmdbId)));
+
+    const [first] = await fallbackRecommender.recommend(user, {}, { count: 1 });
+    expect(first.title).toBe('Collateral');
+  });
+});
@@ -0,0 +1,277 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const collaborativeFiltering = require('./collaborativeFiltering');
+const watchDiary = require('./watchDiary');
+const { normalizeGenre } = require('./movieCatalog');
+const { analyzeGenrePreferences } = require('./prompts/helpers');
+
+const MAX_GROUP_SIZE = parseInt(process.env.MAX_GROUP_SIZE) || 8;
+const INVITE_PURPOSE = 'group-invite';
+
+class GroupRequestError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'GroupRequestError';
+    this.status = status;
+  }
+}
+
+// Genre map (Map or plain object) as a plain object of plain movie objects
+const toPlainGenreMap = (genreMap) => {
+  const entries = genreMap instanceof Map ? Array.from(genreMap.entries()) : Object.entries(genreMap || {});
+  return Object.fromEntries(entries.map(([genre, movies]) => [
+    genre,
+    (movies || []).map(movie => (movie.toObject ? movie.toObject() : { ...movie }))
+  ]));
+};
+
+const uniqueMovies = (genreMap) => {
+  const movies = new Map();
+  Object.values(genreMap).forEach(genreMovies => genreMovies.forEach(movie => movies.set(movie.tmdbId, movie)));
+  return Array.from(movies.values());
+};
+
+// Merges several users' taste into one recommendation request and explains
+// every pick per member. Members join with an invite token they generated for
+// themselves: their liked titles end up in the prompt and the explanations, so
+// knowing someone's user ID is not enough
+class GroupRecommendationService {
+  // Short-lived token a user can share so others may include their taste
+  // It carries no userId claim, so it can never pass as a login token
+  createInviteToken(user) {
+    const expiresIn = process.env.GROUP_INVITE_TTL || '24h';
+    const token = jwt.sign(
+      { inviterId: String(user._id), purpose: INVITE_PURPOSE },
+      process.env.JWT_SECRET,
+      { expiresIn }
+    );
+    return { inviteToken: token, expiresIn };
+  }
+
+  verifyInviteToken(token) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      if (decoded.purpose !== INVITE_PURPOSE || !decoded.inviterId) throw new Error('Wrong token purpose');
+      return decoded.inviterId;
+    } catch (error) {
+      throw new GroupRequestError('Invalid or expired invite token');
+    }
+  }
+
+  // The requesting user plus everyone who shared an invite token
+  // userIds may name the same members; an ID without a matching token is refused
+  async resolveMembers(host, { userIds = [], inviteTokens = [] } = {}) {
+    if (!Array.isArray(userIds) || !Array.isArray(inviteTokens)) {
+      throw new GroupRequestError('members and inviteTokens must be arrays');
+    }
+
+    const ids = new Set(inviteTokens.map(token => this.verifyInviteToken(token)));
+    const uninvited = Array.from(new Set(userIds.map(String)))
+      .filter(id => id !== String(host._id) && !ids.has(id));
+    if (uninvited.length > 0) {
+      throw new GroupRequestError(`Ask these members for an invite token: ${uninvited.join(', ')}`, 403);
+    }
+    ids.delete(String(host._id));
+
+    if (ids.size === 0) {
+      throw new GroupRequestError('Add at least one other member by invite token');
+    }
+    if (ids.size + 1 > MAX_GROUP_SIZE) {
+      throw new GroupRequestError(`A group can have at most ${MAX_GROUP_SIZE} members`);
+    }
+
+    const invalid = Array.from(ids).filter(id => !mongoose.Types.ObjectId.isValid(id));
+    if (invalid.length > 0) {
+      throw new GroupRequestError(`Invalid user ID: ${invalid.join(', ')}`);
+    }
+
+    const others = await User.find({ _id: { $in: Array.from(ids) } })
+      .select('name preferences recommendationHistory');
+    if (others.length !== ids.size) {
+      throw new GroupRequestError('One or more group members were not found', 404);
+    }
+
+    return [host, ...others];
+  }
+
+  // Per-member view used for the prompt and the explanations
+  describeMember(member) {
+    const likedMovies = toPlainGenreMap(member.preferences?.likedMovies);
+    const dislikedMovies = toPlainGenreMap(member.preferences?.dislikedMovies);
+    const liked = uniqueMovies(likedMovies);
+    const disliked = uniqueMovies(dislikedMovies);
+
+    return {
+      userId: String(member._id),
+      name: member.name,
+      likedMovies,
+      dislikedMovies,
+      topGenres: analyzeGenrePreferences({ likedMovies: liked, weighted: true }).slice(0, 3).map(g => g.genreId),
+      dislikedGenres: analyzeGenrePreferences({ likedMovies: disliked, weighted: true }).slice(0, 3).map(g => g.genreId),
+      exemplars: liked.slice(-3).reverse(),
+      liked,
+      dealBreakers: member.preferences?.dealBreakers || [],
+      historyIds: (member.recommendationHistory || []).map(rec => rec.movieId)
+    };
+  }
+
+  // Merge liked/disliked genre maps; a movie any member disliked is never "liked"
+  mergeGenreMaps(profiles) {
+    const dislikedIds = new Set();
+    profiles.forEach(profile => Object.values(profile.dislikedMovies)
+      .forEach(movies => movies.forEach(movie => dislikedIds.add(movie.tmdbId))));
+
+    const merge = (field, keep) => {
+      const merged = {};
+      profiles.forEach(profile => {
+        Object.entries(profile[field]).forEach(([genre, movies]) => {
+          const list = merged[genre] || (merged[genre] = []);
+          movies.forEach(movie => {
+            if (keep(movie) && !list.some(existing => existing.tmdbId === movie.tmdbId)) {
+              list.push(movie);
+            }
+          });
+        });
+      });
+      Object.keys(merged).forEach(genre => merged[genre].length === 0 && delete merged[genre]);
+      return merged;
+    };
+
+    return {
+      likedMovies: merge('likedMovies', movie => !dislikedIds.has(movie.tmdbId)),
+      dislikedMovies: merge('dislikedMovies', () => true),
+      dislikedIds
+    };
+  }
+
+  async buildGroup(host, { userIds, inviteTokens } = {}) {
+    const members = await this.resolveMembers(host, { userIds, inviteTokens });
+    return this.combineMembers(members);
+  }
+
+  // Merged taste, exclusions and crowd picks for already loaded members
+  async combineMembers(members) {
+    const profiles = members.map(member => this.describeMember(member));
+    const { likedMovies, dislikedMovies, dislikedIds } = this.mergeGenreMaps(profiles);
+
+    // Anything a member disliked, was already recommended or has seen is off the table
+    const excludeIds = new Set(dislikedIds);
+    profiles.forEach(profile => profile.historyIds.forEach(id => excludeIds.add(id)));
+    await Promise.all(members.map(async member => {
+      try {
+        (await watchDiary.seenIds(member._id)).forEach(id => excludeIds.add(id));
+      } catch (error) {
+        console.error(`Failed to load watch diary for group member ${member._id}:`, error.message);
+      }
+    }));
+
+    // Crowd picks from every member's neighbourhood, summed per movie
+    const crowdScores = new Map();
+    await Promise.all(members.map(async member => {
+      try {
+        const { movies } = await collaborativeFiltering.getCandidates(member._id, { limit: 20, excludeIds });
+        movies.forEach(movie => {
+          const existing = crowdScores.get(movie.tmdbId);
+          crowdScores.set(movie.tmdbId, existing
+            ? { ...existing, score: existing.score + (movie.score || 0) }
+            : { ...movie });
+        });
+      } catch (error) {
+        console.error(`Failed to load crowd picks for group member ${member._id}:`, error.message);
+      }
+    }));
+
+    return {
+      profiles,
+      excludeIds,
+      dealBreakers: Array.from(new Set(profiles.flatMap(profile => profile.dealBreakers))),
+      crowdPicks: Array.from(crowdScores.values()).sort((a, b) => b.score - a.score).slice(0, 10),
+      // Shape read by the fallback recommender's taste profile
+      preferences: { likedMovies, dislikedMovies }
+    };
+  }
+
+  // Session preferences with the merged group taste in place of the host's
+  applyToPreferences(preferences, group) {
+    const filterByGenres = (genreMap) => {
+      if (!preferences.genres?.length) return genreMap;
+      return Object.fromEntries(preferences.genres
+        .map(genre => genre.toLowerCase())
+        .filter(genre => genreMap[genre])
+        .map(genre => [genre, genreMap[genre]]));
+    };
+
+    return {
+      ...preferences,
+      likedMovies: filterByGenres(group.preferences.likedMovies),
+      dislikedMovies: filterByGenres(group.preferences.dislikedMovies),
+      dealBreakers: Array.from(new Set([...(preferences.dealBreakers || []), ...group.dealBreakers])),
+      crowdPicks: group.crowdPicks,
+      groupMembers: group.profiles.map(profile => ({
+        name: profile.name,
+        topGenres: profile.topGenres,
+        exemplars: profile.exemplars.map(movie => movie.title)
+      })),
+      group: {
+        members: group.profiles.map(({ userId, name }) => ({ userId, name })),
+        preferences: group.preferences
+      }
+    };
+  }
+
+  // How a pick serves one member, from their own ratings
+  explainForMember(pick, profile) {
+    const pickGenres = (pick.genres || []).map(normalizeGenre);
+    const likedGenres = profile.topGenres.map(normalizeGenre);
+    const shared = (pick.genres || []).filter(genre => likedGenres.includes(normalizeGenre(genre)));
+    const similar = profile.liked
+      .filter(movie => (movie.genres || []).some(genre => pickGenres.includes(normalizeGenre(genre))))
+      .slice(-2)
+      .map(movie => movie.title);
+    const avoided = profile.dislikedGenres.filter(genre => !pickGenres.includes(normalizeGenre(genre)));
+
+    if (profile.liked.length === 0) {
+      return {
+        userId: profile.userId,
+        name: profile.name,
+        fit: 'unknown',
+        explanation: `${profile.name} has not rated enough movies yet, so this pick leans on the rest of the group.`
+      };
+    }
+
+    if (shared.length > 0) {
+      return {
+        userId: profile.userId,
+        name: profile.name,
+        fit: 'strong',
+        explanation: similar.length > 0
+          ? `${profile.name} loves ${shared.join(' and ').toLowerCase()}, and it sits close to ${similar.join(' and ')}.`
+          : `${profile.name} loves ${shared.join(' and ').toLowerCase()}.`
+      };
+    }
+
+    return {
+      userId: profile.userId,
+      name: profile.name,
+      fit: similar.length > 0 ? 'partial' : 'neutral',
+      explanation: [
+        similar.length > 0
+          ? `It shares a genre with ${similar.join(' and ')}, which ${profile.name} liked.`
+          : `It is outside ${profile.name}'s usual genres.`,
+        avoided.length > 0
+          ? `It steers clear of ${avoided.join(' and ')}, which ${profile.name} tends to dislike.`
+          : null
+      ].filter(Boolean).join(' ')
+    };
+  }
+
+  explain(pick, group) {
+    return group.profiles.map(profile => this.explainForMember(pick, profile));
+  }
+}
+
+// Create singleton instance
+const groupRecommendation = new GroupRecommendationService();
+
+module.exports = groupRecommendation;
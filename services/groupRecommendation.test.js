@@ -0,0 +1,74 @@
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('../models/User', () => ({ find: jest.fn() }));
+
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const groupRecommendation = require('./groupRecommendation');
+
+const newUser = (name) => ({ _id: new mongoose.Types.ObjectId(), name });
+
+const host = newUser('Sam');
+const alex = newUser('Alex');
+const kim = newUser('Kim');
+
+const inviteOf = (user) => groupRecommendation.createInviteToken(user).inviteToken;
+
+// User.find(...).select(...) resolving to the given users
+const findReturns = (users) => User.find.mockReturnValue({ select: jest.fn().mockResolvedValue(users) });
+
+describe('groupRecommendation.resolveMembers', () => {
+  beforeEach(() => {
+    User.find.mockReset();
+  });
+
+  test('adds members who shared an invite token', async () => {
+    findReturns([alex, kim]);
+
+    const members = await groupRecommendation.resolveMembers(host, {
+      userIds: [String(alex._id)],
+      inviteTokens: [inviteOf(alex), inviteOf(kim)]
+    });
+
+    expect(members.map(member => member.name)).toEqual(['Sam', 'Alex', 'Kim']);
+    expect(User.find.mock.calls[0][0]._id.$in.sort()).toEqual([String(alex._id), String(kim._id)].sort());
+  });
+
+  test('refuses a user ID without a matching invite token', async () => {
+    await expect(groupRecommendation.resolveMembers(host, {
+      userIds: [String(alex._id), String(kim._id)],
+      inviteTokens: [inviteOf(alex)]
+    })).rejects.toMatchObject({ status: 403, message: expect.stringContaining(String(kim._id)) });
+    expect(User.find).not.toHaveBeenCalled();
+  });
+
+  test('refuses login tokens, foreign-secret tokens and expired invites', async () => {
+    const loginToken = jwt.sign({ userId: String(alex._id) }, process.env.JWT_SECRET);
+    const forged = jwt.sign({ inviterId: String(alex._id), purpose: 'group-invite' }, 'other-secret');
+    const expired = jwt.sign({ inviterId: String(alex._id), purpose: 'group-invite' }, process.env.JWT_SECRET, { expiresIn: -1 });
+
+    for (const token of [loginToken, forged, expired, 'not-a-token']) {
+      await expect(groupRecommendation.resolveMembers(host, { inviteTokens: [token] }))
+        .rejects.toMatchObject({ name: 'GroupRequestError', message: 'Invalid or expired invite token' });
+    }
+  });
+
+  test('needs at least one member besides the host', async () => {
+    await expect(groupRecommendation.resolveMembers(host, {
+      userIds: [String(host._id)],
+      inviteTokens: [inviteOf(host)]
+    })).rejects.toThrow('Add at least one other member by invite token');
+  });
+
+  test('reports invited members that no longer exist', async () => {
+    findReturns([]);
+    await expect(groupRecommendation.resolveMembers(host, { inviteTokens: [inviteOf(alex)] }))
+      .rejects.toMatchObject({ status: 404 });
+  });
+
+  test('rejects non-array input', async () => {
+    await expect(groupRecommendation.resolveMembers(host, { inviteTokens: 'abc' }))
+      .rejects.toThrow('members and inviteTokens must be arrays');
+  });
+});
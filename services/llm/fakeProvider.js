@@ -0,0 +1,112 @@
+const fs = require('fs');
+
+// Deterministic catalog used when no script is configured
+const DEFAULT_CATALOG = [
+  { title: 'The Shawshank Redemption', year: 1994, genre: 'Drama', rating: 8.7 },
+  { title: 'Spirited Away', year: 2001, genre: 'Animation', rating: 8.5 },
+  { title: 'Inception', year: 2010, genre: 'Science Fiction', rating: 8.4 },
+  { title: 'Parasite', year: 2019, genre: 'Thriller', rating: 8.5 },
+  { title: 'The Grand Budapest Hotel', year: 2014, genre: 'Comedy', rating: 8.0 },
+  { title: 'Mad Max: Fury Road', year: 2015, genre: 'Action', rating: 7.6 },
+  { title: 'Amélie', year: 2001, genre: 'Romance', rating: 7.9 },
+  { title: 'Alien', year: 1979, genre: 'Horror', rating: 8.2 },
+  { title: 'Knives Out', year: 2019, genre: 'Mystery', rating: 7.8 },
+  { title: 'Paddington 2', year: 2017, genre: 'Family', rating: 7.6 },
+  { title: 'Heat', year: 1995, genre: 'Crime', rating: 7.9 },
+  { title: 'Arrival', year: 2016, genre: 'Science Fiction', rating: 7.6 }
+];
+
+// In-process scripted provider for tests and offline development
+// script: array of responses (strings or objects, served in order and cycled)
+// or a function (messages, callIndex) => response
+class FakeLLMProvider {
+  constructor({ name = 'fake', model = 'fake-recommender', script, temperature = 0, maxTokens = 500 } = {}) {
+    this.name = name;
+    this.model = model;
+    this.temperature = temperature;
+    this.maxTokens = maxTokens;
+    this.script = script || null;
+    this.calls = [];
+  }
+
+  // Load a JSON array script from disk (LLM_FAKE_SCRIPT)
+  static fromFile(filePath, options = {}) {
+    const script = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return new FakeLLMProvider({ ...options, script });
+  }
+
+  setScript(script) {
+    this.script = script;
+    this.calls = [];
+  }
+
+  async complete({ messages, onToken, signal }) {
+    if (signal?.aborted) {
+      const error = new Error('Request aborted');
+      error.name = 'AbortError';
+      throw error;
+    }
+
+    const callIndex = this.calls.length;
+    this.calls.push({ messages });
+
+    let response;
+    if (typeof this.script === 'function') {
+      response = await this.script(messages, callIndex);
+    } else if (Array.isArray(this.script) && this.script.length > 0) {
+      response = this.script[callIndex % this.script.length];
+    } else {
+      response = this.defaultResponse(messages);
+    }
+
+    const content = typeof response === 'string' ? response : JSON.stringify(response);
+
+    if (onToken) {
+      // Emit in small chunks so streaming consumers behave as with a real model
+      for (let i = 0; i < content.length; i += 16) {
+        onToken(content.slice(i, i + 16));
+      }
+    }
+
+    return {
+      content,
+      model: this.model,
+      usage: {
+        promptTokens: Math.ceil(messages.reduce((sum, m) => sum + (m.content || '').length, 0) / 4),
+        completionTokens: Math.ceil(content.length / 4)
+      }
+    };
+  }
+
+  // Pick listed candidates first, else catalog titles the prompt does not mention
+  defaultResponse(messages) {
+    const prompt = messages.map(m => m.content || '').join('\n');
+    const countMatch = prompt.match(/Recommend (\d+) different movies/);
+    const count = countMatch ? parseInt(countMatch[1]) : 1;
+
+    const listed = Array.from(prompt.matchAll(/^- tmdbId (\d+): (.+?) \((\d{4}|n\/a)\)(?: \| ([^|\n]+))?/gm));
+    if (listed.length > 0) {
+      const picks = listed.slice(0, count).map(([, tmdbId, title, year, genres]) => ({
+        tmdbId: parseInt(tmdbId),
+        title,
+        year: year === 'n/a' ? null : parseInt(year),
+        genre: genres ? genres.split(',')[0].trim() : null,
+        rating: null,
+        reason: `${title} stands out among the candidates for the requested preferences.`
+      }));
+      return count > 1 ? { recommendations: picks } : picks[0];
+    }
+
+    const picks = DEFAULT_CATALOG
+      .filter(movie => !prompt.includes(movie.title))
+      .slice(0, count)
+      .map(movie => ({
+        ...movie,
+        reason: `${movie.title} is a widely loved ${movie.genre.toLowerCase()} pick that fits the requested preferences.`
+      }));
+
+    return count > 1 ? { recommendations: picks } : (picks[0] || {});
+  }
+}
+
+module.exports = FakeLLMProvider;
@@ -0,0 +1,62 @@
+const FakeLLMProvider = require('./fakeProvider');
+
+const ask = (content) => [{ role: 'system', content: 'You recommend movies.' }, { role: 'user', content }];
+
+describe('FakeLLMProvider', () => {
+  test('recommends a catalog title the prompt does not mention, deterministically', async () => {
+    const provider = new FakeLLMProvider();
+    const prompt = 'Recommend ONE movie. Liked: The Shawshank Redemption (1994)';
+    const first = await provider.complete({ messages: ask(prompt) });
+    const second = await provider.complete({ messages: ask(prompt) });
+
+    expect(JSON.parse(first.content)).toMatchObject({ title: 'Spirited Away', year: 2001, genre: 'Animation' });
+    expect(second.content).toBe(first.content);
+    expect(first.model).toBe('fake-recommender');
+    expect(first.usage.promptTokens).toBeGreaterThan(0);
+    expect(provider.calls).toHaveLength(2);
+  });
+
+  test('answers a batch prompt with the requested number of picks', async () => {
+    const { content } = await new FakeLLMProvider().complete({ messages: ask('Recommend 3 different movies ranked from best to weakest match.') });
+    expect(JSON.parse(content).recommendations).toHaveLength(3);
+  });
+
+  test('picks listed candidates by tmdbId in retrieval mode', async () => {
+    const prompt = [
+      'Recommend 2 different movies ranked from best to weakest match.',
+      '- tmdbId 949: Heat (1995) | Crime, Thriller',
+      '- tmdbId 8195: Ronin (1998) | Action'
+    ].join('\n');
+    const { content } = await new FakeLLMProvider().complete({ messages: ask(prompt) });
+
+    expect(JSON.parse(content).recommendations.map(({ tmdbId, genre }) => ({ tmdbId, genre })))
+      .toEqual([{ tmdbId: 949, genre: 'Crime' }, { tmdbId: 8195, genre: 'Action' }]);
+  });
+
+  test('serves a scripted array in order and cycles it', async () => {
+    const provider = new FakeLLMProvider({ script: ['first', { title: 'second' }] });
+    const contents = [];
+    for (let i = 0; i < 3; i++) contents.push((await provider.complete({ messages: ask('x') })).content);
+
+    expect(contents).toEqual(['first', '{"title":"second"}', 'first']);
+  });
+
+  test('streams the answer to onToken in chunks', async () => {
+    const chunks = [];
+    const { content } = await new FakeLLMProvider({ script: ['x'.repeat(40)] })
+      .complete({ messages: ask('x'), onToken: chunk => chunks.push(chunk) });
+
+    expect(chunks.length).toBe(3);
+    expect(chunks.join('')).toBe(content);
+  });
+
+  test('surfaces script errors and aborted requests to the caller', async () => {
+    const failing = new FakeLLMProvider({ script: () => { throw new Error('rate limited'); } });
+    await expect(failing.complete({ messages: ask('x') })).rejects.toThrow('rate limited');
+
+    const controller = new AbortController();
+    controller.abort();
+    await expect(new FakeLLMProvider().complete({ messages: ask('x'), signal: controller.signal }))
+      .rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
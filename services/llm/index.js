@@ -0,0 +1,87 @@
+const OpenAIProvider = require('./openaiProvider');
+const FakeLLMProvider = require('./fakeProvider');
+
+// Provider selection is driven by environment configuration:
+// LLM_PROVIDER     openai (default) | openai-compatible | fake
+// LLM_MODEL        model name sent to the provider
+// LLM_BASE_URL     endpoint for openai-compatible servers
+// LLM_API_KEY      falls back to OPENAI_API_KEY
+// LLM_TEMPERATURE  base temperature (raised on each retry by the caller)
+// LLM_MAX_TOKENS   completion budget for a single recommendation
+// LLM_TIMEOUT_MS   per-request timeout before the fallback recommender takes over
+// LLM_FAKE_SCRIPT  optional JSON file with scripted responses for the fake
+// LLM_STRUCTURED_OUTPUT  tools | json_schema | json_object | none
+//                  (defaults to tools for openai, none for compatible servers)
+const readConfig = () => ({
+  provider: (process.env.LLM_PROVIDER || 'openai').toLowerCase(),
+  model: process.env.LLM_MODEL,
+  baseURL: process.env.LLM_BASE_URL,
+  apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY,
+  temperature: process.env.LLM_TEMPERATURE !== undefined ? parseFloat(process.env.LLM_TEMPERATURE) : 0.7,
+  maxTokens: parseInt(process.env.LLM_MAX_TOKENS) || 500,
+  timeout: parseInt(process.env.LLM_TIMEOUT_MS) || 20000,
+  fakeScript: process.env.LLM_FAKE_SCRIPT,
+  structuredOutput: process.env.LLM_STRUCTURED_OUTPUT
+});
+
+const createLLMProvider = (config = readConfig()) => {
+  const { provider, model, baseURL, apiKey, temperature, maxTokens, timeout, fakeScript, structuredOutput } = config;
+
+  switch (provider) {
+    case 'openai':
+      return new OpenAIProvider({
+        name: 'openai',
+        apiKey,
+        baseURL,
+        model: model || 'gpt-3.5-turbo',
+        temperature,
+        maxTokens,
+        timeout,
+        structuredOutput: structuredOutput || 'tools'
+      });
+    case 'openai-compatible':
+      if (!baseURL) {
+        throw new Error('LLM_BASE_URL is required for the openai-compatible provider');
+      }
+      return new OpenAIProvider({
+        name: 'openai-compatible',
+        apiKey,
+        baseURL,
+        model: model || 'llama3',
+        temperature,
+        maxTokens,
+        timeout,
+        structuredOutput: structuredOutput || 'none'
+      });
+    case 'fake':
+      return fakeScript
+        ? FakeLLMProvider.fromFile(fakeScript, { model: model || 'fake-recommender', temperature, maxTokens })
+        : new FakeLLMProvider({ model: model || 'fake-recommender', temperature, maxTokens });
+    default:
+      throw new Error(`Unknown LLM_PROVIDER: ${provider}`);
+  }
+};
+
+let activeProvider = null;
+
+// Lazily create the configured provider so env changes in tests apply
+const getLLMProvider = () => {
+  if (!activeProvider) {
+    activeProvider = createLLMProvider();
+    console.log(`LLM provider: ${activeProvider.name} (${activeProvider.model})`);
+  }
+  return activeProvider;
+};
+
+// Swap the active provider, e.g. to inject a scripted fake in tests
+const setLLMProvider = (provider) => {
+  activeProvider = provider;
+};
+
+module.exports = {
+  createLLMProvider,
+  getLLMProvider,
+  setLLMProvider,
+  OpenAIProvider,
+  FakeLLMProvider
+};
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLLMProvider, getLLMProvider, setLLMProvider, OpenAIProvider, FakeLLMProvider } = require('./index');
+
+const ENV_KEYS = ['LLM_PROVIDER', 'LLM_MODEL', 'LLM_BASE_URL', 'LLM_FAKE_SCRIPT', 'LLM_TEMPERATURE', 'LLM_MAX_TOKENS'];
+const savedEnv = {};
+
+beforeEach(() => {
+  ENV_KEYS.forEach(key => {
+    savedEnv[key] = process.env[key];
+    delete process.env[key];
+  });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  ENV_KEYS.forEach(key => {
+    if (savedEnv[key] === undefined) delete process.env[key];
+    else process.env[key] = savedEnv[key];
+  });
+  setLLMProvider(null);
+  jest.restoreAllMocks();
+});
+
+describe('createLLMProvider', () => {
+  test('defaults to OpenAI with tool calling', () => {
+    const provider = createLLMProvider();
+
+    expect(provider).toBeInstanceOf(OpenAIProvider);
+    expect(provider).toMatchObject({ name: 'openai', model: 'gpt-3.5-turbo', structuredOutput: 'tools', temperature: 0.7, maxTokens: 500 });
+  });
+
+  test('selects an OpenAI-compatible endpoint without structured output', () => {
+    process.env.LLM_PROVIDER = 'OpenAI-Compatible';
+    process.env.LLM_BASE_URL = 'http://localhost:11434/v1';
+    process.env.LLM_TEMPERATURE = '0';
+
+    expect(createLLMProvider()).toMatchObject({ name: 'openai-compatible', model: 'llama3', structuredOutput: 'none', temperature: 0 });
+  });
+
+  test('selects the fake, scripted from LLM_FAKE_SCRIPT when set', async () => {
+    process.env.LLM_PROVIDER = 'fake';
+    expect(createLLMProvider()).toBeInstanceOf(FakeLLMProvider);
+
+    const scriptPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'llm-')), 'script.json');
+    fs.writeFileSync(scriptPath, JSON.stringify([{ title: 'Heat', year: 1995 }]));
+    process.env.LLM_FAKE_SCRIPT = scriptPath;
+    try {
+      const { content } = await createLLMProvider().complete({ messages: [] });
+      expect(JSON.parse(content)).toEqual({ title: 'Heat', year: 1995 });
+    } finally {
+      fs.rmSync(path.dirname(scriptPath), { recursive: true });
+    }
+  });
+
+  test('rejects unknown providers and a compatible provider without a base URL', () => {
+    expect(() => createLLMProvider({ provider: 'claude' })).toThrow('Unknown LLM_PROVIDER: claude');
+    expect(() => createLLMProvider({ provider: 'openai-compatible' })).toThrow(/LLM_BASE_URL/);
+  });
+});
+
+describe('getLLMProvider', () => {
+  test('creates the provider once and lets tests swap it', () => {
+    process.env.LLM_PROVIDER = 'fake';
+    const provider = getLLMProvider();
+    expect(getLLMProvider()).toBe(provider);
+
+    const scripted = new FakeLLMProvider({ script: ['{}'] });
+    setLLMProvider(scripted);
+    expect(getLLMProvider()).toBe(scripted);
+  });
+});
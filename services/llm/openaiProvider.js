@@ -0,0 +1,127 @@
+const OpenAI = require('openai');
+
+// Keywords OpenAI strict json_schema mode rejects; validation happens locally anyway
+const STRICT_UNSUPPORTED_KEYWORDS = ['minLength', 'maxLength', 'minimum', 'maximum', 'minItems', 'maxItems'];
+
+const toStrictSchema = (schema) => {
+  if (Array.isArray(schema)) return schema.map(toStrictSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+  return Object.fromEntries(
+    Object.entries(schema)
+      .filter(([key]) => !STRICT_UNSUPPORTED_KEYWORDS.includes(key))
+      .map(([key, value]) => [key, toStrictSchema(value)])
+  );
+};
+
+// Chat completion provider for OpenAI and any OpenAI-compatible endpoint
+// (Ollama, LM Studio, vLLM, llama.cpp server...) selected through baseURL
+// structuredOutput: tools | json_schema | json_object | none
+class OpenAIProvider {
+  constructor({ name = 'openai', apiKey, baseURL, model, temperature, maxTokens, timeout, structuredOutput = 'tools' }) {
+    this.name = name;
+    this.model = model;
+    this.temperature = temperature;
+    this.maxTokens = maxTokens;
+    this.structuredOutput = structuredOutput;
+    this.timeout = timeout;
+    this.client = new OpenAI({
+      // Local servers usually ignore the key but the SDK requires one
+      apiKey: apiKey || 'not-needed',
+      ...(baseURL ? { baseURL } : {})
+    });
+  }
+
+  // Ask for structured output in the configured way
+  // responseFormat: { name, description, schema }
+  applyResponseFormat(params, responseFormat) {
+    if (!responseFormat) return params;
+
+    switch (this.structuredOutput) {
+      case 'tools':
+        return {
+          ...params,
+          tools: [{
+            type: 'function',
+            function: {
+              name: responseFormat.name,
+              description: responseFormat.description,
+              parameters: responseFormat.schema
+            }
+          }],
+          tool_choice: { type: 'function', function: { name: responseFormat.name } }
+        };
+      case 'json_schema':
+        return {
+          ...params,
+          response_format: {
+            type: 'json_schema',
+            json_schema: {
+              name: responseFormat.name,
+              schema: toStrictSchema(responseFormat.schema),
+              strict: true
+            }
+          }
+        };
+      case 'json_object':
+        return { ...params, response_format: { type: 'json_object' } };
+      default:
+        return params;
+    }
+  }
+
+  // Returns { content, model, usage }; streams deltas to onToken when given
+  // With function calling the tool arguments are returned as content
+  async complete({ messages, temperature, maxTokens, responseFormat, onToken, signal }) {
+    const params = this.applyResponseFormat({
+      model: this.model,
+      messages,
+      max_tokens: maxTokens || this.maxTokens,
+      temperature: temperature ?? this.temperature
+    }, responseFormat);
+
+    if (!onToken) {
+      const completion = await this.client.chat.completions.create(params, { signal, timeout: this.timeout });
+      const message = completion.choices[0].message;
+      return {
+        content: message.tool_calls?.[0]?.function?.arguments || message.content || '',
+        model: completion.model || this.model,
+        usage: this.normalizeUsage(completion.usage)
+      };
+    }
+
+    const stream = await this.client.chat.completions.create({
+      ...params,
+      stream: true,
+      // Not every compatible server understands stream_options
+      ...(this.name === 'openai' ? { stream_options: { include_usage: true } } : {})
+    }, { signal, timeout: this.timeout });
+
+    let content = '';
+    let usage = null;
+    let model = this.model;
+
+    for await (const chunk of stream) {
+      if (chunk.model) model = chunk.model;
+      if (chunk.usage) usage = chunk.usage;
+
+      const choiceDelta = chunk.choices?.[0]?.delta;
+      const delta = choiceDelta?.tool_calls?.[0]?.function?.arguments || choiceDelta?.content;
+      if (delta) {
+        content += delta;
+        onToken(delta);
+      }
+    }
+
+    return { content, model, usage: this.normalizeUsage(usage) };
+  }
+
+  normalizeUsage(usage) {
+    if (!usage) return null;
+    return {
+      promptTokens: usage.prompt_tokens || 0,
+      completionTokens: usage.completion_tokens || 0
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,69 @@
+const OpenAIProvider = require('./openaiProvider');
+
+const responseFormat = {
+  name: 'recommend_movie',
+  description: 'One recommendation',
+  schema: { type: 'object', properties: { title: { type: 'string', minLength: 1 } } }
+};
+
+const withClient = (structuredOutput, create) => {
+  const provider = new OpenAIProvider({ apiKey: 'test', model: 'gpt-4o-mini', temperature: 0.7, maxTokens: 500, structuredOutput });
+  provider.client = { chat: { completions: { create } } };
+  return provider;
+};
+
+describe('OpenAIProvider', () => {
+  test('requests a forced tool call and returns its arguments as content', async () => {
+    const create = jest.fn().mockResolvedValue({
+      model: 'gpt-4o-mini-2024',
+      choices: [{ message: { content: null, tool_calls: [{ function: { arguments: '{"title":"Heat"}' } }] } }],
+      usage: { prompt_tokens: 120, completion_tokens: 30 }
+    });
+
+    const result = await withClient('tools', create).complete({ messages: [], responseFormat });
+
+    expect(create.mock.calls[0][0]).toMatchObject({
+      model: 'gpt-4o-mini',
+      max_tokens: 500,
+      temperature: 0.7,
+      tool_choice: { type: 'function', function: { name: 'recommend_movie' } }
+    });
+    expect(result).toEqual({ content: '{"title":"Heat"}', model: 'gpt-4o-mini-2024', usage: { promptTokens: 120, completionTokens: 30 } });
+  });
+
+  test('strips keywords strict json_schema mode rejects', () => {
+    const params = withClient('json_schema').applyResponseFormat({}, responseFormat);
+    expect(params.response_format.json_schema).toEqual({
+      name: 'recommend_movie',
+      schema: { type: 'object', properties: { title: { type: 'string' } } },
+      strict: true
+    });
+  });
+
+  test('streams content deltas and reads usage from the last chunk', async () => {
+    async function* chunks() {
+      yield { model: 'gpt-4o-mini', choices: [{ delta: { content: '{"title":' } }] };
+      yield { choices: [{ delta: { content: '"Heat"}' } }] };
+      yield { choices: [], usage: { prompt_tokens: 10, completion_tokens: 4 } };
+    }
+    const create = jest.fn().mockResolvedValue(chunks());
+    const tokens = [];
+
+    const result = await withClient('none', create).complete({ messages: [], onToken: token => tokens.push(token) });
+
+    expect(create.mock.calls[0][0]).toMatchObject({ stream: true, stream_options: { include_usage: true } });
+    expect(tokens).toEqual(['{"title":', '"Heat"}']);
+    expect(result).toEqual({ content: '{"title":"Heat"}', model: 'gpt-4o-mini', usage: { promptTokens: 10, completionTokens: 4 } });
+  });
+
+  test('passes the abort signal and timeout through and rethrows SDK errors', async () => {
+    const error = Object.assign(new Error('Request timed out.'), { name: 'APIConnectionTimeoutError' });
+    const create = jest.fn().mockRejectedValue(error);
+    const provider = withClient('none', create);
+    provider.timeout = 20000;
+    const signal = new AbortController().signal;
+
+    await expect(provider.complete({ messages: [], signal })).rejects.toBe(error);
+    expect(create.mock.calls[0][1]).toEqual({ signal, timeout: 20000 });
+  });
+});
@@ -0,0 +1,208 @@
+const mongoose = require('mongoose');
+const LlmUsage = require('../models/LlmUsage');
+const User = require('../models/User');
+
+// USD per million prompt/completion tokens; the longest matching prefix wins,
+// so dated snapshots such as gpt-4o-mini-2024-07-18 use the gpt-4o-mini price
+const DEFAULT_PRICES = {
+  'gpt-3.5-turbo': { prompt: 0.5, completion: 1.5 },
+  'gpt-4': { prompt: 30, completion: 60 },
+  'gpt-4-turbo': { prompt: 10, completion: 30 },
+  'gpt-4o': { prompt: 2.5, completion: 10 },
+  'gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+  'gpt-4.1': { prompt: 2, completion: 8 },
+  'gpt-4.1-mini': { prompt: 0.4, completion: 1.6 },
+  'gpt-4.1-nano': { prompt: 0.1, completion: 0.4 },
+  'fake-recommender': { prompt: 0, completion: 0 }
+};
+
+// Parse "gpt-4o-mini:0.15/0.6,llama3:0/0" into { model: { prompt, completion } }
+const parsePrices = (spec) => Object.fromEntries((spec || '')
+  .split(',')
+  .map(part => part.trim())
+  .filter(Boolean)
+  .map(part => {
+    const separator = part.lastIndexOf(':');
+    const [prompt, completion] = part.slice(separator + 1).split('/').map(value => parseFloat(value));
+    return [part.slice(0, separator).trim(), { prompt, completion: completion ?? prompt }];
+  })
+  .filter(([model, price]) => model && Number.isFinite(price.prompt) && Number.isFinite(price.completion)));
+
+// Usage accounting configuration:
+// LLM_PRICES                  price overrides/additions, USD per 1M tokens as "model:prompt/completion,..."
+// LLM_DEFAULT_PRICE           price for models missing from the table, e.g. "1/2"
+//                             (default: the dearest table price, so an unpriced model cannot slip past the ceiling)
+// LLM_MONTHLY_COST_LIMIT_USD  per-user monthly ceiling; unset or 0 means unlimited
+const PRICES = { ...DEFAULT_PRICES, ...parsePrices(process.env.LLM_PRICES) };
+const CONSERVATIVE_PRICE = { prompt: 30, completion: 60 };
+const DEFAULT_PRICE = parsePrices(`default:${process.env.LLM_DEFAULT_PRICE}`).default || CONSERVATIVE_PRICE;
+const MONTHLY_COST_LIMIT = parseFloat(process.env.LLM_MONTHLY_COST_LIMIT_USD) || 0;
+
+const dayOf = (date = new Date()) => date.toISOString().slice(0, 10);
+const monthStart = (date = new Date()) => `${dayOf(date).slice(0, 7)}-01`;
+const roundCost = (cost) => Math.round(cost * 1e6) / 1e6;
+
+// Records the tokens every completion spends, prices them, and enforces the
+// per-user monthly cost ceiling
+class LlmUsageService {
+  constructor() {
+    this.prices = PRICES;
+    this.unpricedModels = new Set();
+  }
+
+  priceFor(model) {
+    const name = String(model || '').toLowerCase();
+    const match = Object.keys(this.prices)
+      .filter(key => name === key || name.startsWith(`${key}-`))
+      .sort((a, b) => b.length - a.length)[0];
+
+    if (!match) {
+      if (!this.unpricedModels.has(name)) {
+        this.unpricedModels.add(name);
+        console.warn(`No price configured for LLM model "${model}", using LLM_DEFAULT_PRICE`);
+      }
+      return DEFAULT_PRICE;
+    }
+    return this.prices[match];
+  }
+
+  cost(model, { promptTokens = 0, completionTokens = 0 }) {
+    const price = this.priceFor(model);
+    return roundCost((promptTokens * price.prompt + completionTokens * price.completion) / 1e6);
+  }
+
+  // Add one completion to the user's daily total
+  // usage: { promptTokens, completionTokens, estimated }
+  async record(userId, model, usage) {
+    const cost = this.cost(model, usage);
+    await LlmUsage.updateOne(
+      { user: userId, day: dayOf(), model },
+      {
+        $inc: {
+          completions: 1,
+          promptTokens: usage.promptTokens || 0,
+          completionTokens: usage.completionTokens || 0,
+          estimatedCompletions: usage.estimated ? 1 : 0,
+          cost
+        }
+      },
+      { upsert: true }
+    );
+    return cost;
+  }
+
+  // The user's ceiling: their own override, else LLM_MONTHLY_COST_LIMIT_USD (0 = none)
+  limitFor(user) {
+    const override = user?.llmMonthlyCostLimit;
+    return override !== undefined && override !== null ? override : MONTHLY_COST_LIMIT;
+  }
+
+  async monthlyCost(userId, date = new Date()) {
+    const [total] = await LlmUsage.aggregate([
+      { $match: { user: new mongoose.Types.ObjectId(String(userId)), day: { $gte: monthStart(date) } } },
+      { $group: { _id: null, cost: { $sum: '$cost' } } }
+    ]);
+    return roundCost(total?.cost || 0);
+  }
+
+  // { limit, spent, remaining, exceeded, resetsAt }; limit null when unlimited
+  async checkBudget(user) {
+    const limit = this.limitFor(user);
+    const now = new Date();
+    const resetsAt = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+
+    if (!limit) {
+      return { limit: null, spent: null, remaining: null, exceeded: false, resetsAt };
+    }
+
+    const spent = await this.monthlyCost(user._id, now);
+    return {
+      limit,
+      spent,
+      remaining: roundCost(Math.max(0, limit - spent)),
+      exceeded: spent >= limit,
+      resetsAt
+    };
+  }
+
+  // Day range filter; from/to are YYYY-MM-DD and default to the current month
+  dayRange({ from, to } = {}) {
+    return { $gte: from || monthStart(), $lte: to || dayOf() };
+  }
+
+  // Totals per user for a date range, most expensive first
+  async summary({ from, to, limit = 50 } = {}) {
+    const day = this.dayRange({ from, to });
+    const [users, daily] = await Promise.all([
+      LlmUsage.aggregate([
+        { $match: { day } },
+        {
+          $group: {
+            _id: '$user',
+            completions: { $sum: '$completions' },
+            promptTokens: { $sum: '$promptTokens' },
+            completionTokens: { $sum: '$completionTokens' },
+            cost: { $sum: '$cost' },
+            models: { $addToSet: '$model' }
+          }
+        },
+        { $sort: { cost: -1 } },
+        { $limit: limit }
+      ]),
+      LlmUsage.aggregate([
+        { $match: { day } },
+        {
+          $group: {
+            _id: '$day',
+            completions: { $sum: '$completions' },
+            promptTokens: { $sum: '$promptTokens' },
+            completionTokens: { $sum: '$completionTokens' },
+            cost: { $sum: '$cost' }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ])
+    ]);
+
+    const profiles = await User.find({ _id: { $in: users.map(entry => entry._id) } })
+      .select('name email llmMonthlyCostLimit')
+      .lean();
+    const byId = new Map(profiles.map(profile => [profile._id.toString(), profile]));
+
+    return {
+      from: day.$gte,
+      to: day.$lte,
+      defaultMonthlyLimit: MONTHLY_COST_LIMIT || null,
+      totalCost: roundCost(daily.reduce((sum, entry) => sum + entry.cost, 0)),
+      users: users.map(({ _id, cost, ...totals }) => ({
+        userId: _id,
+        name: byId.get(_id.toString())?.name || null,
+        email: byId.get(_id.toString())?.email || null,
+        ...totals,
+        cost: roundCost(cost)
+      })),
+      daily: daily.map(({ _id, cost, ...totals }) => ({ day: _id, ...totals, cost: roundCost(cost) }))
+    };
+  }
+
+  // Daily, per-model usage of one user plus their current budget
+  async userUsage(user, { from, to } = {}) {
+    const days = await LlmUsage.find({ user: user._id, day: this.dayRange({ from, to }) })
+      .sort({ day: 1, model: 1 })
+      .select('-_id day model completions promptTokens completionTokens estimatedCompletions cost')
+      .lean();
+
+    return {
+      userId: user._id,
+      name: user.name,
+      email: user.email,
+      budget: await this.checkBudget(user),
+      days
+    };
+  }
+}
+
+// Create singleton instance
+const llmUsage = new LlmUsageService();
+
+module.exports = llmUsage;
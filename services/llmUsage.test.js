@@ -0,0 +1,59 @@
+jest.mock('../models/LlmUsage', () => ({ updateOne: jest.fn(), aggregate: jest.fn() }));
+
+const mongoose = require('mongoose');
+const LlmUsage = require('../models/LlmUsage');
+const llmUsage = require('./llmUsage');
+
+const user = { _id: new mongoose.Types.ObjectId(), llmMonthlyCostLimit: 1 };
+
+beforeEach(() => {
+  LlmUsage.updateOne.mockReset();
+  LlmUsage.aggregate.mockReset();
+});
+
+describe('llmUsage.cost', () => {
+  test('prices tokens per million by the longest matching model prefix', () => {
+    const usage = { promptTokens: 1000000, completionTokens: 1000000 };
+    expect(llmUsage.cost('gpt-4o-mini-2024-07-18', usage)).toBe(0.75);
+    expect(llmUsage.cost('gpt-4o', usage)).toBe(12.5);
+  });
+
+  test('prices unknown models at the dearest rate, never as free', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(llmUsage.cost('mystery-model', { promptTokens: 1000, completionTokens: 1000 })).toBe(0.09);
+    jest.restoreAllMocks();
+  });
+});
+
+describe('llmUsage.checkBudget', () => {
+  test('is exceeded once the month\'s spend reaches the ceiling', async () => {
+    LlmUsage.aggregate.mockResolvedValue([{ cost: 0.4 }]);
+    expect(await llmUsage.checkBudget(user)).toMatchObject({ limit: 1, spent: 0.4, remaining: 0.6, exceeded: false });
+
+    LlmUsage.aggregate.mockResolvedValue([{ cost: 1 }]);
+    expect(await llmUsage.checkBudget(user)).toMatchObject({ remaining: 0, exceeded: true });
+  });
+
+  test('sums the current month only', async () => {
+    LlmUsage.aggregate.mockResolvedValue([]);
+    await llmUsage.monthlyCost(user._id, new Date('2026-10-19T12:00:00Z'));
+    expect(LlmUsage.aggregate.mock.calls[0][0][0].$match.day).toEqual({ $gte: '2026-10-01' });
+  });
+
+  test('a per-user limit of 0 means unlimited', async () => {
+    expect(await llmUsage.checkBudget({ ...user, llmMonthlyCostLimit: 0 })).toMatchObject({ limit: null, exceeded: false });
+    expect(LlmUsage.aggregate).not.toHaveBeenCalled();
+  });
+});
+
+describe('llmUsage.record', () => {
+  test('adds the completion to the user\'s daily total for the model', async () => {
+    const cost = await llmUsage.record(user._id, 'gpt-4o-mini', { promptTokens: 2000, completionTokens: 500, estimated: true });
+
+    expect(cost).toBe(0.0006);
+    const [filter, update, options] = LlmUsage.updateOne.mock.calls[0];
+    expect(filter).toMatchObject({ user: user._id, model: 'gpt-4o-mini' });
+    expect(update.$inc).toEqual({ completions: 1, promptTokens: 2000, completionTokens: 500, estimatedCompletions: 1, cost: 0.0006 });
+    expect(options).toEqual({ upsert: true });
+  });
+});
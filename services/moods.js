@@ -0,0 +1,311 @@
+const redisManager = require('../config/redis');
+const tmdbCacheService = require('./tmdbCache');
+const { normalizeGenre, GENRE_KEY_TO_ID } = require('./movieCatalog');
+
+const MAX_MOODS = 3;
+
+// Resolved keyword IDs are shared by every instance through one Redis hash;
+// bump the version when a curated keyword name is replaced or the matching
+// rule changes, so IDs resolved for the old names are not reused
+const KEYWORD_CACHE_VERSION = 1;
+
+// A pick conflicts with a mood when its genres average below this weight,
+// e.g. a horror thriller for "cozy" or a slapstick comedy for "dark"
+const CONFLICT_THRESHOLD = -0.25;
+
+// Curated moods. Each one maps to:
+// - keywords: TMDB keyword names, resolved once to keyword IDs through /search/keyword
+// - genres: normalized genre key -> weight in [-1, 1]; negative weights clash with the mood
+// - pacing / runtime: soft hints for the prompt and the ranking, never hard limits
+const MOODS = [
+  {
+    id: 'cozy',
+    label: 'Cozy',
+    description: 'warm, comforting and low-stakes',
+    aliases: ['comforting', 'comfy', 'warm', 'relaxed', 'chill'],
+    keywords: ['friendship', 'small town', 'christmas', 'family relationships'],
+    genres: { comedy: 1, family: 1, animation: 0.6, romance: 0.6, horror: -1, war: -1, thriller: -0.6, crime: -0.4 },
+    pacing: 'gentle',
+    runtime: { max: 120 }
+  },
+  {
+    id: 'feel-good',
+    label: 'Feel-good',
+    description: 'uplifting and leaves you happy',
+    aliases: ['happy', 'uplifting', 'cheerful', 'heartwarming', 'feelgood'],
+    keywords: ['feel-good', 'underdog', 'sports', 'friendship'],
+    genres: { comedy: 1, family: 0.8, music: 0.6, animation: 0.5, romance: 0.5, horror: -1, war: -1 },
+    pacing: 'upbeat'
+  },
+  {
+    id: 'funny',
+    label: 'Funny',
+    description: 'laugh-out-loud comedy',
+    aliases: ['comedic', 'hilarious', 'silly', 'lighthearted'],
+    keywords: ['parody', 'satire', 'slapstick comedy'],
+    genres: { comedy: 1, animation: 0.4, family: 0.3, horror: -0.6, war: -0.8, history: -0.4 },
+    pacing: 'brisk',
+    runtime: { max: 115 }
+  },
+  {
+    id: 'romantic',
+    label: 'Romantic',
+    description: 'love stories with chemistry',
+    aliases: ['romance', 'date night', 'love'],
+    keywords: ['love', 'romantic comedy', 'first love'],
+    genres: { romance: 1, comedy: 0.5, drama: 0.5, music: 0.3, horror: -1, war: -0.6 },
+    pacing: 'unhurried'
+  },
+  {
+    id: 'tense',
+    label: 'Tense',
+    description: 'edge-of-your-seat suspense',
+    aliases: ['suspenseful', 'gripping', 'nail-biting', 'intense'],
+    keywords: ['suspense', 'hostage', 'survival', 'cat and mouse'],
+    genres: { thriller: 1, crime: 0.7, mystery: 0.6, action: 0.5, horror: 0.4, family: -1, animation: -0.8, romance: -0.5, music: -0.5 },
+    pacing: 'fast'
+  },
+  {
+    id: 'scary',
+    label: 'Scary',
+    description: 'frights and dread',
+    aliases: ['spooky', 'creepy', 'horror', 'frightening'],
+    keywords: ['supernatural', 'haunted house', 'slasher', 'possession'],
+    genres: { horror: 1, thriller: 0.6, mystery: 0.4, family: -1, animation: -0.6, romance: -0.4, music: -0.6 },
+    pacing: 'slow-burn building to shocks',
+    runtime: { max: 120 }
+  },
+  {
+    id: 'mind-bending',
+    label: 'Mind-bending',
+    description: 'twisty, puzzle-box plots that reward attention',
+    aliases: ['mindbending', 'twisty', 'cerebral', 'trippy', 'surreal'],
+    keywords: ['time travel', 'parallel world', 'plot twist', 'dream', 'nonlinear timeline'],
+    genres: { sciencefiction: 1, mystery: 0.8, thriller: 0.6, fantasy: 0.4, family: -0.8, romance: -0.3 },
+    pacing: 'deliberate'
+  },
+  {
+    id: 'dark',
+    label: 'Dark',
+    description: 'bleak, morally grey stories',
+    aliases: ['gritty', 'bleak', 'grim', 'noir'],
+    keywords: ['neo-noir', 'revenge', 'serial killer', 'moral ambiguity'],
+    genres: { crime: 1, thriller: 0.8, drama: 0.6, horror: 0.6, war: 0.4, family: -1, animation: -0.8, comedy: -0.4, music: -0.6 },
+    pacing: 'deliberate'
+  },
+  {
+    id: 'thoughtful',
+    label: 'Thoughtful',
+    description: 'character-driven stories that stay with you',
+    aliases: ['reflective', 'moving', 'emotional', 'deep'],
+    keywords: ['character study', 'based on true story', 'philosophy'],
+    genres: { drama: 1, history: 0.6, documentary: 0.6, romance: 0.3, action: -0.4, animation: -0.3 },
+    pacing: 'slow'
+  },
+  {
+    id: 'adrenaline',
+    label: 'Adrenaline',
+    description: 'action-packed thrills',
+    aliases: ['action-packed', 'exciting', 'thrilling', 'pumped'],
+    keywords: ['heist', 'car chase', 'martial arts', 'explosion'],
+    genres: { action: 1, adventure: 0.8, thriller: 0.6, sciencefiction: 0.4, documentary: -0.8, romance: -0.4, music: -0.4 },
+    pacing: 'fast'
+  },
+  {
+    id: 'whimsical',
+    label: 'Whimsical',
+    description: 'playful and imaginative',
+    aliases: ['magical', 'quirky', 'playful', 'fairytale'],
+    keywords: ['magic', 'fairy tale', 'talking animal'],
+    genres: { fantasy: 1, animation: 0.8, family: 0.8, adventure: 0.6, comedy: 0.5, horror: -1, war: -1, crime: -0.6 },
+    pacing: 'lively'
+  },
+  {
+    id: 'epic',
+    label: 'Epic',
+    description: 'sweeping, large-scale adventures',
+    aliases: ['grand', 'sweeping', 'blockbuster'],
+    keywords: ['epic', 'battle', 'kingdom'],
+    genres: { adventure: 1, history: 0.8, war: 0.7, fantasy: 0.7, action: 0.5, sciencefiction: 0.4, comedy: -0.4, romance: -0.2 },
+    pacing: 'sweeping',
+    runtime: { min: 130 }
+  },
+  {
+    id: 'nostalgic',
+    label: 'Nostalgic',
+    description: 'coming-of-age classics and crowd-pleasers',
+    aliases: ['retro', 'throwback', 'classic'],
+    keywords: ['coming of age', 'nostalgia', '1980s'],
+    genres: { adventure: 0.6, comedy: 0.6, family: 0.5, drama: 0.3, horror: -0.4 },
+    pacing: 'easygoing'
+  }
+];
+
+const aliasKey = (value) => String(value || '').toLowerCase().replace(/[^a-z]/g, '');
+
+// Mood id, label or alias -> mood
+const LOOKUP = new Map(MOODS.flatMap(mood =>
+  [mood.id, mood.label, ...mood.aliases].map(name => [aliasKey(name), mood])
+));
+
+const describeRuntime = ({ min, max } = {}) => {
+  if (min && max) return `${min}-${max} minutes`;
+  if (max) return `ideally under ${max} minutes`;
+  if (min) return `fine to run ${min}+ minutes`;
+  return null;
+};
+
+// Curated mood taxonomy: validates the moods of a request, turns them into
+// TMDB keyword and genre signals for retrieval, steers the prompt and checks
+// that a pick does not clash with the requested mood
+class MoodCatalogService {
+  constructor() {
+    this.moods = MOODS;
+    // Keyword name -> TMDB keyword ID (null when TMDB has no exact match)
+    this.keywordIds = new Map();
+    this.keywordIdsLoaded = null;
+    this.keywordCacheKey = redisManager.constructor.keys.moodKeywordIds(KEYWORD_CACHE_VERSION);
+  }
+
+  get(id) {
+    return this.moods.find(mood => mood.id === id) || null;
+  }
+
+  // Validate the moods of a request body (array or comma-separated string)
+  // Returns { moods } with canonical mood ids, or { error }
+  parse(input) {
+    if (input === undefined || input === null || input === '') return { moods: [] };
+
+    const values = typeof input === 'string' ? input.split(',') : input;
+    if (!Array.isArray(values) || values.some(value => typeof value !== 'string')) {
+      return { error: 'moods must be an array of mood names' };
+    }
+
+    const moods = [];
+    for (const value of values.map(value => value.trim()).filter(Boolean)) {
+      const mood = LOOKUP.get(aliasKey(value));
+      if (!mood) {
+        return { error: `Unknown mood "${value}". Valid moods: ${this.moods.map(m => m.id).join(', ')}` };
+      }
+      if (!moods.includes(mood.id)) moods.push(mood.id);
+    }
+
+    if (moods.length > MAX_MOODS) {
+      return { error: `Choose at most ${MAX_MOODS} moods` };
+    }
+    return { moods };
+  }
+
+  // IDs other instances already resolved, read once per process
+  loadKeywordIds() {
+    if (!this.keywordIdsLoaded) {
+      this.keywordIdsLoaded = redisManager.hGetAll(this.keywordCacheKey).then(cached => {
+        Object.entries(cached).forEach(([name, id]) => {
+          if (!this.keywordIds.has(name)) this.keywordIds.set(name, id);
+        });
+      });
+    }
+    return this.keywordIdsLoaded;
+  }
+
+  // Resolve a keyword name to its TMDB ID by exact (case-insensitive) name match
+  // Searched on TMDB only when no instance has resolved it under this version
+  async resolveKeyword(name) {
+    await this.loadKeywordIds();
+    if (this.keywordIds.has(name)) return this.keywordIds.get(name);
+
+    try {
+      const data = await tmdbCacheService.searchKeyword(name);
+      const match = (data?.results || []).find(result => result.name.toLowerCase() === name.toLowerCase());
+      const id = match ? match.id : null;
+      this.keywordIds.set(name, id);
+      await redisManager.hSet(this.keywordCacheKey, name, id, redisManager.constructor.TTL.MOOD_KEYWORD_IDS);
+      return id;
+    } catch (error) {
+      // Not memoized so the next request retries
+      return null;
+    }
+  }
+
+  // TMDB keyword IDs for a set of moods, unresolvable names dropped
+  async keywordIdsFor(moodIds = []) {
+    const names = Array.from(new Set(moodIds.flatMap(id => this.get(id)?.keywords || [])));
+    const ids = await Promise.all(names.map(name => this.resolveKeyword(name)));
+    return Array.from(new Set(ids.filter(Boolean)));
+  }
+
+  // The public catalog with keyword names resolved to TMDB IDs
+  async list() {
+    return Promise.all(this.moods.map(async ({ aliases, keywords, ...mood }) => ({
+      ...mood,
+      aliases,
+      keywords: await Promise.all(keywords.map(async name => ({ id: await this.resolveKeyword(name), name })))
+    })));
+  }
+
+  // Average genre weight of a movie for one mood, in [-1, 1]; 0 without known genres
+  fit(movie, moodId) {
+    const mood = this.get(moodId);
+    const genreKeys = (movie.genres || []).map(normalizeGenre);
+    if (!mood || genreKeys.length === 0) return 0;
+    return genreKeys.reduce((sum, key) => sum + (mood.genres[key] || 0), 0) / genreKeys.length;
+  }
+
+  // Ranking signal for candidates: mean genre fit plus a small runtime nudge
+  score(movie, moodIds = []) {
+    if (!moodIds?.length) return 0;
+
+    const total = moodIds.reduce((sum, id) => {
+      const runtime = this.get(id)?.runtime;
+      let runtimeFit = 0;
+      if (runtime && movie.runtime) {
+        const tooLong = runtime.max && movie.runtime > runtime.max;
+        const tooShort = runtime.min && movie.runtime < runtime.min;
+        runtimeFit = tooLong || tooShort ? -0.25 : 0.25;
+      }
+      return sum + this.fit(movie, id) + runtimeFit;
+    }, 0);
+    return Math.round((total / moodIds.length) * 1000) / 1000;
+  }
+
+  // Moods a pick clashes with, as { constraint: 'mood', limit, actual } like
+  // movieConstraints violations so they can be reported the same way
+  // Judged on the mean fit, so "romantic but dark" can still take a crime romance
+  conflicts(movie, moodIds = []) {
+    if (!moodIds?.length) return [];
+    const fits = moodIds.map(id => [id, this.fit(movie, id)]);
+    const mean = fits.reduce((sum, [, fit]) => sum + fit, 0) / fits.length;
+    if (mean >= CONFLICT_THRESHOLD) return [];
+
+    return fits
+      .filter(([, fit]) => fit < 0)
+      .map(([id]) => ({ constraint: 'mood', limit: id, actual: (movie.genres || []).join(', ') || null }));
+  }
+
+  fits(movie, moodIds) {
+    return this.conflicts(movie, moodIds).length === 0;
+  }
+
+  // TMDB genre IDs every selected mood strongly clashes with (weight -1)
+  clashingGenreIds(moodIds = []) {
+    if (!moodIds?.length) return [];
+    return Object.entries(GENRE_KEY_TO_ID)
+      .filter(([key]) => moodIds.every(id => this.get(id)?.genres[key] <= -1))
+      .map(([, genreId]) => genreId);
+  }
+
+  // Prompt description, e.g. "cozy (warm, comforting and low-stakes; gentle pacing; ideally under 120 minutes)"
+  describe(moodIds = []) {
+    return (moodIds || []).map(id => {
+      const mood = this.get(id);
+      if (!mood) return id;
+      const hints = [mood.description, mood.pacing && `${mood.pacing} pacing`, describeRuntime(mood.runtime)];
+      return `${mood.id} (${hints.filter(Boolean).join('; ')})`;
+    }).join(', ');
+  }
+}
+
+// Create singleton instance
+const moodCatalog = new MoodCatalogService();
+
+module.exports = moodCatalog;
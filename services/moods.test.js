@@ -0,0 +1,86 @@
+const redisManager = require('../config/redis');
+const tmdbCacheService = require('./tmdbCache');
+const moodCatalog = require('./moods');
+const { createFakeRedisClient } = require('../test/fakeRedisClient');
+
+describe('moodCatalog.parse', () => {
+  test('returns no moods for an empty request', () => {
+    expect(moodCatalog.parse(undefined)).toEqual({ moods: [] });
+    expect(moodCatalog.parse('')).toEqual({ moods: [] });
+  });
+
+  test('maps ids, labels and aliases to canonical ids without duplicates', () => {
+    expect(moodCatalog.parse(['Cozy', 'comfy', 'hilarious'])).toEqual({ moods: ['cozy', 'funny'] });
+  });
+
+  test('accepts a comma-separated string', () => {
+    expect(moodCatalog.parse('dark, tense')).toEqual({ moods: ['dark', 'tense'] });
+  });
+
+  test('rejects unknown moods and lists the valid ones', () => {
+    const { error } = moodCatalog.parse(['cozy', 'sleepy']);
+    expect(error).toMatch(/Unknown mood "sleepy"/);
+    expect(error).toMatch(/cozy/);
+  });
+
+  test('rejects non-string values and too many moods', () => {
+    expect(moodCatalog.parse([1, 2]).error).toBe('moods must be an array of mood names');
+    expect(moodCatalog.parse({ mood: 'cozy' }).error).toBe('moods must be an array of mood names');
+    expect(moodCatalog.parse(['cozy', 'funny', 'dark', 'tense']).error).toBe('Choose at most 3 moods');
+  });
+});
+
+describe('moodCatalog keyword resolution', () => {
+  const { keys } = redisManager.constructor;
+  const cacheKey = keys.moodKeywordIds(1);
+
+  // A fresh process: nothing resolved or loaded yet
+  const restart = () => {
+    moodCatalog.keywordIds = new Map();
+    moodCatalog.keywordIdsLoaded = null;
+  };
+
+  beforeEach(() => {
+    restart();
+    redisManager.client = createFakeRedisClient();
+    redisManager.isConnected = true;
+    jest.spyOn(tmdbCacheService, 'searchKeyword').mockImplementation(async (name) => ({
+      results: name === 'heist' ? [{ id: 10051, name: 'Heist' }, { id: 1, name: 'heist movie' }] : []
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    redisManager.client = null;
+    redisManager.isConnected = false;
+    restart();
+  });
+
+  test('searches TMDB once and shares the ID through the versioned Redis hash', async () => {
+    expect(await moodCatalog.resolveKeyword('heist')).toBe(10051);
+    expect(await moodCatalog.resolveKeyword('heist')).toBe(10051);
+    expect(tmdbCacheService.searchKeyword).toHaveBeenCalledTimes(1);
+    expect(await redisManager.hGetAll(cacheKey)).toEqual({ heist: 10051 });
+
+    restart();
+    expect(await moodCatalog.resolveKeyword('heist')).toBe(10051);
+    expect(tmdbCacheService.searchKeyword).toHaveBeenCalledTimes(1);
+  });
+
+  test('remembers names without an exact match, but not failed searches', async () => {
+    expect(await moodCatalog.resolveKeyword('explosion')).toBeNull();
+    expect(await moodCatalog.resolveKeyword('explosion')).toBeNull();
+    expect(tmdbCacheService.searchKeyword).toHaveBeenCalledTimes(1);
+
+    tmdbCacheService.searchKeyword.mockRejectedValueOnce(new Error('TMDB down'));
+    expect(await moodCatalog.resolveKeyword('car chase')).toBeNull();
+    expect(await redisManager.hGetAll(cacheKey)).toEqual({ explosion: null });
+    expect(await moodCatalog.resolveKeyword('car chase')).toBeNull();
+    expect(tmdbCacheService.searchKeyword).toHaveBeenCalledTimes(3);
+  });
+
+  test('keywordIdsFor drops the names TMDB does not know', async () => {
+    expect(await moodCatalog.keywordIdsFor(['adrenaline'])).toEqual([10051]);
+    expect(tmdbCacheService.searchKeyword).toHaveBeenCalledTimes(moodCatalog.get('adrenaline').keywords.length);
+  });
+});
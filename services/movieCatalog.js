@@ -0,0 +1,291 @@
+const Movie = require('../models/Movie');
+const axiosInstance = require('../utils/axios');
+const movieEmbeddings = require('./movieEmbeddings');
+
+// TMDB API configuration
+const TMDB_BASE_URL = 'https://api.themoviedb.org/3';
+const TMDB_API_KEY = process.env.TMDB_API_KEY;
+
+// Genre mapping utility - convert TMDB genre IDs to readable names
+const GENRE_ID_TO_NAME = {
+  28: 'Action',
+  12: 'Adventure', 
+  16: 'Animation',
+  35: 'Comedy',
+  80: 'Crime',
+  99: 'Documentary',
+  18: 'Drama',
+  10751: 'Family',
+  14: 'Fantasy',
+  36: 'History',
+  27: 'Horror',
+  10402: 'Music',
+  9648: 'Mystery',
+  10749: 'Romance',
+  878: 'Science Fiction',
+  10770: 'TV Movie',
+  53: 'Thriller',
+  10752: 'War',
+  37: 'Western'
+};
+
+// Convert TMDB genre IDs to genre names
+const convertGenreIdsToNames = (genreIds) => {
+  if (!Array.isArray(genreIds)) return [];
+  return genreIds.map(id => GENRE_ID_TO_NAME[id]).filter(Boolean);
+};
+
+// Shape a TMDB list result (discover, similar, recommendations) like our movie data
+const tmdbResultToMovie = (result) => ({
+  tmdbId: result.id,
+  title: result.title,
+  overview: result.overview,
+  releaseDate: result.release_date,
+  year: result.release_date ? new Date(result.release_date).getFullYear() : null,
+  genres: convertGenreIdsToNames(result.genre_ids),
+  rating: result.vote_average,
+  voteCount: result.vote_count,
+  popularity: result.popularity,
+  originalLanguage: result.original_language,
+  posterPath: result.poster_path ? `https://image.tmdb.org/t/p/w500${result.poster_path}` : null
+});
+
+// US theatrical certification from a TMDB release_dates payload
+// Returns '' when TMDB has none, so "checked, unrated" differs from "never fetched"
+const CERTIFICATION_COUNTRY = 'US';
+const extractCertification = (releaseDates) => {
+  const country = (releaseDates?.results || []).find(entry => entry.iso_3166_1 === CERTIFICATION_COUNTRY);
+  const rated = (country?.release_dates || []).find(release => release.certification);
+  return rated ? rated.certification : '';
+};
+
+// Shape a TMDB movie details response (with credits and release_dates appended)
+const tmdbDetailsToMovie = (details) => ({
+  tmdbId: details.id,
+  title: details.title,
+  overview: details.overview,
+  releaseDate: details.release_date,
+  genres: details.genres.map(g => g.name),
+  rating: details.vote_average,
+  posterPath: details.poster_path ? `https://image.tmdb.org/t/p/w500${details.poster_path}` : null,
+  backdropPath: details.backdrop_path ? `https://image.tmdb.org/t/p/w1280${details.backdrop_path}` : null,
+  runtime: details.runtime,
+  director: details.credits?.crew?.find(c => c.job === 'Director')?.name,
+  cast: details.credits?.cast?.slice(0, 5).map(c => c.name) || [],
+  originalLanguage: details.original_language,
+  certification: extractCertification(details.release_dates),
+  popularity: details.popularity,
+  voteCount: details.vote_count
+});
+
+// Canonical genre key so "Science Fiction", "science fiction" and "scifi" match
+const GENRE_ALIASES = { scifi: 'sciencefiction' };
+const normalizeGenre = (genre) => {
+  const key = String(genre || '').toLowerCase().replace(/[^a-z]/g, '');
+  return GENRE_ALIASES[key] || key;
+};
+
+// Normalized genre key -> TMDB genre ID
+const GENRE_KEY_TO_ID = Object.fromEntries(
+  Object.entries(GENRE_ID_TO_NAME).map(([id, name]) => [normalizeGenre(name), parseInt(id)])
+);
+
+// Deal-breakers match on genre names or words in the overview
+const violatesDealBreakers = (movie, dealBreakers = []) => {
+  if (!dealBreakers?.length) return false;
+  const genreKeys = (movie.genres || []).map(normalizeGenre);
+  const overview = (movie.overview || '').toLowerCase();
+  return dealBreakers.some(dealBreaker => {
+    const term = String(dealBreaker).toLowerCase().trim();
+    if (!term) return false;
+    return genreKeys.includes(normalizeGenre(term)) || overview.includes(term);
+  });
+};
+
+// Configure axios instance for TMDB requests
+const tmdbRequest = async (url) => {
+  try {
+    const response = await axiosInstance.get(url, {
+      retry: 3,
+      retryDelay: 1000,
+      timeout: 10000,
+    });
+    return response.data;
+  } catch (error) {
+    console.error('TMDB API Error:', error.message);
+    throw new Error('Failed to fetch movies. Please try again later.');
+  }
+};
+
+async function findMovieInDatabase(title, year) {
+  try {
+    let query = { title: new RegExp(title, 'i') }; // Case insensitive search
+    if (year) {
+      query.releaseDate = {
+        $gte: new Date(`${year}-01-01`),
+        $lte: new Date(`${year}-12-31`)
+      };
+    }
+    return await Movie.findOne(query);
+  } catch (error) {
+    console.error('Error searching movie in database:', error);
+    return null;
+  }
+}
+
+// Save movie to our database
+async function saveMovieToDatabase(movieData) {
+  try {
+    // Check if movie already exists to prevent duplicates
+    const existingMovie = await Movie.findOne({ tmdbId: movieData.tmdbId });
+    if (existingMovie) {
+      console.log(`Movie already exists in database: ${movieData.title} (ID: ${movieData.tmdbId})`);
+      return existingMovie;
+    }
+
+    const movie = new Movie({
+      tmdbId: movieData.tmdbId,
+      title: movieData.title,
+      overview: movieData.overview,
+      releaseDate: movieData.releaseDate,
+      genres: movieData.genres,
+      rating: movieData.rating, // This will also set voteAverage due to alias
+      posterPath: movieData.posterPath,
+      backdropPath: movieData.backdropPath,
+      runtime: movieData.runtime,
+      director: movieData.director,
+      cast: movieData.cast,
+      originalLanguage: movieData.originalLanguage,
+      certification: movieData.certification,
+      popularity: movieData.popularity || 0,
+      voteCount: movieData.voteCount || 0
+    });
+    await movie.save();
+    console.log(`Saved new movie to database: ${movieData.title} (ID: ${movieData.tmdbId})`);
+    // Compute the semantic vector without delaying the response
+    movieEmbeddings.embedInBackground(movie.toObject());
+    return movie;
+  } catch (error) {
+    console.error('Error saving movie to database:', error);
+    return null;
+  }
+}
+
+async function searchMovieOnTMDB(title, year, tmdbId = null) {
+  try {
+    // If we have a direct TMDB ID, use it directly
+    if (tmdbId) {
+      // Check our database first
+      const dbMovie = await Movie.findOne({ tmdbId: parseInt(tmdbId) });
+      if (dbMovie) {
+        console.log(`Found movie in database by ID: ${tmdbId}`);
+        return dbMovie;
+      }
+      
+      // Fetch directly by TMDB ID
+      const detailsUrl = `${TMDB_BASE_URL}/movie/${tmdbId}?api_key=${TMDB_API_KEY}&append_to_response=credits,release_dates`;
+      const detailsResponse = await axiosInstance.get(detailsUrl, {
+        retry: 3,
+        retryDelay: 1000,
+        timeout: 15000
+      });
+      const movieData = tmdbDetailsToMovie(detailsResponse.data);
+
+      // Save to our database for future queries
+      await saveMovieToDatabase(movieData);
+      
+      return movieData;
+    }
+
+    // Original logic for search by title
+    // First check our database
+    const dbMovie = await findMovieInDatabase(title, year);
+    if (dbMovie) {
+      console.log(`Found movie in database: ${title}`);
+      return dbMovie;
+    }
+
+    // If not in database, search TMDB
+    const searchUrl = `${TMDB_BASE_URL}/search/movie?api_key=${TMDB_API_KEY}&query=${encodeURIComponent(title)}`;
+    const response = await axiosInstance.get(searchUrl, {
+      retry: 3,
+      retryDelay: 1000,
+      timeout: 15000
+    });
+    
+    if (!response.data.results || response.data.results.length === 0) {
+      console.log(`No results found for movie: ${title}`);
+      return null;
+    }
+    
+    let movie = response.data.results[0];
+    
+    // If year provided, try to find exact match
+    if (year && response.data.results.length > 1) {
+      const exactMatch = response.data.results.find(m => 
+        m.release_date && new Date(m.release_date).getFullYear() === parseInt(year)
+      );
+      if (exactMatch) movie = exactMatch;
+    }
+    
+    if (!movie) return null;
+    
+    // Get detailed movie info
+    const detailsUrl = `${TMDB_BASE_URL}/movie/${movie.id}?api_key=${TMDB_API_KEY}&append_to_response=credits,release_dates`;
+    const detailsResponse = await axiosInstance.get(detailsUrl, {
+      retry: 3,
+      retryDelay: 1000,
+      timeout: 15000
+    });
+    const movieData = tmdbDetailsToMovie(detailsResponse.data);
+
+    // Save to our database for future queries
+    await saveMovieToDatabase(movieData);
+    
+    return movieData;
+  } catch (error) {
+    console.error('Error searching movie on TMDB:', error);
+    return null;
+  }
+}
+
+// Re-fetch TMDB details for a stored movie and fill in fields added after it
+// was cached (runtime, original language, certification)
+async function refreshMovieDetails(tmdbId) {
+  try {
+    const details = await tmdbRequest(
+      `${TMDB_BASE_URL}/movie/${tmdbId}?api_key=${TMDB_API_KEY}&append_to_response=credits,release_dates`
+    );
+    const movieData = tmdbDetailsToMovie(details);
+
+    await Movie.updateOne({ tmdbId: movieData.tmdbId }, {
+      $set: {
+        runtime: movieData.runtime,
+        originalLanguage: movieData.originalLanguage,
+        certification: movieData.certification
+      }
+    });
+    return movieData;
+  } catch (error) {
+    console.error(`Error refreshing movie details for ${tmdbId}:`, error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  TMDB_BASE_URL,
+  TMDB_API_KEY,
+  GENRE_ID_TO_NAME,
+  GENRE_KEY_TO_ID,
+  convertGenreIdsToNames,
+  tmdbResultToMovie,
+  tmdbDetailsToMovie,
+  extractCertification,
+  normalizeGenre,
+  violatesDealBreakers,
+  tmdbRequest,
+  findMovieInDatabase,
+  saveMovieToDatabase,
+  searchMovieOnTMDB,
+  refreshMovieDetails
+};
@@ -0,0 +1,166 @@
+const { refreshMovieDetails } = require('./movieCatalog');
+
+// US certifications from most to least family friendly
+const CERTIFICATIONS = ['G', 'PG', 'PG-13', 'R', 'NC-17'];
+const CERTIFICATION_COUNTRY = 'US';
+
+const RUNTIME_RANGE = [1, 600];
+const FIRST_FILM_YEAR = 1888;
+
+const yearOf = (movie) => movie.year
+  || (movie.releaseDate ? new Date(movie.releaseDate).getFullYear() : null);
+
+// Structured, non-negotiable request limits (runtime, release years, original
+// language, maximum certification). Unlike deal-breakers they are not left to
+// the model: TMDB discover enforces them while building the candidate pool and
+// every pick is checked against TMDB details before it is returned
+class MovieConstraintService {
+  // Validate the constraints object of a request body
+  // Returns { constraints } or { error }
+  parse(input) {
+    if (input === undefined || input === null) return { constraints: {} };
+    if (typeof input !== 'object' || Array.isArray(input)) {
+      return { error: 'constraints must be an object' };
+    }
+
+    const constraints = {};
+    const latestYear = new Date().getFullYear() + 2;
+    const integerFields = {
+      minRuntime: RUNTIME_RANGE,
+      maxRuntime: RUNTIME_RANGE,
+      minYear: [FIRST_FILM_YEAR, latestYear],
+      maxYear: [FIRST_FILM_YEAR, latestYear]
+    };
+
+    for (const [field, [min, max]] of Object.entries(integerFields)) {
+      if (input[field] === undefined || input[field] === null || input[field] === '') continue;
+      const value = Number(input[field]);
+      if (!Number.isInteger(value) || value < min || value > max) {
+        return { error: `constraints.${field} must be an integer between ${min} and ${max}` };
+      }
+      constraints[field] = value;
+    }
+
+    if (constraints.minRuntime && constraints.maxRuntime && constraints.minRuntime > constraints.maxRuntime) {
+      return { error: 'constraints.minRuntime cannot exceed constraints.maxRuntime' };
+    }
+    if (constraints.minYear && constraints.maxYear && constraints.minYear > constraints.maxYear) {
+      return { error: 'constraints.minYear cannot exceed constraints.maxYear' };
+    }
+
+    if (input.language) {
+      const language = String(input.language).trim().toLowerCase();
+      if (!/^[a-z]{2}$/.test(language)) {
+        return { error: 'constraints.language must be a two-letter ISO 639-1 code such as "en"' };
+      }
+      constraints.language = language;
+    }
+
+    if (input.maxCertification) {
+      const certification = String(input.maxCertification).trim().toUpperCase();
+      if (!CERTIFICATIONS.includes(certification)) {
+        return { error: `constraints.maxCertification must be one of ${CERTIFICATIONS.join(', ')}` };
+      }
+      constraints.maxCertification = certification;
+    }
+
+    return { constraints };
+  }
+
+  isEmpty(constraints) {
+    return !constraints || Object.keys(constraints).length === 0;
+  }
+
+  // TMDB discover parameters that apply the constraints at the source
+  discoverFilters(constraints = {}) {
+    if (this.isEmpty(constraints)) return {};
+    return {
+      'with_runtime.gte': constraints.minRuntime,
+      'with_runtime.lte': constraints.maxRuntime,
+      'primary_release_date.gte': constraints.minYear ? `${constraints.minYear}-01-01` : undefined,
+      'primary_release_date.lte': constraints.maxYear ? `${constraints.maxYear}-12-31` : undefined,
+      with_original_language: constraints.language,
+      certification_country: constraints.maxCertification ? CERTIFICATION_COUNTRY : undefined,
+      'certification.lte': constraints.maxCertification
+    };
+  }
+
+  // Violations of the constraints by a movie, as { constraint, limit, actual }
+  // A field the movie lacks only counts as a violation when strict, because
+  // list results (discover, similar) carry no runtime or certification
+  check(movie, constraints = {}, { strict = false } = {}) {
+    if (this.isEmpty(constraints)) return [];
+
+    const violations = [];
+    const flag = (constraint, actual, violated) => {
+      const unknown = actual === null || actual === undefined || actual === '';
+      if (unknown ? strict : violated) {
+        violations.push({ constraint, limit: constraints[constraint], actual: unknown ? null : actual });
+      }
+    };
+
+    // TMDB reports an unknown runtime as 0
+    const runtime = movie.runtime || null;
+    const year = yearOf(movie);
+
+    if (constraints.minRuntime) flag('minRuntime', runtime, runtime < constraints.minRuntime);
+    if (constraints.maxRuntime) flag('maxRuntime', runtime, runtime > constraints.maxRuntime);
+    if (constraints.minYear) flag('minYear', year, year < constraints.minYear);
+    if (constraints.maxYear) flag('maxYear', year, year > constraints.maxYear);
+    if (constraints.language) {
+      flag('language', movie.originalLanguage, String(movie.originalLanguage).toLowerCase() !== constraints.language);
+    }
+    if (constraints.maxCertification) {
+      // Unrated titles ('' or 'NR') cannot be shown to honour the limit
+      const certification = movie.certification || null;
+      const rank = CERTIFICATIONS.indexOf(certification);
+      flag('maxCertification', certification, rank === -1 || rank > CERTIFICATIONS.indexOf(constraints.maxCertification));
+    }
+
+    return violations;
+  }
+
+  // Lower the maximum certification to cap; a stricter limit already set is kept
+  capCertification(constraints, cap) {
+    const current = CERTIFICATIONS.indexOf(constraints.maxCertification);
+    if (current === -1 || current > CERTIFICATIONS.indexOf(cap)) constraints.maxCertification = cap;
+    return constraints.maxCertification;
+  }
+
+  // Cheap pre-filter for candidate lists: drop only what is known to violate
+  allows(movie, constraints) {
+    return this.check(movie, constraints).length === 0;
+  }
+
+  // Check a pick against TMDB details, fetching any field it is missing
+  // (movies cached before the field existed, or list results)
+  async verify(movie, constraints) {
+    if (this.isEmpty(constraints)) return [];
+
+    movie = movie.toObject ? movie.toObject() : movie;
+    const missing = ((constraints.minRuntime || constraints.maxRuntime) && !movie.runtime)
+      || ((constraints.minYear || constraints.maxYear) && !yearOf(movie))
+      || (constraints.language && !movie.originalLanguage)
+      || (constraints.maxCertification && movie.certification === undefined);
+
+    let details = movie;
+    if (missing) {
+      const refreshed = await refreshMovieDetails(movie.tmdbId);
+      if (refreshed) details = { ...movie, ...refreshed };
+    }
+
+    return this.check(details, constraints, { strict: true });
+  }
+
+  // Human readable summary, e.g. for logs and progress events
+  describe(violations) {
+    return violations.map(({ constraint, limit, actual }) =>
+      `${constraint} ${limit} (got ${actual === null ? 'unknown' : actual})`
+    ).join(', ');
+  }
+}
+
+// Create singleton instance
+const movieConstraints = new MovieConstraintService();
+
+module.exports = movieConstraints;
@@ -0,0 +1,48 @@
+const movieConstraints = require('./movieConstraints');
+
+const heat = { title: 'Heat', year: 1995, runtime: 170, originalLanguage: 'en', certification: 'R' };
+
+describe('movieConstraints.allows', () => {
+  test('allows anything without constraints', () => {
+    expect(movieConstraints.allows(heat, {})).toBe(true);
+    expect(movieConstraints.allows(heat, undefined)).toBe(true);
+  });
+
+  test('checks runtime, release year, language and certification', () => {
+    expect(movieConstraints.allows(heat, { maxRuntime: 180, minYear: 1990, language: 'en', maxCertification: 'R' })).toBe(true);
+    expect(movieConstraints.allows(heat, { maxRuntime: 120 })).toBe(false);
+    expect(movieConstraints.allows(heat, { minRuntime: 180 })).toBe(false);
+    expect(movieConstraints.allows(heat, { minYear: 2000 })).toBe(false);
+    expect(movieConstraints.allows(heat, { maxYear: 1990 })).toBe(false);
+    expect(movieConstraints.allows(heat, { language: 'fr' })).toBe(false);
+    expect(movieConstraints.allows(heat, { maxCertification: 'PG-13' })).toBe(false);
+  });
+
+  test('reads the year from the release date', () => {
+    const movie = { title: 'Ronin', releaseDate: '1998-09-25' };
+    expect(movieConstraints.allows(movie, { minYear: 1999 })).toBe(false);
+    expect(movieConstraints.allows(movie, { maxYear: 1999 })).toBe(true);
+  });
+
+  test('keeps movies whose fields are unknown (list results lack them)', () => {
+    const listResult = { title: 'Heat', year: 1995, runtime: 0 };
+    expect(movieConstraints.allows(listResult, { maxRuntime: 120, language: 'fr', maxCertification: 'PG' })).toBe(true);
+  });
+
+  test('treats unrated titles as breaking a certification limit', () => {
+    expect(movieConstraints.allows({ ...heat, certification: 'NR' }, { maxCertification: 'NC-17' })).toBe(false);
+  });
+});
+
+describe('movieConstraints.check', () => {
+  test('reports every violation, and unknown fields only when strict', () => {
+    const violations = movieConstraints.check(heat, { maxRuntime: 120, language: 'fr' });
+    expect(violations).toEqual([
+      { constraint: 'maxRuntime', limit: 120, actual: 170 },
+      { constraint: 'language', limit: 'fr', actual: 'en' }
+    ]);
+
+    expect(movieConstraints.check({ title: 'Heat' }, { maxRuntime: 120 }, { strict: true }))
+      .toEqual([{ constraint: 'maxRuntime', limit: 120, actual: null }]);
+  });
+});
@@ -0,0 +1,178 @@
+const Movie = require('../models/Movie');
+const { getEmbedder } = require('./embeddings');
+
+const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+};
+
+// Computes, stores and searches per-movie embedding vectors
+// Search is brute-force cosine over an in-memory index of the catalog
+class MovieEmbeddingService {
+  constructor() {
+    this.index = null;
+    this.indexModel = null;
+    this.indexLoadedAt = 0;
+    this.indexTTL = 10 * 60 * 1000; // Reload at most every 10 minutes
+    this.batchSize = 50;
+  }
+
+  toDocument(movie) {
+    return {
+      text: [movie.title, movie.overview].filter(Boolean).join('. '),
+      genres: movie.genres || [],
+      director: movie.director,
+      cast: movie.cast || [],
+      year: movie.releaseDate ? new Date(movie.releaseDate).getFullYear() : movie.year
+    };
+  }
+
+  // Embed and persist a batch of movie documents
+  async embedMovies(movies) {
+    if (movies.length === 0) return 0;
+
+    const embedder = getEmbedder();
+    const vectors = await embedder.embed(movies.map(movie => this.toDocument(movie)));
+    const updatedAt = new Date();
+
+    await Movie.bulkWrite(movies.map((movie, i) => ({
+      updateOne: {
+        filter: { tmdbId: movie.tmdbId },
+        update: { $set: { embedding: { vector: vectors[i], model: embedder.model, updatedAt } } }
+      }
+    })), { ordered: false });
+
+    // Keep the in-memory index in step without a full reload
+    if (this.index && this.indexModel === embedder.model) {
+      movies.forEach((movie, i) => {
+        this.index.set(movie.tmdbId, { ...this.indexEntry(movie), vector: vectors[i] });
+      });
+    }
+
+    return movies.length;
+  }
+
+  // Fire-and-forget hook used when a movie is first saved
+  embedInBackground(movie) {
+    this.embedMovies([movie]).catch(err =>
+      console.error(`Failed to embed movie ${movie.tmdbId}:`, err.message)
+    );
+  }
+
+  // Embed every movie without a vector from the active model
+  async backfill({ force = false } = {}) {
+    const embedder = getEmbedder();
+    const query = force ? {} : { 'embedding.model': { $ne: embedder.model } };
+    let embedded = 0;
+
+    const cursor = Movie.find(query)
+      .select('tmdbId title overview releaseDate genres director cast')
+      .lean()
+      .cursor();
+
+    let batch = [];
+    for await (const movie of cursor) {
+      batch.push(movie);
+      if (batch.length >= this.batchSize) {
+        embedded += await this.embedMovies(batch);
+        batch = [];
+      }
+    }
+    embedded += await this.embedMovies(batch);
+
+    console.log(`Embedded ${embedded} movies with ${embedder.model}`);
+    return { embedded, model: embedder.model };
+  }
+
+  indexEntry(movie) {
+    return {
+      tmdbId: movie.tmdbId,
+      title: movie.title,
+      genres: movie.genres || [],
+      year: movie.releaseDate ? new Date(movie.releaseDate).getFullYear() : null,
+      posterPath: movie.posterPath,
+      rating: movie.rating
+    };
+  }
+
+  async loadIndex() {
+    const embedder = getEmbedder();
+    const isFresh = this.index
+      && this.indexModel === embedder.model
+      && Date.now() - this.indexLoadedAt < this.indexTTL;
+    if (isFresh) return this.index;
+
+    const docs = await Movie.find({ 'embedding.model': embedder.model })
+      .select('+embedding.vector tmdbId title genres releaseDate posterPath rating')
+      .lean();
+
+    this.index = new Map(docs.map(doc => [doc.tmdbId, { ...this.indexEntry(doc), vector: doc.embedding.vector }]));
+    this.indexModel = embedder.model;
+    this.indexLoadedAt = Date.now();
+    return this.index;
+  }
+
+  // Vector for a movie, embedding it on demand when it has none yet
+  async getVector(tmdbId) {
+    const index = await this.loadIndex();
+    if (index.has(tmdbId)) return index.get(tmdbId).vector;
+
+    const movie = await Movie.findOne({ tmdbId })
+      .select('tmdbId title overview releaseDate genres director cast posterPath rating')
+      .lean();
+    if (!movie) return null;
+
+    await this.embedMovies([movie]);
+    return (await this.loadIndex()).get(tmdbId)?.vector || null;
+  }
+
+  async nearest(vector, { limit = 10, excludeIds = new Set() } = {}) {
+    const index = await this.loadIndex();
+    const results = [];
+
+    for (const entry of index.values()) {
+      if (excludeIds.has(entry.tmdbId)) continue;
+      results.push({ ...entry, similarity: cosineSimilarity(vector, entry.vector) });
+    }
+
+    return results
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, limit)
+      .map(({ vector: _vector, similarity, ...movie }) => ({
+        ...movie,
+        similarity: Math.round(similarity * 1000) / 1000
+      }));
+  }
+
+  // "Movies like X"
+  async similarToMovie(tmdbId, { limit = 10, excludeIds = new Set() } = {}) {
+    const vector = await this.getVector(tmdbId);
+    if (!vector) return null;
+
+    return this.nearest(vector, { limit, excludeIds: new Set([...excludeIds, tmdbId]) });
+  }
+
+  // "Movies like my liked list" via the centroid of the given movies
+  async similarToMovies(tmdbIds, { limit = 10, excludeIds = new Set() } = {}) {
+    const vectors = (await Promise.all(tmdbIds.map(tmdbId => this.getVector(tmdbId)))).filter(Boolean);
+    if (vectors.length === 0) return [];
+
+    const centroid = vectors[0].map((_, i) =>
+      vectors.reduce((sum, vector) => sum + vector[i], 0) / vectors.length
+    );
+
+    return this.nearest(centroid, { limit, excludeIds: new Set([...excludeIds, ...tmdbIds]) });
+  }
+}
+
+// Create singleton instance
+const movieEmbeddings = new MovieEmbeddingService();
+
+module.exports = movieEmbeddings;
@@ -0,0 +1,76 @@
+jest.mock('../models/Movie', () => ({ find: jest.fn(), findOne: jest.fn(), bulkWrite: jest.fn() }));
+
+const Movie = require('../models/Movie');
+const { setEmbedder } = require('./embeddings');
+const movieEmbeddings = require('./movieEmbeddings');
+
+// Two-dimensional vectors keep the expected cosines easy to read
+const embedder = { name: 'test', model: 'test-2d', embed: jest.fn() };
+const docs = [
+  { tmdbId: 1, title: 'East', releaseDate: '1995-01-01', embedding: { vector: [1, 0] } },
+  { tmdbId: 2, title: 'North-east', releaseDate: '1998-01-01', embedding: { vector: [1, 1] } },
+  { tmdbId: 3, title: 'North', embedding: { vector: [0, 1] } },
+  { tmdbId: 4, title: 'West', embedding: { vector: [-1, 0] } }
+];
+
+beforeEach(() => {
+  setEmbedder(embedder);
+  movieEmbeddings.index = null;
+  Movie.find.mockReset();
+  Movie.find.mockReturnValue({ select: () => ({ lean: async () => docs }) });
+});
+
+afterAll(() => setEmbedder(null));
+
+describe('movieEmbeddings.nearest', () => {
+  test('ranks the index by cosine similarity and rounds the scores', async () => {
+    const results = await movieEmbeddings.nearest([1, 0.1], { limit: 3 });
+
+    expect(results.map(movie => movie.tmdbId)).toEqual([1, 2, 3]);
+    expect(results[1]).toEqual({ tmdbId: 2, title: 'North-east', genres: [], year: 1998, posterPath: undefined, rating: undefined, similarity: 0.774 });
+    expect(results[0]).not.toHaveProperty('vector');
+  });
+
+  test('skips excluded ids and scores zero vectors as unrelated', async () => {
+    const results = await movieEmbeddings.nearest([0, 0], { excludeIds: new Set([1, 2]) });
+    expect(results.map(movie => [movie.tmdbId, movie.similarity])).toEqual([[3, 0], [4, 0]]);
+  });
+});
+
+describe('movieEmbeddings.similarToMovie(s)', () => {
+  test('leaves the query movie out of its own neighbours', async () => {
+    const results = await movieEmbeddings.similarToMovie(1, { limit: 2 });
+    expect(results.map(movie => movie.tmdbId)).toEqual([2, 3]);
+  });
+
+  test('searches around the centroid of several movies', async () => {
+    const results = await movieEmbeddings.similarToMovies([1, 3], { limit: 1 });
+    expect(results).toEqual([expect.objectContaining({ tmdbId: 2, similarity: 1 })]);
+  });
+
+  test('returns null for a movie that is not in the catalog', async () => {
+    Movie.findOne.mockReturnValue({ select: () => ({ lean: async () => null }) });
+    expect(await movieEmbeddings.similarToMovie(99)).toBeNull();
+  });
+});
+
+describe('movieEmbeddings index', () => {
+  test('loads once per model and TTL and picks up newly embedded movies', async () => {
+    await movieEmbeddings.nearest([1, 0]);
+    await movieEmbeddings.nearest([1, 0]);
+    expect(Movie.find).toHaveBeenCalledTimes(1);
+    expect(Movie.find).toHaveBeenCalledWith({ 'embedding.model': 'test-2d' });
+
+    embedder.embed.mockResolvedValue([[0, -1]]);
+    Movie.bulkWrite.mockResolvedValue({});
+    await movieEmbeddings.embedMovies([{ tmdbId: 5, title: 'South' }]);
+
+    const [nearest] = await movieEmbeddings.nearest([0, -1], { limit: 1 });
+    expect(nearest).toMatchObject({ tmdbId: 5, similarity: 1 });
+    expect(Movie.find).toHaveBeenCalledTimes(1);
+
+    movieEmbeddings.indexLoadedAt -= movieEmbeddings.indexTTL;
+    await movieEmbeddings.nearest([1, 0]);
+    expect(Movie.find).toHaveBeenCalledTimes(2);
+  });
+});
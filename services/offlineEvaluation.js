@@ -0,0 +1,220 @@
+const User = require('../models/User');
+const Movie = require('../models/Movie');
+const { normalizeGenre, searchMovieOnTMDB } = require('./movieCatalog');
+const { generateMovieRecommendation } = require('./recommendationEngine');
+
+const FIXTURE_VERSION = 1;
+
+// Liked or disliked genre map (Map or plain object) as a list of unique movies
+const flattenGenreMap = (genreMap) => {
+  const lists = genreMap instanceof Map ? Array.from(genreMap.values()) : Object.values(genreMap || {});
+  const movies = new Map();
+  lists.forEach(list => (list || []).forEach(movie => movies.set(movie.tmdbId, movie)));
+  return Array.from(movies.values());
+};
+
+const toPlainMap = (genreMap) => (genreMap instanceof Map ? Object.fromEntries(genreMap) : genreMap || {});
+
+const ratio = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 1000 : null);
+
+// Offline evaluation: replays users' taste against the recommendation pipeline
+// with their most recent positive feedback held out, and measures how often
+// the held-out movies come back (hit rate), whether picks share their genres
+// (genre precision), repeat something already seen (duplicate rate) or name
+// titles TMDB cannot resolve (hallucination rate)
+// Runs must use a throwaway database: the pipeline saves users and records
+class OfflineEvaluator {
+  // Anonymised copy of users' taste and history plus the cached movies
+  async snapshot({ userLimit = 200, minLiked = 3 } = {}) {
+    const users = await User.find({})
+      .select('preferences.likedMovies preferences.dislikedMovies recommendationHistory')
+      .lean();
+
+    const eligible = users
+      .filter(user => flattenGenreMap(user.preferences?.likedMovies).length >= minLiked)
+      .slice(0, userLimit);
+
+    const movies = await Movie.find({})
+      .select('-_id -__v -embedding -createdAt -updatedAt')
+      .lean();
+
+    return {
+      version: FIXTURE_VERSION,
+      exportedAt: new Date().toISOString(),
+      users: eligible.map((user, index) => ({
+        id: `user-${index + 1}`,
+        preferences: {
+          likedMovies: toPlainMap(user.preferences.likedMovies),
+          dislikedMovies: toPlainMap(user.preferences.dislikedMovies)
+        },
+        recommendationHistory: (user.recommendationHistory || []).map(({ _id, ...entry }) => entry)
+      })),
+      movies
+    };
+  }
+
+  // Load a fixture's movies into the (throwaway) database the run uses
+  async loadMovies(fixture) {
+    if (fixture.version !== FIXTURE_VERSION) {
+      throw new Error(`Unsupported evaluation fixture version: ${fixture.version}`);
+    }
+    await Movie.deleteMany({});
+    if (fixture.movies?.length > 0) {
+      await Movie.insertMany(fixture.movies, { ordered: false });
+    }
+  }
+
+  // Split off the `holdout` most recent liked movies: accepted recommendations
+  // first (newest first), then the last movies added to the liked map
+  holdOut(fixtureUser, holdout) {
+    const liked = flattenGenreMap(fixtureUser.preferences.likedMovies);
+    const likedById = new Map(liked.map(movie => [movie.tmdbId, movie]));
+
+    const acceptedIds = (fixtureUser.recommendationHistory || [])
+      .filter(entry => entry.accepted === true && likedById.has(entry.movieId))
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+      .map(entry => entry.movieId);
+    const orderedIds = Array.from(new Set([...acceptedIds, ...liked.map(movie => movie.tmdbId).reverse()]));
+
+    const heldOut = orderedIds.slice(0, holdout).map(id => likedById.get(id));
+    const heldOutIds = new Set(heldOut.map(movie => movie.tmdbId));
+
+    const likedMovies = {};
+    Object.entries(fixtureUser.preferences.likedMovies || {}).forEach(([genre, movies]) => {
+      const kept = (movies || []).filter(movie => !heldOutIds.has(movie.tmdbId));
+      if (kept.length > 0) likedMovies[genre] = kept;
+    });
+
+    return {
+      heldOut,
+      training: {
+        likedMovies,
+        dislikedMovies: fixtureUser.preferences.dislikedMovies || {},
+        // The pipeline never re-recommends history, so held-out titles must leave it too
+        recommendationHistory: (fixtureUser.recommendationHistory || [])
+          .filter(entry => !heldOutIds.has(entry.movieId))
+      }
+    };
+  }
+
+  // The preferences /recommend builds for a request without genre or mood filters
+  buildPreferences(user, count) {
+    return {
+      genres: [],
+      likedMovies: toPlainMap(user.preferences.likedMovies),
+      dislikedMovies: toPlainMap(user.preferences.dislikedMovies),
+      moods: [],
+      dealBreakers: [],
+      constraints: {},
+      streaming: null,
+      previouslyRecommended: user.recommendationHistory.map(rec => rec.title).join(', ') || '',
+      recommendationHistory: user.recommendationHistory || [],
+      isAlternative: false,
+      count
+    };
+  }
+
+  // Run the pipeline for one fixture user and score the picks
+  async evaluateUser(fixtureUser, { holdout = 1, count = 5 } = {}) {
+    const { heldOut, training } = this.holdOut(fixtureUser, holdout);
+
+    const user = await User.create({
+      googleId: `eval-${fixtureUser.id}`,
+      email: `${fixtureUser.id}@eval.invalid`,
+      name: fixtureUser.id,
+      preferences: { likedMovies: training.likedMovies, dislikedMovies: training.dislikedMovies },
+      recommendationHistory: training.recommendationHistory
+    });
+
+    const seenIds = new Set([
+      ...flattenGenreMap(training.likedMovies).map(movie => movie.tmdbId),
+      ...flattenGenreMap(training.dislikedMovies).map(movie => movie.tmdbId),
+      ...training.recommendationHistory.map(entry => entry.movieId)
+    ]);
+
+    let titlesNamed = 0;
+    const unresolved = [];
+    const picks = await generateMovieRecommendation(user, this.buildPreferences(user, count), {
+      onProgress: (event, data) => {
+        if (event === 'model') titlesNamed += data.titles.length;
+        if (event === 'unresolved') unresolved.push(data);
+      }
+    });
+
+    // Titles outside the retrieval pool were never looked up; check them now
+    let hallucinations = 0;
+    for (const { title, year, reason } of unresolved) {
+      if (reason === 'not-found' || !(await searchMovieOnTMDB(title, year))) hallucinations++;
+    }
+
+    const heldOutIds = new Set(heldOut.map(movie => movie.tmdbId));
+    const heldOutGenres = new Set(heldOut.flatMap(movie => (movie.genres || []).map(normalizeGenre)));
+    const pickIds = picks.map(pick => pick.tmdbId);
+
+    return {
+      userId: fixtureUser.id,
+      heldOut: heldOut.map(({ tmdbId, title }) => ({ tmdbId, title })),
+      picks: picks.map(({ tmdbId, title, engine }) => ({ tmdbId, title, engine })),
+      hits: pickIds.filter(id => heldOutIds.has(id)).length,
+      genreMatches: picks.filter(pick =>
+        (pick.genres || []).some(genre => heldOutGenres.has(normalizeGenre(genre)))).length,
+      duplicates: pickIds.filter((id, index) => seenIds.has(id) || pickIds.indexOf(id) !== index).length,
+      fallbackPicks: picks.filter(pick => pick.engine === 'fallback').length,
+      titlesNamed,
+      hallucinations
+    };
+  }
+
+  // Evaluate every eligible fixture user, one at a time
+  // Users with fewer than holdout + minTraining liked movies are skipped
+  async run(fixture, { holdout = 1, count = 5, minTraining = 2, userLimit = Infinity, onUser } = {}) {
+    await this.loadMovies(fixture);
+
+    const results = [];
+    const errors = [];
+    let skipped = 0;
+
+    for (const fixtureUser of fixture.users.slice(0, userLimit)) {
+      if (flattenGenreMap(fixtureUser.preferences.likedMovies).length < holdout + minTraining) {
+        skipped++;
+        continue;
+      }
+
+      try {
+        const result = await this.evaluateUser(fixtureUser, { holdout, count });
+        results.push(result);
+        if (onUser) onUser(result);
+      } catch (error) {
+        console.error(`Evaluation failed for ${fixtureUser.id}:`, error);
+        errors.push({ userId: fixtureUser.id, error: error.message });
+      }
+    }
+
+    return { metrics: this.summarize(results), skipped, errors, users: results };
+  }
+
+  summarize(results) {
+    const sum = (field) => results.reduce((total, result) => total + result[field], 0);
+    const totalPicks = results.reduce((total, result) => total + result.picks.length, 0);
+    const heldOutTotal = results.reduce((total, result) => total + result.heldOut.length, 0);
+
+    return {
+      users: results.length,
+      picks: totalPicks,
+      // Share of users with at least one held-out movie among their picks
+      hitRate: ratio(results.filter(result => result.hits > 0).length, results.length),
+      // Share of all held-out movies that came back
+      recall: ratio(sum('hits'), heldOutTotal),
+      genrePrecision: ratio(sum('genreMatches'), totalPicks),
+      duplicateRate: ratio(sum('duplicates'), totalPicks),
+      hallucinationRate: ratio(sum('hallucinations'), sum('titlesNamed')),
+      fallbackRate: ratio(sum('fallbackPicks'), totalPicks),
+      emptyRate: ratio(results.filter(result => result.picks.length === 0).length, results.length)
+    };
+  }
+}
+
+// Create singleton instance
+const offlineEvaluation = new OfflineEvaluator();
+
+module.exports = offlineEvaluation;
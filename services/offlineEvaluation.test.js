@@ -0,0 +1,116 @@
+jest.mock('../models/User', () => ({ create: jest.fn() }));
+jest.mock('./recommendationEngine', () => ({ generateMovieRecommendation: jest.fn() }));
+jest.mock('./movieCatalog', () => ({
+  ...jest.requireActual('./movieCatalog'),
+  searchMovieOnTMDB: jest.fn()
+}));
+
+const User = require('../models/User');
+const { generateMovieRecommendation } = require('./recommendationEngine');
+const { searchMovieOnTMDB } = require('./movieCatalog');
+const offlineEvaluation = require('./offlineEvaluation');
+
+const movie = (tmdbId, title, genres) => ({ tmdbId, title, genres });
+const heat = movie(949, 'Heat', ['Crime']);
+const ronin = movie(8195, 'Ronin', ['Action']);
+const thief = movie(11, 'Thief', ['Crime']);
+const alien = movie(348, 'Alien', ['Horror', 'Science Fiction']);
+
+const fixtureUser = {
+  id: 'user-1',
+  preferences: {
+    likedMovies: { crime: [heat, thief], action: [ronin] },
+    dislikedMovies: { horror: [alien] }
+  },
+  recommendationHistory: [
+    { movieId: 949, title: 'Heat', accepted: true, timestamp: '2026-01-02T00:00:00Z' },
+    { movieId: 603, title: 'The Matrix', accepted: false, timestamp: '2026-01-01T00:00:00Z' }
+  ]
+};
+
+describe('offlineEvaluation.holdOut', () => {
+  test('holds out accepted recommendations first, then the newest likes', () => {
+    expect(offlineEvaluation.holdOut(fixtureUser, 1).heldOut).toEqual([heat]);
+    expect(offlineEvaluation.holdOut(fixtureUser, 2).heldOut).toEqual([heat, ronin]);
+  });
+
+  test('removes held-out movies from the training taste and history', () => {
+    const { training } = offlineEvaluation.holdOut(fixtureUser, 2);
+    expect(training.likedMovies).toEqual({ crime: [thief] });
+    expect(training.dislikedMovies).toEqual({ horror: [alien] });
+    expect(training.recommendationHistory.map(entry => entry.movieId)).toEqual([603]);
+  });
+});
+
+describe('offlineEvaluation.evaluateUser', () => {
+  beforeEach(() => {
+    User.create.mockImplementation(async (doc) => ({ ...doc, recommendationHistory: doc.recommendationHistory }));
+    searchMovieOnTMDB.mockResolvedValue(null);
+  });
+
+  test('counts hits, genre matches, duplicates, fallbacks and hallucinations', async () => {
+    generateMovieRecommendation.mockImplementation(async (user, preferences, { onProgress }) => {
+      onProgress('model', { titles: ['Heat', 'Thief', 'Made Up', 'Outside Pool'] });
+      onProgress('unresolved', { title: 'Made Up', year: 2001, reason: 'not-found' });
+      onProgress('unresolved', { title: 'Outside Pool', year: 1999, reason: 'outside-pool' });
+      return [
+        { ...heat, engine: 'llm' },
+        { ...thief, engine: 'llm' },
+        { ...movie(603, 'The Matrix', ['Action']), engine: 'fallback' }
+      ];
+    });
+
+    const result = await offlineEvaluation.evaluateUser(fixtureUser, { holdout: 1, count: 3 });
+
+    expect(result).toMatchObject({
+      heldOut: [{ tmdbId: 949, title: 'Heat' }],
+      hits: 1,
+      // Heat and Thief share Crime with the held-out movie
+      genreMatches: 2,
+      // Thief is still a training like, The Matrix still in the history
+      duplicates: 2,
+      fallbackPicks: 1,
+      titlesNamed: 4,
+      hallucinations: 2
+    });
+    expect(searchMovieOnTMDB).toHaveBeenCalledWith('Outside Pool', 1999);
+  });
+});
+
+describe('offlineEvaluation.summarize', () => {
+  const result = (overrides) => ({
+    heldOut: [heat],
+    picks: [],
+    hits: 0,
+    genreMatches: 0,
+    duplicates: 0,
+    fallbackPicks: 0,
+    titlesNamed: 0,
+    hallucinations: 0,
+    ...overrides
+  });
+
+  test('hit rate counts users with a hit, recall counts held-out movies', () => {
+    const metrics = offlineEvaluation.summarize([
+      result({ heldOut: [heat, ronin], picks: [heat, ronin, thief], hits: 2, genreMatches: 3, titlesNamed: 4, hallucinations: 1 }),
+      result({ picks: [thief, alien], hits: 0, genreMatches: 1, duplicates: 1, fallbackPicks: 2, titlesNamed: 2 }),
+      result({ picks: [] })
+    ]);
+
+    expect(metrics).toEqual({
+      users: 3,
+      picks: 5,
+      hitRate: 0.333,
+      recall: 0.5,
+      genrePrecision: 0.8,
+      duplicateRate: 0.2,
+      hallucinationRate: 0.167,
+      fallbackRate: 0.4,
+      emptyRate: 0.333
+    });
+  });
+
+  test('reports null instead of dividing by zero', () => {
+    expect(offlineEvaluation.summarize([])).toMatchObject({ users: 0, hitRate: null, recall: null, genrePrecision: null });
+  });
+});
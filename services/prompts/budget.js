@@ -0,0 +1,243 @@
+const Movie = require('../../models/Movie');
+const ratings = require('../ratings');
+
+// Prompt (system + user) token budgets by model name prefix; the longest
+// matching prefix wins. Override with PROMPT_TOKEN_BUDGETS="gpt-4o:8000,llama3:2000"
+const DEFAULT_MODEL_BUDGETS = {
+  'gpt-3.5-turbo': 3000,
+  'gpt-4': 6000,
+  'gpt-4o': 8000,
+  'gpt-4o-mini': 8000,
+  'fake': 3000
+};
+const DEFAULT_BUDGET = parseInt(process.env.PROMPT_TOKEN_BUDGET) || 3000;
+
+// Below this the fixed instructions alone would not fit
+const MIN_BUDGET = 1000;
+
+// Progressively tighter limits, tried in order until the prompt fits.
+// Level 0 leaves the preferences untouched so light users see the full prompt
+const COMPACTION_LEVELS = [
+  null,
+  { liked: 15, disliked: 8, history: 30, crowd: 10, diary: 8, pool: 40 },
+  { liked: 8, disliked: 4, history: 15, crowd: 5, diary: 5, pool: 25 },
+  { liked: 4, disliked: 2, history: 5, crowd: 3, diary: 2, pool: 15 },
+  { liked: 0, disliked: 0, history: 0, crowd: 0, diary: 0, pool: 0 }
+];
+
+const parseBudgets = (spec) => (spec || '')
+  .split(',')
+  .map(part => part.trim().split(':'))
+  .filter(([model, tokens]) => model && parseInt(tokens) > 0)
+  .reduce((budgets, [model, tokens]) => ({ ...budgets, [model.trim()]: parseInt(tokens) }), {});
+
+const decadeOf = (movie) => {
+  const year = movie.year || (movie.releaseDate ? new Date(movie.releaseDate).getFullYear() : null);
+  return year ? `${Math.floor(year / 10) * 10}s` : null;
+};
+
+// Keeps recommendation prompts inside a per-model token budget by replacing
+// long liked/disliked/history lists with a compact taste summary
+class PromptBudgetService {
+  constructor() {
+    this.budgets = { ...DEFAULT_MODEL_BUDGETS, ...parseBudgets(process.env.PROMPT_TOKEN_BUDGETS) };
+    this.messageOverhead = 8; // Role and framing tokens per chat message
+  }
+
+  // Rough token estimate (~4 characters per token for English, rounded up
+  // a little so the estimate errs on the side of a smaller prompt)
+  estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 3.5);
+  }
+
+  getBudget(model) {
+    const prefix = Object.keys(this.budgets)
+      .filter(key => model && model.startsWith(key))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return Math.max(MIN_BUDGET, prefix ? this.budgets[prefix] : DEFAULT_BUDGET);
+  }
+
+  // Movies from a genre map, most recent first
+  // Each genre list is appended to over time, so a movie's relative position
+  // in its lists is the best recency signal available
+  orderByRecency(genreMap) {
+    const positions = new Map();
+    Object.values(genreMap || {}).forEach(genreMovies => {
+      (genreMovies || []).forEach((movie, index) => {
+        const position = (index + 1) / genreMovies.length;
+        const existing = positions.get(movie.tmdbId);
+        if (!existing || position > existing.position) {
+          positions.set(movie.tmdbId, { movie, position });
+        }
+      });
+    });
+
+    return Array.from(positions.values())
+      .sort((a, b) => b.position - a.position)
+      .map(({ movie }) => movie);
+  }
+
+  // Summarise liked/disliked movies into genres, directors, eras and exemplars
+  async buildTasteSummary(preferences) {
+    const liked = this.orderByRecency(preferences.likedMovies);
+    const disliked = this.orderByRecency(preferences.dislikedMovies);
+    if (liked.length === 0 && disliked.length === 0) return null;
+
+    // Recent signals weigh up to twice as much as the oldest ones, scaled by
+    // how strongly the movie was rated
+    const recencyWeight = (index, total) => 1 + (total > 1 ? 1 - index / (total - 1) : 1);
+    const weightedGenres = (movies) => {
+      const weights = {};
+      movies.forEach((movie, index) => {
+        const weight = recencyWeight(index, movies.length) * ratings.weight(movie);
+        (movie.genres || []).forEach(genre => {
+          const key = String(genre).toLowerCase().trim();
+          if (key) weights[key] = (weights[key] || 0) + weight;
+        });
+      });
+      return Object.entries(weights).sort((a, b) => b[1] - a[1]).map(([genre]) => genre);
+    };
+
+    const topGenres = weightedGenres(liked).slice(0, 5);
+    const avoidedGenres = weightedGenres(disliked).filter(genre => !topGenres.includes(genre)).slice(0, 3);
+
+    const decadeCounts = {};
+    liked.forEach(movie => {
+      const decade = decadeOf(movie);
+      if (decade) decadeCounts[decade] = (decadeCounts[decade] || 0) + 1;
+    });
+    const eras = Object.entries(decadeCounts)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 3)
+      .map(([decade]) => decade);
+
+    // Directors are only stored on the Movie documents
+    let directors = [];
+    try {
+      const docs = liked.length > 0
+        ? await Movie.find({ tmdbId: { $in: liked.map(movie => movie.tmdbId) } }).select('tmdbId director').lean()
+        : [];
+      const directorCounts = {};
+      docs.forEach(doc => {
+        if (doc.director) directorCounts[doc.director] = (directorCounts[doc.director] || 0) + 1;
+      });
+      directors = Object.entries(directorCounts)
+        .filter(([, count]) => count >= 2 || docs.length < 10)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 3)
+        .map(([director]) => director);
+    } catch (error) {
+      console.error('Failed to load directors for taste summary:', error.message);
+    }
+
+    return {
+      likedCount: liked.length,
+      dislikedCount: disliked.length,
+      topGenres,
+      avoidedGenres,
+      directors,
+      eras,
+      likedExemplars: this.pickExemplars(ratings.byStrength(liked), topGenres),
+      dislikedExemplars: this.pickExemplars(ratings.byStrength(disliked), avoidedGenres)
+    };
+  }
+
+  // First movie per leading genre, then the rest in order; callers pass
+  // movies ordered by rating strength, then recency
+  pickExemplars(moviesByRecency, genres) {
+    const picked = new Map();
+    genres.forEach(genre => {
+      const movie = moviesByRecency.find(m => !picked.has(m.tmdbId)
+        && (m.genres || []).some(g => String(g).toLowerCase().trim() === genre));
+      if (movie) picked.set(movie.tmdbId, movie);
+    });
+    moviesByRecency.forEach(movie => {
+      if (!picked.has(movie.tmdbId)) picked.set(movie.tmdbId, movie);
+    });
+    return Array.from(picked.values());
+  }
+
+  // Apply one compaction level to the preferences handed to a template
+  compact(preferences, summary, limits) {
+    if (!limits) return preferences;
+
+    // Keep rejections ahead of neutral history: they carry the stronger signal
+    const history = [...(preferences.recommendationHistory || [])]
+      .sort((a, b) => new Date(b.timestamp || 0) - new Date(a.timestamp || 0));
+    const keptHistory = [
+      ...history.filter(rec => rec.accepted === false),
+      ...history.filter(rec => rec.accepted !== false)
+    ].slice(0, limits.history);
+
+    const count = preferences.count || 1;
+
+    return {
+      ...preferences,
+      tasteSummary: summary,
+      likedMovies: { exemplars: (summary?.likedExemplars || []).slice(0, limits.liked) },
+      dislikedMovies: { exemplars: (summary?.dislikedExemplars || []).slice(0, limits.disliked) },
+      recommendationHistory: keptHistory,
+      previouslyRecommended: keptHistory.map(rec => rec.title).join(', '),
+      crowdPicks: (preferences.crowdPicks || []).slice(0, limits.crowd),
+      diary: preferences.diary && {
+        recent: (preferences.diary.recent || []).slice(0, limits.diary),
+        rewatched: (preferences.diary.rewatched || []).slice(0, limits.diary)
+      },
+      candidatePool: preferences.candidatePool
+        ? preferences.candidatePool.slice(0, Math.max(limits.pool, count * 2, 5))
+        : preferences.candidatePool
+    };
+  }
+
+  render(template, preferences, remaining) {
+    const system = template.buildSystemMessage(remaining, Boolean(preferences.candidatePool?.length));
+    const user = template.buildUserMessage(preferences);
+    return {
+      system,
+      user,
+      tokens: this.estimateTokens(system) + this.estimateTokens(user) + this.messageOverhead * 2
+    };
+  }
+
+  // Render the template at the first compaction level that fits the budget
+  // The taste summary is only built once the full prompt turns out too long;
+  // pass the returned summary back in to reuse it across attempts
+  // Returns { system, user, tokens, budget, level, summary, candidatePool }
+  async fit(template, preferences, { model, summary } = {}) {
+    const budget = this.getBudget(model);
+    const remaining = preferences.count || 1;
+
+    let compacted = preferences;
+    let rendered;
+    let level = 0;
+    for (; level < COMPACTION_LEVELS.length; level++) {
+      if (level === 1 && summary === undefined) {
+        summary = await this.buildTasteSummary(preferences);
+      }
+      compacted = this.compact(preferences, summary, COMPACTION_LEVELS[level]);
+      rendered = this.render(template, compacted, remaining);
+      if (rendered.tokens <= budget) break;
+    }
+    level = Math.min(level, COMPACTION_LEVELS.length - 1);
+
+    // Last resort: drop the weakest candidates one at a time
+    while (rendered.tokens > budget && compacted.candidatePool?.length > remaining) {
+      compacted = { ...compacted, candidatePool: compacted.candidatePool.slice(0, -1) };
+      rendered = this.render(template, compacted, remaining);
+    }
+
+    if (rendered.tokens > budget) {
+      console.warn(`Prompt still exceeds the ${budget} token budget after compaction (${rendered.tokens} tokens)`);
+    } else if (level > 0) {
+      console.log(`Prompt compacted to level ${level}: ~${rendered.tokens}/${budget} tokens`);
+    }
+
+    return { ...rendered, budget, level, summary, candidatePool: compacted.candidatePool };
+  }
+}
+
+// Create singleton instance
+const promptBudget = new PromptBudgetService();
+
+module.exports = promptBudget;
@@ -0,0 +1,77 @@
+jest.mock('../../models/Movie', () => ({ find: jest.fn() }));
+
+const Movie = require('../../models/Movie');
+const promptBudget = require('./budget');
+const { getTemplate } = require('./index');
+
+const chain = (docs) => ({ select: () => ({ lean: async () => docs }) });
+
+const movie = (tmdbId, genres, extra = {}) => ({ tmdbId, title: `Movie ${tmdbId}`, year: 1990 + (tmdbId % 30), genres, ...extra });
+
+beforeEach(() => {
+  Movie.find.mockReset();
+  Movie.find.mockReturnValue(chain([]));
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('promptBudget.getBudget', () => {
+  test('uses the longest matching model prefix and never goes below the minimum', () => {
+    expect(promptBudget.getBudget('gpt-4o-mini-2024')).toBe(8000);
+    expect(promptBudget.getBudget('gpt-4-turbo')).toBe(6000);
+    expect(promptBudget.getBudget('mystery-model')).toBeGreaterThanOrEqual(1000);
+  });
+});
+
+describe('promptBudget.buildTasteSummary', () => {
+  test('summarises genres, eras and directors', async () => {
+    Movie.find.mockReturnValue(chain([
+      { tmdbId: 1, director: 'Michael Mann' },
+      { tmdbId: 2, director: 'Michael Mann' }
+    ]));
+
+    const summary = await promptBudget.buildTasteSummary({
+      likedMovies: { crime: [movie(1, ['Crime'], { year: 1995 }), movie(2, ['Crime', 'Drama'], { year: 1999 })] },
+      dislikedMovies: { horror: [movie(3, ['Horror'])] }
+    });
+
+    expect(summary).toMatchObject({
+      likedCount: 2,
+      dislikedCount: 1,
+      topGenres: ['crime', 'drama'],
+      avoidedGenres: ['horror'],
+      directors: ['Michael Mann'],
+      eras: ['1990s']
+    });
+  });
+
+  test('returns null without any liked or disliked movies', async () => {
+    expect(await promptBudget.buildTasteSummary({})).toBeNull();
+  });
+});
+
+describe('promptBudget.fit', () => {
+  const template = getTemplate('recommendation', 'v2');
+
+  test('leaves a short prompt untouched', async () => {
+    const preferences = { likedMovies: { drama: [movie(1, ['Drama'])] }, dislikedMovies: {} };
+    const result = await promptBudget.fit(template, preferences, { model: 'gpt-4o' });
+
+    expect(result.level).toBe(0);
+    expect(result.tokens).toBeLessThanOrEqual(result.budget);
+    expect(Movie.find).not.toHaveBeenCalled();
+  });
+
+  test('compacts a long profile into a taste summary that fits the budget', async () => {
+    const liked = Array.from({ length: 400 }, (_, i) => movie(i + 1, ['Drama', 'Thriller']));
+    const preferences = { likedMovies: { drama: liked }, dislikedMovies: {} };
+    const result = await promptBudget.fit(template, preferences, { model: 'gpt-3.5-turbo' });
+
+    expect(result.level).toBeGreaterThan(0);
+    expect(result.tokens).toBeLessThanOrEqual(result.budget);
+    expect(result.summary.likedCount).toBe(400);
+    expect(result.user).not.toContain('Movie 1 (');
+  });
+});
@@ -0,0 +1,38 @@
+// Optional sections of the recommendation prompt. Every template renders the
+// enabled ones whenever the request carries the data, so adding a signal does
+// not fork the wording under test into a new version:
+// tasteSummary      condensed taste profile when the budget layer shortened the lists
+// conversation      earlier answers and follow-ups of a refinement session
+// group             members of a group movie night, whose taste was merged into the lists
+// constraints       hard runtime, year, language and certification limits
+// moodDescriptions  curated moods with their description, pacing and runtime hints
+// ratings           graded 1-10 ratings next to the titles and in the genre tendencies
+// diary             rewatched favourites and recent viewings from the watch diary
+const PROMPT_FEATURES = [
+  'tasteSummary',
+  'conversation',
+  'group',
+  'constraints',
+  'moodDescriptions',
+  'ratings',
+  'diary'
+];
+
+// PROMPT_FEATURES: comma separated features to render (empty: all of them, "none": none)
+const readFeatures = (spec = process.env.PROMPT_FEATURES) => {
+  if (!spec || !spec.trim()) return [...PROMPT_FEATURES];
+  if (spec.trim() === 'none') return [];
+
+  const features = spec.split(',').map(feature => feature.trim()).filter(Boolean);
+  const unknown = features.filter(feature => !PROMPT_FEATURES.includes(feature));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown PROMPT_FEATURES: ${unknown.join(', ')} (known: ${PROMPT_FEATURES.join(', ')})`);
+  }
+  return PROMPT_FEATURES.filter(feature => features.includes(feature));
+};
+
+module.exports = {
+  PROMPT_FEATURES,
+  readFeatures,
+  enabledFeatures: readFeatures()
+};
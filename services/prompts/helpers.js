@@ -0,0 +1,153 @@
+const moodCatalog = require('../moods');
+const ratings = require('../ratings');
+
+// Shared building blocks for recommendation prompt templates
+
+// Flatten a filtered genre map ({ genre: [movies] }) into a list of movies
+function flattenGenreMap(genreMap, { unique = true } = {}) {
+  const movies = [];
+  for (const genreMovies of Object.values(genreMap || {})) {
+    if (Array.isArray(genreMovies)) {
+      movies.push(...genreMovies);
+    }
+  }
+
+  return unique
+    ? Array.from(new Map(movies.map(m => [m.tmdbId, m])).values())
+    : movies;
+}
+
+// "Title (genre, genre)" list used in prompts
+// withRatings adds "; rated 9/10" for movies the user gave a rating
+function formatMovieList(movies, { withRatings = false } = {}) {
+  return movies.map(m => {
+    const details = [
+      m.genres?.length > 0 ? m.genres.join(', ') : null,
+      withRatings && m.userRating ? `rated ${m.userRating}/10` : null
+    ].filter(Boolean);
+    return details.length > 0 ? `${m.title} (${details.join('; ')})` : m.title;
+  }).join(', ');
+}
+
+// Genres across the movies, most frequent first
+// weighted counts a movie by how strongly it was rated (a plain like or dislike counts once)
+function analyzeGenrePreferences({ likedMovies = [], weighted = false }) {
+  const genreCounts = {};
+  
+  // Process each movie and count genres
+  likedMovies.forEach(movie => {
+    if (movie.genres && Array.isArray(movie.genres)) {
+      const weight = weighted ? ratings.weight(movie) : 1;
+      movie.genres.forEach(genre => {
+        // Ensure genre is a string and convert to lowercase for consistency
+        const genreName = String(genre).toLowerCase().trim();
+        if (genreName) {
+          genreCounts[genreName] = (genreCounts[genreName] || 0) + weight;
+        }
+      });
+    }
+  });
+  
+  // Convert to array, sort by count (descending), and filter out any empty genres
+  return Object.entries(genreCounts)
+    .map(([genreId, count]) => ({ genreId, count }))
+    .filter(genre => genre.genreId) // Filter out any empty genre names
+    .sort((a, b) => b.count - a.count);
+}
+
+// JSON fields the model must return; tmdbId only when choosing from a pool
+function responseFields(hasCandidatePool) {
+  return hasCandidatePool
+    ? 'tmdbId, title, year, reason, genre, rating'
+    : 'title, year, reason, genre, rating';
+}
+
+// One-line taste profile used when the rating lists are too long to inline
+function formatTasteSummary(summary) {
+  const parts = [];
+  if (summary.topGenres.length > 0) parts.push(`favourite genres ${summary.topGenres.join(', ')}`);
+  if (summary.avoidedGenres.length > 0) parts.push(`tends to avoid ${summary.avoidedGenres.join(', ')}`);
+  if (summary.directors.length > 0) parts.push(`favourite directors ${summary.directors.join(', ')}`);
+  if (summary.eras.length > 0) parts.push(`favourite eras ${summary.eras.join(', ')}`);
+
+  return `Taste profile from ${summary.likedCount} liked and ${summary.dislikedCount} disliked movies: ${parts.join('; ')}`;
+}
+
+// Earlier turns of a refinement session, oldest first
+function formatConversation(conversation) {
+  return conversation.map((turn, index) => {
+    const picks = (turn.picks || [])
+      .map(pick => `${pick.title}${pick.year ? ` (${pick.year}${pick.runtime ? `, ${pick.runtime} min` : ''})` : ''}`)
+      .join(', ');
+    let line = `${index + 1}. You suggested: ${picks || 'nothing suitable'}`;
+    if (turn.message) {
+      line += `. The viewer replied: "${turn.message}"`;
+      if (turn.directions?.length > 0) line += ` (wants ${turn.directions.join('; ')})`;
+    }
+    return line;
+  }).join('\n');
+}
+
+// Group members with their favourite genres and a few liked titles
+function formatGroupMembers(members) {
+  return members.map(member => {
+    const details = [
+      member.topGenres.length > 0 ? `likes ${member.topGenres.join(', ')}` : 'no ratings yet',
+      member.exemplars.length > 0 ? `e.g. ${member.exemplars.join(', ')}` : null
+    ].filter(Boolean).join('; ');
+    return `${member.name} (${details})`;
+  }).join('; ');
+}
+
+// Hard request limits (runtime, years, language, certification) as a sentence
+function formatConstraints(constraints = {}) {
+  const parts = [];
+  if (constraints.minRuntime && constraints.maxRuntime) {
+    parts.push(`runtime between ${constraints.minRuntime} and ${constraints.maxRuntime} minutes`);
+  } else if (constraints.maxRuntime) {
+    parts.push(`runtime of at most ${constraints.maxRuntime} minutes`);
+  } else if (constraints.minRuntime) {
+    parts.push(`runtime of at least ${constraints.minRuntime} minutes`);
+  }
+  if (constraints.minYear && constraints.maxYear) {
+    parts.push(`released between ${constraints.minYear} and ${constraints.maxYear}`);
+  } else if (constraints.maxYear) {
+    parts.push(`released in ${constraints.maxYear} or earlier`);
+  } else if (constraints.minYear) {
+    parts.push(`released in ${constraints.minYear} or later`);
+  }
+  if (constraints.language) parts.push(`original language "${constraints.language}" (ISO 639-1)`);
+  if (constraints.maxCertification) parts.push(`US rating ${constraints.maxCertification} or milder`);
+  return parts.join('; ');
+}
+
+// Curated moods with their description, pacing and runtime hints
+function formatMoods(moods = []) {
+  return moodCatalog.describe(moods);
+}
+
+// Watch diary titles as "Title (year)"; rewatched ones add how often
+function formatDiaryMovies(movies = [], { rewatches = false } = {}) {
+  return movies.map(movie => {
+    const details = [
+      movie.year || null,
+      rewatches && movie.rewatchCount > 0
+        ? `rewatched ${movie.rewatchCount} time${movie.rewatchCount === 1 ? '' : 's'}`
+        : null
+    ].filter(Boolean);
+    return details.length > 0 ? `${movie.title} (${details.join(', ')})` : movie.title;
+  }).join(', ');
+}
+
+module.exports = {
+  flattenGenreMap,
+  formatDiaryMovies,
+  formatConstraints,
+  formatMoods,
+  formatGroupMembers,
+  formatTasteSummary,
+  formatConversation,
+  formatMovieList,
+  analyzeGenrePreferences,
+  responseFields
+};
@@ -0,0 +1,45 @@
+// Registry of named, versioned prompt templates
+// Templates are never edited once shipped: a wording change is a new version,
+// so acceptance can be compared per version through the experiments service.
+// New optional sections are feature flags shared by all versions (./features)
+const TEMPLATES = [
+  require('./recommendation/v1'),
+  require('./recommendation/v2')
+];
+
+// Version served when a user is not enrolled in any experiment
+const DEFAULT_VERSIONS = {
+  recommendation: process.env.PROMPT_DEFAULT_VERSION || 'v1'
+};
+
+const templateId = (template) => `${template.name}@${template.version}`;
+
+const registry = new Map(TEMPLATES.map(template => [templateId(template), template]));
+
+const getTemplate = (name, version = DEFAULT_VERSIONS[name]) => {
+  const template = registry.get(`${name}@${version}`);
+  if (!template) {
+    throw new Error(`Unknown prompt template: ${name}@${version}`);
+  }
+  return template;
+};
+
+const hasTemplate = (name, version) => registry.has(`${name}@${version}`);
+
+const listTemplates = (name) => TEMPLATES
+  .filter(template => !name || template.name === name)
+  .map(template => ({
+    id: templateId(template),
+    name: template.name,
+    version: template.version,
+    description: template.description,
+    features: template.features || [],
+    isDefault: DEFAULT_VERSIONS[template.name] === template.version
+  }));
+
+module.exports = {
+  getTemplate,
+  hasTemplate,
+  listTemplates,
+  templateId
+};
@@ -0,0 +1,55 @@
+const { getTemplate, hasTemplate, listTemplates } = require('./index');
+const { PROMPT_FEATURES, readFeatures } = require('./features');
+
+const preferences = {
+  likedMovies: { crime: [{ tmdbId: 949, title: 'Heat', genres: ['Crime'], userRating: 9 }] },
+  dislikedMovies: {},
+  constraints: { maxRuntime: 120 },
+  groupMembers: [{ name: 'Sam', topGenres: ['crime'], exemplars: ['Heat'] }, { name: 'Alex', topGenres: [], exemplars: [] }],
+  conversation: [{ picks: [{ title: 'Collateral', year: 2004 }], message: 'something lighter' }]
+};
+
+describe('prompt template registry', () => {
+  test('keeps one template per wording under test', () => {
+    expect(listTemplates('recommendation').map(template => template.version)).toEqual(['v1', 'v2']);
+    expect(getTemplate('recommendation').version).toBe('v1');
+    expect(hasTemplate('recommendation', 'v3')).toBe(false);
+    expect(() => getTemplate('recommendation', 'v3')).toThrow('Unknown prompt template: recommendation@v3');
+  });
+
+  test('renders every enabled feature by default', () => {
+    expect(listTemplates('recommendation')[0].features).toEqual(PROMPT_FEATURES);
+    ['v1', 'v2'].forEach(version => {
+      const prompt = getTemplate('recommendation', version).buildUserMessage(preferences);
+      expect(prompt).toContain('rated 9/10');
+      expect(prompt).toMatch(/runtime/i);
+      expect(prompt).toContain('Sam');
+      expect(prompt).toContain('something lighter');
+    });
+  });
+
+  test('leaves out the sections whose feature is switched off', () => {
+    ['v1', 'v2'].forEach(version => {
+      const prompt = getTemplate('recommendation', version).buildUserMessage(preferences, ['ratings']);
+      expect(prompt).toContain('rated 9/10');
+      expect(prompt).not.toMatch(/runtime/i);
+      expect(prompt).not.toContain('Sam');
+      expect(prompt).not.toContain('something lighter');
+
+      expect(getTemplate('recommendation', version).buildUserMessage(preferences, [])).not.toContain('9/10');
+    });
+  });
+});
+
+describe('readFeatures', () => {
+  test('defaults to every feature, and reads a list or "none"', () => {
+    expect(readFeatures(undefined)).toEqual(PROMPT_FEATURES);
+    expect(readFeatures(' ')).toEqual(PROMPT_FEATURES);
+    expect(readFeatures('none')).toEqual([]);
+    expect(readFeatures('diary, ratings')).toEqual(['ratings', 'diary']);
+  });
+
+  test('rejects unknown feature names', () => {
+    expect(() => readFeatures('ratings,sarcasm')).toThrow(/Unknown PROMPT_FEATURES: sarcasm/);
+  });
+});
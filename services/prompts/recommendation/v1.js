@@ -0,0 +1,212 @@
+const candidateRetrieval = require('../../candidateRetrieval');
+const {
+  flattenGenreMap,
+  formatMovieList,
+  formatDiaryMovies,
+  formatTasteSummary,
+  formatConversation,
+  formatGroupMembers,
+  formatConstraints,
+  formatMoods,
+  analyzeGenrePreferences,
+  responseFields
+} = require('../helpers');
+const { enabledFeatures } = require('../features');
+
+// v1: the free-form prompt, the experiment control
+// The optional sections (see ../features) are appended in the same places by
+// every version, so the experiment compares the two wordings only
+
+// System instructions for the number of picks still needed
+function buildSystemMessage(remaining, hasCandidatePool) {
+  const fields = hasCandidatePool
+    ? 'tmdbId, title, year, reason, genre, rating (tmdbId must come from the candidate list; use null for an unknown year, genre or rating)'
+    : 'title, year, reason, genre, rating (use null for an unknown year, genre or rating)';
+
+  return remaining > 1
+    ? `You are an expert movie recommender. Provide the requested number of distinct movie recommendations, ranked best first, each with detailed reasoning. Return response in valid JSON format only (no markdown code blocks) as an object with a recommendations array whose items have fields: ${fields}.`
+    : `You are an expert movie recommender. Provide exactly one movie recommendation with detailed reasoning. Return response in valid JSON format only (no markdown code blocks) with fields: ${fields}.`;
+}
+
+// features: the optional sections to render, PROMPT_FEATURES by default
+function buildUserMessage(preferences, features = enabledFeatures) {
+  const has = (feature) => features.includes(feature);
+  let prompt = preferences.isAlternative
+    ? "I need another movie recommendation to the very last suggested movie (included below) to me with the following preferences:\n\n"
+    : "I need a movie recommendation with the following preferences:\n\n";
+
+  const summary = has('tasteSummary') ? preferences.tasteSummary : null;
+  const withRatings = has('ratings');
+  const movieContext = preferences.genres?.length > 0
+    ? `my selected genres (${preferences.genres.join(', ')})`
+    : 'general preferences';
+  // Genre tendencies only when no genres were picked and no summary covers them
+  const genreTendency = (label, movies) => {
+    if (preferences.genres?.length > 0 || summary) return;
+    const genres = analyzeGenrePreferences({ likedMovies: movies, weighted: withRatings });
+    if (genres.length > 0) {
+      prompt += `User tends to ${label} these genres: ${genres.slice(0, 5).map(g => g.genreId).join(', ')}`;
+      if (genres.length > 5) prompt += ` and ${genres.length - 5} more`;
+      prompt += '\n';
+    }
+  };
+
+  // 1. Include selected genres from session if any
+  if (preferences.genres?.length > 0) {
+    prompt += `Preferred genres: ${preferences.genres.join(', ')}\n`;
+  }
+
+  // 1b. Condensed taste profile when the budget layer shortened the lists below
+  if (summary) {
+    prompt += `${formatTasteSummary(summary)}\n`;
+  }
+
+  // 2. Include information from liked movies (already filtered by genre in the route)
+  const likedMovies = flattenGenreMap(preferences.likedMovies);
+  if (likedMovies.length > 0) {
+    prompt += `Liked movies in ${movieContext}: ${formatMovieList(likedMovies, { withRatings })}\n`;
+    genreTendency('like', likedMovies);
+  }
+
+  // 3. Include information from disliked movies (already filtered by genre in the route)
+  const dislikedMovies = flattenGenreMap(preferences.dislikedMovies, { unique: false });
+  if (dislikedMovies.length > 0) {
+    prompt += `Disliked movies in ${movieContext}: ${formatMovieList(dislikedMovies, { withRatings })}\n`;
+    genreTendency('dislike', dislikedMovies);
+  }
+
+  // 3b. Include what users with similar taste liked (collaborative filtering)
+  if (preferences.crowdPicks?.length > 0) {
+    prompt += `People with similar taste also liked: ${preferences.crowdPicks.map(m => m.title).join(', ')}\n`;
+  }
+
+  // 3c. Include the watch diary: favourites the user rewatches and what they saw lately
+  const diary = has('diary') ? preferences.diary : null;
+  if (diary?.rewatched?.length > 0) {
+    prompt += `Movies I keep rewatching: ${formatDiaryMovies(diary.rewatched, { rewatches: true })}\n`;
+  }
+  if (diary?.recent?.length > 0) {
+    prompt += `Movies I watched recently (already seen): ${formatDiaryMovies(diary.recent)}\n`;
+  }
+
+  // 4. Include mood and social context from session
+  if (preferences.moods?.length > 0) {
+    const moods = has('moodDescriptions') ? formatMoods(preferences.moods) : preferences.moods.join(', ');
+    prompt += `Current mood: ${moods}\n`;
+  }
+
+  if (preferences.socialContext) {
+    prompt += `Watching context: ${preferences.socialContext}\n`;
+  }
+
+  // 4b. Group movie night: everyone's taste was merged into the lists above
+  if (has('group') && preferences.groupMembers?.length > 0) {
+    prompt += `Watching as a group: ${formatGroupMembers(preferences.groupMembers)}\n`;
+    prompt += "The movie must work for every member; the reason should say how it suits each person by name.\n";
+  }
+
+  // 5. Include deal breakers from session
+  if (preferences.dealBreakers?.length > 0) {
+    prompt += `Avoid: ${preferences.dealBreakers.join(', ')}\n`;
+  }
+
+  // 5b. Hard limits; picks that break them are discarded after the TMDB check
+  const constraints = has('constraints') ? formatConstraints(preferences.constraints) : '';
+  if (constraints) {
+    prompt += `Hard requirements (non-negotiable): ${constraints}\n`;
+  }
+
+  // 6. Include user's acceptance patterns from recommendation history
+  const history = preferences.recommendationHistory || [];
+  if (history.length > 0) {
+    const acceptedMovies = history.filter(rec => rec.accepted === true).map(rec => rec.title);
+    const rejectedMovies = history.filter(rec => rec.accepted === false).map(rec => rec.title);
+
+    if (acceptedMovies.length > 0) {
+      prompt += `User previously accepted these recommended movies: ${acceptedMovies.join(', ')}\n`;
+    }
+    if (rejectedMovies.length > 0) {
+      prompt += `User previously rejected these recommended movies: ${rejectedMovies.join(', ')}\n`;
+    }
+
+    // Exclude all previously recommended movies (both accepted and rejected)
+    prompt += `Do not recommend these movies as user has already been suggested with them previously: ${history.map(rec => rec.title).join(', ')}\n`;
+  } else if (preferences.previouslyRecommended) {
+    prompt += `Do not recommend these movies as user has already been suggested with them previously: ${preferences.previouslyRecommended}\n`;
+  }
+
+  // 7. Add specific emphasis on moods and social context
+  if ((preferences.moods?.length > 0) || preferences.socialContext) {
+    prompt += "\nImportant: ";
+    if (preferences.moods?.length > 0) {
+      if (preferences.moods.length === 1) {
+        prompt += `The viewer is in a ${preferences.moods[0]} mood. `;
+      } else {
+        const lastMood = preferences.moods[preferences.moods.length - 1];
+        const otherMoods = preferences.moods.slice(0, -1);
+        prompt += `The viewer is in a ${otherMoods.join(', ')} and ${lastMood} mood. `;
+      }
+    }
+    if (preferences.socialContext) {
+      prompt += `They will be watching with ${preferences.socialContext}. `;
+    }
+    prompt += "Please consider this carefully in your recommendation.\n";
+  }
+
+  // 7b. Refinement session: earlier answers and the viewer's follow-ups
+  if (has('conversation') && preferences.conversation?.length > 0) {
+    prompt += `\nConversation so far:\n${formatConversation(preferences.conversation)}\n`;
+    prompt += "Keep what the viewer liked about the earlier suggestions and change only what they asked for.\n";
+  }
+
+  // Retrieval mode: the model may only choose from real TMDB candidates
+  if (preferences.candidatePool?.length > 0) {
+    prompt += `\nChoose ONLY from these candidate movies and return the chosen tmdbId exactly as listed:\n${candidateRetrieval.formatForPrompt(preferences.candidatePool)}\n`;
+  }
+
+  // Titles already picked earlier in this batch
+  if (preferences.pendingTitles?.length > 0) {
+    prompt += `Also do not recommend these movies as they were already picked for this request: ${preferences.pendingTitles.join(', ')}\n`;
+  }
+
+  const count = preferences.count || 1;
+  prompt += count > 1
+    ? `\nRecommend ${count} different movies ranked from best to weakest match, each with its own clear reasoning. `
+    : "\nRecommend ONE movie with clear reasoning. ";
+
+  // Add guidance about acceptance patterns
+  const acceptedCount = history.filter(rec => rec.accepted === true).length;
+  const rejectedCount = history.filter(rec => rec.accepted === false).length;
+  if (acceptedCount > 0 && rejectedCount > 0) {
+    prompt += "Consider the user's previous acceptance and rejection patterns when making your recommendation. ";
+  } else if (acceptedCount > 0) {
+    prompt += "Consider the user's previously accepted recommendations to understand their taste better. ";
+  } else if (rejectedCount > 0) {
+    prompt += "Consider the user's previously rejected recommendations to avoid similar patterns. ";
+  }
+
+  if (preferences.genres?.length > 0) {
+    prompt += `The recommendation should be from the selected genres (${preferences.genres.join(', ')}) and `;
+    prompt += "should align with the liked movies and avoid the patterns of disliked movies of chosen genres.";
+  } else {
+    prompt += "The recommendation should match their preferred genres and avoid movies that match the taste of their disliked movies. ";
+  }
+
+  prompt += "If the user has specified moods or social context, ensure the movie aligns with that context. (In romantic mood, if paird with dark mood and Date context you can suggest R or higher rated movies too if they are romantic).";
+
+  const fields = responseFields(preferences.candidatePool?.length > 0);
+  prompt += count > 1
+    ? `Return your response in valid JSON format as an object with a "recommendations" array of ${count} items, best match first, each with these fields: ${fields}.`
+    : `Return your response in valid JSON format with these fields: ${fields}.`;
+
+  return prompt;
+}
+
+module.exports = {
+  name: 'recommendation',
+  version: 'v1',
+  description: 'Free-form prompt',
+  features: enabledFeatures,
+  buildSystemMessage,
+  buildUserMessage
+};
@@ -0,0 +1,145 @@
+const candidateRetrieval = require('../../candidateRetrieval');
+const ratings = require('../../ratings');
+const {
+  flattenGenreMap,
+  formatMovieList,
+  formatDiaryMovies,
+  formatTasteSummary,
+  formatConversation,
+  formatGroupMembers,
+  formatConstraints,
+  formatMoods,
+  analyzeGenrePreferences,
+  responseFields
+} = require('../helpers');
+const { enabledFeatures } = require('../features');
+
+// v2: the same signals grouped into labelled sections, with the
+// session (genres, mood, company) stated ahead of the long-term taste
+
+// System instructions for the number of picks still needed
+function buildSystemMessage(remaining, hasCandidatePool) {
+  const rules = [
+    'You are a film curator who explains every pick in terms of the viewer\'s own taste.',
+    'Never suggest a movie listed under "Already suggested".',
+    hasCandidatePool ? 'Only pick movies from the candidate list and copy their tmdbId exactly.' : null,
+    'Use null for an unknown year, genre or rating.',
+    remaining > 1
+      ? `Answer with JSON only (no markdown): an object with a recommendations array of ${remaining} items, best first, each with fields ${responseFields(hasCandidatePool)}.`
+      : `Answer with JSON only (no markdown): one object with fields ${responseFields(hasCandidatePool)}.`
+  ];
+
+  return rules.filter(Boolean).join(' ');
+}
+
+// features: the optional sections to render, PROMPT_FEATURES by default
+function buildUserMessage(preferences, features = enabledFeatures) {
+  const has = (feature) => features.includes(feature);
+  const sections = [];
+  const addSection = (heading, lines) => {
+    const content = lines.filter(Boolean);
+    if (content.length > 0) {
+      sections.push(`## ${heading}\n${content.join('\n')}`);
+    }
+  };
+
+  // Tonight: what the viewer asked for in this session
+  const moods = preferences.moods || [];
+  const constraints = has('constraints') ? formatConstraints(preferences.constraints) : '';
+  addSection('Tonight', [
+    preferences.isAlternative ? 'The viewer asked for an alternative to the last suggestion.' : null,
+    preferences.genres?.length > 0 ? `Genres: ${preferences.genres.join(', ')}` : null,
+    moods.length > 0 ? `Mood: ${has('moodDescriptions') ? formatMoods(moods) : moods.join(', ')}` : null,
+    preferences.socialContext ? `Watching with: ${preferences.socialContext}` : null,
+    has('group') && preferences.groupMembers?.length > 0
+      ? `Group: ${formatGroupMembers(preferences.groupMembers)}. The pick must work for every member; name each person in the reason.`
+      : null,
+    preferences.dealBreakers?.length > 0 ? `Must avoid: ${preferences.dealBreakers.join(', ')}` : null,
+    constraints ? `Hard requirements (picks that break them are discarded): ${constraints}` : null
+  ]);
+
+  // Taste: long-term likes and dislikes; with ratings the most strongly rated come first
+  const withRatings = has('ratings');
+  const byStrength = (movies) => (withRatings ? ratings.byStrength(movies) : movies);
+  const liked = byStrength(flattenGenreMap(preferences.likedMovies));
+  const disliked = byStrength(flattenGenreMap(preferences.dislikedMovies));
+  const topGenres = (movies) => analyzeGenrePreferences({ likedMovies: movies, weighted: withRatings })
+    .slice(0, 5)
+    .map(genre => genre.genreId)
+    .join(', ');
+
+  // A taste summary replaces the genre leanings and marks the lists as a sample
+  const summary = has('tasteSummary') ? preferences.tasteSummary : null;
+  const leanings = !summary && !preferences.genres?.length;
+  const diary = has('diary') ? preferences.diary : null;
+  addSection('Taste', [
+    summary ? formatTasteSummary(summary) : null,
+    liked.length > 0 ? `${summary ? 'Recent favourites' : 'Loved'}: ${formatMovieList(liked, { withRatings })}` : null,
+    disliked.length > 0 ? `Did not enjoy: ${formatMovieList(disliked, { withRatings })}` : null,
+    leanings && liked.length > 0 ? `Leans towards: ${topGenres(liked)}` : null,
+    leanings && disliked.length > 0 ? `Leans away from: ${topGenres(disliked)}` : null,
+    diary?.rewatched?.length > 0
+      ? `Keeps rewatching: ${formatDiaryMovies(diary.rewatched, { rewatches: true })}`
+      : null,
+    diary?.recent?.length > 0
+      ? `Recently watched (already seen): ${formatDiaryMovies(diary.recent)}`
+      : null,
+    preferences.crowdPicks?.length > 0
+      ? `Viewers with similar taste loved: ${preferences.crowdPicks.map(m => m.title).join(', ')}`
+      : null
+  ]);
+
+  // History: feedback on earlier suggestions and titles to skip
+  const history = preferences.recommendationHistory || [];
+  const accepted = history.filter(rec => rec.accepted === true).map(rec => rec.title);
+  const rejected = history.filter(rec => rec.accepted === false).map(rec => rec.title);
+  const alreadySuggested = [
+    ...(history.length > 0
+      ? history.map(rec => rec.title)
+      : (preferences.previouslyRecommended ? [preferences.previouslyRecommended] : [])),
+    ...(preferences.pendingTitles || [])
+  ];
+
+  addSection('History', [
+    accepted.length > 0 ? `Accepted: ${accepted.join(', ')}` : null,
+    rejected.length > 0 ? `Rejected: ${rejected.join(', ')}` : null,
+    alreadySuggested.length > 0 ? `Already suggested: ${alreadySuggested.join(', ')}` : null
+  ]);
+
+  // Conversation: earlier answers in a refinement session and the follow-ups
+  if (has('conversation') && preferences.conversation?.length > 0) {
+    addSection('Conversation', [
+      formatConversation(preferences.conversation),
+      'Keep what the viewer liked about the earlier suggestions and change only what they asked for.'
+    ]);
+  }
+
+  if (preferences.candidatePool?.length > 0) {
+    addSection('Candidates', [
+      'Choose ONLY from these candidate movies and return the chosen tmdbId exactly as listed:',
+      candidateRetrieval.formatForPrompt(preferences.candidatePool)
+    ]);
+  }
+
+  const count = preferences.count || 1;
+  addSection('Task', [
+    count > 1
+      ? `Recommend ${count} different movies ranked from best to weakest match.`
+      : 'Recommend ONE movie.',
+    'Fit tonight\'s request first, then the long-term taste. Each reason should name the liked movies or moods it builds on.',
+    moods.length > 0 || preferences.socialContext
+      ? 'The mood and company matter: a romantic but dark date night can take an R-rated romance.'
+      : null
+  ]);
+
+  return sections.join('\n\n');
+}
+
+module.exports = {
+  name: 'recommendation',
+  version: 'v2',
+  description: 'Sectioned prompt with the session request ahead of long-term taste',
+  features: enabledFeatures,
+  buildSystemMessage,
+  buildUserMessage
+};
@@ -0,0 +1,86 @@
+// Personal ratings run from 1 to 10 in half steps (half stars on a 5-star UI)
+const MIN_RATING = 1;
+const MAX_RATING = 10;
+// Ratings at or above this put a movie in likedMovies, below it in dislikedMovies
+const LIKE_THRESHOLD = 6;
+// What a plain like/dislike without a rating stands for
+const IMPLIED_RATINGS = { liked: 7, disliked: 4 };
+const NEUTRAL = (MIN_RATING + MAX_RATING) / 2;
+
+const roundToHalf = (value) => Math.round(value * 2) / 2;
+
+// Graded personal ratings. Liked/disliked genre maps stay the source of
+// truth for direction; a movie's userRating (when the user gave one) says how
+// strongly, and weight() turns that into a multiplier for taste signals
+class PersonalRatingService {
+  constructor() {
+    this.likeThreshold = LIKE_THRESHOLD;
+  }
+
+  // Validate the rating fields of a request body:
+  // userRating (1-10 in 0.5 steps) or stars (0.5-5 in 0.5 steps), and/or accepted
+  // accepted may accompany a rating only when it agrees with it (rating >= 6 is liked)
+  // Returns { userRating, accepted } (userRating null when only accepted was sent),
+  // or { error }
+  parse({ userRating, stars, accepted } = {}) {
+    let rating = null;
+
+    if (userRating !== undefined && userRating !== null) {
+      rating = Number(userRating);
+      if (!Number.isFinite(rating) || rating < MIN_RATING || rating > MAX_RATING || roundToHalf(rating) !== rating) {
+        return { error: `userRating must be between ${MIN_RATING} and ${MAX_RATING} in steps of 0.5` };
+      }
+    } else if (stars !== undefined && stars !== null) {
+      const value = Number(stars);
+      if (!Number.isFinite(value) || value < 0.5 || value > 5 || roundToHalf(value) !== value) {
+        return { error: 'stars must be between 0.5 and 5 in steps of 0.5' };
+      }
+      rating = Math.max(MIN_RATING, value * 2);
+    }
+
+    if (accepted !== undefined && typeof accepted !== 'boolean') {
+      return { error: 'accepted must be true or false' };
+    }
+    if (rating === null && accepted === undefined) {
+      return { error: 'Send userRating, stars or accepted' };
+    }
+    if (rating !== null && accepted !== undefined && accepted !== this.isLiked(rating)) {
+      return {
+        error: `A rating of ${rating}/10 is a ${this.isLiked(rating) ? 'like' : 'dislike'}; `
+          + `send accepted: ${this.isLiked(rating)} or leave accepted out`
+      };
+    }
+
+    return { userRating: rating, accepted: accepted ?? rating >= LIKE_THRESHOLD };
+  }
+
+  // Whether a rating belongs in likedMovies
+  isLiked(userRating) {
+    return userRating >= LIKE_THRESHOLD;
+  }
+
+  // The user's rating of a rated movie, implied from its bucket when they only liked/disliked it
+  ratingOf(movie, liked) {
+    return movie.userRating || (liked ? IMPLIED_RATINGS.liked : IMPLIED_RATINGS.disliked);
+  }
+
+  // How strongly a movie speaks for (or against) its genres, directors and cast:
+  // 1 for a plain like/dislike, up to 3 for a 10/10 or 1/10, towards 0 near the middle
+  weight(movie) {
+    if (!movie?.userRating) return 1;
+    return Math.round((Math.abs(movie.userRating - NEUTRAL) / (IMPLIED_RATINGS.liked - NEUTRAL)) * 1000) / 1000;
+  }
+
+  // Strongest ratings first; equal weights keep their order (e.g. recency)
+  byStrength(movies) {
+    return movies
+      .map((movie, index) => ({ movie, index, weight: this.weight(movie) }))
+      .sort((a, b) => b.weight - a.weight || a.index - b.index)
+      .map(({ movie }) => movie);
+  }
+}
+
+// Create singleton instance
+const ratings = new PersonalRatingService();
+
+module.exports = ratings;
@@ -0,0 +1,64 @@
+const ratings = require('./ratings');
+
+describe('ratings.parse', () => {
+  test('accepts a 1-10 rating and derives accepted from it', () => {
+    expect(ratings.parse({ userRating: 9 })).toEqual({ userRating: 9, accepted: true });
+    expect(ratings.parse({ userRating: 5.5 })).toEqual({ userRating: 5.5, accepted: false });
+    expect(ratings.parse({ userRating: '6' })).toEqual({ userRating: 6, accepted: true });
+  });
+
+  test('converts half stars to the 1-10 scale', () => {
+    expect(ratings.parse({ stars: 4.5 })).toEqual({ userRating: 9, accepted: true });
+    expect(ratings.parse({ stars: 0.5 })).toEqual({ userRating: 1, accepted: false });
+  });
+
+  test('keeps a plain like or dislike without a rating', () => {
+    expect(ratings.parse({ accepted: true })).toEqual({ userRating: null, accepted: true });
+    expect(ratings.parse({ accepted: false })).toEqual({ userRating: null, accepted: false });
+  });
+
+  test('allows accepted when it agrees with the rating', () => {
+    expect(ratings.parse({ userRating: 8, accepted: true })).toEqual({ userRating: 8, accepted: true });
+    expect(ratings.parse({ stars: 1, accepted: false })).toEqual({ userRating: 2, accepted: false });
+  });
+
+  test('rejects accepted that contradicts the rating', () => {
+    expect(ratings.parse({ userRating: 5, accepted: true }).error).toMatch(/dislike/);
+    expect(ratings.parse({ userRating: 8, accepted: false }).error).toMatch(/like/);
+  });
+
+  test('rejects out-of-range or off-step values', () => {
+    expect(ratings.parse({ userRating: 0 }).error).toBeDefined();
+    expect(ratings.parse({ userRating: 11 }).error).toBeDefined();
+    expect(ratings.parse({ userRating: 7.3 }).error).toBeDefined();
+    expect(ratings.parse({ stars: 6 }).error).toBeDefined();
+    expect(ratings.parse({ accepted: 'yes' }).error).toBe('accepted must be true or false');
+    expect(ratings.parse({}).error).toBe('Send userRating, stars or accepted');
+  });
+});
+
+describe('ratings.weight', () => {
+  test('counts a plain like or dislike once', () => {
+    expect(ratings.weight({ title: 'Heat' })).toBe(1);
+  });
+
+  test('grows with distance from the middle of the scale', () => {
+    expect(ratings.weight({ userRating: 10 })).toBe(3);
+    expect(ratings.weight({ userRating: 1 })).toBe(3);
+    expect(ratings.weight({ userRating: 7 })).toBe(1);
+    expect(ratings.weight({ userRating: 6 })).toBeCloseTo(0.333);
+  });
+});
+
+describe('ratings.byStrength', () => {
+  test('puts the strongest ratings first and keeps ties in order', () => {
+    const movies = [
+      { title: 'A', userRating: 6 },
+      { title: 'B' },
+      { title: 'C', userRating: 10 },
+      { title: 'D' }
+    ];
+
+    expect(ratings.byStrength(movies).map(movie => movie.title)).toEqual(['C', 'B', 'D', 'A']);
+  });
+});
@@ -0,0 +1,486 @@
+const { getLLMProvider } = require('./llm');
+const { 
+  getResponseFormat, 
+  parseRecommendationResponse, 
+  RecommendationSchemaError 
+} = require('./recommendationSchema');
+const { searchMovieOnTMDB } = require('./movieCatalog');
+const fallbackRecommender = require('./fallbackRecommender');
+const collaborativeFiltering = require('./collaborativeFiltering');
+const candidateRetrieval = require('./candidateRetrieval');
+const movieConstraints = require('./movieConstraints');
+const moodCatalog = require('./moods');
+const watchProviders = require('./watchProviders');
+const recommendationRecords = require('./recommendationRecords');
+const llmUsage = require('./llmUsage');
+const exclusions = require('./exclusions');
+const watchDiary = require('./watchDiary');
+const experimentService = require('./experiments');
+const { getTemplate, templateId } = require('./prompts');
+const { analyzeGenrePreferences } = require('./prompts/helpers');
+const promptBudget = require('./prompts/budget');
+
+// Use the content-based recommender when the LLM fails or runs out of attempts
+const FALLBACK_ENABLED = process.env.RECOMMENDATION_FALLBACK !== 'false';
+
+// retrieval: the model picks from a pool of real TMDB titles (default)
+// open: the model names any title and TMDB search resolves it
+const RECOMMENDATION_MODE = process.env.RECOMMENDATION_MODE || 'retrieval';
+const CANDIDATE_POOL_SIZE = parseInt(process.env.CANDIDATE_POOL_SIZE) || 40;
+
+// Pull the (possibly still incomplete) "reason" strings out of a partial JSON answer
+function extractPartialReasons(buffer) {
+  const reasons = [];
+  for (const match of buffer.matchAll(/"reason"\s*:\s*"((?:[^"\\]|\\.)*)/g)) {
+    // Drop a dangling escape so the fragment still parses
+    const fragment = match[1].replace(/\\(u[0-9a-fA-F]{0,3})?$/, '');
+    try {
+      reasons.push(JSON.parse(`"${fragment}"`));
+    } catch (error) {
+      reasons.push(fragment);
+    }
+  }
+  return reasons;
+}
+
+// Run a chat completion through the configured provider
+// Tokens and partial reasons are streamed to onProgress when one is given
+async function requestCompletion(params, { onProgress, signal } = {}) {
+  const provider = getLLMProvider();
+
+  if (!onProgress) {
+    return provider.complete({ ...params, signal });
+  }
+
+  let content = '';
+  const emittedReasonLengths = [];
+
+  return provider.complete({
+    ...params,
+    signal,
+    onToken: (delta) => {
+      content += delta;
+      onProgress('token', { text: delta });
+
+      // Forward only the newly arrived part of each reason
+      extractPartialReasons(content).forEach((reason, index) => {
+        const emitted = emittedReasonLengths[index] || 0;
+        if (reason.length > emitted) {
+          onProgress('reason', { index, text: reason.slice(emitted) });
+          emittedReasonLengths[index] = reason.length;
+        }
+      });
+    }
+  });
+}
+
+// Returns an ordered list of up to preferences.count unseen, TMDB-verified picks
+// Each pick carries engine: 'llm' or 'fallback' depending on what produced it
+// Progress is reported through options.onProgress(event, data) when provided
+// options.context carries retrieval results between calls (refinement sessions):
+// crowdPicks, diary, candidatePool and tasteSummary are reused when present and
+// filled in when computed, so the caller can persist them
+// options.excludeIds adds tmdbIds that must never be picked (e.g. group members' history)
+// on top of the user's own exclusions (see services/exclusions.js)
+// options.origin, sessionId and sessionMessage describe the request in the stored records
+async function generateMovieRecommendation(user, preferences, { 
+  onProgress, 
+  signal, 
+  context = {}, 
+  excludeIds = new Set(),
+  origin = 'recommend',
+  sessionId = null,
+  sessionMessage = null
+} = {}) {
+  const startedAt = Date.now();
+  const emit = onProgress || (() => {});
+  const count = preferences.count || 1;
+  // More attempts for alternatives, plus one extra per additional batch slot
+  const maxAttempts = (preferences.isAlternative ? 5 : 3) + (count - 1);
+  let attempts = 0;
+  let providerFailed = false;
+  let budgetExceeded = false;
+  const picks = [];
+  // Model actually used and tokens spent, for the recommendation records
+  let modelUsed = null;
+  const usage = { promptTokens: 0, completionTokens: 0 };
+
+  // Prompt template for this user, possibly chosen by an A/B experiment
+  const { template, experiment } = experimentService.resolveTemplate('recommendation', user._id);
+  // Built on demand by the budget layer and reused across attempts
+  let tasteSummary = context.tasteSummary;
+
+  // Rated, watchlisted and previously recommended movies (plus the caller's
+  // extra exclusions) are never offered to the model nor accepted from it
+  const excluded = await exclusions.forUser(user);
+  excludeIds.forEach(tmdbId => excluded.add(tmdbId));
+
+  // Crowd signal: what users with similar taste liked
+  if (context.crowdPicks) {
+    preferences = { ...preferences, crowdPicks: context.crowdPicks };
+  } else if (!preferences.crowdPicks) {
+    try {
+      const { movies } = await collaborativeFiltering.getCandidates(user._id, {
+        limit: 10,
+        excludeIds: excluded
+      });
+      preferences = { ...preferences, crowdPicks: movies };
+      context.crowdPicks = movies;
+    } catch (error) {
+      console.error('Failed to load collaborative filtering candidates:', error);
+    }
+  }
+
+  // Diary signal: what the user watched lately and keeps rewatching
+  if (context.diary) {
+    preferences = { ...preferences, diary: context.diary };
+  } else if (!preferences.diary) {
+    try {
+      const diary = await watchDiary.tasteSignals(user._id);
+      preferences = { ...preferences, diary };
+      context.diary = diary;
+    } catch (error) {
+      console.error('Failed to load watch diary signals:', error);
+    }
+  }
+  
+  // Retrieval step: only let the model choose among real, unseen TMDB titles
+  let candidatePool = null;
+  if (RECOMMENDATION_MODE === 'retrieval') {
+    try {
+      const reused = Boolean(context.candidatePool);
+      let pool;
+      if (reused) {
+        pool = context.candidatePool.filter(movie => !excluded.has(movie.tmdbId)
+          && movieConstraints.allows(movie, preferences.constraints)
+          && moodCatalog.fits(movie, preferences.moods));
+      } else {
+        pool = await candidateRetrieval.buildPool(preferences, {
+          excludeIds: excluded,
+          limit: CANDIDATE_POOL_SIZE
+        });
+        context.candidatePool = pool;
+      }
+      emit('retrieval', { poolSize: pool.length, reused });
+
+      // A tiny pool would just force repeats; let the model roam instead
+      if (pool.length >= Math.max(5, count * 2)) {
+        candidatePool = pool;
+      } else {
+        console.warn(`Candidate pool too small (${pool.length}), using open recommendation mode`);
+      }
+    } catch (error) {
+      console.error('Candidate retrieval failed, using open recommendation mode:', error);
+    }
+  }
+  const rejectedIds = new Set();
+  // Titles dropped for being excluded, breaking a hard constraint or not being
+  // on the user's streaming services, listed as off-limits in later prompts
+  const violatingTitles = [];
+  
+  while (attempts < maxAttempts && picks.length < count && !providerFailed && !budgetExceeded) {
+    if (signal?.aborted) break;
+
+    // The route checked the ceiling once, but every retry spends more; stop
+    // calling the model as soon as this request has used up the budget
+    try {
+      budgetExceeded = (await llmUsage.checkBudget(user)).exceeded;
+    } catch (error) {
+      console.error('LLM budget check failed:', error);
+    }
+    if (budgetExceeded) {
+      console.warn(`Monthly LLM budget reached after ${attempts} attempt(s), stopping model calls`);
+      break;
+    }
+
+    try {
+      // Candidates still on offer for this attempt
+      const remainingPool = candidatePool?.filter(movie => 
+        !rejectedIds.has(movie.tmdbId) && !picks.some(pick => pick.tmdbId === movie.tmdbId)
+      );
+
+      // Build recommendation prompt for the slots still open, within the model's token budget
+      const provider = getLLMProvider();
+      const prompt = await promptBudget.fit(template, {
+        ...preferences,
+        count: count - picks.length,
+        pendingTitles: [...picks.map(pick => pick.title), ...violatingTitles],
+        candidatePool: remainingPool
+      }, { model: provider.model, summary: tasteSummary });
+      tasteSummary = prompt.summary;
+      context.tasteSummary = tasteSummary;
+      console.log(`Generated recommendation prompt (${templateId(template)}, ~${prompt.tokens} tokens):`, prompt.user);
+      emit('prompt', { 
+        attempt: attempts + 1, 
+        maxAttempts, 
+        remaining: count - picks.length, 
+        promptVersion: template.version,
+        promptTokens: prompt.tokens,
+        compaction: prompt.level
+      });
+      
+      // Get AI recommendation
+      let completion;
+      try {
+        completion = await requestCompletion({
+          messages: [
+            {
+              role: "system",
+              content: prompt.system
+            },
+            {
+              role: "user",
+              content: prompt.user
+            }
+          ],
+          maxTokens: provider.maxTokens + 300 * (count - picks.length - 1),
+          temperature: provider.temperature + (attempts * 0.15), // Increase randomness with each attempt (more for alternatives)
+          responseFormat: getResponseFormat(count - picks.length)
+        }, { onProgress, signal });
+      } catch (error) {
+        if (signal?.aborted) break;
+        // The provider already retried transient errors; further attempts would only add latency
+        console.error(`Model request failed on attempt ${attempts + 1}:`, error);
+        attempts++;
+        providerFailed = true;
+        break;
+      }
+      const rawContent = completion.content;
+      modelUsed = completion.model || provider.model;
+
+      // Some providers report no usage (e.g. streaming without include_usage); estimate it
+      const completionUsage = completion.usage || {
+        promptTokens: prompt.tokens,
+        completionTokens: promptBudget.estimateTokens(rawContent),
+        estimated: true
+      };
+      usage.promptTokens += completionUsage.promptTokens;
+      usage.completionTokens += completionUsage.completionTokens;
+      // Awaited so the budget check before the next attempt sees this spend
+      await llmUsage.record(user._id, modelUsed, completionUsage).catch(error => {
+        console.error('Failed to record LLM usage:', error);
+      });
+
+      // Parse, repair and validate against the recommendation schema
+      let candidates;
+      try {
+        const { items, rejected } = parseRecommendationResponse(rawContent);
+        rejected.forEach(({ index, error }) => {
+          console.warn(`Discarding recommendation #${index + 1} (${error.code} ${error.field}): ${error.message}`);
+        });
+        candidates = items;
+      } catch (parseError) {
+        if (!(parseError instanceof RecommendationSchemaError)) throw parseError;
+        console.error(`Invalid AI response (${parseError.code}):`, parseError.message);
+        console.error('Raw response:', rawContent);
+        attempts++;
+        emit('retry', { attempt: attempts, reason: parseError.message, code: parseError.code });
+        continue;
+      }
+      
+      emit('model', { 
+        attempt: attempts + 1, 
+        titles: candidates.map(candidate => candidate.title) 
+      });
+
+      // Walk candidates in the model's ranking order
+      let violations = 0;
+      let moodMismatches = 0;
+      let unavailable = 0;
+      for (const candidate of candidates) {
+        if (picks.length >= count) break;
+
+        // In retrieval mode the answer must map onto a pooled candidate
+        let movieDetails;
+        if (remainingPool) {
+          const pooled = candidateRetrieval.resolve(remainingPool, candidate);
+          if (!pooled) {
+            console.warn(`Model picked a movie outside the candidate pool: ${candidate.title} (${candidate.tmdbId})`);
+            emit('unresolved', { title: candidate.title, year: candidate.year, reason: 'outside-pool' });
+            continue;
+          }
+          movieDetails = await searchMovieOnTMDB(null, null, pooled.tmdbId);
+          if (!movieDetails) rejectedIds.add(pooled.tmdbId);
+        } else {
+          // Get movie details from TMDB
+          movieDetails = await searchMovieOnTMDB(candidate.title, candidate.year);
+        }
+        
+        if (!movieDetails) {
+          emit('unresolved', { title: candidate.title, year: candidate.year, reason: 'not-found' });
+          continue;
+        }
+
+        // Skip excluded movies and ones picked earlier in this batch
+        if (picks.some(pick => pick.tmdbId === movieDetails.tmdbId)) {
+          continue;
+        }
+        if (excluded.has(movieDetails.tmdbId)) {
+          console.warn(`Discarding ${movieDetails.title}: already rated, watchlisted or recommended`);
+          rejectedIds.add(movieDetails.tmdbId);
+          violatingTitles.push(movieDetails.title);
+          continue;
+        }
+
+        // Hard constraints are checked against TMDB details, never taken on trust
+        const constraintViolations = await movieConstraints.verify(movieDetails, preferences.constraints);
+        if (constraintViolations.length > 0) {
+          console.warn(`Discarding ${movieDetails.title}: violates ${movieConstraints.describe(constraintViolations)}`);
+          rejectedIds.add(movieDetails.tmdbId);
+          violatingTitles.push(movieDetails.title);
+          violations++;
+          emit('violation', { 
+            tmdbId: movieDetails.tmdbId, 
+            title: movieDetails.title, 
+            violations: constraintViolations 
+          });
+          continue;
+        }
+
+        // The pick's genres must not clash with the requested moods
+        const moodConflicts = moodCatalog.conflicts(movieDetails, preferences.moods);
+        if (moodConflicts.length > 0) {
+          console.warn(`Discarding ${movieDetails.title}: clashes with ${movieConstraints.describe(moodConflicts)}`);
+          rejectedIds.add(movieDetails.tmdbId);
+          violatingTitles.push(movieDetails.title);
+          moodMismatches++;
+          emit('violation', { 
+            tmdbId: movieDetails.tmdbId, 
+            title: movieDetails.title, 
+            violations: moodConflicts 
+          });
+          continue;
+        }
+
+        // onlyMyServices: the pick must stream on one of the saved services
+        let whereToWatch;
+        if (preferences.streaming) {
+          const availability = await watchProviders.check(movieDetails, preferences.streaming);
+          if (!availability.available) {
+            console.warn(`Discarding ${movieDetails.title}: not on the user's streaming services`);
+            rejectedIds.add(movieDetails.tmdbId);
+            violatingTitles.push(movieDetails.title);
+            unavailable++;
+            emit('unavailable', { 
+              tmdbId: movieDetails.tmdbId, 
+              title: movieDetails.title, 
+              region: preferences.streaming.region 
+            });
+            continue;
+          }
+          whereToWatch = availability.whereToWatch;
+        }
+
+        picks.push({
+          ...(movieDetails.toObject ? movieDetails.toObject() : movieDetails),
+          whereToWatch,
+          reason: candidate.reason,
+          engine: 'llm',
+          promptVersion: template.version
+        });
+        emit('match', { 
+          rank: picks.length, 
+          tmdbId: movieDetails.tmdbId, 
+          title: movieDetails.title, 
+          year: movieDetails.year || (movieDetails.releaseDate ? new Date(movieDetails.releaseDate).getFullYear() : null)
+        });
+      }
+      
+      attempts++;
+      if (picks.length < count && attempts < maxAttempts) {
+        emit('retry', { 
+          attempt: attempts, 
+          reason: violations > 0 ? 'Picks violated the hard constraints'
+            : moodMismatches > 0 ? 'Picks did not suit the requested mood'
+            : unavailable > 0 ? 'Picks are not on your streaming services'
+              : 'Not enough new TMDB matches', 
+          found: picks.length 
+        });
+      }
+    } catch (error) {
+      if (signal?.aborted) break;
+      // TMDB lookups, verification or provider checks failed: spend the attempt, keep the model
+      console.error(`Attempt ${attempts + 1} failed:`, error);
+      attempts++;
+      if (picks.length < count && attempts < maxAttempts) {
+        emit('retry', { attempt: attempts, reason: 'Could not verify the picks', found: picks.length });
+      }
+    }
+  }
+
+  if (picks.length < count && FALLBACK_ENABLED && !signal?.aborted) {
+    emit('fallback', { 
+      reason: providerFailed ? 'Model unavailable'
+        : budgetExceeded ? 'Monthly budget reached'
+          : 'Model attempts exhausted', 
+      remaining: count - picks.length 
+    });
+
+    try {
+      const fallbackExcludeIds = new Set([...excluded, ...picks.map(pick => pick.tmdbId)]);
+      const fallbackPicks = await fallbackRecommender.recommend(user, preferences, {
+        count: count - picks.length,
+        excludeIds: fallbackExcludeIds
+      });
+
+      fallbackPicks.forEach(pick => {
+        picks.push({ ...pick, engine: 'fallback' });
+        emit('match', { 
+          rank: picks.length, 
+          tmdbId: pick.tmdbId, 
+          title: pick.title, 
+          engine: 'fallback' 
+        });
+      });
+    } catch (error) {
+      console.error('Fallback recommender failed:', error);
+    }
+  }
+
+  if (picks.length > 0) {
+    // Where to watch each pick in the user's region
+    await watchProviders.attach(picks, preferences.watchRegion || watchProviders.resolveRegion(null, user));
+
+    // Record every pick in history; the whole batch counts as one recommendation
+    // LLM picks carry the prompt version so feedback can be joined per variant
+    picks.forEach(pick => user.addRecommendation({
+      movieId: pick.tmdbId,
+      title: pick.title,
+      accepted: null,
+      engine: pick.engine,
+      promptVersion: pick.promptVersion || null,
+      experiment: pick.engine === 'llm' ? experiment : null
+    }));
+    user.dailyRecommendations.count += 1;
+    
+    // Save the user document with the new recommendations
+    await user.save();
+
+    // Full records (reason, request context, model, latency) for history and evaluation
+    await recommendationRecords.record(user, picks, preferences, {
+      origin,
+      sessionId,
+      sessionMessage,
+      provider: getLLMProvider().name,
+      model: modelUsed,
+      attempts,
+      latencyMs: Date.now() - startedAt,
+      usage: modelUsed ? usage : null,
+      experiment
+    });
+  }
+
+  return picks; // Empty if nothing new was found after max attempts
+}
+
+
+// Build the user prompt with the default template (or a given version)
+function buildRecommendationPrompt(preferences, version) {
+  return getTemplate('recommendation', version).buildUserMessage(preferences);
+}
+
+module.exports = {
+  generateMovieRecommendation,
+  buildRecommendationPrompt,
+  analyzeGenrePreferences
+};
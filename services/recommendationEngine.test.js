@@ -0,0 +1,163 @@
+jest.mock('./movieCatalog', () => ({
+  ...jest.requireActual('./movieCatalog'),
+  searchMovieOnTMDB: jest.fn()
+}));
+
+const User = require('../models/User');
+const { searchMovieOnTMDB } = require('./movieCatalog');
+const { setLLMProvider, FakeLLMProvider } = require('./llm');
+const { generateMovieRecommendation } = require('./recommendationEngine');
+const fallbackRecommender = require('./fallbackRecommender');
+const candidateRetrieval = require('./candidateRetrieval');
+const collaborativeFiltering = require('./collaborativeFiltering');
+const exclusions = require('./exclusions');
+const watchDiary = require('./watchDiary');
+const watchProviders = require('./watchProviders');
+const recommendationRecords = require('./recommendationRecords');
+const llmUsage = require('./llmUsage');
+
+const catalog = {
+  Heat: { tmdbId: 949, title: 'Heat', releaseDate: '1995-12-15', genres: ['Crime'] },
+  Ronin: { tmdbId: 8195, title: 'Ronin', releaseDate: '1998-09-25', genres: ['Action'] },
+  Collateral: { tmdbId: 1538, title: 'Collateral', releaseDate: '2004-08-06', genres: ['Crime'] }
+};
+const pick = (title) => ({ title, year: new Date(catalog[title].releaseDate).getFullYear(), reason: `${title} fits`, genre: 'Crime' });
+const fallbackPick = { tmdbId: 603, title: 'The Matrix', reason: 'A well-regarded pick' };
+
+let user;
+let provider;
+let events;
+const onProgress = (event, data) => events.push({ event, data });
+
+const useScript = (script) => {
+  provider = new FakeLLMProvider({ script });
+  jest.spyOn(provider, 'complete');
+  setLLMProvider(provider);
+};
+
+beforeEach(() => {
+  ['log', 'warn', 'error'].forEach(level => jest.spyOn(console, level).mockImplementation(() => {}));
+
+  user = new User({ googleId: 'google-1', email: 'viewer@example.com', name: 'Viewer' });
+  user.save = jest.fn(async function () { return this; });
+  events = [];
+
+  searchMovieOnTMDB.mockImplementation(async (title) => catalog[title] || null);
+  jest.spyOn(fallbackRecommender, 'recommend').mockResolvedValue([fallbackPick]);
+  jest.spyOn(candidateRetrieval, 'buildPool').mockResolvedValue([]);
+  jest.spyOn(collaborativeFiltering, 'getCandidates').mockResolvedValue({ movies: [] });
+  jest.spyOn(exclusions, 'forUser').mockResolvedValue(new Set());
+  jest.spyOn(watchDiary, 'tasteSignals').mockResolvedValue({ recent: [], rewatched: [] });
+  jest.spyOn(watchProviders, 'attach').mockImplementation(async (picks) => picks);
+  jest.spyOn(recommendationRecords, 'record').mockResolvedValue([]);
+  jest.spyOn(llmUsage, 'record').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  setLLMProvider(null);
+});
+
+describe('generateMovieRecommendation', () => {
+  test('marks model picks with engine llm and the prompt version', async () => {
+    useScript([pick('Heat')]);
+
+    const picks = await generateMovieRecommendation(user, { likedMovies: {}, dislikedMovies: {} }, { onProgress });
+
+    expect(picks).toHaveLength(1);
+    expect(picks[0]).toMatchObject({ tmdbId: 949, engine: 'llm', reason: 'Heat fits' });
+    expect(picks[0].promptVersion).toEqual(expect.any(String));
+    expect(fallbackRecommender.recommend).not.toHaveBeenCalled();
+    expect(user.recommendationHistory[0]).toMatchObject({ movieId: 949, engine: 'llm' });
+  });
+
+  test('goes straight to the fallback when the provider throws', async () => {
+    useScript(() => { throw new Error('model down'); });
+
+    const picks = await generateMovieRecommendation(user, { likedMovies: {}, dislikedMovies: {} }, { onProgress });
+
+    expect(provider.complete).toHaveBeenCalledTimes(1);
+    expect(events.find(({ event }) => event === 'fallback').data).toEqual({ reason: 'Model unavailable', remaining: 1 });
+    expect(picks).toEqual([expect.objectContaining({ tmdbId: 603, engine: 'fallback' })]);
+    expect(user.recommendationHistory[0]).toMatchObject({ movieId: 603, engine: 'fallback', promptVersion: null });
+  });
+
+  test('retries while every pick is filtered out, then falls back', async () => {
+    exclusions.forUser.mockResolvedValue(new Set([949]));
+    useScript(['not json', pick('Heat')]);
+
+    const picks = await generateMovieRecommendation(user, { likedMovies: {}, dislikedMovies: {} }, { onProgress });
+
+    expect(provider.complete).toHaveBeenCalledTimes(3);
+    expect(events.filter(({ event }) => event === 'retry').map(({ data }) => data.attempt)).toEqual([1, 2, 3]);
+    expect(events.find(({ event }) => event === 'fallback').data).toEqual({ reason: 'Model attempts exhausted', remaining: 1 });
+    expect(fallbackRecommender.recommend.mock.calls[0][2].excludeIds.has(949)).toBe(true);
+    expect(picks.map(({ tmdbId, engine }) => ({ tmdbId, engine }))).toEqual([{ tmdbId: 603, engine: 'fallback' }]);
+  });
+
+  test('stops calling the model once a retry would exceed the monthly budget', async () => {
+    // Each completion costs $0.006 against a $0.01 ceiling
+    let spent = 0;
+    user.llmMonthlyCostLimit = 0.01;
+    llmUsage.record.mockImplementation(async () => { spent += 0.006; });
+    jest.spyOn(llmUsage, 'monthlyCost').mockImplementation(async () => spent);
+    exclusions.forUser.mockResolvedValue(new Set([949]));
+    useScript([pick('Heat')]);
+
+    const picks = await generateMovieRecommendation(user, { likedMovies: {}, dislikedMovies: {} }, { onProgress });
+
+    expect(provider.complete).toHaveBeenCalledTimes(2);
+    expect(events.find(({ event }) => event === 'fallback').data).toEqual({ reason: 'Monthly budget reached', remaining: 1 });
+    expect(picks).toEqual([expect.objectContaining({ engine: 'fallback' })]);
+  });
+
+  test('tops up a partial batch from the fallback and keeps each pick\'s engine', async () => {
+    useScript([{ recommendations: [pick('Heat'), pick('Ronin')] }, { recommendations: [pick('Heat')] }]);
+
+    const picks = await generateMovieRecommendation(user, { likedMovies: {}, dislikedMovies: {}, count: 3 });
+
+    expect(picks.map(({ title, engine }) => [title, engine])).toEqual([
+      ['Heat', 'llm'],
+      ['Ronin', 'llm'],
+      ['The Matrix', 'fallback']
+    ]);
+  });
+});
+
+describe('generateMovieRecommendation in retrieval mode', () => {
+  const pool = [
+    { tmdbId: 949, title: 'Heat', year: 1995, genres: ['Crime'] },
+    { tmdbId: 8195, title: 'Ronin', year: 1998, genres: ['Action'] },
+    { tmdbId: 1538, title: 'Collateral', year: 2004, genres: ['Crime'] },
+    { tmdbId: 11, title: 'Thief', year: 1981, genres: ['Crime'] },
+    { tmdbId: 12, title: 'Manhunter', year: 1986, genres: ['Crime'] }
+  ];
+
+  beforeEach(() => {
+    candidateRetrieval.buildPool.mockResolvedValue(pool);
+    searchMovieOnTMDB.mockImplementation(async (title, year, tmdbId) => pool.find(movie => movie.tmdbId === tmdbId) || null);
+  });
+
+  test('offers the pool in the prompt and looks the pick up by its tmdbId', async () => {
+    useScript([{ tmdbId: 8195, title: 'Ronin (1998)', year: 1998, reason: 'Car chases' }]);
+
+    const picks = await generateMovieRecommendation(user, { likedMovies: {}, dislikedMovies: {} });
+
+    expect(provider.complete.mock.calls[0][0].messages[1].content).toContain('- tmdbId 8195: Ronin (1998)');
+    expect(searchMovieOnTMDB).toHaveBeenCalledWith(null, null, 8195);
+    expect(picks[0]).toMatchObject({ tmdbId: 8195, engine: 'llm' });
+  });
+
+  test('rejects picks outside the pool and offers the remaining candidates again', async () => {
+    useScript([
+      { tmdbId: 603, title: 'The Matrix', year: 1999, reason: 'Not offered' },
+      { tmdbId: 1538, title: 'Collateral', year: 2004, reason: 'Night drive' }
+    ]);
+
+    const picks = await generateMovieRecommendation(user, { likedMovies: {}, dislikedMovies: {} }, { onProgress });
+
+    expect(events.find(({ event }) => event === 'unresolved').data).toEqual({ title: 'The Matrix', year: 1999, reason: 'outside-pool' });
+    expect(searchMovieOnTMDB).not.toHaveBeenCalledWith(null, null, 603);
+    expect(picks.map(pick => pick.tmdbId)).toEqual([1538]);
+  });
+});
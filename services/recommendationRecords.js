@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const Recommendation = require('../models/Recommendation');
+const redisManager = require('../config/redis');
+
+const MAX_HISTORY_PAGE = 100;
+
+// Full recommendation records: the reason shown, the request context, the
+// model and prompt that produced each pick, how long it took, and the
+// feedback the user gave afterwards
+class RecommendationRecordService {
+  // Request fields worth keeping, without the taste maps and pool
+  buildContext(preferences, { sessionMessage = null } = {}) {
+    return {
+      genres: preferences.genres || undefined,
+      moods: preferences.moods || undefined,
+      socialContext: preferences.socialContext || undefined,
+      dealBreakers: preferences.dealBreakers || undefined,
+      constraints: preferences.constraints && Object.keys(preferences.constraints).length > 0
+        ? preferences.constraints
+        : undefined,
+      isAlternative: Boolean(preferences.isAlternative),
+      count: preferences.count || 1,
+      watchRegion: preferences.watchRegion || undefined,
+      onlyMyServices: Boolean(preferences.streaming),
+      groupMembers: preferences.group?.members.map(member => member.userId),
+      message: sessionMessage || undefined
+    };
+  }
+
+  // Store one record per pick and tag each pick with its recommendationId
+  // run: { origin, sessionId, provider, model, attempts, latencyMs, usage, experiment }
+  // attempts and latencyMs describe the request and repeat on every pick;
+  // usage is a total, so only the first record keeps it
+  // A failed write is logged, never surfaced: the user already has their picks
+  async record(user, picks, preferences, run = {}) {
+    if (picks.length === 0) return picks;
+
+    const requestId = crypto.randomUUID();
+    const context = this.buildContext(preferences, run);
+
+    try {
+      const docs = await Recommendation.insertMany(picks.map((pick, index) => ({
+        user: user._id,
+        requestId,
+        origin: run.origin || 'recommend',
+        sessionId: run.sessionId || undefined,
+        rank: index + 1,
+        tmdbId: pick.tmdbId,
+        title: pick.title,
+        year: pick.year || (pick.releaseDate ? new Date(pick.releaseDate).getFullYear() : null),
+        genres: pick.genres || [],
+        posterPath: pick.posterPath,
+        reason: pick.reason,
+        engine: pick.engine,
+        // Model details only describe LLM picks
+        provider: pick.engine === 'llm' ? run.provider : undefined,
+        model: pick.engine === 'llm' ? run.model : undefined,
+        promptVersion: pick.promptVersion || undefined,
+        experiment: pick.engine === 'llm' ? run.experiment || undefined : undefined,
+        attempts: run.attempts,
+        latencyMs: run.latencyMs,
+        usage: index === 0 ? run.usage || undefined : undefined,
+        context
+      })));
+
+      docs.forEach((doc, index) => {
+        picks[index].recommendationId = doc._id.toString();
+      });
+    } catch (error) {
+      console.error('Failed to store recommendation records:', error);
+    }
+
+    // History responses are cached per page
+    await redisManager.invalidatePattern(`${redisManager.constructor.keys.recommendationHistory(user._id.toString())}:*`);
+
+    return picks;
+  }
+
+  // Attach feedback to the record it answers: the given recommendationId, or
+  // else the latest time this movie was recommended to the user
+  async recordOutcome(userId, tmdbId, accepted, recommendationId = null) {
+    const query = { user: userId, tmdbId };
+    if (recommendationId && /^[a-f0-9]{24}$/i.test(recommendationId)) {
+      query._id = recommendationId;
+    }
+
+    return Recommendation.findOneAndUpdate(
+      query,
+      { $set: { 'outcome.accepted': Boolean(accepted), 'outcome.respondedAt': new Date() } },
+      { sort: { createdAt: -1 }, new: true }
+    ).lean();
+  }
+
+  // Newest first, with the reasons the user was given
+  // Users with no records yet (history from before this collection) get the
+  // slim recommendationHistory entries instead
+  async history(user, { page = 1, limit = 20 } = {}) {
+    const pageNumber = Math.max(1, parseInt(page) || 1);
+    const pageSize = Math.min(Math.max(1, parseInt(limit) || 20), MAX_HISTORY_PAGE);
+    const skip = (pageNumber - 1) * pageSize;
+
+    const records = await Recommendation.find({ user: user._id })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(pageSize)
+      .lean();
+
+    if (records.length === 0 && pageNumber === 1 && !(await Recommendation.exists({ user: user._id }))) {
+      return [...(user.recommendationHistory || [])]
+        .sort((a, b) => b.timestamp - a.timestamp)
+        .slice(skip, skip + pageSize)
+        .map(entry => ({
+          movieId: entry.movieId,
+          title: entry.title,
+          accepted: entry.accepted,
+          engine: entry.engine,
+          promptVersion: entry.promptVersion,
+          experiment: entry.experiment,
+          reason: null,
+          timestamp: entry.timestamp
+        }));
+    }
+
+    return records.map(record => this.toHistoryEntry(record));
+  }
+
+  // Keeps the fields of the old history entries so existing clients still work
+  toHistoryEntry(record) {
+    return {
+      recommendationId: record._id.toString(),
+      movieId: record.tmdbId,
+      title: record.title,
+      year: record.year,
+      posterPath: record.posterPath,
+      accepted: record.outcome?.accepted ?? null,
+      respondedAt: record.outcome?.respondedAt || null,
+      reason: record.reason || null,
+      engine: record.engine,
+      model: record.model || null,
+      promptVersion: record.promptVersion || null,
+      experiment: record.experiment || null,
+      origin: record.origin,
+      requestId: record.requestId,
+      rank: record.rank,
+      attempts: record.attempts,
+      latencyMs: record.latencyMs,
+      context: record.context,
+      timestamp: record.createdAt
+    };
+  }
+}
+
+// Create singleton instance
+const recommendationRecords = new RecommendationRecordService();
+
+module.exports = recommendationRecords;
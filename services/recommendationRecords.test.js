@@ -0,0 +1,98 @@
+jest.mock('../models/Recommendation', () => ({ insertMany: jest.fn() }));
+
+const mongoose = require('mongoose');
+const Recommendation = require('../models/Recommendation');
+const redisManager = require('../config/redis');
+const recommendationRecords = require('./recommendationRecords');
+
+const user = { _id: new mongoose.Types.ObjectId() };
+
+const picks = () => [
+  { tmdbId: 949, title: 'Heat', releaseDate: '1995-12-15', genres: ['Crime'], reason: 'Tense heist', engine: 'llm', promptVersion: 'v2' },
+  { tmdbId: 1422, title: 'The Departed', year: 2006, genres: ['Crime'], reason: 'Cat and mouse', engine: 'llm', promptVersion: 'v2' },
+  { tmdbId: 807, title: 'Se7en', year: 1995, reason: 'Popular in crime', engine: 'fallback' }
+];
+
+const run = {
+  origin: 'stream',
+  provider: 'openai',
+  model: 'gpt-4o-mini',
+  attempts: 2,
+  latencyMs: 1800,
+  usage: { promptTokens: 1200, completionTokens: 300 },
+  experiment: 'recommendation-prompt'
+};
+
+beforeEach(() => {
+  Recommendation.insertMany.mockReset();
+  Recommendation.insertMany.mockImplementation(async docs => docs.map(() => ({ _id: new mongoose.Types.ObjectId() })));
+  jest.spyOn(redisManager, 'invalidatePattern').mockResolvedValue(0);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('recommendationRecords.record', () => {
+  test('stores one record per pick with the request context', async () => {
+    const tagged = await recommendationRecords.record(user, picks(), {
+      genres: ['crime'],
+      constraints: { maxRuntime: 150 },
+      likedMovies: { crime: [] },
+      count: 3
+    }, { ...run, sessionMessage: 'something darker' });
+
+    const docs = Recommendation.insertMany.mock.calls[0][0];
+    expect(docs).toHaveLength(3);
+    expect(new Set(docs.map(doc => doc.requestId)).size).toBe(1);
+    expect(docs.map(doc => doc.rank)).toEqual([1, 2, 3]);
+    expect(docs[0]).toMatchObject({
+      user: user._id,
+      origin: 'stream',
+      tmdbId: 949,
+      year: 1995,
+      engine: 'llm',
+      provider: 'openai',
+      model: 'gpt-4o-mini',
+      promptVersion: 'v2',
+      experiment: 'recommendation-prompt',
+      attempts: 2,
+      latencyMs: 1800
+    });
+    expect(docs[0].context).toMatchObject({ genres: ['crime'], constraints: { maxRuntime: 150 }, count: 3, message: 'something darker' });
+    expect(docs[0].context.likedMovies).toBeUndefined();
+
+    expect(tagged.every(pick => /^[a-f0-9]{24}$/.test(pick.recommendationId))).toBe(true);
+  });
+
+  test('keeps model details off fallback picks', async () => {
+    await recommendationRecords.record(user, picks(), {}, run);
+
+    const fallback = Recommendation.insertMany.mock.calls[0][0][2];
+    expect(fallback).toMatchObject({ engine: 'fallback', provider: undefined, model: undefined, experiment: undefined });
+  });
+
+  test('stores the token usage of the request once', async () => {
+    await recommendationRecords.record(user, picks(), {}, run);
+
+    const docs = Recommendation.insertMany.mock.calls[0][0];
+    expect(docs.map(doc => doc.usage)).toEqual([run.usage, undefined, undefined]);
+    const promptTokens = docs.reduce((sum, doc) => sum + (doc.usage?.promptTokens || 0), 0);
+    expect(promptTokens).toBe(run.usage.promptTokens);
+  });
+
+  test('returns the picks untagged when the write fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    Recommendation.insertMany.mockRejectedValue(new Error('Mongo down'));
+
+    const tagged = await recommendationRecords.record(user, picks(), {}, run);
+    expect(tagged).toHaveLength(3);
+    expect(tagged[0].recommendationId).toBeUndefined();
+    expect(redisManager.invalidatePattern).toHaveBeenCalled();
+  });
+
+  test('writes nothing for an empty answer', async () => {
+    expect(await recommendationRecords.record(user, [], {}, run)).toEqual([]);
+    expect(Recommendation.insertMany).not.toHaveBeenCalled();
+  });
+});
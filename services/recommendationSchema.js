@@ -0,0 +1,306 @@
+// Contract for AI recommendation answers
+// Every field is required so the schema also works with OpenAI strict
+// structured output; fields the model cannot fill are sent as null.
+const MAX_RELEASE_YEAR = new Date().getFullYear() + 2;
+
+const RECOMMENDATION_ITEM_SCHEMA = {
+  type: 'object',
+  properties: {
+    title: { type: 'string', minLength: 1, description: 'Original release title of the movie' },
+    year: { type: ['integer', 'null'], minimum: 1888, maximum: MAX_RELEASE_YEAR, description: 'Release year' },
+    reason: { type: 'string', minLength: 1, description: 'Why this movie fits the viewer' },
+    genre: { type: ['string', 'null'], description: 'Primary genre' },
+    rating: { type: ['number', 'null'], minimum: 0, maximum: 10, description: 'Typical critic/audience rating out of 10' },
+    tmdbId: { type: ['integer', 'null'], minimum: 1, description: 'tmdbId of the chosen candidate when a candidate list is given' }
+  },
+  required: ['title', 'year', 'reason', 'genre', 'rating', 'tmdbId'],
+  additionalProperties: false
+};
+
+const RECOMMENDATION_BATCH_SCHEMA = {
+  type: 'object',
+  properties: {
+    recommendations: {
+      type: 'array',
+      minItems: 1,
+      items: RECOMMENDATION_ITEM_SCHEMA,
+      description: 'Recommendations ranked from best to weakest match'
+    }
+  },
+  required: ['recommendations'],
+  additionalProperties: false
+};
+
+// Structured output descriptor handed to the LLM provider
+const getResponseFormat = (count = 1) => (count > 1
+  ? {
+    name: 'submit_recommendations',
+    description: 'Submit the ranked movie recommendations',
+    schema: RECOMMENDATION_BATCH_SCHEMA
+  }
+  : {
+    name: 'submit_recommendation',
+    description: 'Submit the movie recommendation',
+    schema: RECOMMENDATION_ITEM_SCHEMA
+  });
+
+class RecommendationSchemaError extends Error {
+  // code: INVALID_JSON | INVALID_SHAPE | MISSING_FIELD | INVALID_FIELD
+  constructor(code, message, { field = null, details = [] } = {}) {
+    super(message);
+    this.name = 'RecommendationSchemaError';
+    this.code = code;
+    this.field = field;
+    this.details = details;
+  }
+}
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  const allowed = Array.isArray(type) ? type : [type];
+  return allowed.includes(actual) || (actual === 'integer' && allowed.includes('number'));
+};
+
+// Minimal JSON Schema validator covering the keywords used above
+// Returns a list of { path, code, message } problems
+function validateAgainstSchema(value, schema, path = '') {
+  const errors = [];
+  const label = path || 'response';
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    if (value === null || value === undefined) {
+      errors.push({ path, code: 'MISSING_FIELD', message: `${label} is required` });
+      return errors;
+    }
+    errors.push({ path, code: 'INVALID_FIELD', message: `${label} must be ${[].concat(schema.type).join(' or ')}` });
+    return errors;
+  }
+
+  if (typeof value === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+    errors.push({ path, code: 'MISSING_FIELD', message: `${label} must not be empty` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, code: 'INVALID_FIELD', message: `${label} must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, code: 'INVALID_FIELD', message: `${label} must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push({ path, code: 'INVALID_SHAPE', message: `${label} must contain at least ${schema.minItems} item(s)` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object' && schema.properties) {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) {
+        errors.push({ path: path ? `${path}.${key}` : key, code: 'MISSING_FIELD', message: `${key} is required` });
+      }
+    });
+
+    Object.entries(value).forEach(([key, fieldValue]) => {
+      const fieldSchema = schema.properties[key];
+      const fieldPath = path ? `${path}.${key}` : key;
+      if (!fieldSchema) {
+        if (schema.additionalProperties === false) {
+          errors.push({ path: fieldPath, code: 'INVALID_FIELD', message: `${key} is not allowed` });
+        }
+        return;
+      }
+      errors.push(...validateAgainstSchema(fieldValue, fieldSchema, fieldPath));
+    });
+  }
+
+  return errors;
+}
+
+// Strip markdown fences and surrounding prose, then parse
+function parseJsonContent(raw) {
+  if (typeof raw !== 'string' || !raw.trim()) {
+    throw new RecommendationSchemaError('INVALID_JSON', 'Model returned an empty response');
+  }
+
+  let content = raw.trim()
+    .replace(/^```(?:json)?\s*/i, '')
+    .replace(/\s*```$/, '');
+
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    // Fall back to the outermost JSON object embedded in prose
+    const start = content.indexOf('{');
+    const end = content.lastIndexOf('}');
+    if (start !== -1 && end > start) {
+      try {
+        return JSON.parse(content.slice(start, end + 1));
+      } catch (innerError) {
+        // Reported below
+      }
+    }
+    throw new RecommendationSchemaError('INVALID_JSON', `Model returned malformed JSON: ${error.message}`);
+  }
+}
+
+const FIELD_ALIASES = {
+  title: ['name', 'movie', 'movieTitle', 'movie_title'],
+  year: ['releaseYear', 'release_year', 'released'],
+  reason: ['reasoning', 'explanation', 'why', 'description'],
+  genre: ['genres', 'primaryGenre', 'primary_genre'],
+  rating: ['score', 'imdbRating', 'imdb_rating', 'vote_average'],
+  tmdbId: ['tmdb_id', 'id', 'movieId', 'movie_id']
+};
+
+// Best-effort field-level repair so a fixable answer does not cost an attempt
+function repairRecommendationItem(item) {
+  if (typeOf(item) !== 'object') return item;
+
+  const repaired = {};
+
+  Object.entries(FIELD_ALIASES).forEach(([field, aliases]) => {
+    let value = item[field];
+    if (value === undefined || value === null || value === '') {
+      const alias = aliases.find(key => item[key] !== undefined && item[key] !== null && item[key] !== '');
+      value = alias ? item[alias] : null;
+    }
+    repaired[field] = value;
+  });
+
+  if (typeof repaired.title === 'string') {
+    repaired.title = repaired.title.trim().replace(/^["']|["']$/g, '');
+    // "Heat (1995)" carries the year in the title
+    const yearInTitle = repaired.title.match(/^(.*\S)\s*\((\d{4})\)$/);
+    if (yearInTitle) {
+      repaired.title = yearInTitle[1];
+      if (repaired.year === null) repaired.year = yearInTitle[2];
+    }
+  }
+
+  if (typeof repaired.reason === 'string') {
+    repaired.reason = repaired.reason.trim();
+  }
+
+  if (typeof repaired.year === 'string') {
+    const yearMatch = repaired.year.match(/\d{4}/);
+    repaired.year = yearMatch ? parseInt(yearMatch[0]) : null;
+  }
+  if (typeof repaired.year === 'number' && (!Number.isInteger(repaired.year)
+    || repaired.year < RECOMMENDATION_ITEM_SCHEMA.properties.year.minimum
+    || repaired.year > MAX_RELEASE_YEAR)) {
+    repaired.year = null;
+  }
+
+  if (typeof repaired.tmdbId === 'string') {
+    const idMatch = repaired.tmdbId.match(/\d+/);
+    repaired.tmdbId = idMatch ? parseInt(idMatch[0]) : null;
+  }
+  if (typeof repaired.tmdbId === 'number' && (!Number.isInteger(repaired.tmdbId) || repaired.tmdbId < 1)) {
+    repaired.tmdbId = null;
+  }
+
+  if (Array.isArray(repaired.genre)) {
+    repaired.genre = repaired.genre.filter(Boolean).join(', ') || null;
+  } else if (repaired.genre !== null && typeof repaired.genre !== 'string') {
+    repaired.genre = String(repaired.genre);
+  }
+
+  if (typeof repaired.rating === 'string') {
+    // Handles "8.1", "8.1/10" and "81%"
+    const ratingMatch = repaired.rating.match(/(\d+(?:\.\d+)?)\s*(%|\/\s*(\d+))?/);
+    if (ratingMatch) {
+      let rating = parseFloat(ratingMatch[1]);
+      if (ratingMatch[2] === '%') rating = rating / 10;
+      else if (ratingMatch[3]) rating = (rating / parseFloat(ratingMatch[3])) * 10;
+      repaired.rating = rating;
+    } else {
+      repaired.rating = null;
+    }
+  }
+  if (typeof repaired.rating === 'number') {
+    if (repaired.rating > 10 && repaired.rating <= 100) repaired.rating = repaired.rating / 10;
+    repaired.rating = repaired.rating >= 0 && repaired.rating <= 10
+      ? Math.round(repaired.rating * 10) / 10
+      : null;
+  }
+
+  return repaired;
+}
+
+// Parse, repair and validate a raw model answer
+// Returns { items, rejected } where rejected holds per-item schema errors;
+// throws RecommendationSchemaError when nothing usable can be recovered
+function parseRecommendationResponse(raw) {
+  const parsed = parseJsonContent(raw);
+
+  let candidates;
+  if (Array.isArray(parsed)) {
+    candidates = parsed;
+  } else if (typeOf(parsed) === 'object' && Array.isArray(parsed.recommendations)) {
+    candidates = parsed.recommendations;
+  } else if (typeOf(parsed) === 'object' && typeOf(parsed.recommendation) === 'object') {
+    candidates = [parsed.recommendation];
+  } else if (typeOf(parsed) === 'object') {
+    candidates = [parsed];
+  } else {
+    throw new RecommendationSchemaError('INVALID_SHAPE', 'Model response is not an object or list of recommendations');
+  }
+
+  if (candidates.length === 0) {
+    throw new RecommendationSchemaError('INVALID_SHAPE', 'Model response contains no recommendations');
+  }
+
+  const items = [];
+  const rejected = [];
+
+  candidates.forEach((candidate, index) => {
+    const repaired = repairRecommendationItem(candidate);
+    const errors = validateAgainstSchema(repaired, RECOMMENDATION_ITEM_SCHEMA);
+
+    if (errors.length === 0) {
+      items.push(repaired);
+    } else {
+      rejected.push({
+        index,
+        error: new RecommendationSchemaError(errors[0].code, errors[0].message, {
+          field: errors[0].path,
+          details: errors
+        })
+      });
+    }
+  });
+
+  if (items.length === 0) {
+    const { error } = rejected[0];
+    throw new RecommendationSchemaError(error.code, `No valid recommendation in response: ${error.message}`, {
+      field: error.field,
+      details: rejected.flatMap(entry => entry.error.details)
+    });
+  }
+
+  return { items, rejected };
+}
+
+module.exports = {
+  RECOMMENDATION_ITEM_SCHEMA,
+  RECOMMENDATION_BATCH_SCHEMA,
+  RecommendationSchemaError,
+  getResponseFormat,
+  validateAgainstSchema,
+  repairRecommendationItem,
+  parseRecommendationResponse
+};
@@ -0,0 +1,99 @@
+const {
+  RECOMMENDATION_ITEM_SCHEMA,
+  RecommendationSchemaError,
+  validateAgainstSchema,
+  repairRecommendationItem,
+  parseRecommendationResponse
+} = require('./recommendationSchema');
+
+const validItem = {
+  title: 'Heat',
+  year: 1995,
+  reason: 'A tense crime epic',
+  genre: 'Crime',
+  rating: 8.3,
+  tmdbId: 949
+};
+
+describe('validateAgainstSchema', () => {
+  test('accepts a complete item', () => {
+    expect(validateAgainstSchema(validItem, RECOMMENDATION_ITEM_SCHEMA)).toEqual([]);
+  });
+
+  test('reports missing, mistyped and out-of-range fields', () => {
+    const { reason, ...withoutReason } = validItem;
+    const errors = validateAgainstSchema({ ...withoutReason, year: 1700, rating: 'great' }, RECOMMENDATION_ITEM_SCHEMA);
+
+    expect(errors.map(error => error.code)).toEqual(
+      expect.arrayContaining(['MISSING_FIELD', 'INVALID_FIELD'])
+    );
+    expect(errors.map(error => error.path)).toEqual(expect.arrayContaining(['reason', 'year', 'rating']));
+  });
+
+  test('rejects fields outside the schema', () => {
+    const errors = validateAgainstSchema({ ...validItem, poster: 'x.jpg' }, RECOMMENDATION_ITEM_SCHEMA);
+    expect(errors).toHaveLength(1);
+  });
+});
+
+describe('repairRecommendationItem', () => {
+  test('maps aliases and normalises values', () => {
+    const repaired = repairRecommendationItem({
+      movie_title: '"Heat (1995)"',
+      explanation: '  A tense crime epic ',
+      genres: ['Crime', 'Thriller'],
+      score: '83%',
+      tmdb_id: '949'
+    });
+
+    expect(repaired).toEqual({
+      title: 'Heat',
+      year: 1995,
+      reason: 'A tense crime epic',
+      genre: 'Crime, Thriller',
+      rating: 8.3,
+      tmdbId: 949
+    });
+  });
+
+  test('turns unusable values into null', () => {
+    const repaired = repairRecommendationItem({ ...validItem, year: 1500, rating: 250, tmdbId: -3 });
+    expect(repaired).toMatchObject({ year: null, rating: null, tmdbId: null });
+  });
+
+  test('scales ratings given out of another maximum', () => {
+    expect(repairRecommendationItem({ ...validItem, rating: '4/5' }).rating).toBe(8);
+    expect(repairRecommendationItem({ ...validItem, rating: 83 }).rating).toBe(8.3);
+  });
+});
+
+describe('parseRecommendationResponse', () => {
+  test('parses fenced JSON and batch answers', () => {
+    const raw = '```json\n' + JSON.stringify({ recommendations: [validItem, { ...validItem, title: 'Ronin', tmdbId: 8195 }] }) + '\n```';
+    const { items, rejected } = parseRecommendationResponse(raw);
+
+    expect(items.map(item => item.title)).toEqual(['Heat', 'Ronin']);
+    expect(rejected).toEqual([]);
+  });
+
+  test('finds the JSON object inside prose', () => {
+    const { items } = parseRecommendationResponse(`Here you go: ${JSON.stringify(validItem)} Enjoy!`);
+    expect(items).toHaveLength(1);
+  });
+
+  test('keeps valid items and reports the rejected ones', () => {
+    const { items, rejected } = parseRecommendationResponse(JSON.stringify([validItem, { year: 2000 }]));
+
+    expect(items).toHaveLength(1);
+    expect(rejected).toHaveLength(1);
+    expect(rejected[0].index).toBe(1);
+    expect(rejected[0].error).toBeInstanceOf(RecommendationSchemaError);
+  });
+
+  test('throws when nothing usable can be recovered', () => {
+    expect(() => parseRecommendationResponse('not json')).toThrow(RecommendationSchemaError);
+    expect(() => parseRecommendationResponse('')).toThrow(expect.objectContaining({ code: 'INVALID_JSON' }));
+    expect(() => parseRecommendationResponse('{"recommendations": []}'))
+      .toThrow(expect.objectContaining({ code: 'INVALID_SHAPE' }));
+  });
+});
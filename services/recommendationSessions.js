@@ -0,0 +1,282 @@
+const crypto = require('crypto');
+const redisManager = require('../config/redis');
+const { generateMovieRecommendation } = require('./recommendationEngine');
+const { violatesDealBreakers } = require('./movieCatalog');
+const movieConstraints = require('./movieConstraints');
+
+const { keys, TTL } = redisManager.constructor;
+
+// Conversation turns kept in the prompt; older ones only live on as exclusions
+const MAX_PROMPT_TURNS = 5;
+const MAX_MESSAGE_LENGTH = 300;
+
+// Set one bound of a hard constraint; the newest request wins over an
+// opposite bound it contradicts (e.g. "longer" after a maximum runtime)
+const OPPOSITE_BOUNDS = { minRuntime: 'maxRuntime', maxRuntime: 'minRuntime', minYear: 'maxYear', maxYear: 'minYear' };
+const setBound = (constraints, field, value) => {
+  constraints[field] = value;
+  const opposite = OPPOSITE_BOUNDS[field];
+  const [min, max] = field.startsWith('min') ? [value, constraints[opposite]] : [constraints[opposite], value];
+  if (min && max && min > max) delete constraints[opposite];
+};
+
+// An explicit runtime cap such as "under 90 minutes" or "under 2 hours"
+const RUNTIME_CAP = /\bunder (\d+(?:\.\d+)?) ?(min|mins|minutes|h|hrs?|hours?)\b/i;
+
+// What "less violent" rules out
+const VIOLENT_GENRES = ['horror', 'war'];
+const NON_VIOLENT_CERTIFICATION = 'PG-13';
+
+// Follow-up phrases mapped to concrete adjustments relative to the last pick
+const REFINEMENT_RULES = [
+  {
+    pattern: new RegExp(`\\b(shorter|less long|quicker|not so long)\\b|${RUNTIME_CAP.source}`, 'i'),
+    apply: (last, constraints, dealBreakers, message) => {
+      const cap = message.match(RUNTIME_CAP);
+      if (cap) {
+        const minutes = Math.round(parseFloat(cap[1]) * (/^h/i.test(cap[2]) ? 60 : 1));
+        if (minutes > 0) {
+          setBound(constraints, 'maxRuntime', minutes);
+          return `a runtime under ${minutes} minutes`;
+        }
+      }
+      if (last?.runtime) setBound(constraints, 'maxRuntime', last.runtime - 10);
+      return last?.runtime ? `a runtime under ${last.runtime - 10} minutes` : 'a shorter runtime';
+    }
+  },
+  {
+    pattern: /\b(longer|epic)\b/i,
+    apply: (last, constraints) => {
+      if (last?.runtime) setBound(constraints, 'minRuntime', last.runtime + 10);
+      return last?.runtime ? `a runtime over ${last.runtime + 10} minutes` : 'a longer runtime';
+    }
+  },
+  {
+    pattern: /\b(older|classic|earlier|vintage|old school)\b/i,
+    apply: (last, constraints) => {
+      if (last?.year) setBound(constraints, 'maxYear', last.year - 5);
+      return last?.year ? `released in ${last.year - 5} or earlier` : 'an older release';
+    }
+  },
+  {
+    pattern: /\b(newer|more recent|recent|modern|latest)\b/i,
+    apply: (last, constraints) => {
+      if (last?.year) setBound(constraints, 'minYear', last.year + 5);
+      return last?.year ? `released in ${last.year + 5} or later` : 'a more recent release';
+    }
+  },
+  {
+    pattern: /\b(less|not so|not as|without the) (violent|violence|gory|gore|brutal|bloody)\b/i,
+    // "gore" would only match overviews that say so; genres and a certification
+    // cap are what retrieval and the pick verification actually enforce
+    apply: (last, constraints, dealBreakers) => {
+      VIOLENT_GENRES.forEach(genre => dealBreakers.add(genre));
+      const certification = movieConstraints.capCertification(constraints, NON_VIOLENT_CERTIFICATION);
+      return `little or no graphic violence (no ${VIOLENT_GENRES.join(' or ')}, rated ${certification} or lower)`;
+    }
+  },
+  {
+    pattern: /\b(less|not so|not as) (scary|frightening|creepy)\b/i,
+    apply: (last, constraints, dealBreakers) => {
+      dealBreakers.add('horror');
+      return 'nothing scary';
+    }
+  },
+  {
+    pattern: /\b(lighter|funnier|happier|more upbeat|less depressing|less heavy)\b/i,
+    apply: () => 'a lighter, more upbeat tone'
+  },
+  {
+    pattern: /\b(darker|more serious|grittier|heavier)\b/i,
+    apply: () => 'a darker, more serious tone'
+  }
+];
+
+class SessionStoreUnavailableError extends Error {
+  constructor() {
+    super('Recommendation sessions require Redis');
+    this.name = 'SessionStoreUnavailableError';
+  }
+}
+
+// Multi-turn recommendation sessions stored in Redis with a sliding TTL
+// A session keeps the request preferences, the retrieval context (candidate
+// pool, crowd picks, taste summary) and every turn, so a follow-up such as
+// "like that but shorter" refines the last answer instead of starting over
+class RecommendationSessionService {
+  constructor() {
+    this.ttl = parseInt(process.env.RECOMMENDATION_SESSION_TTL) || TTL.RECOMMENDATION_SESSION;
+  }
+
+  async load(sessionId, userId) {
+    const session = await redisManager.get(keys.recommendationSession(sessionId));
+    if (!session || session.userId !== String(userId)) return null;
+    return session;
+  }
+
+  async save(session) {
+    session.updatedAt = new Date().toISOString();
+    const saved = await redisManager.set(keys.recommendationSession(session.id), session, this.ttl);
+    if (!saved) throw new SessionStoreUnavailableError();
+    return session;
+  }
+
+  async remove(sessionId, userId) {
+    const session = await this.load(sessionId, userId);
+    if (!session) return false;
+    return redisManager.del(keys.recommendationSession(sessionId));
+  }
+
+  // Turn a follow-up message into prompt directions and session constraints
+  interpretRefinement(message, lastPick, session) {
+    const dealBreakers = new Set(session.preferences.dealBreakers || []);
+    const directions = REFINEMENT_RULES
+      .filter(rule => rule.pattern.test(message))
+      .map(rule => rule.apply(lastPick, session.constraints, dealBreakers, message));
+
+    session.preferences.dealBreakers = Array.from(dealBreakers);
+    return directions;
+  }
+
+  // Keep only pooled candidates that satisfy the constraints gathered so far
+  filterPool(pool, session) {
+    if (!pool) return pool;
+    return pool
+      .filter(movie => movieConstraints.allows(movie, session.constraints))
+      .filter(movie => !violatesDealBreakers(movie, session.preferences.dealBreakers));
+  }
+
+  // Previous turns as { message, picks } pairs for the prompt
+  buildConversation(session) {
+    const conversation = [];
+    session.turns.forEach(turn => {
+      if (turn.role === 'assistant') {
+        conversation.push({ picks: turn.picks, message: null, directions: [] });
+      } else if (conversation.length > 0) {
+        const last = conversation[conversation.length - 1];
+        last.message = turn.message;
+        last.directions = turn.directions || [];
+      }
+    });
+    return conversation.slice(-MAX_PROMPT_TURNS);
+  }
+
+  // Run one recommendation turn and record it
+  async runTurn(session, user, basePreferences, options = {}) {
+    const context = {
+      ...session.context,
+      candidatePool: this.filterPool(session.context.candidatePool, session)
+    };
+
+    const picks = await generateMovieRecommendation(user, {
+      ...basePreferences,
+      dealBreakers: session.preferences.dealBreakers,
+      // Request limits plus the ones the follow-ups added, enforced like any other
+      constraints: session.constraints,
+      conversation: this.buildConversation(session)
+    }, {
+      ...options,
+      context,
+      origin: 'session',
+      sessionId: session.id,
+      sessionMessage: [...session.turns].reverse().find(turn => turn.role === 'user')?.message
+    });
+
+    // Persist the unfiltered pool so a later "actually, newer" can widen it again
+    session.context = {
+      candidatePool: session.context.candidatePool || this.compactPool(context.candidatePool),
+      crowdPicks: context.crowdPicks || null,
+      tasteSummary: context.tasteSummary || null,
+      diary: context.diary || null
+    };
+
+    session.turns.push({
+      role: 'assistant',
+      at: new Date().toISOString(),
+      picks: picks.map(pick => ({
+        tmdbId: pick.tmdbId,
+        title: pick.title,
+        year: pick.year || (pick.releaseDate ? new Date(pick.releaseDate).getFullYear() : null),
+        runtime: pick.runtime || null,
+        genres: pick.genres || [],
+        reason: pick.reason,
+        engine: pick.engine
+      }))
+    });
+
+    return picks;
+  }
+
+  // Only the fields the prompt, filters and resolver need; runtime, language
+  // and certification keep later constraints (e.g. "under 2 hours") checkable
+  compactPool(pool) {
+    if (!pool) return null;
+    return pool.map(({
+      tmdbId, title, year, genres, overview, rating, runtime, originalLanguage, certification,
+      seeds, sources, retrievalScore
+    }) => ({
+      tmdbId, title, year, genres, overview, rating, runtime, originalLanguage, certification,
+      seeds, sources, retrievalScore
+    }));
+  }
+
+  // Start a session and produce its first recommendation(s)
+  async create(user, basePreferences, options = {}) {
+    const now = new Date().toISOString();
+    const session = {
+      id: crypto.randomUUID(),
+      userId: String(user._id),
+      createdAt: now,
+      updatedAt: now,
+      preferences: {
+        genres: basePreferences.genres || [],
+        moods: basePreferences.moods || [],
+        socialContext: basePreferences.socialContext || null,
+        dealBreakers: basePreferences.dealBreakers || [],
+        count: basePreferences.count || 1,
+        // Follow-ups rebuild their preferences from these, so keep where to
+        // watch and the discovery filters of the opening request
+        region: basePreferences.watchRegion || undefined,
+        onlyMyServices: Boolean(basePreferences.streaming),
+        ...(basePreferences.discoveryFilters || {})
+      },
+      constraints: { ...(basePreferences.constraints || {}) },
+      context: {},
+      turns: []
+    };
+
+    // Fail before spending a recommendation if the store is down
+    await this.save(session);
+
+    const picks = await this.runTurn(session, user, basePreferences, options);
+    await this.save(session);
+    return { session, picks };
+  }
+
+  // Follow up on the last answer with a free-text message
+  async refine(session, user, basePreferences, message, options = {}) {
+    const text = String(message).trim().slice(0, MAX_MESSAGE_LENGTH);
+    const lastTurn = [...session.turns].reverse().find(turn => turn.role === 'assistant');
+    const directions = this.interpretRefinement(text, lastTurn?.picks?.[0], session);
+
+    session.turns.push({ role: 'user', at: new Date().toISOString(), message: text, directions });
+
+    const picks = await this.runTurn(session, user, {
+      ...basePreferences,
+      isAlternative: true
+    }, options);
+    await this.save(session);
+    return { session, picks };
+  }
+
+  // Client-facing view without the stored retrieval context
+  toResponse(session) {
+    const { context, userId, ...publicSession } = session;
+    return { ...publicSession, expiresIn: this.ttl };
+  }
+}
+
+// Create singleton instance
+const recommendationSessions = new RecommendationSessionService();
+
+module.exports = recommendationSessions;
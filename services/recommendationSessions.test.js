@@ -0,0 +1,90 @@
+const recommendationSessions = require('./recommendationSessions');
+const candidateRetrieval = require('./candidateRetrieval');
+
+const heat = { tmdbId: 949, title: 'Heat', year: 1995, runtime: 170 };
+
+const newSession = (overrides = {}) => ({
+  preferences: { dealBreakers: [] },
+  constraints: {},
+  ...overrides
+});
+
+describe('recommendationSessions.interpretRefinement', () => {
+  test('"shorter" caps the runtime 10 minutes below the last pick', () => {
+    const session = newSession();
+    expect(recommendationSessions.interpretRefinement('something shorter', heat, session))
+      .toEqual(['a runtime under 160 minutes']);
+    expect(session.constraints).toEqual({ maxRuntime: 160 });
+  });
+
+  test('an explicit runtime cap wins over the last pick, in minutes or hours', () => {
+    const session = newSession();
+    recommendationSessions.interpretRefinement('under 90 minutes please', heat, session);
+    expect(session.constraints.maxRuntime).toBe(90);
+
+    recommendationSessions.interpretRefinement('under 1.5 hrs', heat, session);
+    expect(session.constraints.maxRuntime).toBe(90);
+
+    recommendationSessions.interpretRefinement('under 2 hours', null, session);
+    expect(session.constraints.maxRuntime).toBe(120);
+  });
+
+  test('"longer" drops a runtime cap it contradicts', () => {
+    const session = newSession({ constraints: { maxRuntime: 100 } });
+    recommendationSessions.interpretRefinement('longer', heat, session);
+    expect(session.constraints).toEqual({ minRuntime: 180 });
+  });
+
+  test('"older" and "newer" bound the release year around the last pick', () => {
+    const session = newSession();
+    expect(recommendationSessions.interpretRefinement('an older classic', heat, session))
+      .toEqual(['released in 1990 or earlier']);
+    expect(session.constraints).toEqual({ maxYear: 1990 });
+
+    recommendationSessions.interpretRefinement('more recent', heat, session);
+    expect(session.constraints).toEqual({ minYear: 2000 });
+  });
+
+  test('"less violent" excludes violent genres and caps the certification', () => {
+    const session = newSession({ preferences: { dealBreakers: ['musical'] } });
+    const directions = recommendationSessions.interpretRefinement('less violent', heat, session);
+
+    expect(directions[0]).toMatch(/no horror or war, rated PG-13 or lower/);
+    expect(session.preferences.dealBreakers).toEqual(['musical', 'horror', 'war']);
+    expect(session.constraints).toEqual({ maxCertification: 'PG-13' });
+    // Both genres map to TMDB IDs, so retrieval excludes them at the source
+    expect(candidateRetrieval.excludedGenreIds(session.preferences.dealBreakers)).toEqual([27, 10752]);
+  });
+
+  test('"less violent" keeps a stricter certification limit', () => {
+    const session = newSession({ constraints: { maxCertification: 'PG' } });
+    recommendationSessions.interpretRefinement('not so bloody', heat, session);
+    expect(session.constraints.maxCertification).toBe('PG');
+  });
+
+  test('tone changes only steer the prompt', () => {
+    const session = newSession();
+    expect(recommendationSessions.interpretRefinement('something lighter', heat, session))
+      .toEqual(['a lighter, more upbeat tone']);
+    expect(session.constraints).toEqual({});
+    expect(session.preferences.dealBreakers).toEqual([]);
+  });
+});
+
+describe('recommendationSessions.filterPool', () => {
+  test('drops pooled movies the refinements rule out', () => {
+    const session = newSession();
+    recommendationSessions.interpretRefinement('less gory', heat, session);
+
+    const pool = [
+      { tmdbId: 1, title: 'Saw', genres: ['Horror'], certification: 'R' },
+      { tmdbId: 2, title: 'Dunkirk', genres: ['War', 'History'], certification: 'PG-13' },
+      { tmdbId: 3, title: 'Heat', genres: ['Crime'], certification: 'R' },
+      { tmdbId: 4, title: 'Paddington', genres: ['Comedy', 'Family'], certification: 'PG' },
+      { tmdbId: 5, title: 'Knives Out', genres: ['Mystery'] }
+    ];
+
+    expect(recommendationSessions.filterPool(pool, session).map(movie => movie.title))
+      .toEqual(['Paddington', 'Knives Out']);
+  });
+});
@@ -0,0 +1,333 @@
+const crypto = require('crypto');
+const redisManager = require('../config/redis');
+const User = require('../models/User');
+const candidateRetrieval = require('./candidateRetrieval');
+const groupRecommendation = require('./groupRecommendation');
+
+const { keys, TTL } = redisManager.constructor;
+
+const MAX_ROOM_SIZE = parseInt(process.env.MAX_GROUP_SIZE) || 8;
+const DECK_SIZE = parseInt(process.env.SWIPE_ROOM_DECK_SIZE) || 20;
+const MAX_ROUNDS = 5;
+
+// No 0/O or 1/I so codes survive being read out loud
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+const VOTES = ['like', 'pass'];
+
+class RoomError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RoomError';
+    this.status = status;
+  }
+}
+
+// Live "swipe together" rooms. All state lives in Redis so every app
+// instance behind the load balancer sees the same room:
+//   room:<code>              room document (host, status, current deck, match)
+//   room:<code>:members      userId -> { userId, name, joinedAt }
+//   room:<code>:votes:<id>   userId -> 'like' | 'pass' for one candidate
+//   room:<code>:match        set once, by whichever instance sees the match first
+//   room:<code>:deal:<round> set once, by whichever instance deals the next round
+//   roomticket:<ticket>      single-use socket ticket -> { userId, code }
+// Changes are published on room:<code>:events for the sockets on every instance
+class SwipeRoomService {
+  constructor() {
+    this.ttl = parseInt(process.env.SWIPE_ROOM_TTL) || TTL.SWIPE_ROOM;
+    this.ticketTtl = parseInt(process.env.SWIPE_ROOM_TICKET_TTL) || TTL.SWIPE_ROOM_TICKET;
+  }
+
+  generateCode() {
+    const bytes = crypto.randomBytes(CODE_LENGTH);
+    return Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  }
+
+  normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+  }
+
+  async load(code) {
+    return redisManager.get(keys.swipeRoom(this.normalizeCode(code)));
+  }
+
+  async save(room) {
+    room.updatedAt = new Date().toISOString();
+    const saved = await redisManager.set(keys.swipeRoom(room.code), room, this.ttl);
+    if (!saved) throw new RoomError('Swipe rooms require Redis', 503);
+    return room;
+  }
+
+  async getMembers(code) {
+    return redisManager.hGetAll(keys.swipeRoomMembers(code));
+  }
+
+  async publish(code, event) {
+    return redisManager.publish(keys.swipeRoomChannel(code), { ...event, code, at: new Date().toISOString() });
+  }
+
+  // Every key of a room expires together; activity pushes the expiry back
+  async touch(room) {
+    await Promise.all([
+      redisManager.expire(keys.swipeRoom(room.code), this.ttl),
+      redisManager.expire(keys.swipeRoomMembers(room.code), this.ttl),
+      ...room.candidates.map(movie => redisManager.expire(keys.swipeRoomVotes(room.code, movie.tmdbId), this.ttl))
+    ]);
+  }
+
+  async create(host, { genres = [], dealBreakers = [] } = {}) {
+    let code = this.generateCode();
+    while (await redisManager.exists(keys.swipeRoom(code))) {
+      code = this.generateCode();
+    }
+
+    const now = new Date().toISOString();
+    const room = {
+      code,
+      hostId: String(host._id),
+      status: 'waiting',
+      preferences: {
+        genres: Array.isArray(genres) ? genres : [],
+        dealBreakers: Array.from(new Set([
+          ...(Array.isArray(dealBreakers) ? dealBreakers : []),
+          ...(host.preferences?.dealBreakers || [])
+        ]))
+      },
+      round: 0,
+      candidates: [],
+      seenIds: [],
+      match: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.save(room);
+    await this.addMember(room, host);
+    return room;
+  }
+
+  async addMember(room, user) {
+    const member = { userId: String(user._id), name: user.name, joinedAt: new Date().toISOString() };
+    await redisManager.hSet(keys.swipeRoomMembers(room.code), member.userId, member, this.ttl);
+    return member;
+  }
+
+  async join(code, user) {
+    const room = await this.load(code);
+    if (!room) throw new RoomError('Room not found', 404);
+    if (room.status === 'closed') throw new RoomError('This room has been closed', 410);
+
+    const members = await this.getMembers(room.code);
+    if (!members[String(user._id)]) {
+      if (room.status === 'matched') throw new RoomError('This room already found its movie', 409);
+      if (Object.keys(members).length >= MAX_ROOM_SIZE) {
+        throw new RoomError(`A room can have at most ${MAX_ROOM_SIZE} members`, 409);
+      }
+      const member = await this.addMember(room, user);
+      await this.publish(room.code, { type: 'member_joined', member });
+    }
+
+    return room;
+  }
+
+  // Short-lived, single-use ticket for opening the room socket. It travels in
+  // the socket URL (browsers cannot set headers there), so the login token
+  // never ends up in proxy logs or browser history
+  async issueTicket(code, user) {
+    const room = await this.load(code);
+    if (!room) throw new RoomError('Room not found', 404);
+    if (room.status === 'closed') throw new RoomError('This room has been closed', 410);
+
+    const ticket = crypto.randomBytes(24).toString('base64url');
+    const saved = await redisManager.set(
+      keys.swipeRoomTicket(ticket),
+      { userId: String(user._id), code: room.code },
+      this.ticketTtl
+    );
+    if (!saved) throw new RoomError('Swipe rooms require Redis', 503);
+    return { ticket, expiresIn: this.ticketTtl };
+  }
+
+  // userId the ticket was issued to, or null when it is unknown, expired,
+  // already used or issued for another room
+  async redeemTicket(ticket, code) {
+    if (!ticket) return null;
+    const grant = await redisManager.take(keys.swipeRoomTicket(ticket));
+    if (!grant || grant.code !== this.normalizeCode(code)) return null;
+    return grant.userId;
+  }
+
+  async leave(code, userId) {
+    const room = await this.load(code);
+    if (!room) return;
+
+    await redisManager.hDel(keys.swipeRoomMembers(room.code), String(userId));
+    await this.publish(room.code, { type: 'member_left', userId: String(userId) });
+
+    // Whoever is left may now agree on a candidate they all liked
+    if (room.status === 'voting') {
+      for (const movie of room.candidates) {
+        if (await this.checkMatch(room, movie.tmdbId)) return;
+      }
+      await this.checkRoundOver(room);
+    }
+  }
+
+  // Deal a fresh deck from the merged taste of everyone in the room
+  async deal(room) {
+    const members = await this.getMembers(room.code);
+    const users = await User.find({ _id: { $in: Object.keys(members) } })
+      .select('name preferences recommendationHistory');
+    const group = await groupRecommendation.combineMembers(users);
+    const preferences = groupRecommendation.applyToPreferences(room.preferences, group);
+
+    const excludeIds = new Set([...group.excludeIds, ...room.seenIds]);
+    const pool = await candidateRetrieval.buildPool(preferences, { excludeIds, limit: DECK_SIZE });
+
+    room.round += 1;
+    room.status = pool.length > 0 ? 'voting' : 'exhausted';
+    room.candidates = pool.map(({ tmdbId, title, year, genres, overview, rating, posterPath }) => ({
+      tmdbId, title, year, genres, overview, rating, posterPath: posterPath || null
+    }));
+    room.seenIds = [...room.seenIds, ...room.candidates.map(movie => movie.tmdbId)];
+    await this.save(room);
+
+    await this.publish(room.code, {
+      type: pool.length > 0 ? 'candidates' : 'exhausted',
+      round: room.round,
+      candidates: room.candidates
+    });
+    return room;
+  }
+
+  async start(code, user) {
+    const room = await this.load(code);
+    if (!room) throw new RoomError('Room not found', 404);
+    if (room.hostId !== String(user._id)) throw new RoomError('Only the host can start the room', 403);
+    if (room.status !== 'waiting') throw new RoomError('The room has already started', 409);
+
+    // Two start messages (double click, two instances) must deal only one first deck
+    if (!await redisManager.acquireLock(keys.swipeRoomDeal(room.code, 0), this.ttl)) {
+      throw new RoomError('The room has already started', 409);
+    }
+
+    return this.deal(room);
+  }
+
+  async vote(code, user, tmdbId, vote) {
+    if (!VOTES.includes(vote)) throw new RoomError('vote must be "like" or "pass"');
+
+    const room = await this.load(code);
+    if (!room) throw new RoomError('Room not found', 404);
+    if (room.status !== 'voting') throw new RoomError('The room is not voting right now', 409);
+
+    const userId = String(user._id);
+    const members = await this.getMembers(room.code);
+    if (!members[userId]) throw new RoomError('Join the room before voting', 403);
+
+    const movieId = parseInt(tmdbId);
+    if (!room.candidates.some(movie => movie.tmdbId === movieId)) {
+      throw new RoomError('That movie is not in the current deck');
+    }
+
+    await redisManager.hSet(keys.swipeRoomVotes(room.code, movieId), userId, vote, this.ttl);
+    const votes = await redisManager.hGetAll(keys.swipeRoomVotes(room.code, movieId));
+
+    await this.publish(room.code, {
+      type: 'vote',
+      tmdbId: movieId,
+      userId,
+      likes: Object.values(votes).filter(value => value === 'like').length,
+      votes: Object.keys(votes).length,
+      members: Object.keys(members).length
+    });
+    await this.touch(room);
+
+    if (vote === 'like' && await this.checkMatch(room, movieId)) return;
+    await this.checkRoundOver(room);
+  }
+
+  // A match is a candidate every current member liked
+  async checkMatch(room, tmdbId) {
+    const [members, votes] = await Promise.all([
+      this.getMembers(room.code),
+      redisManager.hGetAll(keys.swipeRoomVotes(room.code, tmdbId))
+    ]);
+    const memberIds = Object.keys(members);
+    if (memberIds.length === 0 || !memberIds.every(id => votes[id] === 'like')) return false;
+
+    // Two instances can see the last like at once; only one announces it
+    const won = await redisManager.acquireLock(keys.swipeRoomMatch(room.code), this.ttl);
+    if (!won) return true;
+
+    room.status = 'matched';
+    room.match = room.candidates.find(movie => movie.tmdbId === tmdbId);
+    await this.save(room);
+    await this.publish(room.code, { type: 'match', movie: room.match, members: Object.values(members) });
+    return true;
+  }
+
+  // Everyone voted on the whole deck without agreeing: deal the next round
+  async checkRoundOver(room) {
+    const members = Object.keys(await this.getMembers(room.code));
+    const deckVotes = await Promise.all(room.candidates
+      .map(movie => redisManager.hGetAll(keys.swipeRoomVotes(room.code, movie.tmdbId))));
+    const finished = members.length > 0
+      && deckVotes.every(votes => members.every(id => votes[id]));
+    if (!finished) return false;
+
+    if (!await redisManager.acquireLock(keys.swipeRoomDeal(room.code, room.round), this.ttl)) return true;
+
+    if (room.round >= MAX_ROUNDS) {
+      room.status = 'exhausted';
+      await this.save(room);
+      await this.publish(room.code, { type: 'exhausted', round: room.round, candidates: [] });
+      return true;
+    }
+
+    await this.deal(room);
+    return true;
+  }
+
+  async close(code, user) {
+    const room = await this.load(code);
+    if (!room) throw new RoomError('Room not found', 404);
+    if (room.hostId !== String(user._id)) throw new RoomError('Only the host can close the room', 403);
+
+    room.status = 'closed';
+    await this.save(room);
+    await this.publish(room.code, { type: 'closed' });
+    return room;
+  }
+
+  // Room document plus members and the vote tallies of the current deck
+  async snapshot(code) {
+    const room = await this.load(code);
+    if (!room) return null;
+
+    const members = await this.getMembers(room.code);
+    const tallies = await Promise.all(room.candidates.map(async movie => {
+      const votes = await redisManager.hGetAll(keys.swipeRoomVotes(room.code, movie.tmdbId));
+      return {
+        tmdbId: movie.tmdbId,
+        likes: Object.values(votes).filter(value => value === 'like').length,
+        votes: Object.keys(votes).length,
+        voters: Object.keys(votes)
+      };
+    }));
+
+    const { seenIds, ...publicRoom } = room;
+    return {
+      ...publicRoom,
+      members: Object.values(members),
+      tallies,
+      expiresIn: this.ttl
+    };
+  }
+}
+
+// Create singleton instance
+const swipeRooms = new SwipeRoomService();
+
+module.exports = swipeRooms;
@@ -0,0 +1,136 @@
+jest.mock('../models/User', () => ({ find: jest.fn() }));
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const redisManager = require('../config/redis');
+const candidateRetrieval = require('./candidateRetrieval');
+const groupRecommendation = require('./groupRecommendation');
+const swipeRooms = require('./swipeRooms');
+const { createFakeRedisClient } = require('../test/fakeRedisClient');
+
+const { keys } = redisManager.constructor;
+
+const newUser = (name) => ({ _id: new mongoose.Types.ObjectId(), name });
+const host = newUser('Sam');
+const guest = newUser('Alex');
+
+const deck = [
+  { tmdbId: 949, title: 'Heat', year: 1995, genres: ['Crime'] },
+  { tmdbId: 1422, title: 'The Departed', year: 2006, genres: ['Crime'] }
+];
+
+let published;
+
+beforeEach(() => {
+  redisManager.client = createFakeRedisClient();
+  redisManager.isConnected = true;
+
+  published = [];
+  jest.spyOn(swipeRooms, 'publish').mockImplementation(async (code, event) => { published.push(event); });
+  User.find.mockReturnValue({ select: jest.fn().mockResolvedValue([host, guest]) });
+  jest.spyOn(groupRecommendation, 'combineMembers').mockResolvedValue({ excludeIds: [] });
+  jest.spyOn(groupRecommendation, 'applyToPreferences').mockImplementation(preferences => preferences);
+  jest.spyOn(candidateRetrieval, 'buildPool').mockResolvedValue(deck);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  redisManager.client = null;
+  redisManager.isConnected = false;
+});
+
+const openRoom = async () => {
+  const room = await swipeRooms.create(host);
+  await swipeRooms.join(room.code, guest);
+  return room;
+};
+
+describe('swipeRooms deal and match locks', () => {
+  test('two start messages deal a single first deck', async () => {
+    const { code } = await openRoom();
+
+    const results = await Promise.allSettled([swipeRooms.start(code, host), swipeRooms.start(code, host)]);
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(results.find(result => result.status === 'rejected').reason).toMatchObject({ status: 409 });
+    expect(candidateRetrieval.buildPool).toHaveBeenCalledTimes(1);
+    expect(published.filter(event => event.type === 'candidates')).toHaveLength(1);
+  });
+
+  test('a guest cannot start the room', async () => {
+    const { code } = await openRoom();
+    await expect(swipeRooms.start(code, guest)).rejects.toMatchObject({ status: 403 });
+  });
+
+  test('a match is announced once even when two instances see the last like', async () => {
+    const { code } = await openRoom();
+    await swipeRooms.start(code, host);
+    await swipeRooms.vote(code, host, 949, 'like');
+
+    // Two instances holding the same room document both check the match
+    await swipeRooms.vote(code, guest, 949, 'like');
+    const room = await swipeRooms.load(code);
+    expect(await swipeRooms.checkMatch(room, 949)).toBe(true);
+
+    expect(published.filter(event => event.type === 'match')).toHaveLength(1);
+    expect(room).toMatchObject({ status: 'matched', match: { tmdbId: 949 } });
+  });
+
+  test('a finished round without a match deals the next round once', async () => {
+    const { code } = await openRoom();
+    await swipeRooms.start(code, host);
+    for (const movie of deck) {
+      await swipeRooms.vote(code, host, movie.tmdbId, 'like');
+      await swipeRooms.vote(code, guest, movie.tmdbId, 'pass');
+    }
+
+    const room = await swipeRooms.load(code);
+    expect(room.round).toBe(2);
+    // A second instance reaching the same conclusion for round 1 backs off
+    expect(await swipeRooms.checkRoundOver({ ...room, round: 1 })).toBe(true);
+    expect(candidateRetrieval.buildPool).toHaveBeenCalledTimes(2);
+    expect(candidateRetrieval.buildPool.mock.calls[1][1].excludeIds).toEqual(new Set([949, 1422]));
+  });
+});
+
+describe('swipeRooms socket tickets', () => {
+  test('a ticket names its user once, for its own room only', async () => {
+    const { code } = await openRoom();
+    const other = await swipeRooms.create(guest);
+
+    const first = await swipeRooms.issueTicket(code.toLowerCase(), guest);
+    expect(first.expiresIn).toBe(60);
+    expect(await swipeRooms.redeemTicket(first.ticket, code)).toBe(String(guest._id));
+    expect(await swipeRooms.redeemTicket(first.ticket, code)).toBeNull();
+
+    const second = await swipeRooms.issueTicket(code, guest);
+    expect(await swipeRooms.redeemTicket(second.ticket, other.code)).toBeNull();
+    expect(await swipeRooms.redeemTicket(undefined, code)).toBeNull();
+  });
+
+  test('tickets expire', async () => {
+    const { code } = await openRoom();
+    const { ticket } = await swipeRooms.issueTicket(code, guest);
+
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 61 * 1000);
+    expect(await swipeRooms.redeemTicket(ticket, code)).toBeNull();
+  });
+
+  test('refuses tickets for missing or closed rooms', async () => {
+    await expect(swipeRooms.issueTicket('NOROOM', host)).rejects.toMatchObject({ status: 404 });
+
+    const { code } = await openRoom();
+    await swipeRooms.close(code, host);
+    await expect(swipeRooms.issueTicket(code, guest)).rejects.toMatchObject({ status: 410 });
+  });
+
+  test('stores the ticket under its own key with the ticket TTL', async () => {
+    const { code } = await openRoom();
+    const { ticket } = await swipeRooms.issueTicket(code, guest);
+    const entry = redisManager.client.store.get(keys.swipeRoomTicket(ticket));
+
+    expect(JSON.parse(entry.value)).toEqual({ userId: String(guest._id), code });
+    expect(entry.expiresAt - Date.now()).toBeLessThanOrEqual(60 * 1000);
+  });
+});
@@ -161,6 +161,168 @@ class TMDBCacheService {
     }
   }
 
+  // Cached discover query with arbitrary filters
+  async discoverMovies(params = {}) {
+    // Sort params so equivalent queries share a cache entry
+    const normalized = Object.fromEntries(
+      Object.entries(params)
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .sort(([a], [b]) => a.localeCompare(b))
+    );
+    const cacheKey = redisManager.constructor.keys.tmdbDiscover(new URLSearchParams(normalized).toString());
+    
+    try {
+      // Try cache first
+      const cached = await redisManager.get(cacheKey);
+      if (cached) {
+        console.log(`TMDB Discover Cache HIT: ${cacheKey}`);
+        return cached;
+      }
+
+      console.log(`TMDB Discover Cache MISS: ${cacheKey}`);
+
+      // Make API request
+      const client = this.createHttpClient();
+      const response = await client.get('/discover/movie', { params: normalized });
+      const data = response.data;
+      
+      // Cache successful response
+      await redisManager.set(cacheKey, data, redisManager.constructor.TTL.TMDB_POPULAR);
+      
+      return data;
+    } catch (error) {
+      console.error('TMDB discover error:', error.message);
+      throw error;
+    }
+  }
+
+  // Cached per-movie lists: 'similar' or 'recommendations'
+  async getRelatedMovies(tmdbId, relation = 'recommendations', page = 1) {
+    if (!['similar', 'recommendations'].includes(relation)) {
+      throw new Error(`Unknown TMDB relation: ${relation}`);
+    }
+
+    const cacheKey = redisManager.constructor.keys.tmdbRelated(tmdbId, relation, page);
+    
+    try {
+      // Try cache first
+      const cached = await redisManager.get(cacheKey);
+      if (cached) {
+        console.log(`TMDB ${relation} Cache HIT: ${tmdbId} (page ${page})`);
+        return cached;
+      }
+
+      console.log(`TMDB ${relation} Cache MISS: ${tmdbId} (page ${page})`);
+
+      // Make API request
+      const client = this.createHttpClient();
+      const response = await client.get(`/movie/${tmdbId}/${relation}`, {
+        params: { page }
+      });
+      const data = response.data;
+      
+      // Cache successful response
+      await redisManager.set(cacheKey, data, redisManager.constructor.TTL.TMDB_MOVIE);
+      
+      return data;
+    } catch (error) {
+      console.error(`TMDB ${relation} error for ID ${tmdbId}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Cached watch providers for a movie, keyed by region code
+  // (TMDB returns every region at once; data courtesy of JustWatch)
+  async getWatchProviders(tmdbId) {
+    const cacheKey = redisManager.constructor.keys.tmdbWatchProviders(tmdbId);
+    
+    try {
+      // Try cache first
+      const cached = await redisManager.get(cacheKey);
+      if (cached) {
+        console.log(`TMDB Providers Cache HIT: ${tmdbId}`);
+        return cached;
+      }
+
+      console.log(`TMDB Providers Cache MISS: ${tmdbId}`);
+
+      // Make API request
+      const client = this.createHttpClient();
+      const response = await client.get(`/movie/${tmdbId}/watch/providers`);
+      const data = response.data;
+      
+      // Cache successful response
+      await redisManager.set(cacheKey, data, redisManager.constructor.TTL.TMDB_PROVIDERS);
+      
+      return data;
+    } catch (error) {
+      console.error(`TMDB watch providers error for ID ${tmdbId}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Cached list of streaming services available in a region
+  async getProviderCatalog(region) {
+    const cacheKey = redisManager.constructor.keys.tmdbProviderCatalog(region);
+    
+    try {
+      // Try cache first
+      const cached = await redisManager.get(cacheKey);
+      if (cached) {
+        console.log(`TMDB Provider Catalog Cache HIT: ${region}`);
+        return cached;
+      }
+
+      console.log(`TMDB Provider Catalog Cache MISS: ${region}`);
+
+      // Make API request
+      const client = this.createHttpClient();
+      const response = await client.get('/watch/providers/movie', {
+        params: { watch_region: region }
+      });
+      const data = response.data;
+      
+      // Cache successful response
+      await redisManager.set(cacheKey, data, redisManager.constructor.TTL.TMDB_PROVIDER_CATALOG);
+      
+      return data;
+    } catch (error) {
+      console.error(`TMDB provider catalog error for region ${region}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Cached TMDB keyword search (keyword name -> { id, name } results)
+  async searchKeyword(name) {
+    const cacheKey = redisManager.constructor.keys.tmdbKeyword(name.toLowerCase());
+    
+    try {
+      // Try cache first
+      const cached = await redisManager.get(cacheKey);
+      if (cached) {
+        console.log(`TMDB Keyword Cache HIT: ${name}`);
+        return cached;
+      }
+
+      console.log(`TMDB Keyword Cache MISS: ${name}`);
+
+      // Make API request
+      const client = this.createHttpClient();
+      const response = await client.get('/search/keyword', {
+        params: { query: name }
+      });
+      const data = response.data;
+      
+      // Cache successful response
+      await redisManager.set(cacheKey, data, redisManager.constructor.TTL.TMDB_KEYWORD);
+      
+      return data;
+    } catch (error) {
+      console.error(`TMDB keyword search error for "${name}":`, error.message);
+      throw error;
+    }
+  }
+
   // Cached trending movies
   async getTrendingMovies(timeWindow = 'week') {
     const cacheKey = `tmdb:trending:${timeWindow}`;
@@ -290,7 +452,10 @@ class TMDBCacheService {
         movieDetailsKeys: 0,
         searchKeys: 0,
         popularKeys: 0,
-        trendingKeys: 0
+        trendingKeys: 0,
+        discoverKeys: 0,
+        relatedKeys: 0,
+        providerKeys: 0
       };
 
       if (redisManager.isConnected) {
@@ -301,6 +466,9 @@ class TMDBCacheService {
         stats.searchKeys = allKeys.filter(key => key.startsWith('tmdb:search:')).length;
         stats.popularKeys = allKeys.filter(key => key.startsWith('tmdb:popular:')).length;
         stats.trendingKeys = allKeys.filter(key => key.startsWith('tmdb:trending:')).length;
+        stats.discoverKeys = allKeys.filter(key => key.startsWith('tmdb:discover:')).length;
+        stats.relatedKeys = allKeys.filter(key => key.startsWith('tmdb:related:')).length;
+        stats.providerKeys = allKeys.filter(key => key.startsWith('tmdb:providers:')).length;
       }
 
       return stats;
@@ -0,0 +1,252 @@
+const DiaryEntry = require('../models/DiaryEntry');
+
+const MAX_TIMELINE_PAGE = 100;
+const MAX_WATCHES = 200;
+const MAX_COMPANIONS = 10;
+const MAX_COMPANION_LENGTH = 50;
+const MAX_NOTE_LENGTH = 2000;
+const MAX_REWATCHES = 1000;
+// Taste signals handed to /recommend
+const RECENT_SIGNALS = 10;
+const REWATCHED_SIGNALS = 10;
+// Watch dates may run a day ahead of the server clock (time zones)
+const FUTURE_TOLERANCE_MS = 24 * 60 * 60 * 1000;
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  if (value === null || value === '' || Number.isNaN(date.getTime())) return { error: 'watchedAt must be a date such as "2024-05-01"' };
+  if (date.getTime() > Date.now() + FUTURE_TOLERANCE_MS) return { error: 'watchedAt cannot be in the future' };
+  return { date };
+};
+
+const parseCompanions = (value) => {
+  if (value === undefined || value === null) return { names: [] };
+  const names = (Array.isArray(value) ? value : String(value).split(','))
+    .map(name => String(name).trim())
+    .filter(Boolean);
+  if (names.length > MAX_COMPANIONS || names.some(name => name.length > MAX_COMPANION_LENGTH)) {
+    return { error: `watchedWith takes at most ${MAX_COMPANIONS} names of up to ${MAX_COMPANION_LENGTH} characters` };
+  }
+  return { names: Array.from(new Set(names)) };
+};
+
+// Watch diary: seen / not-seen status, watch dates, rewatches, who the user
+// watched with and a private note per movie. Seen entries are excluded from
+// /recommend and recent watches and rewatches feed its taste signals; notes
+// are never shared outside the diary endpoints
+class WatchDiaryService {
+  // Validate the editable fields of a diary request body; only the fields
+  // present are returned
+  // watchedAt (+ watchedWith) logs one viewing; watches replaces the whole list
+  // Returns { fields } or { error }
+  parse(input = {}) {
+    const fields = {};
+
+    if (input.title !== undefined) {
+      if (typeof input.title !== 'string' || !input.title.trim()) return { error: 'title must be a non-empty string' };
+      fields.title = input.title.trim();
+    }
+    if (input.year !== undefined && input.year !== null) {
+      const year = Number(input.year);
+      if (!Number.isInteger(year) || year < 1870 || year > new Date().getFullYear() + 5) return { error: 'year must be a release year' };
+      fields.year = year;
+    }
+    if (input.genres !== undefined) {
+      if (!Array.isArray(input.genres)) return { error: 'genres must be an array' };
+      fields.genres = input.genres;
+    }
+    if (input.posterPath !== undefined) fields.posterPath = input.posterPath || undefined;
+
+    if (input.seen !== undefined) {
+      if (typeof input.seen !== 'boolean') return { error: 'seen must be true or false' };
+      fields.seen = input.seen;
+    }
+
+    if (input.watchedAt !== undefined) {
+      const { date, error } = parseDate(input.watchedAt);
+      if (error) return { error };
+      const { names, error: companionError } = parseCompanions(input.watchedWith);
+      if (companionError) return { error: companionError };
+      fields.watch = { watchedAt: date, watchedWith: names };
+    } else if (input.watchedWith !== undefined && input.watches === undefined) {
+      return { error: 'watchedWith needs a watchedAt' };
+    }
+
+    if (input.watches !== undefined) {
+      if (!Array.isArray(input.watches) || input.watches.length > MAX_WATCHES) {
+        return { error: `watches must be an array of at most ${MAX_WATCHES} { watchedAt, watchedWith } items` };
+      }
+      fields.watches = [];
+      for (const watch of input.watches) {
+        const { date, error } = parseDate(watch?.watchedAt);
+        if (error) return { error };
+        const { names, error: companionError } = parseCompanions(watch.watchedWith);
+        if (companionError) return { error: companionError };
+        fields.watches.push({ watchedAt: date, watchedWith: names });
+      }
+    }
+
+    if (input.rewatchCount !== undefined) {
+      const rewatchCount = Number(input.rewatchCount);
+      if (!Number.isInteger(rewatchCount) || rewatchCount < 0 || rewatchCount > MAX_REWATCHES) {
+        return { error: `rewatchCount must be an integer between 0 and ${MAX_REWATCHES}` };
+      }
+      fields.rewatchCount = rewatchCount;
+
+      // An explicit count is stored as sent, so it must agree with the viewings
+      // of the same request: a single new viewing would leave it unclear
+      // whether the count already includes it, and a full list sets its minimum
+      if (fields.watch) {
+        return { error: 'Send rewatchCount with the full watches list, not with a single watchedAt' };
+      }
+      if (fields.watches && rewatchCount < fields.watches.length - 1) {
+        return { error: `rewatchCount cannot be lower than the ${fields.watches.length - 1} rewatches in watches` };
+      }
+    }
+
+    if (input.note !== undefined) {
+      if (input.note !== null && typeof input.note !== 'string') return { error: 'note must be a string' };
+      const note = (input.note || '').trim();
+      if (note.length > MAX_NOTE_LENGTH) return { error: `note must be at most ${MAX_NOTE_LENGTH} characters` };
+      fields.note = note || undefined;
+    }
+
+    const logsViewing = fields.watch || fields.watches?.length > 0 || fields.rewatchCount > 0;
+    if (fields.seen === false && logsViewing) {
+      return { error: 'A movie marked not seen cannot have watch dates or rewatches' };
+    }
+
+    return { fields };
+  }
+
+  // Apply parsed fields to an entry and keep the derived fields in step:
+  // watches sorted oldest first and capped at the latest MAX_WATCHES, lastWatchedAt,
+  // and rewatchCount covering every logged viewing (dropped ones included)
+  // A rewatchCount sent with watches wins as is (parse checked it covers them);
+  // sent alone it is raised to the viewings already logged
+  apply(entry, fields) {
+    ['title', 'year', 'genres', 'posterPath', 'note', 'rewatchCount'].forEach(field => {
+      if (field in fields) entry[field] = fields[field];
+    });
+
+    // Logging a viewing or a rewatch means the user has seen it
+    if (fields.watch || fields.watches?.length > 0 || fields.rewatchCount > 0) entry.seen = true;
+    if (fields.seen !== undefined) entry.seen = fields.seen;
+    if (entry.seen === false) {
+      entry.watches = [];
+      entry.rewatchCount = 0;
+    }
+
+    if (fields.watches) entry.watches = fields.watches;
+    // A full log drops its oldest viewing, so every new one adds a rewatch
+    const overflow = fields.watch && (entry.watches || []).length >= MAX_WATCHES;
+    if (fields.watch) entry.watches = [...(entry.watches || []), fields.watch];
+
+    const watches = [...(entry.watches || [])].sort((a, b) => a.watchedAt - b.watchedAt);
+    entry.rewatchCount = overflow
+      ? (entry.rewatchCount || 0) + 1
+      : Math.max(entry.rewatchCount || 0, watches.length - 1);
+    entry.watches = watches.slice(-MAX_WATCHES);
+    entry.lastWatchedAt = entry.watches.length > 0 ? entry.watches[entry.watches.length - 1].watchedAt : undefined;
+    return entry;
+  }
+
+  async get(userId, tmdbId) {
+    return DiaryEntry.findOne({ user: userId, tmdbId });
+  }
+
+  async create(userId, tmdbId, fields) {
+    const entry = new DiaryEntry({ user: userId, tmdbId, seen: true });
+    this.apply(entry, fields);
+    return entry.save();
+  }
+
+  // null when the movie is not in the diary
+  async update(userId, tmdbId, fields) {
+    const entry = await this.get(userId, tmdbId);
+    if (!entry) return null;
+    this.apply(entry, fields);
+    return entry.save();
+  }
+
+  async remove(userId, tmdbId) {
+    const result = await DiaryEntry.deleteOne({ user: userId, tmdbId });
+    return result.deletedCount > 0;
+  }
+
+  // Newest viewing first; entries without a watch date follow, most recently edited first
+  // seen: true/false narrows to seen or not-seen entries
+  async timeline(userId, { page = 1, limit = 20, seen } = {}) {
+    const pageNumber = Math.max(1, parseInt(page) || 1);
+    const pageSize = Math.min(Math.max(1, parseInt(limit) || 20), MAX_TIMELINE_PAGE);
+    const query = { user: userId };
+    if (seen !== undefined) query.seen = seen;
+
+    const [entries, total] = await Promise.all([
+      DiaryEntry.find(query)
+        .sort({ lastWatchedAt: -1, updatedAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .lean(),
+      DiaryEntry.countDocuments(query)
+    ]);
+
+    return {
+      entries: entries.map(entry => this.toResponse(entry)),
+      page: pageNumber,
+      limit: pageSize,
+      total,
+      hasMore: pageNumber * pageSize < total
+    };
+  }
+
+  // tmdbIds of every movie the user has seen, for the /recommend exclusions
+  async seenIds(userId) {
+    return DiaryEntry.distinct('tmdbId', { user: userId, seen: true });
+  }
+
+  // Taste signals for /recommend: the latest viewings and the most rewatched
+  // movies (titles, years and genres only; notes and companions stay private)
+  async tasteSignals(userId) {
+    const select = 'tmdbId title year genres rewatchCount lastWatchedAt';
+    const [recent, rewatched] = await Promise.all([
+      DiaryEntry.find({ user: userId, seen: true, lastWatchedAt: { $ne: null } })
+        .sort({ lastWatchedAt: -1 })
+        .limit(RECENT_SIGNALS)
+        .select(select)
+        .lean(),
+      DiaryEntry.find({ user: userId, seen: true, rewatchCount: { $gt: 0 } })
+        .sort({ rewatchCount: -1, lastWatchedAt: -1 })
+        .limit(REWATCHED_SIGNALS)
+        .select(select)
+        .lean()
+    ]);
+
+    const toSignal = ({ tmdbId, title, year, genres, rewatchCount, lastWatchedAt }) => ({
+      tmdbId, title, year, genres: genres || [], rewatchCount: rewatchCount || 0, lastWatchedAt
+    });
+    return { recent: recent.map(toSignal), rewatched: rewatched.map(toSignal) };
+  }
+
+  toResponse(entry) {
+    return {
+      tmdbId: entry.tmdbId,
+      title: entry.title,
+      year: entry.year || null,
+      genres: entry.genres || [],
+      posterPath: entry.posterPath || null,
+      seen: entry.seen,
+      watches: (entry.watches || []).map(({ watchedAt, watchedWith }) => ({ watchedAt, watchedWith: watchedWith || [] })),
+      rewatchCount: entry.rewatchCount || 0,
+      note: entry.note || null,
+      lastWatchedAt: entry.lastWatchedAt || null,
+      createdAt: entry.createdAt,
+      updatedAt: entry.updatedAt
+    };
+  }
+}
+
+// Create singleton instance
+const watchDiary = new WatchDiaryService();
+
+module.exports = watchDiary;
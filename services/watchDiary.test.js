@@ -0,0 +1,75 @@
+const watchDiary = require('./watchDiary');
+
+const day = (date) => new Date(`${date}T20:00:00Z`);
+
+describe('watchDiary.parse', () => {
+  test('returns only the fields present', () => {
+    expect(watchDiary.parse({ note: '  Great score ' })).toEqual({ fields: { note: 'Great score' } });
+  });
+
+  test('logs one viewing with its companions', () => {
+    const { fields } = watchDiary.parse({ watchedAt: '2024-05-01', watchedWith: 'Sam, Alex, Sam' });
+    expect(fields.watch).toEqual({ watchedAt: new Date('2024-05-01'), watchedWith: ['Sam', 'Alex'] });
+  });
+
+  test('rejects invalid input', () => {
+    expect(watchDiary.parse({ watchedAt: 'soon' }).error).toMatch(/watchedAt/);
+    expect(watchDiary.parse({ watchedAt: '2999-01-01' }).error).toBe('watchedAt cannot be in the future');
+    expect(watchDiary.parse({ watchedWith: 'Sam' }).error).toBe('watchedWith needs a watchedAt');
+    expect(watchDiary.parse({ rewatchCount: -1 }).error).toMatch(/rewatchCount/);
+    expect(watchDiary.parse({ seen: false, watchedAt: '2024-05-01' }).error).toMatch(/not seen/);
+  });
+
+  test('rejects a rewatchCount that disagrees with the viewings sent with it', () => {
+    const watches = [{ watchedAt: '2024-01-01' }, { watchedAt: '2024-02-01' }, { watchedAt: '2024-03-01' }];
+
+    expect(watchDiary.parse({ watches, rewatchCount: 1 }).error)
+      .toBe('rewatchCount cannot be lower than the 2 rewatches in watches');
+    expect(watchDiary.parse({ watchedAt: '2024-05-01', rewatchCount: 4 }).error)
+      .toBe('Send rewatchCount with the full watches list, not with a single watchedAt');
+    expect(watchDiary.parse({ watches, rewatchCount: 5 }).fields.rewatchCount).toBe(5);
+  });
+});
+
+describe('watchDiary.apply', () => {
+  test('sorts watches and derives lastWatchedAt and rewatchCount', () => {
+    const entry = watchDiary.apply({ seen: false }, {
+      watches: [{ watchedAt: day('2024-03-01') }, { watchedAt: day('2024-01-01') }, { watchedAt: day('2024-02-01') }]
+    });
+
+    expect(entry.seen).toBe(true);
+    expect(entry.watches.map(watch => watch.watchedAt)).toEqual([day('2024-01-01'), day('2024-02-01'), day('2024-03-01')]);
+    expect(entry.lastWatchedAt).toEqual(day('2024-03-01'));
+    expect(entry.rewatchCount).toBe(2);
+  });
+
+  test('a rewatchCount sent with watches wins over the count the list implies', () => {
+    const entry = watchDiary.apply({ seen: true, watches: [], rewatchCount: 9 }, {
+      watches: [{ watchedAt: day('2024-01-01') }, { watchedAt: day('2024-02-01') }],
+      rewatchCount: 4
+    });
+    expect(entry.rewatchCount).toBe(4);
+
+    // Sent alone it cannot drop below the viewings already logged
+    watchDiary.apply(entry, { rewatchCount: 0 });
+    expect(entry.rewatchCount).toBe(1);
+  });
+
+  test('marking a movie not seen clears its viewings', () => {
+    const entry = watchDiary.apply({ seen: true, watches: [{ watchedAt: day('2024-01-01') }], rewatchCount: 3 }, { seen: false });
+    expect(entry).toMatchObject({ seen: false, watches: [], rewatchCount: 0, lastWatchedAt: undefined });
+  });
+
+  test('keeps the latest 200 viewings and still counts the dropped ones as rewatches', () => {
+    const watches = Array.from({ length: 200 }, (_, i) => ({ watchedAt: new Date(Date.UTC(2000, 0, 1 + i)) }));
+    const entry = { seen: true, watches, rewatchCount: 199 };
+
+    watchDiary.apply(entry, { watch: { watchedAt: day('2024-01-01'), watchedWith: [] } });
+    watchDiary.apply(entry, { watch: { watchedAt: day('2024-01-02'), watchedWith: [] } });
+
+    expect(entry.watches).toHaveLength(200);
+    expect(entry.watches[0].watchedAt).toEqual(watches[2].watchedAt);
+    expect(entry.rewatchCount).toBe(201);
+    expect(entry.lastWatchedAt).toEqual(day('2024-01-02'));
+  });
+});
@@ -0,0 +1,112 @@
+const tmdbCacheService = require('./tmdbCache');
+
+const DEFAULT_REGION = (process.env.DEFAULT_WATCH_REGION || 'US').toUpperCase();
+const LOGO_BASE_URL = 'https://image.tmdb.org/t/p/w92';
+
+// TMDB offer types; only the streaming ones count as "on my services"
+const OFFER_TYPES = ['flatrate', 'free', 'ads', 'rent', 'buy'];
+const STREAMING_OFFERS = ['flatrate', 'free', 'ads'];
+
+const toProvider = (entry) => ({
+  providerId: entry.provider_id,
+  name: entry.provider_name,
+  logoPath: entry.logo_path ? `${LOGO_BASE_URL}${entry.logo_path}` : null
+});
+
+// Region-aware "where to watch" data from TMDB's watch/providers endpoint,
+// plus the check behind the "only my streaming services" recommendation filter
+class WatchProviderService {
+  // ISO 3166-1 region from the request, the user's profile or the default
+  resolveRegion(region, user = null) {
+    const code = String(region || user?.preferences?.watchRegion || DEFAULT_REGION).trim().toUpperCase();
+    return /^[A-Z]{2}$/.test(code) ? code : DEFAULT_REGION;
+  }
+
+  isValidRegion(region) {
+    return /^[A-Za-z]{2}$/.test(String(region || ''));
+  }
+
+  // Offers for one movie in one region, or null when TMDB lists none
+  async forRegion(tmdbId, region) {
+    const data = await tmdbCacheService.getWatchProviders(tmdbId);
+    const offers = data?.results?.[region];
+    if (!offers) return null;
+
+    const whereToWatch = { region, link: offers.link || null };
+    OFFER_TYPES.forEach(type => {
+      whereToWatch[type] = (offers[type] || [])
+        .sort((a, b) => (a.display_priority || 0) - (b.display_priority || 0))
+        .map(toProvider);
+    });
+    return whereToWatch;
+  }
+
+  // Same as forRegion but never throws; a recommendation should not fail
+  // because provider data is temporarily unavailable
+  async safeForRegion(tmdbId, region) {
+    try {
+      return await this.forRegion(tmdbId, region);
+    } catch (error) {
+      console.error(`Failed to load watch providers for ${tmdbId}:`, error.message);
+      return null;
+    }
+  }
+
+  // Subscribed services that stream the movie (rent/buy do not count)
+  matchingServices(whereToWatch, providerIds = []) {
+    if (!whereToWatch) return [];
+    const wanted = new Set(providerIds.map(Number));
+    const matches = new Map();
+    STREAMING_OFFERS.forEach(type => {
+      (whereToWatch[type] || [])
+        .filter(provider => wanted.has(provider.providerId))
+        .forEach(provider => matches.set(provider.providerId, provider));
+    });
+    return Array.from(matches.values());
+  }
+
+  // Whether a pick streams on the subscribed services; a title TMDB has no
+  // provider data for counts as unavailable. Returns { available, whereToWatch }
+  async check(movie, streaming) {
+    const whereToWatch = await this.safeForRegion(movie.tmdbId, streaming.region);
+    const services = this.matchingServices(whereToWatch, streaming.providerIds);
+    return {
+      available: services.length > 0,
+      whereToWatch: whereToWatch ? { ...whereToWatch, onYourServices: services } : null
+    };
+  }
+
+  // Add whereToWatch to picks that do not have it yet
+  async attach(picks, region) {
+    await Promise.all(picks
+      .filter(pick => pick.whereToWatch === undefined)
+      .map(async pick => {
+        pick.whereToWatch = await this.safeForRegion(pick.tmdbId, region);
+      }));
+    return picks;
+  }
+
+  // TMDB discover parameters limiting results to the subscribed services
+  discoverFilters(streaming) {
+    if (!streaming?.providerIds?.length) return {};
+    return {
+      watch_region: streaming.region,
+      with_watch_providers: streaming.providerIds.join('|'),
+      with_watch_monetization_types: STREAMING_OFFERS.join('|')
+    };
+  }
+
+  // Streaming services offered in a region, for the profile picker
+  async listServices(region) {
+    const data = await tmdbCacheService.getProviderCatalog(region);
+    return (data?.results || [])
+      .sort((a, b) => (a.display_priorities?.[region] ?? a.display_priority ?? 0)
+        - (b.display_priorities?.[region] ?? b.display_priority ?? 0))
+      .map(toProvider);
+  }
+}
+
+// Create singleton instance
+const watchProviders = new WatchProviderService();
+
+module.exports = watchProviders;
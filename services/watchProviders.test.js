@@ -0,0 +1,93 @@
+const tmdbCacheService = require('./tmdbCache');
+const watchProviders = require('./watchProviders');
+
+const NETFLIX = 8;
+const PRIME = 9;
+const APPLE = 2;
+
+const entry = (providerId, name, displayPriority = 0) => ({
+  provider_id: providerId,
+  provider_name: name,
+  logo_path: `/${name.toLowerCase()}.jpg`,
+  display_priority: displayPriority
+});
+
+// TMDB watch/providers response for Heat: streams on Prime in the US, rent only on Apple
+const heatProviders = {
+  results: {
+    US: {
+      link: 'https://www.themoviedb.org/movie/949/watch?locale=US',
+      flatrate: [entry(PRIME, 'Prime', 2), entry(NETFLIX, 'Netflix', 1)],
+      rent: [entry(APPLE, 'Apple')]
+    },
+    DE: { rent: [entry(APPLE, 'Apple')] }
+  }
+};
+
+beforeEach(() => {
+  jest.spyOn(tmdbCacheService, 'getWatchProviders').mockResolvedValue(heatProviders);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('watchProviders.forRegion', () => {
+  test('lists the offers of one region by display priority', async () => {
+    const whereToWatch = await watchProviders.forRegion(949, 'US');
+
+    expect(whereToWatch.flatrate.map(provider => provider.name)).toEqual(['Netflix', 'Prime']);
+    expect(whereToWatch.rent[0]).toEqual({ providerId: APPLE, name: 'Apple', logoPath: 'https://image.tmdb.org/t/p/w92/apple.jpg' });
+    expect(whereToWatch.buy).toEqual([]);
+    expect(await watchProviders.forRegion(949, 'FR')).toBeNull();
+  });
+});
+
+describe('watchProviders.check', () => {
+  test('counts a pick as available only when a subscribed service streams it', async () => {
+    const onPrime = await watchProviders.check({ tmdbId: 949 }, { region: 'US', providerIds: [PRIME] });
+    expect(onPrime.available).toBe(true);
+    expect(onPrime.whereToWatch.onYourServices.map(provider => provider.providerId)).toEqual([PRIME]);
+
+    // Renting on a subscribed service does not count
+    const rentOnly = await watchProviders.check({ tmdbId: 949 }, { region: 'US', providerIds: [APPLE] });
+    expect(rentOnly.available).toBe(false);
+    expect(rentOnly.whereToWatch.onYourServices).toEqual([]);
+
+    // Same services, other region
+    const abroad = await watchProviders.check({ tmdbId: 949 }, { region: 'DE', providerIds: [PRIME] });
+    expect(abroad.available).toBe(false);
+  });
+
+  test('treats missing or failing provider data as unavailable', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const unknown = await watchProviders.check({ tmdbId: 949 }, { region: 'FR', providerIds: [NETFLIX] });
+    expect(unknown).toEqual({ available: false, whereToWatch: null });
+
+    tmdbCacheService.getWatchProviders.mockRejectedValue(new Error('TMDB down'));
+    const failing = await watchProviders.check({ tmdbId: 949 }, { region: 'US', providerIds: [NETFLIX] });
+    expect(failing).toEqual({ available: false, whereToWatch: null });
+  });
+});
+
+describe('watchProviders.discoverFilters', () => {
+  test('limits discover to the subscribed services and streaming offers', () => {
+    expect(watchProviders.discoverFilters({ region: 'US', providerIds: [NETFLIX, PRIME] })).toEqual({
+      watch_region: 'US',
+      with_watch_providers: '8|9',
+      with_watch_monetization_types: 'flatrate|free|ads'
+    });
+    expect(watchProviders.discoverFilters({ region: 'US', providerIds: [] })).toEqual({});
+    expect(watchProviders.discoverFilters(null)).toEqual({});
+  });
+});
+
+describe('watchProviders.resolveRegion', () => {
+  test('prefers the request, then the profile, then the default', () => {
+    const user = { preferences: { watchRegion: 'gb' } };
+    expect(watchProviders.resolveRegion('de', user)).toBe('DE');
+    expect(watchProviders.resolveRegion(undefined, user)).toBe('GB');
+    expect(watchProviders.resolveRegion('Germany', user)).toBe('US');
+  });
+});
@@ -0,0 +1,130 @@
+// In-memory stand-in for the node-redis v4 client behind config/redis.js,
+// covering the commands RedisManager issues. Keys expire by Date.now(), so
+// tests can move time with jest.spyOn(Date, 'now')
+// Usage: redisManager.client = createFakeRedisClient(); redisManager.isConnected = true;
+
+// The only script RedisManager runs: delete the key if it still holds the token
+const RELEASE_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end";
+
+const createFakeRedisClient = ({ channels = new Map() } = {}) => {
+  const store = new Map(); // key -> { value, expiresAt }
+
+  const read = (key) => {
+    const entry = store.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      store.delete(key);
+      return undefined;
+    }
+    return entry;
+  };
+  const write = (key, value, ttl = null) => {
+    store.set(key, { value, expiresAt: ttl ? Date.now() + ttl * 1000 : null });
+  };
+  const hash = (key) => {
+    const entry = read(key);
+    if (entry) return entry.value;
+    write(key, {});
+    return store.get(key).value;
+  };
+
+  const commands = {
+    incr(key) {
+      const entry = read(key);
+      const value = Number(entry?.value || 0) + 1;
+      store.set(key, { value: String(value), expiresAt: entry?.expiresAt ?? null });
+      return value;
+    },
+    expire(key, ttl) {
+      const entry = read(key);
+      if (!entry) return 0;
+      entry.expiresAt = Date.now() + ttl * 1000;
+      return 1;
+    },
+    hSet(key, field, value) {
+      hash(key)[field] = value;
+      return 1;
+    }
+  };
+
+  const client = {
+    store,
+    on: () => client,
+    connect: async () => {},
+    quit: async () => {},
+    ping: async () => 'PONG',
+    async get(key) {
+      return read(key)?.value ?? null;
+    },
+    async set(key, value, { NX, EX } = {}) {
+      if (NX && read(key)) return null;
+      write(key, value, EX);
+      return 'OK';
+    },
+    async setEx(key, ttl, value) {
+      write(key, value, ttl);
+      return 'OK';
+    },
+    async getDel(key) {
+      const value = read(key)?.value ?? null;
+      store.delete(key);
+      return value;
+    },
+    async del(keys) {
+      return [].concat(keys).filter(key => read(key) && store.delete(key)).length;
+    },
+    async exists(key) {
+      return read(key) ? 1 : 0;
+    },
+    async expire(key, ttl) {
+      return commands.expire(key, ttl);
+    },
+    async hGetAll(key) {
+      return { ...(read(key)?.value || {}) };
+    },
+    async hDel(key, field) {
+      const fields = read(key)?.value;
+      if (!fields || !(field in fields)) return 0;
+      delete fields[field];
+      return 1;
+    },
+    async keys(pattern) {
+      const matcher = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+      return Array.from(store.keys()).filter(key => read(key) && matcher.test(key));
+    },
+    async eval(script, { keys, arguments: args }) {
+      if (script !== RELEASE_SCRIPT) throw new Error('Script not supported by the fake client');
+      return read(keys[0])?.value === args[0] ? client.del(keys[0]) : 0;
+    },
+    multi() {
+      const queued = [];
+      const transaction = {
+        exec: async () => queued.map(run => run())
+      };
+      Object.keys(commands).forEach(name => {
+        transaction[name] = (...args) => {
+          queued.push(() => commands[name](...args));
+          return transaction;
+        };
+      });
+      return transaction;
+    },
+    // Pub/sub: duplicates share the channel registry of the client they came from
+    async publish(channel, message) {
+      (channels.get(channel) || []).forEach(listener => listener(message));
+      return (channels.get(channel) || []).length;
+    },
+    duplicate() {
+      return createFakeRedisClient({ channels });
+    },
+    async subscribe(channel, listener) {
+      channels.set(channel, [...(channels.get(channel) || []), listener]);
+    },
+    async unsubscribe(channel) {
+      channels.delete(channel);
+    }
+  };
+
+  return client;
+};
+
+module.exports = { createFakeRedisClient };